@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const http = require('http');
+const Wearer = require('./Wearer');
+const WearerRegistry = require('./WearerRegistry');
+const Validator = require('./Validator');
+const FitnessWatchError = require('./FitnessWatchError');
+const ValidationError = require('./ValidationError');
+const NotFoundError = require('./NotFoundError');
+
+/**
+ * Class representing an error response from the API.
+ */
+class ApiError extends Error {
+  /**
+   * Create an API error.
+   * @param {number} status - HTTP status code.
+   * @param {string} code - Machine readable error code (Ex: "workout_in_progress").
+   * @param {string} message - Human readable message.
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Class representing a local HTTP REST API over wearers and their workouts.
+ * Requests and responses are JSON; errors look like {error: {code, message}}.
+ * Wearers are saved after every change, including to the workout in progress.
+ */
+class ApiServer {
+  /**
+   * Create an API server.
+   * @param {object} options - Server options ({storage, registry, maxBodyBytes}).
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new WearerRegistry({storage: options.storage});
+    // larger request bodies are rejected without being parsed
+    this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+    this.server = null;
+  }
+
+  /**
+   * Get a wearer by id, loading it from storage if needed.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {Wearer} The wearer.
+   */
+  getWearer(wearerId) {
+    if (!this.registry.hasWearer(wearerId)) {
+      throw new ApiError(404, 'wearer_not_found', `There is no wearer with id ${wearerId}`);
+    }
+    return this.registry.getWearer(wearerId);
+  }
+
+  /**
+   * Create a wearer.
+   * @param {object} body - Wearer options ({id, timeZone, profile}).
+   * @return {object} Response.
+   */
+  createWearer(body) {
+    const id = body.id !== undefined ? String(body.id) : crypto.randomUUID();
+    if (this.registry.hasWearer(id)) {
+      throw new ApiError(409, 'wearer_exists', `There is already a wearer with id ${id}`);
+    }
+    let wearer;
+    try {
+      wearer = this.registry.createWearer(id, {timeZone: body.timeZone, profile: body.profile});
+    } catch (e) {
+      if (!(e instanceof FitnessWatchError)) {
+        throw e;
+      }
+      // unknown time zone or incomplete profile
+      throw new ApiError(400, 'invalid_wearer', e.message);
+    }
+    return {status: 201, body: {id: id, timeZone: wearer.timeZone, profile: wearer.profile}};
+  }
+
+  /**
+   * Start a workout.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} body - Watch data ({workoutType, startTime}) and workout options ({autoPauseSeconds, autoLap}).
+   * @return {object} Response.
+   */
+  startWorkout(wearerId, body) {
+    const wearer = this.getWearer(wearerId);
+    const {autoPauseSeconds, autoLap} = body;
+    wearer.startWorkout({
+      workoutId: body.workoutId,
+      workoutType: body.workoutType,
+      startTime: body.startTime || Math.floor(Date.now() / 1000)
+    }, {autoPauseSeconds, autoLap});
+    wearer.save();
+    const workout = wearer.workoutInstance;
+    return {status: 201, body: {workoutType: workout.workoutType, startTime: workout.startTime}};
+  }
+
+  /**
+   * Add samples to the workout in progress.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} body - A sample or {samples: [...]}; each sample has a type of "steps", "caloriesBurned", "heartRate" or "location".
+   * @return {object} Response.
+   */
+  addSamples(wearerId, body) {
+    const wearer = this.getWearer(wearerId);
+    // heart rate is stored without a workout, so check for one before recording any of the batch
+    wearer.requireWorkout();
+    const samples = Array.isArray(body.samples) ? body.samples : [body];
+    const recorders = {
+      steps: sample => wearer.addSteps(sample),
+      caloriesBurned: sample => wearer.addCaloriesBurned(sample),
+      heartRate: sample => wearer.storeHeartRateData(sample),
+      location: sample => wearer.addLocation(sample)
+    };
+    const unknownSample = samples.find(sample => !sample || !recorders[sample.type]);
+    if (unknownSample) {
+      throw new ApiError(400, 'invalid_sample', 'Sample type must be "steps", "caloriesBurned", "heartRate" or "location"');
+    }
+    // check the whole batch first, so a rejected batch records nothing and can be retried
+    const sampleSchemas = Wearer.getSampleSchemas();
+    const batch = samples.map(sample => {
+      const sampleData = Object.assign({}, sample);
+      delete sampleData.type;
+      return {type: sample.type, data: Validator.validate(sampleData, sampleSchemas[sample.type], sample.type)};
+    });
+    batch.forEach(sample => recorders[sample.type](sample.data));
+    wearer.save();
+    return {status: 202, body: {accepted: samples.length}};
+  }
+
+  /**
+   * Pause, resume, mark a lap in or end the workout in progress.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {string} action - The string "pause", "resume", "laps" or "end".
+   * @param {object} body - Watch data for the action.
+   * @return {object} Response.
+   */
+  updateWorkout(wearerId, action, body) {
+    const wearer = this.getWearer(wearerId);
+    const now = Math.floor(Date.now() / 1000);
+    if (action === 'pause') {
+      wearer.pauseWorkout({pauseTime: body.pauseTime || now});
+    } else if (action === 'resume') {
+      wearer.resumeWorkout({resumeTime: body.resumeTime || now});
+    } else if (action === 'laps') {
+      wearer.markLap({lapTime: body.lapTime || now});
+    } else {
+      const workoutId = body.workoutId !== undefined ? body.workoutId : wearer.getNextWorkoutId();
+      const summary = wearer.endWorkout({workoutId: workoutId, endTime: body.endTime || now});
+      wearer.save();
+      return {status: 200, body: summary};
+    }
+    wearer.save();
+    const workout = wearer.workoutInstance;
+    return {status: 200, body: {isPaused: workout.isPaused, laps: workout.laps.length + 1}};
+  }
+
+  /**
+   * Get N day step stats.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {URLSearchParams} query - Query with days, the N day period.
+   * @return {object} Response.
+   */
+  getStepsStats(wearerId, query) {
+    const wearer = this.getWearer(wearerId);
+    const days = Number(query.get('days'));
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ApiError(400, 'invalid_days', 'days must be a positive integer');
+    }
+    return {
+      status: 200,
+      body: {
+        days: days,
+        min: wearer.getMinMaxSteps(days, 'min'),
+        max: wearer.getMinMaxSteps(days, 'max'),
+        average: wearer.getAverageNumberOfSteps(days)
+      }
+    };
+  }
+
+  /**
+   * Get the HTTP status for an error thrown by a wearer or workout.
+   * @param {FitnessWatchError} error - The error.
+   * @return {number} 400 for bad input, 404 for unknown ids and 409 for anything the current state doesn't allow.
+   */
+  static getErrorStatus(error) {
+    if (error instanceof ValidationError) {
+      return 400;
+    } else if (error instanceof NotFoundError) {
+      return 404;
+    }
+    return 409;
+  }
+
+  /**
+   * Route a request.
+   * @param {string} method - HTTP method.
+   * @param {string} url - Request path and query.
+   * @param {object} body - Parsed JSON body.
+   * @return {object} Response ({status, body}).
+   */
+  route(method, url, body = {}) {
+    try {
+      const {pathname, searchParams} = new URL(url, 'http://localhost');
+      const parts = pathname.split('/').filter(part => part).map(part => {
+        try {
+          return decodeURIComponent(part);
+        } catch (e) {
+          throw new ApiError(400, 'invalid_path', `Invalid path: ${pathname}`);
+        }
+      });
+      const [collection, wearerId, resource, item, action] = parts;
+      if (collection !== 'wearers') {
+        throw new ApiError(404, 'not_found', `No route for ${method} ${pathname}`);
+      }
+
+      if (method === 'POST' && parts.length === 1) {
+        return this.createWearer(body);
+      } else if (method === 'GET' && parts.length === 2) {
+        return {status: 200, body: this.getWearer(wearerId).toJSON()};
+      } else if (method === 'POST' && resource === 'workouts' && item === 'start' && parts.length === 4) {
+        return this.startWorkout(wearerId, body);
+      } else if (method === 'POST' && resource === 'workouts' && item === 'current' && action === 'samples') {
+        return this.addSamples(wearerId, body);
+      } else if (method === 'POST' && resource === 'workouts' && item === 'current' && ['pause', 'resume', 'laps', 'end'].includes(action)) {
+        return this.updateWorkout(wearerId, action, body);
+      } else if (method === 'GET' && resource === 'summary' && parts.length === 4) {
+        if (!['steps', 'caloriesBurned', 'heartRate'].includes(item)) {
+          throw new ApiError(400, 'invalid_category', 'Category must be "steps", "caloriesBurned" or "heartRate"');
+        }
+        return {status: 200, body: this.getWearer(wearerId).getDataSummary(item)};
+      } else if (method === 'GET' && resource === 'stats' && item === 'steps' && parts.length === 4) {
+        return this.getStepsStats(wearerId, searchParams);
+      }
+      throw new ApiError(404, 'not_found', `No route for ${method} ${pathname}`);
+    } catch (e) {
+      if (e instanceof ApiError) {
+        return {status: e.status, body: {error: {code: e.code, message: e.message}}};
+      } else if (e instanceof FitnessWatchError) {
+        return {status: ApiServer.getErrorStatus(e), body: {error: {code: e.code, message: e.message}}};
+      }
+      return {status: 500, body: {error: {code: 'internal_error', message: e.message}}};
+    }
+  }
+
+  /**
+   * Handle an HTTP request.
+   * @param {http.IncomingMessage} request - HTTP request.
+   * @param {http.ServerResponse} response - HTTP response.
+   */
+  handleRequest(request, response) {
+    const chunks = [];
+    let bodyBytes = 0;
+    request.on('data', chunk => {
+      bodyBytes += chunk.length;
+      // keep reading a body that is too large, but don't hold on to it
+      if (bodyBytes <= this.maxBodyBytes) {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => {
+      let result;
+      if (bodyBytes > this.maxBodyBytes) {
+        result = {status: 413, body: {error: {code: 'body_too_large', message: `Request body must be at most ${this.maxBodyBytes} bytes`}}};
+      } else {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body = null;
+        try {
+          body = text ? JSON.parse(text) : {};
+        } catch (e) {
+          // handled below
+        }
+        result = body !== null && typeof body === 'object' && !Array.isArray(body)
+          ? this.route(request.method, request.url, body)
+          : {status: 400, body: {error: {code: 'invalid_json', message: 'Request body must be a JSON object'}}};
+      }
+      response.writeHead(result.status, {'Content-Type': 'application/json'});
+      response.end(JSON.stringify(result.body));
+    });
+  }
+
+  /**
+   * Start listening for requests.
+   * @param {number} port - Port to listen on.
+   * @param {function} callback - Called once the server is listening.
+   */
+  listen(port, callback) {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.listen(port, callback);
+  }
+
+  /**
+   * Stop listening for requests.
+   * @param {function} callback - Called once the server is closed.
+   */
+  close(callback) {
+    this.server.close(callback);
+  }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,71 @@
+/**
+ * Class with helpers for estimating calories burned from a wearer's
+ * physiology when the watch doesn't report them.
+ */
+class CalorieEstimator {
+  /**
+   * Estimate calories burned from heart rate (Keytel et al., 2005).
+   * @param {object} profile - Wearer profile ({weightKg, age, sex}).
+   * @param {number} averageHeartRate - Average heart rate in bpm.
+   * @param {number} durationSeconds - Duration of the activity.
+   * @return {number} Calories burned, or null if the profile is incomplete.
+   */
+  static fromHeartRate(profile, averageHeartRate, durationSeconds) {
+    const {weightKg, age, sex} = profile;
+    if (!averageHeartRate || !weightKg || !age || !sex) {
+      return null;
+    }
+    let kilojoulesPerMinute;
+    if (sex === 'female') {
+      kilojoulesPerMinute = -20.4022 + 0.4472 * averageHeartRate - 0.1263 * weightKg + 0.074 * age;
+    } else {
+      kilojoulesPerMinute = -55.0969 + 0.6309 * averageHeartRate + 0.1988 * weightKg + 0.2017 * age;
+    }
+    const caloriesPerMinute = Math.max(0, kilojoulesPerMinute / 4.184);
+    return caloriesPerMinute * durationSeconds / 60;
+  }
+
+  /**
+   * Estimate calories burned from the MET value of an activity.
+   * Uses the wearer's resting metabolic rate (Mifflin-St Jeor) as 1 MET when
+   * height, age and sex are known, otherwise the standard 3.5 ml O2/kg/min.
+   * @param {object} profile - Wearer profile ({weightKg, heightCm, age, sex}).
+   * @param {number} met - Metabolic equivalent of the activity.
+   * @param {number} durationSeconds - Duration of the activity.
+   * @return {number} Calories burned, or null if the profile has no weight.
+   */
+  static fromMet(profile, met, durationSeconds) {
+    const {weightKg, heightCm, age, sex} = profile;
+    if (!met || !weightKg) {
+      return null;
+    }
+    let restingCaloriesPerMinute = 3.5 * weightKg / 200;
+    if (heightCm && age && sex) {
+      const sexConstant = sex === 'female' ? -161 : 5;
+      const restingCaloriesPerDay = 10 * weightKg + 6.25 * heightCm - 5 * age + sexConstant;
+      restingCaloriesPerMinute = restingCaloriesPerDay / 1440;
+    }
+    return met * restingCaloriesPerMinute * durationSeconds / 60;
+  }
+
+  /**
+   * Estimate calories burned for a workout, preferring heart rate over MET values.
+   * @param {object} profile - Wearer profile ({weightKg, heightCm, age, sex}).
+   * @param {object} workoutData - Workout data ({met, averageHeartRate, durationSeconds}).
+   * @return {object} Calories burned and the source used ("heartRate" or "met"), or null if no estimate is possible.
+   */
+  static estimate(profile, workoutData) {
+    const {met, averageHeartRate, durationSeconds} = workoutData;
+    const fromHeartRate = CalorieEstimator.fromHeartRate(profile, averageHeartRate, durationSeconds);
+    if (fromHeartRate !== null) {
+      return {caloriesBurned: Math.round(fromHeartRate), caloriesSource: 'heartRate'};
+    }
+    const fromMet = CalorieEstimator.fromMet(profile, met, durationSeconds);
+    if (fromMet !== null) {
+      return {caloriesBurned: Math.round(fromMet), caloriesSource: 'met'};
+    }
+    return null;
+  }
+}
+
+module.exports = CalorieEstimator;
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const Wearer = require('./Wearer');
+const JsonFileStorage = require('./JsonFileStorage');
+const HistoryExporter = require('./HistoryExporter');
+const ValidationError = require('./ValidationError');
+
+/**
+ * Class representing the fitness-watch command-line interface.
+ * Every command loads the wearer from a JSON file, applies the command and
+ * saves the wearer again, so a workout can be started and ended by separate runs.
+ */
+class Cli {
+  /**
+   * Create a command-line interface.
+   * @param {object} options - Output streams ({stdout, stderr}) with a write method.
+   */
+  constructor(options = {}) {
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+  }
+
+  /**
+   * Get the usage text.
+   * @return {string} Usage.
+   */
+  static getUsage() {
+    return [
+      'Usage: fitness-watch <command> [options]',
+      '',
+      'Commands:',
+      '  workout start --type <type> [--auto-pause <seconds>]',
+      '  workout pause | resume | lap',
+      '  workout end [--id <workoutId>]',
+      '  steps add <steps>',
+      '  calories add <calories>',
+      '  hr add <bpm>',
+      '  summary <steps|caloriesBurned|heartRate>',
+      '  stats steps --days <N> [--min] [--max] [--avg]',
+      '  stats hr --days <N>',
+      '  import <file>',
+      '  export --format <csv|json|gpx|tcx> [--id <workoutId>] [--out <path>]',
+      '',
+      'Options:',
+      '  --file <path>    Wearer data file (default: fitness-watch.json)',
+      '  --wearer <id>    Wearer id (default: default)',
+      '  --time <time>    UNIX timestamp or ISO 8601 time of the event (default: now)',
+      '  --json           Print JSON instead of tables'
+    ].join('\n');
+  }
+
+  /**
+   * Split arguments into positional arguments and options.
+   * @param {array} argv - Command-line arguments, without node and the script.
+   * @return {object} Positional arguments ({args}) and options ({options}).
+   */
+  static parseArgs(argv) {
+    const flags = ['json', 'min', 'max', 'avg', 'help'];
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg.startsWith('--')) {
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/);
+        if (inlineValue !== undefined) {
+          options[name] = inlineValue;
+        } else if (flags.includes(name)) {
+          options[name] = true;
+        } else {
+          if (i + 1 >= argv.length) {
+            throw new ValidationError(`Option --${name} needs a value`, name);
+          }
+          options[name] = argv[++i];
+        }
+      } else {
+        args.push(arg);
+      }
+    }
+    return {args, options};
+  }
+
+  /**
+   * Parse a time option.
+   * @param {string} value - UNIX timestamp or ISO 8601 time.
+   * @return {number} UNIX timestamp, or now if no value is given.
+   */
+  static parseTime(value) {
+    if (value === undefined) {
+      return Math.floor(Date.now() / 1000);
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`Invalid time: ${value}`, 'time');
+    }
+    return time;
+  }
+
+  /**
+   * Parse a number argument.
+   * @param {string} value - Argument value.
+   * @param {string} name - Argument name, for the error message.
+   * @return {number} Parsed number.
+   */
+  static parseNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined || value === '' || Number.isNaN(number)) {
+      throw new ValidationError(`${name} must be a number`, name);
+    }
+    return number;
+  }
+
+  /**
+   * Format rows as a table.
+   * @param {array} columns - Column names, also the row keys.
+   * @param {array} rows - Rows as objects.
+   * @return {string} Table with a header row.
+   */
+  static formatTable(columns, rows) {
+    const cells = [columns, ...rows.map(row => columns.map(column => {
+      const value = row[column];
+      return value === null || value === undefined ? '' : String(value);
+    }))];
+    const widths = columns.map((column, index) => cells.reduce((acc, row) => Math.max(acc, row[index].length), 0));
+    return cells
+      .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+      .join('\n');
+  }
+
+  /**
+   * Print a result as JSON or as a table.
+   * @param {object} options - Command options ({json}).
+   * @param {*} result - Result for --json.
+   * @param {array} columns - Table columns.
+   * @param {array} rows - Table rows.
+   */
+  print(options, result, columns, rows) {
+    if (options.json) {
+      this.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      this.stdout.write(`${Cli.formatTable(columns, rows)}\n`);
+    }
+  }
+
+  /**
+   * Print key/value pairs as JSON or as a two column table.
+   * @param {object} options - Command options ({json}).
+   * @param {object} result - Result to print.
+   */
+  printObject(options, result) {
+    const rows = Object.keys(result)
+      .filter(key => result[key] === null || typeof result[key] !== 'object')
+      .map(key => ({field: key, value: result[key]}));
+    this.print(options, result, ['field', 'value'], rows);
+  }
+
+  /**
+   * Run a workout command.
+   * @param {Wearer} wearer - The wearer.
+   * @param {array} args - Positional arguments after "workout".
+   * @param {object} options - Command options.
+   */
+  runWorkoutCommand(wearer, args, options) {
+    const time = Cli.parseTime(options.time);
+    const subcommand = args[0];
+    if (subcommand === 'start') {
+      if (!options.type) {
+        throw new ValidationError('workout start needs --type', 'type');
+      }
+      const workoutOptions = {};
+      if (options['auto-pause'] !== undefined) {
+        workoutOptions.autoPauseSeconds = Cli.parseNumber(options['auto-pause'], '--auto-pause');
+      }
+      wearer.startWorkout({workoutType: options.type, startTime: time}, workoutOptions);
+      const workout = wearer.workoutInstance;
+      this.printObject(options, {workoutType: workout.workoutType, startTime: workout.startTime});
+    } else if (subcommand === 'pause') {
+      wearer.pauseWorkout({pauseTime: time});
+      this.printObject(options, {isPaused: wearer.workoutInstance.isPaused});
+    } else if (subcommand === 'resume') {
+      wearer.resumeWorkout({resumeTime: time});
+      this.printObject(options, {isPaused: wearer.workoutInstance.isPaused});
+    } else if (subcommand === 'lap') {
+      wearer.markLap({lapTime: time});
+      this.printObject(options, {lapNumber: wearer.workoutInstance.currentLap.lapNumber});
+    } else if (subcommand === 'end') {
+      const workoutId = options.id !== undefined ? Cli.parseNumber(options.id, '--id') : wearer.getNextWorkoutId();
+      const summary = wearer.endWorkout({workoutId: workoutId, endTime: time});
+      this.printObject(options, summary);
+    } else {
+      throw new ValidationError(`Unknown workout command: ${subcommand}`, 'command');
+    }
+  }
+
+  /**
+   * Run a stats command.
+   * @param {Wearer} wearer - The wearer.
+   * @param {array} args - Positional arguments after "stats".
+   * @param {object} options - Command options.
+   */
+  runStatsCommand(wearer, args, options) {
+    const days = Cli.parseNumber(options.days, '--days');
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ValidationError('--days must be a positive integer', 'days');
+    }
+    if (args[0] === 'steps') {
+      const showAll = !options.min && !options.max && !options.avg;
+      const result = {days: days};
+      if (showAll || options.min) {
+        result.min = wearer.getMinMaxSteps(days, 'min');
+      }
+      if (showAll || options.max) {
+        result.max = wearer.getMinMaxSteps(days, 'max');
+      }
+      if (showAll || options.avg) {
+        result.average = wearer.getAverageNumberOfSteps(days);
+      }
+      this.printObject(options, result);
+    } else if (args[0] === 'hr') {
+      this.printObject(options, {days: days, averageRestingHeartRate: wearer.getAverageRestingHeartRate(days)});
+    } else {
+      throw new ValidationError(`Unknown stats command: ${args[0]}`, 'command');
+    }
+  }
+
+  /**
+   * Run an export command.
+   * @param {Wearer} wearer - The wearer.
+   * @param {object} options - Command options.
+   */
+  runExportCommand(wearer, options) {
+    const format = options.format;
+    if (format === 'csv') {
+      const directory = options.out || '.';
+      fs.mkdirSync(directory, {recursive: true});
+      const filePaths = HistoryExporter.writeCsvFiles(wearer.toJSON(), directory);
+      this.print(options, filePaths, ['file'], filePaths.map(filePath => ({file: filePath})));
+      return;
+    }
+    let content;
+    if (format === 'json') {
+      content = wearer.exportHistory('json');
+    } else if (format === 'gpx' || format === 'tcx') {
+      if (options.id === undefined) {
+        throw new ValidationError('--id is required', 'id');
+      }
+      // ids from the command line are numbers, but the API and imports can store any string
+      const workout = wearer.workoutData.rawData.find(workoutRecord => String(workoutRecord.workoutId) === options.id);
+      content = wearer.exportWorkout(workout ? workout.workoutId : options.id, format);
+    } else {
+      throw new ValidationError('--format must be csv, json, gpx or tcx', 'format');
+    }
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      this.stdout.write(`${options.out}\n`);
+    } else {
+      this.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+    }
+  }
+
+  /**
+   * Run a command.
+   * @param {array} argv - Command-line arguments, without node and the script.
+   * @return {number} Exit code.
+   */
+  run(argv) {
+    try {
+      const {args, options} = Cli.parseArgs(argv);
+      const [command, ...rest] = args;
+      if (!command || command === 'help' || options.help) {
+        this.stdout.write(`${Cli.getUsage()}\n`);
+        return 0;
+      }
+
+      const filePath = path.resolve(options.file || process.env.FITNESS_WATCH_FILE || 'fitness-watch.json');
+      const wearer = Wearer.load(options.wearer || 'default', new JsonFileStorage(filePath));
+      const time = Cli.parseTime(options.time);
+
+      if (command === 'workout') {
+        this.runWorkoutCommand(wearer, rest, options);
+      } else if (['steps', 'calories', 'hr'].includes(command) && rest[0] === 'add') {
+        const value = Cli.parseNumber(rest[1], command);
+        if (command === 'hr') {
+          wearer.storeHeartRateData({heartRate: value, timeWhenMeasured: time});
+        } else if (!wearer.workoutInstance) {
+          // outside a workout it is all-day data for the 2 minutes up to the time
+          const dataCategory = command === 'steps' ? 'steps' : 'caloriesBurned';
+          wearer.storeBackgroundData({startTime: time - 120, endTime: time, [dataCategory]: value});
+        } else if (command === 'steps') {
+          wearer.addSteps({additionalSteps: value, timeWhenMeasured: time});
+        } else {
+          wearer.addCaloriesBurned({additionalCaloriesBurned: value, timeWhenMeasured: time});
+        }
+        this.printObject(options, {[command]: value, timeWhenMeasured: time});
+      } else if (command === 'summary') {
+        const category = rest[0];
+        if (category === 'steps' || category === 'caloriesBurned') {
+          const summary = wearer.getDataSummary(category);
+          this.print(options, summary, ['daysSinceUnixEpoch', category], summary);
+        } else if (category === 'heartRate') {
+          const {resting, active} = wearer.getDataSummary('heartRate').rawData;
+          const rows = resting.map(data => Object.assign({state: 'resting'}, data))
+            .concat(active.map(data => Object.assign({state: 'active'}, data)))
+            .sort((a, b) => a.timeWhenMeasured - b.timeWhenMeasured);
+          this.print(options, {resting, active}, ['timeWhenMeasured', 'state', 'heartRate'], rows);
+        } else {
+          throw new ValidationError('summary needs steps, caloriesBurned or heartRate', 'category');
+        }
+      } else if (command === 'stats') {
+        this.runStatsCommand(wearer, rest, options);
+      } else if (command === 'import') {
+        if (!rest[0]) {
+          throw new ValidationError('import needs a file', 'file');
+        }
+        const result = wearer.importFile(rest[0]);
+        this.printObject(options, {imported: result.imported.length, skipped: result.skipped.length});
+      } else if (command === 'export') {
+        this.runExportCommand(wearer, options);
+      } else {
+        throw new ValidationError(`Unknown command: ${command}\n\n${Cli.getUsage()}`, 'command');
+      }
+      if (!['summary', 'stats', 'export'].includes(command)) {
+        wearer.save();
+      }
+      return 0;
+    } catch (e) {
+      this.stderr.write(`fitness-watch: ${e.message}\n`);
+      return 1;
+    }
+  }
+}
+
+module.exports = Cli;
@@ -0,0 +1,9 @@
+const FitnessWatchError = require('./FitnessWatchError');
+
+/**
+ * Class representing a request that clashes with something already stored
+ * (Ex: creating a wearer with an id that is taken).
+ */
+class ConflictError extends FitnessWatchError {}
+
+module.exports = ConflictError;
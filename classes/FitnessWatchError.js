@@ -0,0 +1,19 @@
+/**
+ * Class representing an error raised by the fitness watch classes.
+ * Subclasses say what went wrong, so callers such as the HTTP API can tell
+ * bad input apart from a request made at the wrong time.
+ */
+class FitnessWatchError extends Error {
+  /**
+   * Create an error.
+   * @param {string} message - Human readable message.
+   * @param {string} code - Machine readable error code (Ex: "invalid_input").
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+module.exports = FitnessWatchError;
@@ -0,0 +1,143 @@
+const TimeZone = require('./TimeZone');
+
+/**
+ * Class with helpers for evaluating daily and weekly goals and their streaks.
+ * Goal history is a list of target changes ({metric, period, target, effectiveDay})
+ * in chronological order, so past days keep the target they had at the time.
+ */
+class Goals {
+  /**
+   * Get the metrics a goal can be set for.
+   * @return {array} Metric names.
+   */
+  static getMetrics() {
+    return ['steps', 'caloriesBurned', 'activeMinutes', 'workouts'];
+  }
+
+  /**
+   * Get the first day of the week a day is in. Weeks start on Monday.
+   * @param {number} dayNumber - Days since the UNIX epoch in the local calendar.
+   * @return {number} Day number of the Monday.
+   */
+  static getWeekStart(dayNumber) {
+    // day 0 (1970-01-01) was a Thursday
+    return dayNumber - (dayNumber + 3) % 7;
+  }
+
+  /**
+   * Get the target in effect on a day.
+   * @param {array} goalHistory - Target changes in chronological order.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {number} dayNumber - Day to get the target for.
+   * @return {number} Target, or null if there was no goal.
+   */
+  static getTarget(goalHistory, metric, period, dayNumber) {
+    let target = null;
+    goalHistory.forEach(goal => {
+      if (goal.metric === metric && goal.period === period && goal.effectiveDay <= dayNumber) {
+        target = goal.target;
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Get a wearer's daily totals for a metric.
+   * Active minutes are the moving time of workouts, which excludes pauses.
+   * @param {Wearer} wearer - The wearer.
+   * @param {string} metric - Goal metric.
+   * @return {object} Totals keyed by local day number.
+   */
+  static getDailyTotals(wearer, metric) {
+    const totals = {};
+    if (metric === 'steps' || metric === 'caloriesBurned') {
+      wearer.getDataSummary(metric).forEach(data => {
+        totals[data.daysSinceUnixEpoch] = (totals[data.daysSinceUnixEpoch] || 0) + data[metric];
+      });
+    } else {
+      wearer.workoutData.rawData.forEach(workout => {
+        const dayNumber = TimeZone.getDayNumber(workout.startTime, wearer.timeZone);
+        const value = metric === 'activeMinutes' ? workout.movingTime / 60 : 1;
+        totals[dayNumber] = (totals[dayNumber] || 0) + value;
+      });
+    }
+    return totals;
+  }
+
+  /**
+   * Evaluate a goal for every day or week in a range that had a target.
+   * A week is evaluated against the target in effect on its last day, or on
+   * the last day of the range for the week in progress.
+   * @param {Wearer} wearer - The wearer.
+   * @param {array} goalHistory - Target changes in chronological order.
+   * @param {string} metric - Goal metric.
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {number} firstDay - First day of the range.
+   * @param {number} lastDay - Last day of the range.
+   * @return {array} Evaluations ({date, target, value, progress, completed}); progress is a percentage.
+   */
+  static evaluate(wearer, goalHistory, metric, period, firstDay, lastDay) {
+    const totals = Goals.getDailyTotals(wearer, metric);
+    const periodLength = period === 'weekly' ? 7 : 1;
+    const evaluations = [];
+    let periodStart = period === 'weekly' ? Goals.getWeekStart(firstDay) : firstDay;
+    for (; periodStart <= lastDay; periodStart += periodLength) {
+      const periodEnd = Math.min(periodStart + periodLength - 1, lastDay);
+      const target = Goals.getTarget(goalHistory, metric, period, periodEnd);
+      if (target === null) {
+        continue;
+      }
+      let value = 0;
+      for (let dayNumber = periodStart; dayNumber <= periodEnd; dayNumber++) {
+        value += totals[dayNumber] || 0;
+      }
+      evaluations.push({
+        date: TimeZone.formatDate(periodStart),
+        target: target,
+        value: value,
+        progress: Math.round(value / target * 100),
+        completed: value >= target
+      });
+    }
+    return evaluations;
+  }
+
+  /**
+   * Get the current and longest streaks of completed days or weeks.
+   * The day or week in progress doesn't break the current streak until it's over.
+   * @param {array} evaluations - Evaluations from evaluate.
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {number} lastDay - Last day that was evaluated (Ex: today).
+   * @return {object} Streak lengths in days or weeks ({current, longest}).
+   */
+  static getStreaks(evaluations, period, lastDay) {
+    const periodLength = period === 'weekly' ? 7 : 1;
+    const dayNumbers = evaluations.map(evaluation => TimeZone.parseDate(evaluation.date));
+
+    let longest = 0;
+    let length = 0;
+    evaluations.forEach((evaluation, index) => {
+      const followsPrevious = index > 0 && dayNumbers[index] - dayNumbers[index - 1] === periodLength;
+      length = evaluation.completed ? (followsPrevious ? length : 0) + 1 : 0;
+      longest = Math.max(longest, length);
+    });
+
+    let expectedDay = period === 'weekly' ? Goals.getWeekStart(lastDay) : lastDay;
+    let index = evaluations.length - 1;
+    if (index >= 0 && dayNumbers[index] === expectedDay && !evaluations[index].completed) {
+      // still in progress
+      index--;
+      expectedDay -= periodLength;
+    }
+    let current = 0;
+    while (index >= 0 && dayNumbers[index] === expectedDay && evaluations[index].completed) {
+      current++;
+      index--;
+      expectedDay -= periodLength;
+    }
+    return {current, longest};
+  }
+}
+
+module.exports = Goals;
@@ -0,0 +1,144 @@
+const ValidationError = require('./ValidationError');
+
+/**
+ * Class representing abnormal heart rate detection over a stream of heart
+ * rate samples. Each rule is configurable:
+ * - highResting: resting heart rate above threshold for durationSeconds.
+ * - low: heart rate below threshold for durationSeconds.
+ * - spike: resting heart rate rising by at least rise bpm within withinSeconds.
+ * - implausible: readings below min or above max, usually sensor dropouts.
+ */
+class HeartRateAlerts {
+  /**
+   * Get the default alert settings.
+   * @return {object} Settings for each rule, and maxGapSeconds.
+   */
+  static getDefaultSettings() {
+    return {
+      highResting: {threshold: 100, durationSeconds: 600},
+      low: {threshold: 40, durationSeconds: 600},
+      spike: {rise: 40, withinSeconds: 120},
+      implausible: {min: 25, max: 250},
+      // samples further apart than this don't count as one sustained period
+      maxGapSeconds: 300
+    };
+  }
+
+  /**
+   * Create a detector.
+   * @param {object} settings - Settings to change from the defaults (Ex: {low: {threshold: 35}}).
+   */
+  constructor(settings = {}) {
+    const defaults = HeartRateAlerts.getDefaultSettings();
+    this.settings = {};
+    Object.keys(defaults).forEach(rule => {
+      this.settings[rule] = typeof defaults[rule] === 'object'
+        ? Object.assign({}, defaults[rule], settings[rule])
+        : (settings[rule] !== undefined ? settings[rule] : defaults[rule]);
+    });
+    Object.keys(this.settings).forEach(rule => {
+      const values = typeof this.settings[rule] === 'object' ? Object.values(this.settings[rule]) : [this.settings[rule]];
+      if (values.some(value => typeof value !== 'number' || value < 0)) {
+        throw new ValidationError(`Heart rate alert settings for ${rule} must be non-negative numbers`, rule);
+      }
+    });
+    this.reset();
+  }
+
+  /**
+   * Forget the samples seen so far, so nothing sustained carries over.
+   */
+  reset() {
+    this.lastTime = null;
+    this.runs = {highResting: null, low: null};
+    this.recentRestingSamples = [];
+    this.lastSpikeTime = null;
+  }
+
+  /**
+   * Track a run of samples matching a sustained rule, and raise an alert once
+   * the run lasts long enough. The alert's end time and heart rate follow the
+   * run until it ends.
+   * @param {string} type - The string "highResting" or "low".
+   * @param {boolean} matches - Whether the sample matches the rule.
+   * @param {object} sample - Heart rate sample.
+   * @param {function} pick - Math.max or Math.min, to keep the most extreme heart rate.
+   * @return {object} New alert, or null.
+   */
+  updateRun(type, matches, sample, pick) {
+    if (!matches) {
+      this.runs[type] = null;
+      return null;
+    }
+    const {heartRate, timeWhenMeasured} = sample;
+    if (!this.runs[type]) {
+      this.runs[type] = {startTime: timeWhenMeasured, heartRate: heartRate, alert: null};
+    }
+    const run = this.runs[type];
+    run.heartRate = pick(run.heartRate, heartRate);
+    if (run.alert) {
+      run.alert.endTime = timeWhenMeasured;
+      run.alert.heartRate = run.heartRate;
+      return null;
+    }
+    if (timeWhenMeasured - run.startTime >= this.settings[type].durationSeconds) {
+      run.alert = {type: type, startTime: run.startTime, endTime: timeWhenMeasured, heartRate: run.heartRate};
+      return run.alert;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a heart rate is plausible. Implausible readings are kept
+   * as measured, but left out of anything computed from heart rates.
+   * @param {number} heartRate - Heart rate in bpm.
+   * @return {boolean} Whether the heart rate is within the implausible rule's limits.
+   */
+  isPlausible(heartRate) {
+    return heartRate >= this.settings.implausible.min && heartRate <= this.settings.implausible.max;
+  }
+
+  /**
+   * Check a heart rate sample. Samples are expected in chronological order;
+   * an older sample starts detection over.
+   * @param {object} sample - Heart rate sample ({heartRate, timeWhenMeasured}).
+   * @param {boolean} isResting - Whether the wearer is resting.
+   * @return {array} New alerts ({type, startTime, endTime, heartRate}; spikes also have a baseline).
+   */
+  check(sample, isResting) {
+    const {heartRate, timeWhenMeasured} = sample;
+    const settings = this.settings;
+    if (!this.isPlausible(heartRate)) {
+      // dropouts neither start nor break sustained periods
+      return [{type: 'implausible', startTime: timeWhenMeasured, endTime: timeWhenMeasured, heartRate: heartRate}];
+    }
+    if (this.lastTime !== null && (timeWhenMeasured <= this.lastTime || timeWhenMeasured - this.lastTime > settings.maxGapSeconds)) {
+      this.reset();
+    }
+    this.lastTime = timeWhenMeasured;
+
+    const alerts = [
+      this.updateRun('highResting', isResting && heartRate > settings.highResting.threshold, sample, Math.max),
+      this.updateRun('low', heartRate < settings.low.threshold, sample, Math.min)
+    ];
+
+    if (isResting) {
+      const {rise, withinSeconds} = settings.spike;
+      this.recentRestingSamples = this.recentRestingSamples
+        .filter(recentSample => timeWhenMeasured - recentSample.timeWhenMeasured <= withinSeconds);
+      const baseline = this.recentRestingSamples.reduce((acc, recentSample) => Math.min(acc, recentSample.heartRate), Infinity);
+      const isNewSpike = this.lastSpikeTime === null || timeWhenMeasured - this.lastSpikeTime > withinSeconds;
+      if (heartRate - baseline >= rise && isNewSpike) {
+        alerts.push({type: 'spike', startTime: timeWhenMeasured, endTime: timeWhenMeasured, heartRate: heartRate, baseline: baseline});
+        this.lastSpikeTime = timeWhenMeasured;
+      }
+      this.recentRestingSamples.push(sample);
+    } else {
+      // exercise raises heart rate on purpose
+      this.recentRestingSamples = [];
+    }
+    return alerts.filter(alert => alert);
+  }
+}
+
+module.exports = HeartRateAlerts;
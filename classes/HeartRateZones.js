@@ -0,0 +1,95 @@
+const ValidationError = require('./ValidationError');
+
+/**
+ * Class with helpers for heart rate zone analysis.
+ * Zones 1-5 start at 50%, 60%, 70%, 80% and 90% of either the maximum heart
+ * rate or, with the Karvonen method, the heart rate reserve.
+ */
+class HeartRateZones {
+  /**
+   * Get the maximum heart rate for a profile.
+   * @param {object} profile - Wearer profile ({age, maxHeartRate}).
+   * @return {number} Measured maximum heart rate, or 220 - age if not measured.
+   */
+  static getMaxHeartRate(profile) {
+    if (profile.maxHeartRate) {
+      return profile.maxHeartRate;
+    }
+    return profile.age ? 220 - profile.age : null;
+  }
+
+  /**
+   * Get the heart rate where each zone starts.
+   * @param {object} profile - Wearer profile ({age, maxHeartRate, restingHeartRate, heartRateZoneMethod}).
+   * @return {array} Lower bounds for zones 1-5, or null if the maximum heart rate is unknown.
+   */
+  static getZoneThresholds(profile) {
+    const maxHeartRate = HeartRateZones.getMaxHeartRate(profile);
+    if (!maxHeartRate) {
+      return null;
+    }
+    const percentages = [0.5, 0.6, 0.7, 0.8, 0.9];
+    if (profile.heartRateZoneMethod === 'heartRateReserve') {
+      // Karvonen: resting + percentage of (max - resting)
+      if (!profile.restingHeartRate) {
+        throw new ValidationError('The heart rate reserve method needs a resting heart rate', 'restingHeartRate');
+      }
+      const reserve = maxHeartRate - profile.restingHeartRate;
+      return percentages.map(percentage => profile.restingHeartRate + percentage * reserve);
+    }
+    return percentages.map(percentage => percentage * maxHeartRate);
+  }
+
+  /**
+   * Get the zone a heart rate falls into.
+   * @param {number} heartRate - Heart rate in bpm.
+   * @param {array} thresholds - Lower bounds for zones 1-5.
+   * @return {number} Zone 1-5, or 0 if below zone 1.
+   */
+  static getZone(heartRate, thresholds) {
+    let zone = 0;
+    thresholds.forEach((threshold, index) => {
+      if (heartRate >= threshold) {
+        zone = index + 1;
+      }
+    });
+    return zone;
+  }
+
+  /**
+   * Get how long each heart rate sample counts for.
+   * Each sample counts until the next one, up to the one minute the watch
+   * waits between heart rate recordings, so gaps and pauses are not counted.
+   * @param {array} heartRateSamples - Samples ({heartRate, timeWhenMeasured}) in chronological order.
+   * @param {number} endTime - UNIX timestamp when the last sample ends.
+   * @return {array} Durations in seconds, one per sample.
+   */
+  static getSampleDurations(heartRateSamples, endTime) {
+    const sampleIntervalSeconds = 60;
+    return heartRateSamples.map((sample, index) => {
+      const next = heartRateSamples[index + 1];
+      const nextTime = next ? next.timeWhenMeasured : endTime;
+      return Math.max(0, Math.min(sampleIntervalSeconds, nextTime - sample.timeWhenMeasured));
+    });
+  }
+
+  /**
+   * Get time spent in each zone, counting samples as getSampleDurations does.
+   * @param {array} heartRateSamples - Samples ({heartRate, timeWhenMeasured}) in chronological order.
+   * @param {array} thresholds - Lower bounds for zones 1-5.
+   * @param {number} endTime - UNIX timestamp when the last sample ends.
+   * @return {object} Seconds below zone 1 and in zones 1-5.
+   */
+  static getTimeInZones(heartRateSamples, thresholds, endTime) {
+    const timeInZones = {belowZone1: 0, zone1: 0, zone2: 0, zone3: 0, zone4: 0, zone5: 0};
+    const durations = HeartRateZones.getSampleDurations(heartRateSamples, endTime);
+    heartRateSamples.forEach((sample, index) => {
+      const duration = durations[index];
+      const zone = HeartRateZones.getZone(sample.heartRate, thresholds);
+      timeInZones[zone ? `zone${zone}` : 'belowZone1'] += duration;
+    });
+    return timeInZones;
+  }
+}
+
+module.exports = HeartRateZones;
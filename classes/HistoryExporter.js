@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const Validator = require('./Validator');
+const ValidationError = require('./ValidationError');
+const TimeZone = require('./TimeZone');
+
+/**
+ * Class with helpers for exporting a wearer's history to CSV and JSON.
+ */
+class HistoryExporter {
+  /**
+   * Build CSV text.
+   * @param {array} headers - Column names.
+   * @param {array} rows - List of rows, each a list of values.
+   * @return {string} CSV with a header row.
+   */
+  static toCsvText(headers, rows) {
+    const escapeValue = value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(escapeValue).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Export a wearer's history as CSV, one file per category.
+   * Raw steps and calories burned include all-day background samples, with
+   * only the part outside workouts, so they add up to the summary.
+   * @param {object} wearerData - Wearer data from Wearer.toJSON.
+   * @return {object} CSV text keyed by file name.
+   */
+  static toCsv(wearerData) {
+    const files = {};
+
+    const backgroundData = (wearerData.backgroundData || {rawData: []}).rawData;
+    ['steps', 'caloriesBurned'].forEach(dataCategory => {
+      const source = wearerData[`${dataCategory}Data`];
+      const countedKey = dataCategory === 'steps' ? 'countedSteps' : 'countedCaloriesBurned';
+      const rawData = source.rawData
+        .concat(backgroundData.map(data => ({startTime: data.startTime, endTime: data.endTime, [dataCategory]: data[countedKey]})))
+        .sort((a, b) => a.startTime - b.startTime);
+      files[`${dataCategory}-summary.csv`] = HistoryExporter.toCsvText(
+        ['date', 'daysSinceUnixEpoch', dataCategory],
+        source.summary.map(data => [TimeZone.formatDate(data.daysSinceUnixEpoch), data.daysSinceUnixEpoch, data[dataCategory]])
+      );
+      files[`${dataCategory}-raw.csv`] = HistoryExporter.toCsvText(
+        ['workoutId', 'workoutType', 'startTime', 'endTime', dataCategory],
+        rawData.map(data => [data.workoutId, data.workoutType, TimeZone.formatTime(data.startTime), TimeZone.formatTime(data.endTime), data[dataCategory]])
+      );
+    });
+
+    const heartRateRows = [];
+    ['resting', 'active'].forEach(state => {
+      wearerData.heartRateData.rawData[state].forEach(data => {
+        heartRateRows.push([TimeZone.formatTime(data.timeWhenMeasured), TimeZone.formatDate(data.daysSinceUnixEpoch), state, data.heartRate]);
+      });
+    });
+    heartRateRows.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    files['heartRate-raw.csv'] = HistoryExporter.toCsvText(['timeWhenMeasured', 'date', 'state', 'heartRate'], heartRateRows);
+
+    return files;
+  }
+
+  /**
+   * Write a wearer's history as CSV files.
+   * @param {object} wearerData - Wearer data from Wearer.toJSON.
+   * @param {string} directory - Directory to write the files to. It must exist.
+   * @return {array} Paths of the written files.
+   */
+  static writeCsvFiles(wearerData, directory) {
+    const files = HistoryExporter.toCsv(wearerData);
+    return Object.keys(files).map(fileName => {
+      const filePath = path.join(directory, fileName);
+      fs.writeFileSync(filePath, files[fileName]);
+      return filePath;
+    });
+  }
+
+  /**
+   * Export a wearer's history as a versioned JSON document.
+   * @param {object} wearerData - Wearer data from Wearer.toJSON.
+   * @return {string} JSON document.
+   */
+  static toJson(wearerData) {
+    return JSON.stringify({
+      format: 'fitness-watch-history',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      wearer: wearerData
+    }, null, 2);
+  }
+
+  /**
+   * Read wearer data back from a JSON document produced by toJson.
+   * @param {string|object} document - JSON document, as text or parsed.
+   * @return {object} Wearer data for Wearer.restore.
+   */
+  static fromJson(document) {
+    let parsed = document;
+    if (typeof document === 'string') {
+      try {
+        parsed = JSON.parse(document);
+      } catch (e) {
+        throw new ValidationError('The history document is not valid JSON', 'document');
+      }
+    }
+    if (!parsed || parsed.format !== 'fitness-watch-history') {
+      throw new ValidationError('Not a fitness watch history document', 'document');
+    }
+    if (parsed.version !== 1) {
+      throw new ValidationError(`Unsupported history version: ${parsed.version}`, 'version');
+    }
+    // the data Wearer.restore can't do without
+    const wearerData = Validator.validate(parsed.wearer, {
+      id: {type: 'id', required: true},
+      stepsData: {type: 'object', required: true},
+      caloriesBurnedData: {type: 'object', required: true},
+      heartRateData: {type: 'object', required: true},
+      workoutData: {type: 'object', required: true}
+    }, 'wearer');
+    ['stepsData', 'caloriesBurnedData'].forEach(dataCategory => {
+      Validator.validate(wearerData[dataCategory], {summary: {type: 'array', required: true}, rawData: {type: 'array', required: true}}, dataCategory);
+    });
+    Validator.validate(wearerData.heartRateData, {rawData: {type: 'object', required: true}}, 'heartRateData');
+    Validator.validate(wearerData.heartRateData.rawData, {resting: {type: 'array', required: true}, active: {type: 'array', required: true}}, 'rawData');
+    Validator.validate(wearerData.workoutData, {rawData: {type: 'array', required: true}}, 'workoutData');
+    return wearerData;
+  }
+}
+
+module.exports = HistoryExporter;
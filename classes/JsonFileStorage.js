@@ -0,0 +1,80 @@
+const fs = require('fs');
+const Storage = require('./Storage');
+
+/**
+ * Class representing storage in a single JSON file, keyed by wearer id.
+ */
+class JsonFileStorage extends Storage {
+  /**
+   * Create JSON file storage.
+   * @param {string} filePath - Path of the JSON file. It is created on first save.
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read every wearer from the file.
+   * @return {object} Wearer data keyed by wearer id.
+   */
+  readFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).wearers;
+  }
+
+  /**
+   * Write every wearer to the file.
+   * @param {object} wearers - Wearer data keyed by wearer id.
+   */
+  writeFile(wearers) {
+    // write to a temporary file first so a crash can't leave half a file behind
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({wearers: wearers}, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Load the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {object} Saved wearer data, or null if nothing was saved.
+   */
+  load(wearerId) {
+    const wearers = this.readFile();
+    // own properties only, so ids like "constructor" aren't found on Object.prototype
+    return Object.prototype.hasOwnProperty.call(wearers, wearerId) ? wearers[wearerId] : null;
+  }
+
+  /**
+   * Save data for a wearer, replacing anything saved before.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} wearerData - Serializable wearer data.
+   */
+  save(wearerId, wearerData) {
+    const wearers = this.readFile();
+    wearers[wearerId] = wearerData;
+    this.writeFile(wearers);
+  }
+
+  /**
+   * Remove the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  remove(wearerId) {
+    const wearers = this.readFile();
+    delete wearers[wearerId];
+    this.writeFile(wearers);
+  }
+
+  /**
+   * List the ids of all saved wearers.
+   * @return {array} Wearer ids.
+   */
+  list() {
+    return Object.keys(this.readFile());
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,50 @@
+const Storage = require('./Storage');
+
+/**
+ * Class representing in-memory storage. Data is lost when the process exits.
+ */
+class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    // a Map, so ids such as "constructor" never match Object.prototype
+    this.wearers = new Map();
+  }
+
+  /**
+   * Load the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {object} Saved wearer data, or null if nothing was saved.
+   */
+  load(wearerId) {
+    const saved = this.wearers.get(wearerId);
+    // hand out copies so callers can't change what is stored
+    return saved ? JSON.parse(saved) : null;
+  }
+
+  /**
+   * Save data for a wearer, replacing anything saved before.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} wearerData - Serializable wearer data.
+   */
+  save(wearerId, wearerData) {
+    this.wearers.set(wearerId, JSON.stringify(wearerData));
+  }
+
+  /**
+   * Remove the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  remove(wearerId) {
+    this.wearers.delete(wearerId);
+  }
+
+  /**
+   * List the ids of all saved wearers.
+   * @return {array} Wearer ids.
+   */
+  list() {
+    return Array.from(this.wearers.keys());
+  }
+}
+
+module.exports = MemoryStorage;
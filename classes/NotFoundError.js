@@ -0,0 +1,8 @@
+const FitnessWatchError = require('./FitnessWatchError');
+
+/**
+ * Class representing a request for something that doesn't exist (Ex: a workout id).
+ */
+class NotFoundError extends FitnessWatchError {}
+
+module.exports = NotFoundError;
@@ -0,0 +1,76 @@
+const TimeZone = require('./TimeZone');
+
+/**
+ * Class with helpers for personal records. Records are found from stored
+ * workouts and daily totals each time, so they always agree with the data.
+ * A record is only beaten by a strictly better value, so the earliest of
+ * equal values holds it.
+ */
+class PersonalRecords {
+  /**
+   * Get the personal record names.
+   * @return {array} Record names.
+   */
+  static getRecordNames() {
+    return ['mostStepsInADay', 'longestWorkout', 'mostCaloriesInAWorkout', 'fastestLap'];
+  }
+
+  /**
+   * Get personal records.
+   * @param {array} workouts - Completed workouts in chronological order.
+   * @param {object} dailySteps - Step totals keyed by day number.
+   * @param {string} timeZone - IANA time zone.
+   * @return {object} Records ({mostStepsInADay, longestWorkout, mostCaloriesInAWorkout, fastestLap}); mostCaloriesInAWorkout is keyed by workout type, and the others are null without data.
+   */
+  static getRecords(workouts, dailySteps, timeZone) {
+    const records = {mostStepsInADay: null, longestWorkout: null, mostCaloriesInAWorkout: {}, fastestLap: null};
+    const isBetter = (record, value) => !record || value > record.value;
+
+    Object.keys(dailySteps).map(Number).sort((a, b) => a - b).forEach(day => {
+      if (isBetter(records.mostStepsInADay, dailySteps[day])) {
+        records.mostStepsInADay = {date: TimeZone.formatDate(day), value: dailySteps[day]};
+      }
+    });
+
+    workouts.forEach(workout => {
+      const workoutRecord = {
+        workoutId: workout.workoutId,
+        workoutType: workout.workoutType,
+        date: TimeZone.formatDate(TimeZone.getDayNumber(workout.startTime, timeZone))
+      };
+      if (isBetter(records.longestWorkout, workout.movingTime)) {
+        records.longestWorkout = Object.assign({value: workout.movingTime}, workoutRecord);
+      }
+      if (isBetter(records.mostCaloriesInAWorkout[workout.workoutType], workout.caloriesBurned)) {
+        records.mostCaloriesInAWorkout[workout.workoutType] = Object.assign({value: workout.caloriesBurned}, workoutRecord);
+      }
+      (workout.laps || []).forEach(lap => {
+        const lapSeconds = lap.endTime - lap.startTime;
+        // laps have no distance, so speed is the step rate
+        const stepsPerMinute = lapSeconds > 0 ? lap.steps / (lapSeconds / 60) : 0;
+        if (stepsPerMinute > 0 && isBetter(records.fastestLap, stepsPerMinute)) {
+          records.fastestLap = Object.assign({value: stepsPerMinute, lapNumber: lap.lapNumber}, workoutRecord);
+        }
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Get the records a new workout set.
+   * Records set where there was none before don't count.
+   * @param {object} recordsBefore - Records before the workout was stored.
+   * @param {object} recordsAfter - Records after the workout was stored.
+   * @param {string} workoutType - The workout's type.
+   * @return {array} Names of the records that were beaten.
+   */
+  static getNewRecords(recordsBefore, recordsAfter, workoutType) {
+    return PersonalRecords.getRecordNames().filter(name => {
+      const before = name === 'mostCaloriesInAWorkout' ? recordsBefore[name][workoutType] : recordsBefore[name];
+      const after = name === 'mostCaloriesInAWorkout' ? recordsAfter[name][workoutType] : recordsAfter[name];
+      return Boolean(before && after && after.value > before.value);
+    });
+  }
+}
+
+module.exports = PersonalRecords;
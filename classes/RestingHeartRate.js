@@ -0,0 +1,76 @@
+/**
+ * Class with helpers for computing a daily resting heart rate.
+ * A day's resting heart rate is the lowest average heart rate over any 30
+ * minutes of continuous resting data that day. Days without 30 minutes of
+ * continuous data fall back to the average of their resting samples.
+ */
+class RestingHeartRate {
+  /**
+   * Get the lowest average heart rate over a window of continuous samples.
+   * @param {array} samples - Resting heart rate samples for one day, in chronological order.
+   * @param {number} windowSeconds - Window length.
+   * @param {number} maxGapSeconds - Longest gap between samples that still counts as continuous.
+   * @return {number} Lowest window average, or null if no window is fully covered by data.
+   */
+  static getLowestWindowAverage(samples, windowSeconds, maxGapSeconds) {
+    let lowestAverage = null;
+    let total = 0;
+    let gaps = 0;
+    let end = 0;
+    for (let start = 0; start < samples.length; start++) {
+      const windowEnd = samples[start].timeWhenMeasured + windowSeconds;
+      // grow the window to every sample measured before it ends
+      while (end < samples.length && samples[end].timeWhenMeasured < windowEnd) {
+        total += samples[end].heartRate;
+        if (end > start && samples[end].timeWhenMeasured - samples[end - 1].timeWhenMeasured > maxGapSeconds) {
+          gaps++;
+        }
+        end++;
+      }
+      // a window is covered if data continues past its end without gaps
+      const isCovered = end < samples.length && gaps === 0
+        && samples[end].timeWhenMeasured - samples[end - 1].timeWhenMeasured <= maxGapSeconds;
+      if (isCovered) {
+        const average = total / (end - start);
+        lowestAverage = lowestAverage === null ? average : Math.min(lowestAverage, average);
+      }
+      total -= samples[start].heartRate;
+      if (start + 1 < end && samples[start + 1].timeWhenMeasured - samples[start].timeWhenMeasured > maxGapSeconds) {
+        gaps--;
+      }
+    }
+    return lowestAverage;
+  }
+
+  /**
+   * Get the resting heart rate of each day.
+   * @param {array} samples - Resting heart rate samples ({heartRate, timeWhenMeasured, daysSinceUnixEpoch}) in chronological order.
+   * @param {object} options - Options ({windowSeconds, maxGapSeconds, min, max}); readings outside min and max are sensor dropouts and are ignored.
+   * @return {array} Days ({daysSinceUnixEpoch, restingHeartRate, method, samples}); method is "lowestWindowAverage" or "mean".
+   */
+  static getDailyValues(samples, options) {
+    const {windowSeconds, maxGapSeconds, min, max} = options;
+    const samplesByDay = {};
+    samples
+      .filter(sample => sample.heartRate >= min && sample.heartRate <= max)
+      .forEach(sample => {
+        samplesByDay[sample.daysSinceUnixEpoch] = samplesByDay[sample.daysSinceUnixEpoch] || [];
+        samplesByDay[sample.daysSinceUnixEpoch].push(sample);
+      });
+
+    return Object.keys(samplesByDay).map(Number).sort((a, b) => a - b).map(daysSinceUnixEpoch => {
+      const daySamples = samplesByDay[daysSinceUnixEpoch];
+      const lowestAverage = RestingHeartRate.getLowestWindowAverage(daySamples, windowSeconds, maxGapSeconds);
+      return {
+        daysSinceUnixEpoch: daysSinceUnixEpoch,
+        restingHeartRate: lowestAverage !== null
+          ? lowestAverage
+          : daySamples.reduce((acc, sample) => acc + sample.heartRate, 0) / daySamples.length,
+        method: lowestAverage !== null ? 'lowestWindowAverage' : 'mean',
+        samples: daySamples.length
+      };
+    });
+  }
+}
+
+module.exports = RestingHeartRate;
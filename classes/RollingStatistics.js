@@ -0,0 +1,106 @@
+const Validator = require('./Validator');
+const ValidationError = require('./ValidationError');
+
+/**
+ * Class with helpers for statistics over rolling N day windows.
+ * A window is N consecutive calendar days, and its value is the total of
+ * those days. Windows slide one day at a time over every day from the first
+ * to the last day with data, so the totals take O(n) time.
+ */
+class RollingStatistics {
+  /**
+   * Get the statistics that can be computed over window totals.
+   * @return {array} Statistic names.
+   */
+  static getStatistics() {
+    return ['min', 'max', 'mean', 'sum', 'median', 'stddev'];
+  }
+
+  /**
+   * Get the totals of every N day window.
+   * @param {object} dailyTotals - Totals keyed by day number.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {object} options - Window options ({skipMissingDays}); by default days without data count as zero, with skipMissingDays windows containing them are left out.
+   * @return {array} Window totals ({firstDay, lastDay, total}) in chronological order.
+   */
+  static getWindowTotals(dailyTotals, nDayPeriod, options = {}) {
+    if (!Number.isInteger(nDayPeriod) || nDayPeriod < 1) {
+      throw new ValidationError('nDayPeriod must be a positive integer', 'nDayPeriod');
+    }
+    Validator.validate(options, {}, 'options');
+    const days = Object.keys(dailyTotals).map(Number);
+    if (!days.length) {
+      return [];
+    }
+    const firstDay = days.reduce((acc, day) => Math.min(acc, day));
+    const lastDay = days.reduce((acc, day) => Math.max(acc, day));
+
+    const windows = [];
+    let total = 0;
+    let missingDays = 0;
+    for (let day = firstDay; day <= lastDay; day++) {
+      // add the day entering the window and drop the one leaving it
+      total += dailyTotals[day] || 0;
+      missingDays += dailyTotals[day] === undefined ? 1 : 0;
+      const leavingDay = day - nDayPeriod;
+      if (leavingDay >= firstDay) {
+        total -= dailyTotals[leavingDay] || 0;
+        missingDays -= dailyTotals[leavingDay] === undefined ? 1 : 0;
+      }
+      if (day - firstDay + 1 >= nDayPeriod && !(options.skipMissingDays && missingDays)) {
+        windows.push({firstDay: day - nDayPeriod + 1, lastDay: day, total: total});
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * Compute a statistic over values.
+   * @param {array} values - Numbers.
+   * @param {string} statistic - The string "min", "max", "mean", "sum", "median" or "stddev" (population standard deviation).
+   * @return {number} Statistic, or 0 if there are no values.
+   */
+  static summarize(values, statistic) {
+    if (!RollingStatistics.getStatistics().includes(statistic)) {
+      throw new ValidationError(`Statistic must be one of ${RollingStatistics.getStatistics().join(', ')}`, 'statistic');
+    }
+    if (!values.length) {
+      return 0;
+    }
+    const sum = values.reduce((acc, value) => acc + value, 0);
+    const mean = sum / values.length;
+    if (statistic === 'min') {
+      return values.reduce((acc, value) => Math.min(acc, value));
+    } else if (statistic === 'max') {
+      return values.reduce((acc, value) => Math.max(acc, value));
+    } else if (statistic === 'mean') {
+      return mean;
+    } else if (statistic === 'sum') {
+      return sum;
+    } else if (statistic === 'median') {
+      const sortedValues = values.slice().sort((a, b) => a - b);
+      const middle = Math.floor(sortedValues.length / 2);
+      return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+    }
+    return Math.sqrt(values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length);
+  }
+
+  /**
+   * Get the slope of the least squares line through points.
+   * @param {array} points - Points ({x, y}).
+   * @return {number} Change in y per unit of x, or 0 with fewer than 2 distinct x values.
+   */
+  static getSlope(points) {
+    const meanX = points.reduce((acc, point) => acc + point.x, 0) / points.length;
+    const meanY = points.reduce((acc, point) => acc + point.y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(point => {
+      covariance += (point.x - meanX) * (point.y - meanY);
+      variance += (point.x - meanX) ** 2;
+    });
+    return variance ? covariance / variance : 0;
+  }
+}
+
+module.exports = RollingStatistics;
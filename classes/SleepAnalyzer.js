@@ -0,0 +1,181 @@
+const TimeZone = require('./TimeZone');
+
+/**
+ * Class with helpers for sleep sessions.
+ * A session is {startTime, endTime, stages, source}, where stages is a list of
+ * {stage, startTime, endTime} with stage "light", "deep", "rem" or "awake",
+ * and source is "recorded" or "inferred".
+ */
+class SleepAnalyzer {
+  /**
+   * Get the sleep stage names.
+   * @return {array} Stage names.
+   */
+  static getStages() {
+    return ['light', 'deep', 'rem', 'awake'];
+  }
+
+  /**
+   * Get the time spent in each stage of a session.
+   * Time not covered by a stage counts as light sleep.
+   * @param {object} session - Sleep session.
+   * @return {object} Seconds in each stage ({light, deep, rem, awake}).
+   */
+  static getStageDurations(session) {
+    const durations = {light: 0, deep: 0, rem: 0, awake: 0};
+    let stagedTime = 0;
+    session.stages.forEach(stage => {
+      durations[stage.stage] += stage.endTime - stage.startTime;
+      stagedTime += stage.endTime - stage.startTime;
+    });
+    durations.light += session.endTime - session.startTime - stagedTime;
+    return durations;
+  }
+
+  /**
+   * Infer sleep sessions from resting heart rate and movement.
+   * A session is a long stretch of low heart rate without movement. Short
+   * stretches of higher heart rate inside it are awake time, and the rest is
+   * split into deep, light and REM sleep by where the heart rate falls
+   * between the session's lowest and highest sleeping heart rate.
+   * @param {array} samples - Resting heart rate samples in chronological order.
+   * @param {array} movementPeriods - Periods with steps ({startTime, endTime}).
+   * @param {object} options - Inference options ({maxHeartRate, minDurationSeconds, maxGapSeconds}).
+   * @return {array} Inferred sessions in chronological order.
+   */
+  static inferSessions(samples, movementPeriods, options) {
+    const {maxHeartRate, minDurationSeconds, maxGapSeconds} = options;
+    // samples are checked in chronological order, so one pointer sweeps the periods
+    const periods = SleepAnalyzer.mergePeriods(movementPeriods);
+    let periodIndex = 0;
+    const hasMovement = (startTime, endTime) => {
+      while (periodIndex < periods.length && periods[periodIndex].endTime < startTime) {
+        periodIndex++;
+      }
+      return periodIndex < periods.length && periods[periodIndex].startTime <= endTime;
+    };
+
+    const sessions = [];
+    let run = null;
+    const closeRun = () => {
+      // a session ends with its last low heart rate sample
+      const runSamples = run.samples.filter(sample => sample.timeWhenMeasured <= run.lastLowTime);
+      if (run.lastLowTime - runSamples[0].timeWhenMeasured >= minDurationSeconds) {
+        sessions.push(SleepAnalyzer.createInferredSession(runSamples, maxHeartRate));
+      }
+      run = null;
+    };
+    samples.forEach((sample, index) => {
+      const previousSample = samples[index - 1];
+      const isLow = sample.heartRate <= maxHeartRate;
+      if (run) {
+        const isInterrupted = sample.timeWhenMeasured - previousSample.timeWhenMeasured > maxGapSeconds
+          || hasMovement(previousSample.timeWhenMeasured, sample.timeWhenMeasured)
+          || (!isLow && sample.timeWhenMeasured - run.lastLowTime > maxGapSeconds);
+        if (isInterrupted) {
+          closeRun();
+        } else {
+          run.samples.push(sample);
+          if (isLow) {
+            run.lastLowTime = sample.timeWhenMeasured;
+          }
+        }
+      }
+      if (!run && isLow && !hasMovement(sample.timeWhenMeasured, sample.timeWhenMeasured)) {
+        run = {samples: [sample], lastLowTime: sample.timeWhenMeasured};
+      }
+    });
+    if (run) {
+      closeRun();
+    }
+    return sessions;
+  }
+
+  /**
+   * Merge overlapping and touching periods.
+   * @param {array} periods - Periods ({startTime, endTime}) in any order.
+   * @return {array} Periods that don't overlap, in chronological order.
+   */
+  static mergePeriods(periods) {
+    const merged = [];
+    periods.slice().sort((a, b) => a.startTime - b.startTime).forEach(period => {
+      const previous = merged[merged.length - 1];
+      if (previous && period.startTime <= previous.endTime) {
+        previous.endTime = Math.max(previous.endTime, period.endTime);
+      } else {
+        merged.push({startTime: period.startTime, endTime: period.endTime});
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Create an inferred session from the heart rate samples of a sleep period.
+   * Each sample decides the stage until the next sample.
+   * @param {array} samples - Heart rate samples, starting and ending with a sleeping heart rate.
+   * @param {number} maxHeartRate - Highest sleeping heart rate; higher is awake.
+   * @return {object} Sleep session.
+   */
+  static createInferredSession(samples, maxHeartRate) {
+    const sleepingHeartRates = samples.map(sample => sample.heartRate).filter(heartRate => heartRate <= maxHeartRate);
+    const lowest = sleepingHeartRates.reduce((acc, heartRate) => Math.min(acc, heartRate));
+    const range = sleepingHeartRates.reduce((acc, heartRate) => Math.max(acc, heartRate)) - lowest;
+    const getStage = heartRate => {
+      if (heartRate > maxHeartRate) {
+        return 'awake';
+      } else if (heartRate <= lowest + range / 4) {
+        return 'deep';
+      } else if (heartRate >= lowest + range * 3 / 4) {
+        return 'rem';
+      }
+      return 'light';
+    };
+
+    const stages = [];
+    samples.slice(0, -1).forEach((sample, index) => {
+      const stage = getStage(sample.heartRate);
+      const endTime = samples[index + 1].timeWhenMeasured;
+      const previousStage = stages[stages.length - 1];
+      if (previousStage && previousStage.stage === stage) {
+        previousStage.endTime = endTime;
+      } else {
+        stages.push({stage: stage, startTime: sample.timeWhenMeasured, endTime: endTime});
+      }
+    });
+    return {
+      startTime: samples[0].timeWhenMeasured,
+      endTime: samples[samples.length - 1].timeWhenMeasured,
+      stages: stages,
+      source: 'inferred'
+    };
+  }
+
+  /**
+   * Get nightly summaries. A night belongs to the local day its sleep ends on,
+   * so naps count towards the day they're taken.
+   * @param {array} sessions - Sleep sessions in chronological order.
+   * @param {string} timeZone - IANA time zone.
+   * @return {array} Summaries ({daysSinceUnixEpoch, sessions, timeInBed, timeAsleep, light, deep, rem, awake}) in seconds.
+   */
+  static getNightlySummaries(sessions, timeZone) {
+    const summaries = [];
+    sessions.forEach(session => {
+      const daysSinceUnixEpoch = TimeZone.getDayNumber(session.endTime, timeZone);
+      let summary = summaries[summaries.length - 1];
+      if (!summary || summary.daysSinceUnixEpoch !== daysSinceUnixEpoch) {
+        summary = {daysSinceUnixEpoch: daysSinceUnixEpoch, sessions: 0, timeInBed: 0, timeAsleep: 0, light: 0, deep: 0, rem: 0, awake: 0};
+        summaries.push(summary);
+      }
+      const durations = SleepAnalyzer.getStageDurations(session);
+      summary.sessions++;
+      summary.timeInBed += session.endTime - session.startTime;
+      summary.timeAsleep += session.endTime - session.startTime - durations.awake;
+      SleepAnalyzer.getStages().forEach(stage => {
+        summary[stage] += durations[stage];
+      });
+    });
+    return summaries;
+  }
+}
+
+module.exports = SleepAnalyzer;
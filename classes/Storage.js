@@ -0,0 +1,41 @@
+/**
+ * Class representing a storage backend for wearer data.
+ * Backends extend this class and implement every method.
+ */
+class Storage {
+  /**
+   * Load the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {object} Saved wearer data, or null if nothing was saved.
+   */
+  load(wearerId) {
+    throw new Error(`${this.constructor.name} does not implement load`);
+  }
+
+  /**
+   * Save data for a wearer, replacing anything saved before.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} wearerData - Serializable wearer data.
+   */
+  save(wearerId, wearerData) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Remove the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  remove(wearerId) {
+    throw new Error(`${this.constructor.name} does not implement remove`);
+  }
+
+  /**
+   * List the ids of all saved wearers.
+   * @return {array} Wearer ids.
+   */
+  list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+}
+
+module.exports = Storage;
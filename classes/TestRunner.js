@@ -1,5 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const Workout = require('./Workout');
 const Wearer = require('./Wearer');
+const MemoryStorage = require('./MemoryStorage');
+const JsonFileStorage = require('./JsonFileStorage');
+const TimeZone = require('./TimeZone');
+const TimeSeries = require('./TimeSeries');
+const WorkoutTypeRegistry = require('./WorkoutTypeRegistry');
+const WorkoutImporter = require('./WorkoutImporter');
+const SleepAnalyzer = require('./SleepAnalyzer');
+const TrainingLoad = require('./TrainingLoad');
+const HeartRateZones = require('./HeartRateZones');
+const ApiServer = require('./ApiServer');
+const Cli = require('./Cli');
+const WearerRegistry = require('./WearerRegistry');
+const FitnessWatchError = require('./FitnessWatchError');
+const ValidationError = require('./ValidationError');
+const WorkoutStateError = require('./WorkoutStateError');
+const NotFoundError = require('./NotFoundError');
 
 /**
  * Class to simulate watch data and run tests.
@@ -160,9 +179,9 @@ class TestRunner {
 
     tests = [
       {
-        title: 'Minimum steps over 2 day period',
+        title: 'Minimum steps over 2 day period, counting days without data as zero',
         actual: wearer.getMinMaxSteps(2, 'min'),
-        expected: 1600
+        expected: 800
       },
       {
         title: 'Maximum steps over 2 day period',
@@ -180,14 +199,44 @@ class TestRunner {
         expected: 7408
       },
       {
-        title: 'Average number of steps over 2 day period',
+        title: 'Average number of steps over 2 day period, counting days without data as zero',
         actual: wearer.getAverageNumberOfSteps(2),
-        expected: 3704
+        expected: 2633
       },
       {
         title: 'Average number of steps over 5 day period',
         actual: wearer.getAverageNumberOfSteps(5),
         expected: 7408
+      },
+      {
+        title: 'Minimum steps over 2 day period, skipping periods with days without data',
+        actual: wearer.getMinMaxSteps(2, 'min', {skipMissingDays: true}),
+        expected: 1600
+      },
+      {
+        title: 'Average number of steps over 2 day period, skipping periods with days without data',
+        actual: wearer.getAverageNumberOfSteps(2, {skipMissingDays: true}),
+        expected: 3704
+      },
+      {
+        title: 'Median, sum and standard deviation of steps over 2 day period',
+        actual: ['median', 'sum', 'stddev'].map(statistic => Math.round(wearer.getRollingStatistic('steps', 2, statistic))).join(','),
+        expected: '1962,10532,1911'
+      },
+      {
+        title: 'Periods longer than the data have no stats',
+        actual: wearer.getMinMaxSteps(6, 'max'),
+        expected: null
+      },
+      {
+        title: 'Periods without a complete period of workouts have no calories per workout',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(6, 'walk'),
+        expected: null
+      },
+      {
+        title: 'A wearer without steps has no stats',
+        actual: `${new Wearer().getMinMaxSteps(2, 'min')}/${new Wearer().getAverageNumberOfSteps(2)}`,
+        expected: '0/0'
       }
     ];
     this.runTests(tests);
@@ -287,32 +336,2465 @@ class TestRunner {
       {
         title: 'Average calories burned per walk workout over 5 day period',
         actual: wearer.getAverageCaloriesBurnedPerWorkout(5, 'walk'),
-        expected: 123
+        expected: 92.25
+      },
+      {
+        title: 'Average calories burned per walk workout over 1 day period',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(1, 'walk'),
+        expected: (110.5 + 74 + 74) / 3
+      },
+      {
+        title: 'No workouts of the type have no average',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(5, 'run'),
+        expected: 0
       }
     ];
     this.runTests(tests);
   }
 
   /**
-   * Run test groups.
+   * Test streaming samples into a workout.
    */
-  runTestGroups() {
+  testLiveSampleStreaming() {
+    const simulatedWatchData = {
+      // 6 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600565460,
+      caloriesBurnedData: [12, 14, 16],
+      stepsData: [200, 210, 220],
+      heartRateData: {heartRate: [95, 101, 104]}
+    };
+    const simulatedWearer = new Wearer();
+    simulatedWearer.startWorkout(simulatedWatchData);
+    const simulatedSummary = simulatedWearer.endWorkout();
+
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'walk', startTime: 1600565100});
+    [95, 101, 104].forEach((heartRate, index) => {
+      wearer.storeHeartRateData({timeWhenMeasured: 1600565100 + index * 60, heartRate: heartRate});
+    });
+    [200, 210, 220].forEach((steps, index) => {
+      wearer.addSteps({additionalSteps: steps, timeWhenMeasured: 1600565100 + (index + 1) * 120});
+    });
+    [12, 14, 16].forEach((calories, index) => {
+      wearer.addCaloriesBurned({additionalCaloriesBurned: calories, timeWhenMeasured: 1600565100 + (index + 1) * 120});
+    });
+    const workoutSummary = wearer.endWorkout({workoutId: 1, endTime: 1600565460});
+    const workoutRecord = wearer.workoutData.rawData[0];
+    const backgroundWearer = new Wearer({
+      startTime: 1600565100,
+      caloriesBurnedData: [12, 14, 16],
+      stepsData: [200, 210, 220]
+    });
+    console.log('workout samples:', JSON.stringify(workoutRecord.samples));
+    console.log();
+
     const tests = [
       {
-        title: 'Test single walk workout',
-        fn: this.testSingleWalkWorkout
+        title: 'Streamed samples produce the same summary as simulated data',
+        actual: JSON.stringify(workoutSummary),
+        expected: JSON.stringify(simulatedSummary)
       },
       {
-        title: 'Test minimum, maximum, and average steps',
-        fn: this.testStepsStats
+        title: 'Streamed samples are stored with the completed workout',
+        actual: JSON.stringify(workoutRecord.samples),
+        expected: JSON.stringify(simulatedWearer.workoutData.rawData[0].samples)
       },
       {
-        title: 'Test average heart rate',
-        fn: this.testHeartRateStats
+        title: 'Step sample timestamps are retained',
+        actual: workoutRecord.samples.steps[2].timeWhenMeasured,
+        expected: 1600565460
       },
       {
-        title: 'Test average calories per workout for each workout type',
-        fn: this.testCaloriesStats
+        title: 'Heart rate during a workout is stored as active heart rate',
+        actual: wearer.getDataSummary('heartRate').rawData.active.length,
+        expected: 3
+      },
+      {
+        title: 'Simulated steps and calories without a workout are stored as background data',
+        actual: `${backgroundWearer.backgroundData.rawData.length}/${backgroundWearer.getDataSummary('steps')[0].steps}/${backgroundWearer.getDataSummary('caloriesBurned')[0].caloriesBurned}`,
+        expected: '3/630/42'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test pausing and resuming a workout.
+   */
+  testPauseAndResume() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'run', startTime: startTime});
+    wearer.addSteps({additionalSteps: 300, timeWhenMeasured: startTime + 120});
+    wearer.pauseWorkout({pauseTime: startTime + 180});
+    wearer.addSteps({additionalSteps: 20, timeWhenMeasured: startTime + 240});
+    wearer.addCaloriesBurned({additionalCaloriesBurned: 2, timeWhenMeasured: startTime + 240});
+    wearer.resumeWorkout({resumeTime: startTime + 300});
+    wearer.addSteps({additionalSteps: 310, timeWhenMeasured: startTime + 420});
+    wearer.addCaloriesBurned({additionalCaloriesBurned: 25, timeWhenMeasured: startTime + 420});
+    let workoutSummary = wearer.endWorkout({workoutId: 1, endTime: startTime + 480});
+    console.log('workout summary:', workoutSummary);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Steps while paused are tracked separately',
+        actual: `${workoutSummary.steps}/${workoutSummary.pausedSteps}`,
+        expected: '610/20'
+      },
+      {
+        title: 'Calories burned while paused are tracked separately',
+        actual: `${workoutSummary.caloriesBurned}/${workoutSummary.pausedCaloriesBurned}`,
+        expected: '25/2'
+      },
+      {
+        title: 'Elapsed time includes pauses',
+        actual: workoutSummary.elapsedTime,
+        expected: 480
+      },
+      {
+        title: 'Moving time excludes pauses',
+        actual: workoutSummary.movingTime,
+        expected: 360
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.startWorkout({workoutType: 'run', startTime: startTime}, {autoPauseSeconds: 180});
+    wearer.addSteps({additionalSteps: 300, timeWhenMeasured: startTime + 120});
+    wearer.addSteps({additionalSteps: 0, timeWhenMeasured: startTime + 240});
+    wearer.addSteps({additionalSteps: 0, timeWhenMeasured: startTime + 360});
+    wearer.addSteps({additionalSteps: 280, timeWhenMeasured: startTime + 480});
+    workoutSummary = wearer.endWorkout({workoutId: 2, endTime: startTime + 600});
+    console.log('workout summary:', workoutSummary);
+    console.log();
+
+    tests = [
+      {
+        title: 'Auto-pause starts when no steps arrive within the window',
+        actual: workoutSummary.pauses[0].startTime,
+        expected: startTime + 300
+      },
+      {
+        title: 'Auto-pause ends when steps arrive again',
+        actual: workoutSummary.pauses[0].endTime,
+        expected: startTime + 480
+      },
+      {
+        title: 'Moving time excludes auto-pauses',
+        actual: workoutSummary.movingTime,
+        expected: 420
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test laps and splits.
+   */
+  testLaps() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'run', startTime: startTime});
+    wearer.storeHeartRateData({timeWhenMeasured: startTime + 60, heartRate: 120});
+    wearer.addSteps({additionalSteps: 300, timeWhenMeasured: startTime + 120});
+    wearer.storeHeartRateData({timeWhenMeasured: startTime + 120, heartRate: 140});
+    wearer.markLap({lapTime: startTime + 150});
+    wearer.addSteps({additionalSteps: 320, timeWhenMeasured: startTime + 240});
+    wearer.addCaloriesBurned({additionalCaloriesBurned: 30, timeWhenMeasured: startTime + 240});
+    wearer.storeHeartRateData({timeWhenMeasured: startTime + 240, heartRate: 150});
+    let workoutSummary = wearer.endWorkout({workoutId: 1, endTime: startTime + 300});
+    console.log('laps:', workoutSummary.laps);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Marking a lap closes the current segment',
+        actual: workoutSummary.laps.length,
+        expected: 2
+      },
+      {
+        title: 'Lap carries its own start and end time',
+        actual: `${workoutSummary.laps[1].startTime}-${workoutSummary.laps[1].endTime}`,
+        expected: `${startTime + 150}-${startTime + 300}`
+      },
+      {
+        title: 'Lap carries its own steps and calories',
+        actual: `${workoutSummary.laps[1].steps}/${workoutSummary.laps[1].caloriesBurned}`,
+        expected: '320/30'
+      },
+      {
+        title: 'Lap carries its own heart rate stats',
+        actual: `${workoutSummary.laps[0].averageHeartRate}/${workoutSummary.laps[0].peakHeartRate}`,
+        expected: '130/140'
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.startWorkout({workoutType: 'run', startTime: startTime}, {autoLap: {minutes: 4}});
+    [300, 310, 290, 305, 295].forEach((steps, index) => {
+      wearer.addSteps({additionalSteps: steps, timeWhenMeasured: startTime + (index + 1) * 120});
+    });
+    workoutSummary = wearer.endWorkout({workoutId: 2, endTime: startTime + 600});
+
+    tests = [
+      {
+        title: 'Automatic splits every N minutes',
+        actual: workoutSummary.laps.map(lap => lap.steps).join(','),
+        expected: '610,595,295'
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.startWorkout({workoutType: 'run', startTime: startTime}, {autoLap: {steps: 500}});
+    [300, 310, 290, 305, 295].forEach((steps, index) => {
+      wearer.addSteps({additionalSteps: steps, timeWhenMeasured: startTime + (index + 1) * 120});
+    });
+    workoutSummary = wearer.endWorkout({workoutId: 3, endTime: startTime + 600});
+
+    tests = [
+      {
+        title: 'Automatic splits every N steps',
+        actual: workoutSummary.laps.map(lap => lap.steps).join(','),
+        expected: '610,595,295'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test saving and loading wearers.
+   */
+  testStorage() {
+    const simulatedWatchData = {
+      // 20 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600566300,
+      caloriesBurnedData: [12, 14, 16, 18, 14, 16, 12, 16, 18, 16],
+      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+    };
+    const nextDayWatchData = Object.assign({}, simulatedWatchData, {
+      workoutId: 2,
+      startTime: 1600651560,
+      endTime: 1600652760
+    });
+
+    const memoryStorage = new MemoryStorage();
+    const wearer = new Wearer(null, {id: 'wearer-1', storage: memoryStorage});
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+    wearer.save();
+    const reloadedWearer = Wearer.load('wearer-1', memoryStorage);
+
+    const filePath = path.join(os.tmpdir(), `fitness-watch-test-${process.pid}.json`);
+    const fileStorage = new JsonFileStorage(filePath);
+    wearer.storage = fileStorage;
+    wearer.save();
+    // a later session appends to the saved data
+    const nextSessionWearer = Wearer.load('wearer-1', new JsonFileStorage(filePath));
+    nextSessionWearer.startWorkout(nextDayWatchData);
+    nextSessionWearer.endWorkout();
+    nextSessionWearer.save();
+    const savedWearerIds = fileStorage.list();
+    const appendedWearer = Wearer.load('wearer-1', fileStorage);
+    const fileStorageConstructor = fileStorage.load('constructor');
+    fs.unlinkSync(filePath);
+
+    const tests = [
+      {
+        title: 'Wearer reloaded from memory storage has the same data',
+        actual: JSON.stringify(reloadedWearer),
+        expected: JSON.stringify(wearer)
+      },
+      {
+        title: 'Wearer ids are listed from JSON file storage',
+        actual: savedWearerIds.join(','),
+        expected: 'wearer-1'
+      },
+      {
+        title: 'Wearer reloaded from a JSON file can be appended to',
+        actual: appendedWearer.getDataSummary('steps').length,
+        expected: 2
+      },
+      {
+        title: 'Loading an unknown wearer returns an empty wearer',
+        actual: Wearer.load('wearer-2', memoryStorage).workoutData.rawData.length,
+        expected: 0
+      },
+      {
+        title: 'Memory storage has nothing saved for an Object.prototype name',
+        actual: memoryStorage.load('constructor'),
+        expected: null
+      },
+      {
+        title: 'JSON file storage has nothing saved for an Object.prototype name',
+        actual: fileStorageConstructor,
+        expected: null
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test bucketing by local calendar day.
+   */
+  testTimeZones() {
+    const timeZone = 'America/Los_Angeles';
+    const wearer = new Wearer(null, {timeZone: timeZone});
+    // 6pm walk on Sep 19 in California, which is already Sep 20 in UTC
+    wearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600563600, endTime: 1600564200, stepsData: [500]});
+    wearer.endWorkout();
+    // 8am walk on Sep 20 in California
+    wearer.startWorkout({workoutId: 2, workoutType: 'walk', startTime: 1600614000, endTime: 1600614600, stepsData: [700]});
+    wearer.endWorkout();
+    wearer.setTimeZone('Asia/Tokyo');
+    // 8am walk on Sep 22 in Tokyo
+    wearer.startWorkout({workoutId: 3, workoutType: 'walk', startTime: 1600729200, endTime: 1600729800, stepsData: [900]});
+    wearer.endWorkout();
+    const stepsSummary = wearer.getDataSummary('steps');
+    console.log('Summary step data', stepsSummary);
+    console.log();
+
+    // Nov 1 2020 in California, when clocks went back an hour
+    const fallBackDay = TimeZone.getDayNumber(1604235600, timeZone);
+    const springForwardDay = TimeZone.getDayNumber(1583683200, timeZone);
+
+    const tests = [
+      {
+        title: 'Evening walk is bucketed into the local day',
+        actual: stepsSummary[0].daysSinceUnixEpoch,
+        expected: 18524
+      },
+      {
+        title: 'Walks on different local days are not aggregated',
+        actual: stepsSummary.map(data => data.steps).join(','),
+        expected: '500,700,900'
+      },
+      {
+        title: 'Changing time zone buckets new data into the new local day',
+        actual: stepsSummary[2].daysSinceUnixEpoch,
+        expected: 18527
+      },
+      {
+        title: 'Local day when clocks go back is 25 hours long',
+        actual: TimeZone.getDayLength(fallBackDay, timeZone),
+        expected: 90000
+      },
+      {
+        title: 'Local day when clocks go forward is 23 hours long',
+        actual: TimeZone.getDayLength(springForwardDay, timeZone),
+        expected: 82800
+      },
+      {
+        title: 'Late evening on the 25 hour day is still the same local day',
+        actual: TimeZone.getDayNumber(TimeZone.getDayStart(fallBackDay, timeZone) + 90000 - 60, timeZone),
+        expected: fallBackDay
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test heart rate zones.
+   */
+  testHeartRateZones() {
+    const simulatedWatchData = {
+      // 10 minute run
+      workoutId: 1,
+      workoutType: 'run',
+      startTime: 1600565100,
+      endTime: 1600565700,
+      heartRateData: {heartRate: [95, 110, 125, 130, 140, 150, 160, 170, 176, 180]}
+    };
+    const wearer = new Wearer(null, {profile: {age: 30}});
+    wearer.startWorkout(simulatedWatchData);
+    let workoutSummary = wearer.endWorkout();
+    console.log('heart rate zones (%maxHR):', workoutSummary.heartRateZones);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Average heart rate',
+        actual: workoutSummary.averageHeartRate,
+        expected: 143.6
+      },
+      {
+        title: 'Peak heart rate',
+        actual: workoutSummary.peakHeartRate,
+        expected: 180
+      },
+      {
+        title: 'Time in zones 1-5 using %maxHR from age',
+        actual: ['zone1', 'zone2', 'zone3', 'zone4', 'zone5'].map(zone => workoutSummary.heartRateZones[zone]).join(','),
+        expected: '120,120,120,120,120'
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.setProfile({maxHeartRate: 190, restingHeartRate: 60, heartRateZoneMethod: 'heartRateReserve'});
+    wearer.startWorkout(simulatedWatchData);
+    workoutSummary = wearer.endWorkout();
+    console.log('heart rate zones (heart rate reserve):', workoutSummary.heartRateZones);
+    console.log();
+
+    tests = [
+      {
+        title: 'Time in zones 1-5 using heart rate reserve',
+        actual: ['zone1', 'zone2', 'zone3', 'zone4', 'zone5'].map(zone => workoutSummary.heartRateZones[zone]).join(','),
+        expected: '120,120,60,120,60'
+      },
+      {
+        title: 'Heart rate zones are not available without max heart rate or age',
+        actual: (() => {
+          const wearerWithoutProfile = new Wearer();
+          wearerWithoutProfile.startWorkout(simulatedWatchData);
+          return wearerWithoutProfile.endWorkout().heartRateZones;
+        })(),
+        expected: null
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test calorie estimation.
+   */
+  testCalorieEstimation() {
+    const profile = {age: 40, sex: 'female', weightKg: 60, heightCm: 165};
+    const wearer = new Wearer(null, {profile: profile});
+
+    // device reported calories
+    wearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600565100, endTime: 1600565700, caloriesBurnedData: [10, 12, 11, 12, 10]});
+    const deviceSummary = wearer.endWorkout();
+
+    // heart rate only, 30 minutes at 140 bpm
+    wearer.startWorkout({workoutId: 2, workoutType: 'run', startTime: 1600651500, endTime: 1600653300, heartRateData: {heartRate: new Array(30).fill(140)}});
+    const heartRateSummary = wearer.endWorkout();
+
+    // steps only, 60 minute walk
+    wearer.startWorkout({workoutId: 3, workoutType: 'walk', startTime: 1600737900, endTime: 1600741500, stepsData: [3000, 3000]});
+    const metSummary = wearer.endWorkout();
+    console.log('estimated calories:', heartRateSummary.caloriesBurned, metSummary.caloriesBurned);
+    console.log();
+
+    const tests = [
+      {
+        title: 'Calories reported by the device are used as is',
+        actual: `${deviceSummary.caloriesBurned}/${deviceSummary.caloriesSource}`,
+        expected: '55/device'
+      },
+      {
+        title: 'Calories are estimated from heart rate when the device reports none',
+        actual: `${heartRateSummary.caloriesBurned}/${heartRateSummary.caloriesSource}`,
+        expected: '270/heartRate'
+      },
+      {
+        title: 'Calories are estimated from MET values without heart rate',
+        actual: `${metSummary.caloriesBurned}/${metSummary.caloriesSource}`,
+        expected: '185/met'
+      },
+      {
+        title: 'Estimated calories are stored in the daily summary',
+        actual: wearer.getDataSummary('caloriesBurned').map(data => data.caloriesBurned).join(','),
+        expected: '55,270,185'
+      },
+      {
+        title: 'Calories are not estimated without a profile',
+        actual: (() => {
+          const wearerWithoutProfile = new Wearer();
+          wearerWithoutProfile.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600737900, endTime: 1600741500});
+          return wearerWithoutProfile.endWorkout().caloriesSource;
+        })(),
+        expected: null
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the workout type registry.
+   */
+  testWorkoutTypes() {
+    const workoutTypes = new WorkoutTypeRegistry();
+    workoutTypes.register('yoga', {displayName: 'Yoga', aliases: ['vinyasa'], met: 2.5, hasSteps: false});
+    const wearer = new Wearer(null, {workoutTypes: workoutTypes, profile: {weightKg: 70}});
+
+    wearer.startWorkout({workoutId: 1, workoutType: ' Running ', startTime: 1600565100, endTime: 1600565700, stepsData: [300]});
+    const aliasSummary = wearer.endWorkout();
+
+    wearer.startWorkout({workoutId: 2, workoutType: 'vinyasa', startTime: 1600651500, endTime: 1600655100});
+    const customSummary = wearer.endWorkout();
+
+    let unknownTypeError = null;
+    try {
+      wearer.startWorkout({workoutId: 3, workoutType: 'quidditch', startTime: 1600737900});
+    } catch (e) {
+      unknownTypeError = e.message;
+    }
+
+    let prototypeNameError = null;
+    try {
+      wearer.startWorkout({workoutId: 3, workoutType: 'constructor', startTime: 1600737900});
+    } catch (e) {
+      prototypeNameError = e.message;
+    }
+
+    // a bike ride sends no steps, so it shouldn't auto-pause
+    wearer.startWorkout({workoutId: 4, workoutType: 'bike', startTime: 1600737900}, {autoPauseSeconds: 120});
+    wearer.storeHeartRateData({timeWhenMeasured: 1600738500, heartRate: 130});
+    const cycleSummary = wearer.endWorkout({workoutId: 4, endTime: 1600738500});
+
+    const tests = [
+      {
+        title: 'Workout type aliases are normalized',
+        actual: aliasSummary.workoutType,
+        expected: 'run'
+      },
+      {
+        title: 'Custom workout types can be registered',
+        actual: customSummary.workoutType,
+        expected: 'yoga'
+      },
+      {
+        title: 'Custom workout type MET value is used for calorie estimates',
+        actual: customSummary.caloriesBurned,
+        expected: 184
+      },
+      {
+        title: 'Unknown workout types are rejected',
+        actual: unknownTypeError,
+        expected: 'Unknown workout type: quidditch'
+      },
+      {
+        title: 'Object.prototype names are not workout types',
+        actual: prototypeNameError,
+        expected: 'Unknown workout type: constructor'
+      },
+      {
+        title: 'Rejected workout does not leave a workout in progress',
+        actual: wearer.workoutInstance === null && wearer.isResting,
+        expected: true
+      },
+      {
+        title: 'Workout types without steps do not auto-pause',
+        actual: cycleSummary.movingTime,
+        expected: 600
+      },
+      {
+        title: 'Built-in workout types are available by default',
+        actual: WorkoutTypeRegistry.getDefault().list().map(workoutType => workoutType.name).join(','),
+        expected: 'walk,run,cycle,swim,strength,other'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test GPX and TCX export.
+   */
+  testWorkoutExport() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'run', startTime: startTime});
+    [1, 2, 3, 4].forEach(minute => {
+      const timeWhenMeasured = startTime + minute * 60;
+      wearer.storeHeartRateData({timeWhenMeasured: timeWhenMeasured, heartRate: 130 + minute});
+      wearer.addLocation({latitude: 37.7749 + minute / 1000, longitude: -122.4194, elevation: 16, timeWhenMeasured: timeWhenMeasured});
+      if (minute % 2 === 0) {
+        wearer.addSteps({additionalSteps: 340, timeWhenMeasured: timeWhenMeasured});
+        wearer.addCaloriesBurned({additionalCaloriesBurned: 24, timeWhenMeasured: timeWhenMeasured});
+      }
+      if (minute === 2) {
+        wearer.markLap({lapTime: timeWhenMeasured});
+      }
+    });
+    wearer.endWorkout({workoutId: 9, endTime: startTime + 240});
+    const gpx = wearer.exportWorkout(9, 'gpx');
+    const tcx = wearer.exportWorkout(9, 'tcx');
+    console.log('TCX export:', tcx);
+    let unknownWorkoutError = null;
+    try {
+      wearer.exportWorkout(10, 'gpx');
+    } catch (e) {
+      unknownWorkoutError = e.name;
+    }
+
+    const count = (text, pattern) => text.split(pattern).length - 1;
+    const tests = [
+      {
+        title: 'GPX has a track point for each location',
+        actual: count(gpx, '<trkpt '),
+        expected: 4
+      },
+      {
+        title: 'GPX has a track segment for each lap',
+        actual: count(gpx, '<trkseg>'),
+        expected: 2
+      },
+      {
+        title: 'GPX track points carry heart rate and cadence',
+        actual: gpx.includes('<gpxtpx:hr>134</gpxtpx:hr>') && gpx.includes('<gpxtpx:cad>85</gpxtpx:cad>'),
+        expected: true
+      },
+      {
+        title: 'TCX has a lap for each lap',
+        actual: count(tcx, '<Lap '),
+        expected: 2
+      },
+      {
+        title: 'TCX laps carry steps and calories',
+        actual: tcx.includes('<Calories>24</Calories>') && tcx.includes('<ns3:Steps>340</ns3:Steps>'),
+        expected: true
+      },
+      {
+        title: 'TCX track points carry heart rate',
+        actual: count(tcx, '<HeartRateBpm>'),
+        expected: 4
+      },
+      {
+        title: 'Exporting an unknown workout throws a NotFoundError',
+        actual: unknownWorkoutError,
+        expected: 'NotFoundError'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test CSV and JSON history export.
+   */
+  testHistoryExport() {
+    const wearer = new Wearer({heartRateData: {startTime: 1600560000, heartRate: [62, 60]}}, {id: 'wearer-1', timeZone: 'America/Los_Angeles'});
+    wearer.startWorkout({
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600565340,
+      caloriesBurnedData: [12, 14],
+      stepsData: [200, 210],
+      heartRateData: {heartRate: [98, 104]}
+    });
+    wearer.endWorkout();
+
+    const files = wearer.exportHistory('csv');
+    // all-day steps, half of them during a workout
+    const backgroundWearer = new Wearer();
+    backgroundWearer.storeBackgroundData({startTime: 1600564980, endTime: 1600565220, steps: 100});
+    backgroundWearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600565100, endTime: 1600565340, stepsData: [200, 210]});
+    backgroundWearer.endWorkout();
+    const backgroundFiles = backgroundWearer.exportHistory('csv');
+    const rawStepsTotal = backgroundFiles['steps-raw.csv'].split('\r\n').slice(1, -1)
+      .reduce((acc, line) => acc + Number(line.split(',')[4]), 0);
+    console.log('steps-raw.csv:');
+    console.log(files['steps-raw.csv']);
+    const json = wearer.exportHistory('json');
+    const importedWearer = Wearer.importHistory(json);
+
+    const tests = [
+      {
+        title: 'CSV export has one file per category',
+        actual: Object.keys(files).join(','),
+        expected: 'steps-summary.csv,steps-raw.csv,caloriesBurned-summary.csv,caloriesBurned-raw.csv,heartRate-raw.csv'
+      },
+      {
+        title: 'CSV summary has headers and local dates',
+        actual: files['steps-summary.csv'],
+        expected: 'date,daysSinceUnixEpoch,steps\r\n2020-09-19,18524,410\r\n'
+      },
+      {
+        title: 'CSV raw data has ISO timestamps',
+        actual: files['caloriesBurned-raw.csv'].split('\r\n')[1],
+        expected: '1,walk,2020-09-20T01:25:00Z,2020-09-20T01:29:00Z,26'
+      },
+      {
+        title: 'CSV raw data includes the part of background data outside workouts',
+        actual: `${backgroundFiles['steps-raw.csv'].split('\r\n')[1]}/${rawStepsTotal}/${backgroundWearer.getDataSummary('steps')[0].steps}`,
+        expected: ',,2020-09-20T01:23:00Z,2020-09-20T01:27:00Z,50/460/460'
+      },
+      {
+        title: 'CSV heart rate has resting and active samples',
+        actual: files['heartRate-raw.csv'].split('\r\n').filter(line => line).map(line => line.split(',')[2]).join(','),
+        expected: 'state,resting,resting,active,active'
+      },
+      {
+        title: 'JSON export is versioned',
+        actual: JSON.parse(json).version,
+        expected: 1
+      },
+      {
+        title: 'JSON export imports back losslessly',
+        actual: JSON.stringify(importedWearer),
+        expected: JSON.stringify(wearer)
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Create a small FIT activity file with one running session.
+   * @param {number} startTime - UNIX timestamp when the session starts.
+   * @return {Buffer} FIT file content.
+   */
+  createFitFile(startTime) {
+    const fitEpochOffset = 631065600;
+    const fitStartTime = startTime - fitEpochOffset;
+    const bytes = [];
+    const uint16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+    const uint32 = value => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+    // record definition: timestamp, heart_rate, cadence
+    bytes.push(0x40, 0, 0, ...uint16(20), 3, 253, 4, 0x86, 3, 1, 0x02, 4, 1, 0x02);
+    [[60, 120, 80], [120, 130, 85], [180, 140, 90]].forEach(([offset, heartRate, cadence]) => {
+      bytes.push(0x00, ...uint32(fitStartTime + offset), heartRate, cadence);
+    });
+    // session definition: timestamp, start_time, sport, total_elapsed_time, total_calories
+    bytes.push(0x41, 0, 0, ...uint16(18), 5, 253, 4, 0x86, 2, 4, 0x86, 5, 1, 0x00, 7, 4, 0x86, 11, 2, 0x84);
+    bytes.push(0x01, ...uint32(fitStartTime + 180), ...uint32(fitStartTime), 1, ...uint32(180000), ...uint16(42));
+    // monitoring definition: timestamp, heart_rate
+    bytes.push(0x42, 0, 0, ...uint16(55), 2, 253, 4, 0x86, 27, 1, 0x02);
+    bytes.push(0x02, ...uint32(fitStartTime - 3600), 58);
+
+    const header = [14, 0x10, ...uint16(2093), ...uint32(bytes.length), ...Buffer.from('.FIT'), 0, 0];
+    // CRCs are left as 0, which FIT readers treat as not computed
+    return Buffer.from([...header, ...bytes, 0, 0]);
+  }
+
+  /**
+   * Test importing GPX, TCX and FIT files.
+   */
+  testWorkoutImport() {
+    const startTime = 1600565100;
+    const sourceWearer = new Wearer();
+    sourceWearer.startWorkout({workoutId: 1, workoutType: 'run', startTime: startTime});
+    [1, 2, 3, 4].forEach(minute => {
+      const timeWhenMeasured = startTime + minute * 60;
+      sourceWearer.storeHeartRateData({timeWhenMeasured: timeWhenMeasured, heartRate: 130 + minute});
+      sourceWearer.addLocation({latitude: 37.7749, longitude: -122.4194 + minute / 1000, timeWhenMeasured: timeWhenMeasured});
+      if (minute % 2 === 0) {
+        sourceWearer.addSteps({additionalSteps: 340, timeWhenMeasured: timeWhenMeasured});
+        sourceWearer.addCaloriesBurned({additionalCaloriesBurned: 24, timeWhenMeasured: timeWhenMeasured});
+      }
+      if (minute === 2) {
+        sourceWearer.markLap({lapTime: timeWhenMeasured});
+      }
+    });
+    const sourceSummary = sourceWearer.endWorkout({workoutId: 1, endTime: startTime + 240});
+
+    const tcxWearer = new Wearer();
+    const tcx = sourceWearer.exportWorkout(1, 'tcx');
+    const firstTcxImport = tcxWearer.importWorkouts(WorkoutImporter.parse(tcx));
+    const secondTcxImport = tcxWearer.importWorkouts(WorkoutImporter.parse(tcx));
+    const tcxSummary = tcxWearer.workoutData.rawData[0];
+    const tcxActiveHeartRateCount = tcxWearer.getDataSummary('heartRate').rawData.active.length;
+
+    const gpxWearer = new Wearer();
+    gpxWearer.importWorkouts(WorkoutImporter.parse(sourceWearer.exportWorkout(1, 'gpx')));
+    const gpxSummary = gpxWearer.workoutData.rawData[0];
+
+    const fitWearer = new Wearer();
+    const fitFile = this.createFitFile(startTime);
+    fitWearer.importWorkouts(WorkoutImporter.parse(fitFile));
+    const secondFitImport = fitWearer.importWorkouts(WorkoutImporter.parse(fitFile));
+    const fitSummary = fitWearer.workoutData.rawData[0];
+    console.log('imported FIT workout:', fitSummary);
+    console.log();
+
+    // older history imported after newer data
+    const olderWorkout = WorkoutImporter.parse(sourceWearer.exportWorkout(1, 'tcx').replace(/2020-09-20/g, '2020-09-10'));
+    tcxWearer.importWorkouts(olderWorkout);
+
+    const badSampleWearer = new Wearer();
+    const badSampleFile = WorkoutImporter.parse(tcx);
+    badSampleFile.workouts[0].samples.heartRate[1].heartRate = -130;
+    let badSampleError = null;
+    try {
+      badSampleWearer.importWorkouts(badSampleFile);
+    } catch (error) {
+      badSampleError = error;
+    }
+    badSampleWearer.startWorkout({workoutType: 'run', startTime: startTime + 3600});
+
+    const dropoutWearer = new Wearer();
+    const dropoutFile = WorkoutImporter.parse(tcx);
+    dropoutFile.workouts[0].samples.heartRate[1].heartRate = 0;
+    dropoutFile.heartRateSamples.push({heartRate: 0, timeWhenMeasured: startTime - 600});
+    dropoutWearer.importWorkouts(dropoutFile);
+    const dropoutHeartRates = dropoutWearer.getDataSummary('heartRate').rawData;
+
+    const workoutsWithoutIds = {
+      workouts: [startTime, startTime + 3600].map(workoutStartTime => ({
+        workoutId: null,
+        workoutType: 'run',
+        startTime: workoutStartTime,
+        endTime: workoutStartTime + 600,
+        samples: {steps: [], caloriesBurned: [], heartRate: [], location: []},
+        lapTimes: []
+      })),
+      heartRateSamples: []
+    };
+    const withoutIdsImport = new Wearer().importWorkouts(workoutsWithoutIds);
+
+    // storing the second workout fails after the first one was stored
+    const failingImportWearer = new Wearer();
+    failingImportWearer.storeHeartRateData({timeWhenMeasured: startTime - 600, heartRate: 60});
+    const failingImportBefore = JSON.stringify(failingImportWearer);
+    const failingImportFile = WorkoutImporter.parse(sourceWearer.exportWorkout(1, 'tcx'));
+    failingImportFile.workouts.push(Object.assign({}, workoutsWithoutIds.workouts[1], {workoutId: 2}));
+    failingImportWearer.on('workoutEnded', summary => {
+      if (summary.workoutId === 2) {
+        throw new Error('Listener failed');
+      }
+    });
+    let failingImportError = null;
+    try {
+      failingImportWearer.importWorkouts(failingImportFile);
+    } catch (error) {
+      failingImportError = error.message;
+    }
+
+    const tests = [
+      {
+        title: 'TCX import keeps steps, calories and laps',
+        actual: `${tcxSummary.steps}/${tcxSummary.caloriesBurned}/${tcxSummary.laps.length}`,
+        expected: `${sourceSummary.steps}/${sourceSummary.caloriesBurned}/2`
+      },
+      {
+        title: 'TCX import keeps heart rate samples as active heart rate',
+        actual: tcxActiveHeartRateCount,
+        expected: 4
+      },
+      {
+        title: 'Re-importing a workout skips it',
+        actual: `${firstTcxImport.imported.length}/${secondTcxImport.skipped.length}`,
+        expected: '1/1'
+      },
+      {
+        title: 'GPX import keeps locations, heart rate and laps',
+        actual: `${gpxSummary.samples.location.length}/${gpxSummary.peakHeartRate}/${gpxSummary.laps.length}`,
+        expected: '4/134/2'
+      },
+      {
+        title: 'FIT import reads the session',
+        actual: `${fitSummary.workoutType}/${fitSummary.startTime}/${fitSummary.endTime}/${fitSummary.caloriesBurned}`,
+        expected: `run/${startTime}/${startTime + 180}/42`
+      },
+      {
+        title: 'FIT import derives steps from cadence',
+        actual: fitSummary.steps,
+        expected: 350
+      },
+      {
+        title: 'FIT import stores heart rate outside workouts as resting heart rate',
+        actual: fitWearer.getDataSummary('heartRate').rawData.resting.map(data => data.heartRate).join(','),
+        expected: '58'
+      },
+      {
+        title: 'Re-importing a FIT file skips its workouts and heart rate',
+        actual: `${secondFitImport.skipped.length}/${fitWearer.getDataSummary('heartRate').rawData.resting.length}`,
+        expected: '1/1'
+      },
+      {
+        title: 'Older imported history is stored in chronological order',
+        actual: tcxWearer.getDataSummary('steps').map(data => data.daysSinceUnixEpoch).join(','),
+        expected: '18515,18525'
+      },
+      {
+        title: 'A file with a bad sample imports nothing and leaves no workout in progress',
+        actual: `${badSampleError instanceof ValidationError}/${badSampleWearer.workoutData.rawData.length}/${badSampleWearer.getDataSummary('heartRate').rawData.active.length}/${badSampleWearer.workoutInstance.startTime}`,
+        expected: `true/0/0/${startTime + 3600}`
+      },
+      {
+        title: 'Imported heart rate dropouts are stored and flagged, but left out of the workout',
+        actual: `${dropoutHeartRates.active.length}/${dropoutHeartRates.resting.length}/${dropoutWearer.getHeartRateAlerts({type: 'implausible'}).length}/${dropoutWearer.workoutData.rawData[0].samples.heartRate.length}`,
+        expected: '4/1/2/3'
+      },
+      {
+        title: 'Workouts without ids are not duplicates of each other',
+        actual: `${withoutIdsImport.imported.length}/${withoutIdsImport.skipped.length}`,
+        expected: '2/0'
+      },
+      {
+        title: 'A workout failing late in the file leaves the wearer unchanged',
+        actual: `${failingImportError}/${JSON.stringify(failingImportWearer) === failingImportBefore}`,
+        expected: 'Listener failed/true'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the HTTP API routes.
+   */
+  testApiRoutes() {
+    const apiServer = new ApiServer();
+    const startTime = 1600565100;
+    const created = apiServer.route('POST', '/wearers', {id: 'wearer-1'});
+    const started = apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    const startedAgain = apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    const samples = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [
+        {type: 'steps', additionalSteps: 220, timeWhenMeasured: startTime + 120},
+        {type: 'heartRate', heartRate: 101, timeWhenMeasured: startTime + 120},
+        {type: 'steps', additionalSteps: 230, timeWhenMeasured: startTime + 240}
+      ]
+    });
+    const ended = apiServer.route('POST', '/wearers/wearer-1/workouts/current/end', {workoutId: 1, endTime: startTime + 240});
+    const endedAgain = apiServer.route('POST', '/wearers/wearer-1/workouts/current/end', {});
+    const summary = apiServer.route('GET', '/wearers/wearer-1/summary/steps');
+    const stats = apiServer.route('GET', '/wearers/wearer-1/stats/steps?days=1');
+    const samplesWithoutWorkout = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [{type: 'heartRate', heartRate: 62, timeWhenMeasured: startTime + 1800}]
+    });
+    const unknownType = apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'parkour', startTime: startTime + 3600});
+    apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'run', startTime: startTime + 3600});
+    const endedWithoutId = apiServer.route('POST', '/wearers/wearer-1/workouts/current/end', {endTime: startTime + 4200});
+    console.log('end workout response:', ended);
+    console.log();
+
+    // a server restarted over the same storage continues the workout in progress
+    const storage = new MemoryStorage();
+    const savingServer = new ApiServer({storage: storage});
+    savingServer.route('POST', '/wearers', {id: 'wearer-1'});
+    savingServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    savingServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [{type: 'steps', additionalSteps: 220, timeWhenMeasured: startTime + 120}]
+    });
+    const rejectedBatch = savingServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [
+        {type: 'steps', additionalSteps: 230, timeWhenMeasured: startTime + 240},
+        {type: 'steps', additionalSteps: -10, timeWhenMeasured: startTime + 360}
+      ]
+    });
+    savingServer.route('POST', '/wearers/wearer-1/workouts/current/pause', {pauseTime: startTime + 300});
+    const restarted = new ApiServer({storage: storage}).route('GET', '/wearers/wearer-1').body.workoutInProgress;
+    const prototypeNameWearer = apiServer.route('GET', '/wearers/constructor');
+    const prototypeNameCreated = apiServer.route('POST', '/wearers', {id: 'toString'});
+    const failingStorage = new MemoryStorage();
+    failingStorage.save = () => {
+      throw new Error('Disk is full');
+    };
+    const failedCreate = new ApiServer({storage: failingStorage}).route('POST', '/wearers', {id: 'wearer-1'});
+
+    // HTTP requests with a body sent in one chunk
+    const sendRequest = (server, method, url, text) => {
+      const listeners = {};
+      const request = {method: method, url: url, on: (event, listener) => { listeners[event] = listener; }};
+      const response = {
+        writeHead(status) { this.status = status; },
+        end(responseText) { this.body = JSON.parse(responseText); }
+      };
+      server.handleRequest(request, response);
+      listeners.data(Buffer.from(text));
+      listeners.end();
+      return response;
+    };
+    const smallServer = new ApiServer({maxBodyBytes: 64});
+    const createdOverHttp = sendRequest(smallServer, 'POST', '/wearers', '{"id": "wearer-1"}');
+    const tooLarge = sendRequest(smallServer, 'POST', '/wearers', JSON.stringify({id: 'wearer-2', timeZone: 'America/Los_Angeles', profile: {weightKg: 70}}));
+    const arrayBody = sendRequest(smallServer, 'POST', '/wearers', '[{"id": "wearer-3"}]');
+
+    const tests = [
+      {
+        title: 'POST /wearers creates a wearer',
+        actual: `${created.status}/${created.body.id}`,
+        expected: '201/wearer-1'
+      },
+      {
+        title: 'POST /wearers/:id/workouts/start starts a workout',
+        actual: `${started.status}/${started.body.workoutType}`,
+        expected: '201/walk'
+      },
+      {
+        title: 'Starting a second workout is a JSON conflict error',
+        actual: `${startedAgain.status}/${startedAgain.body.error.code}`,
+        expected: '409/workout_in_progress'
+      },
+      {
+        title: 'POST /wearers/:id/workouts/current/samples accepts samples',
+        actual: `${samples.status}/${samples.body.accepted}`,
+        expected: '202/3'
+      },
+      {
+        title: 'POST /wearers/:id/workouts/current/end returns the workout summary',
+        actual: `${ended.status}/${ended.body.steps}/${ended.body.peakHeartRate}`,
+        expected: '200/450/101'
+      },
+      {
+        title: 'Ending without a workout in progress is a JSON conflict error',
+        actual: `${endedAgain.status}/${endedAgain.body.error.code}`,
+        expected: '409/no_workout_in_progress'
+      },
+      {
+        title: 'Samples without a workout in progress are a JSON conflict error and record nothing',
+        actual: `${samplesWithoutWorkout.status}/${samplesWithoutWorkout.body.error.code}/${apiServer.registry.getWearer('wearer-1').getDataSummary('heartRate').rawData.resting.length}`,
+        expected: '409/no_workout_in_progress/0'
+      },
+      {
+        title: 'Unknown workout types are a JSON validation error',
+        actual: `${unknownType.status}/${unknownType.body.error.code}/${unknownType.body.error.message}`,
+        expected: '400/invalid_input/Unknown workout type: parkour'
+      },
+      {
+        title: 'Workouts ended without an id are numbered in order and can be exported',
+        actual: `${endedWithoutId.body.workoutId}/${apiServer.registry.getWearer('wearer-1').exportWorkout(2, 'gpx').startsWith('<?xml')}`,
+        expected: '2/true'
+      },
+      {
+        title: 'GET /wearers/:id/summary/:category returns summary data',
+        actual: `${summary.status}/${summary.body[0].steps}`,
+        expected: '200/450'
+      },
+      {
+        title: 'GET /wearers/:id/stats/steps?days=N returns step stats',
+        actual: `${stats.status}/${stats.body.days}`,
+        expected: '200/1'
+      },
+      {
+        title: 'Invalid days is a JSON validation error',
+        actual: apiServer.route('GET', '/wearers/wearer-1/stats/steps?days=abc').body.error.code,
+        expected: 'invalid_days'
+      },
+      {
+        title: 'Unknown wearers are a JSON not found error',
+        actual: apiServer.route('GET', '/wearers/wearer-2/summary/steps').status,
+        expected: 404
+      },
+      {
+        title: 'A batch with an invalid sample is rejected without recording any of it',
+        actual: `${rejectedBatch.status}/${rejectedBatch.body.error.code}/${restarted.steps}`,
+        expected: '400/invalid_input/220'
+      },
+      {
+        title: 'The workout in progress is saved after every change',
+        actual: `${restarted.workoutType}/${restarted.samples.steps.length}/${restarted.isPaused}`,
+        expected: 'walk/1/true'
+      },
+      {
+        title: 'Malformed paths are a JSON validation error',
+        actual: `${apiServer.route('GET', '/wearers/%E0').status}/${apiServer.route('GET', '/wearers/%E0').body.error.code}`,
+        expected: '400/invalid_path'
+      },
+      {
+        title: 'Wearer ids named like Object.prototype properties are not found until created',
+        actual: `${prototypeNameWearer.status}/${prototypeNameCreated.status}/${prototypeNameCreated.body.id}`,
+        expected: '404/201/toString'
+      },
+      {
+        title: 'Storage failures creating a wearer are internal errors, not bad input',
+        actual: `${failedCreate.status}/${failedCreate.body.error.code}`,
+        expected: '500/internal_error'
+      },
+      {
+        title: 'HTTP requests with a JSON object body are routed',
+        actual: `${createdOverHttp.status}/${createdOverHttp.body.id}`,
+        expected: '201/wearer-1'
+      },
+      {
+        title: 'HTTP request bodies over the size limit are rejected',
+        actual: `${tooLarge.status}/${tooLarge.body.error.code}/${smallServer.registry.hasWearer('wearer-2')}`,
+        expected: '413/body_too_large/false'
+      },
+      {
+        title: 'HTTP request bodies that are JSON arrays are rejected',
+        actual: `${arrayBody.status}/${arrayBody.body.error.code}`,
+        expected: '400/invalid_json'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the command-line interface.
+   */
+  testCli() {
+    const filePath = path.join(os.tmpdir(), `fitness-watch-cli-test-${process.pid}.json`);
+    const startTime = 1600565100;
+    const output = {text: '', write(text) { this.text += text; }};
+    const errors = {text: '', write(text) { this.text += text; }};
+    // every command runs in a new Cli, like separate invocations of the command
+    const run = args => new Cli({stdout: output, stderr: errors}).run([...args, '--file', filePath]);
+    const runJson = args => {
+      output.text = '';
+      run([...args, '--json']);
+      return JSON.parse(output.text);
+    };
+
+    const started = runJson(['workout', 'start', '--type', 'walk', '--time', String(startTime)]);
+    const heartRate = run(['hr', 'add', '98', '--time', String(startTime + 60)]);
+    run(['steps', 'add', '450', '--time', String(startTime + 120)]);
+    const ended = runJson(['workout', 'end', '--time', String(startTime + 240)]);
+    const summary = runJson(['summary', 'steps']);
+    output.text = '';
+    run(['summary', 'steps']);
+    const table = output.text;
+    const endedAgain = run(['workout', 'end']);
+    const unknownCommand = run(['jog']);
+    const backgroundSteps = run(['steps', 'add', '300', '--time', String(startTime + 600)]);
+    const summaryWithBackground = runJson(['summary', 'steps']);
+    // a workout stored by the API with a string id
+    const apiWearer = Wearer.load('default', new JsonFileStorage(filePath));
+    apiWearer.startWorkout({workoutType: 'run', startTime: startTime + 3600});
+    apiWearer.endWorkout({workoutId: 'morning-run', endTime: startTime + 4200});
+    apiWearer.save();
+    output.text = '';
+    run(['export', '--format', 'gpx', '--id', 'morning-run']);
+    const stringIdExport = output.text;
+    output.text = '';
+    run(['export', '--format', 'gpx', '--id', '1']);
+    const numberIdExport = output.text;
+    fs.unlinkSync(filePath);
+    let badNumber = null;
+    try {
+      Cli.parseNumber('many', '--days');
+    } catch (error) {
+      badNumber = error;
+    }
+    console.log('end workout output:', ended);
+    console.log();
+
+    const tests = [
+      {
+        title: 'workout start starts a workout',
+        actual: `${started.workoutType}/${started.startTime}`,
+        expected: 'walk/1600565100'
+      },
+      {
+        title: 'hr add succeeds',
+        actual: heartRate,
+        expected: 0
+      },
+      {
+        title: 'workout end in a later run ends the saved workout',
+        actual: `${ended.workoutId}/${ended.steps}/${ended.peakHeartRate}`,
+        expected: '1/450/98'
+      },
+      {
+        title: 'summary prints JSON with --json',
+        actual: summary[0].steps,
+        expected: 450
+      },
+      {
+        title: 'summary prints a table by default',
+        actual: table.split('\n')[0],
+        expected: 'daysSinceUnixEpoch  steps'
+      },
+      {
+        title: 'Ending without a workout in progress fails',
+        actual: endedAgain,
+        expected: 1
+      },
+      {
+        title: 'Errors are printed to stderr',
+        actual: errors.text.split('\n')[0],
+        expected: 'fitness-watch: There is no workout in progress'
+      },
+      {
+        title: 'Unknown commands fail',
+        actual: unknownCommand,
+        expected: 1
+      },
+      {
+        title: 'steps add outside a workout stores all-day steps',
+        actual: `${backgroundSteps}/${summaryWithBackground[0].steps}`,
+        expected: '0/750'
+      },
+      {
+        title: 'export --id finds workouts with string ids',
+        actual: stringIdExport.trim() === apiWearer.exportWorkout('morning-run', 'gpx').trim(),
+        expected: true
+      },
+      {
+        title: 'export --id finds workouts numbered by the command line',
+        actual: numberIdExport.trim() === apiWearer.exportWorkout(1, 'gpx').trim(),
+        expected: true
+      },
+      {
+        title: 'Bad command-line arguments are validation errors',
+        actual: `${badNumber instanceof ValidationError}/${badNumber.field}/${badNumber.message}`,
+        expected: 'true/--days/--days must be a number'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the wearer registry, groups and leaderboards.
+   */
+  testLeaderboards() {
+    const registry = new WearerRegistry();
+    const day = 86400;
+    const startTime = 1600565100;
+    const addWorkout = (wearerId, workoutType, workoutStartTime, stepsData, caloriesBurnedData) => {
+      const wearer = registry.getWearer(wearerId);
+      wearer.startWorkout({
+        workoutId: workoutStartTime,
+        workoutType: workoutType,
+        startTime: workoutStartTime,
+        endTime: workoutStartTime + 240,
+        stepsData: stepsData,
+        caloriesBurnedData: caloriesBurnedData
+      });
+      wearer.endWorkout();
+    };
+    ['alice', 'bob', 'carol'].forEach(wearerId => registry.createWearer(wearerId));
+    // 2020-09-20
+    addWorkout('alice', 'walk', startTime, [200, 300], [10, 20]);
+    addWorkout('bob', 'walk', startTime, [600, 400], [20, 20]);
+    // 2020-09-21
+    addWorkout('carol', 'walk', startTime + day, [300], [25]);
+    // 2020-09-22
+    addWorkout('alice', 'run', startTime + 2 * day, [250, 250], [40, 50]);
+    registry.createGroup('smiths', {name: 'The Smiths', type: 'family'});
+    registry.addToGroup('smiths', 'alice');
+    registry.addToGroup('smiths', 'bob');
+
+    const format = leaderboard => leaderboard.map(entry => `${entry.rank}:${entry.wearerId}:${entry.value}`).join(',');
+    const stepsLeaderboard = registry.getLeaderboard('steps', {from: '2020-09-20', to: '2020-09-22'});
+    console.log('steps leaderboard:', stepsLeaderboard);
+    console.log();
+    const restoredRegistry = new WearerRegistry({storage: registry.storage});
+    restoredRegistry.restore(JSON.parse(JSON.stringify(registry.toJSON())));
+    let unknownMetricError = null;
+    try {
+      registry.getLeaderboard('distance');
+    } catch (e) {
+      unknownMetricError = e.message;
+    }
+    const leaderboards = {
+      lastDay: registry.getLeaderboard('steps', {to: '2020-09-20', days: 1}),
+      group: registry.getLeaderboard('workouts', {groupId: 'smiths'}),
+      runs: registry.getLeaderboard('workouts', {workoutType: 'run'}),
+      walkCalories: registry.getLeaderboard('caloriesPerWorkout', {workoutType: 'walking'}),
+      runCalories: registry.getLeaderboard('caloriesPerWorkout', {workoutType: 'run', from: '2020-09-22'})
+    };
+    registry.removeWearer('bob');
+    const prototypeNameGroup = registry.createGroup('constructor', {name: 'Constructors'});
+    let prototypeNameError = null;
+    try {
+      registry.getGroup('toString');
+    } catch (e) {
+      prototypeNameError = e.code;
+    }
+
+    const tests = [
+      {
+        title: 'Wearers with the same total steps share a rank',
+        actual: format(stepsLeaderboard),
+        expected: '1:alice:1000,1:bob:1000,3:carol:300'
+      },
+      {
+        title: 'Leaderboards can cover the last N days',
+        actual: format(leaderboards.lastDay),
+        expected: '1:bob:1000,2:alice:500,3:carol:0'
+      },
+      {
+        title: 'Group leaderboards only rank group members',
+        actual: format(leaderboards.group),
+        expected: '1:alice:2,2:bob:1'
+      },
+      {
+        title: 'Workout counts can be filtered by workout type',
+        actual: format(leaderboards.runs),
+        expected: '1:alice:1,2:bob:0,2:carol:0'
+      },
+      {
+        title: 'Calories per workout are ranked per workout type, with aliases',
+        actual: format(leaderboards.walkCalories),
+        expected: '1:bob:40,2:alice:30,3:carol:25'
+      },
+      {
+        title: 'Wearers without workouts of the type are left out',
+        actual: format(leaderboards.runCalories),
+        expected: '1:alice:90'
+      },
+      {
+        title: 'Unknown metrics are rejected',
+        actual: unknownMetricError,
+        expected: 'Leaderboard metric must be "steps", "workouts" or "caloriesPerWorkout"'
+      },
+      {
+        title: 'Groups can be restored',
+        actual: restoredRegistry.listGroups().map(group => `${group.name}:${group.wearerIds.join('+')}`).join(','),
+        expected: 'The Smiths:alice+bob'
+      },
+      {
+        title: 'Removed wearers leave their groups',
+        actual: `${registry.listWearers().join(',')}/${registry.getGroup('smiths').wearerIds.join(',')}`,
+        expected: 'alice,carol/alice'
+      },
+      {
+        title: 'Groups can be named like Object.prototype properties',
+        actual: `${prototypeNameGroup.name}/${registry.getGroup('constructor').wearerIds.length}/${prototypeNameError}`,
+        expected: 'Constructors/0/group_not_found'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test goals and streaks.
+   */
+  testGoals() {
+    const wearer = new Wearer();
+    const day = 86400;
+    const startTime = 1600565100;
+    // 2020-09-20 to 2020-09-25, one 4 minute walk a day
+    [[600, 600], [500, 500], [500, 500], [750, 750], [1250, 1250], [1050, 1050]].forEach((stepsData, index) => {
+      wearer.startWorkout({
+        workoutId: index + 1,
+        workoutType: 'walk',
+        startTime: startTime + index * day,
+        endTime: startTime + index * day + 240,
+        stepsData: stepsData,
+        caloriesBurnedData: [10, 10]
+      });
+      wearer.endWorkout();
+    });
+    wearer.setGoal({metric: 'steps', period: 'daily', target: 1000, effectiveDate: '2020-09-20'});
+    wearer.setGoal({metric: 'steps', period: 'daily', target: 2000, effectiveDate: '2020-09-23'});
+    wearer.setGoal({metric: 'workouts', period: 'weekly', target: 3, effectiveDate: '2020-09-14'});
+    wearer.setGoal({metric: 'activeMinutes', period: 'daily', target: 4, effectiveDate: '2020-09-25'});
+
+    const stepsEvaluations = wearer.evaluateGoal('steps', 'daily', {to: '2020-09-25'});
+    console.log('daily steps goal:', stepsEvaluations);
+    console.log();
+    const restoredWearer = new Wearer();
+    restoredWearer.restore(JSON.parse(JSON.stringify(wearer.toJSON())));
+    let invalidGoalError = null;
+    try {
+      wearer.setGoal({metric: 'distance', period: 'daily', target: 5});
+    } catch (e) {
+      invalidGoalError = e.message;
+    }
+
+    const tests = [
+      {
+        title: 'Each day is evaluated against the target in effect that day',
+        actual: stepsEvaluations.map(evaluation => evaluation.target).join(','),
+        expected: '1000,1000,1000,2000,2000,2000'
+      },
+      {
+        title: 'Progress is a percentage of the target',
+        actual: stepsEvaluations.map(evaluation => evaluation.progress).join(','),
+        expected: '120,100,100,75,125,105'
+      },
+      {
+        title: 'Completed days are detected',
+        actual: stepsEvaluations.filter(evaluation => evaluation.completed).map(evaluation => evaluation.date).join(','),
+        expected: '2020-09-20,2020-09-21,2020-09-22,2020-09-24,2020-09-25'
+      },
+      {
+        title: 'Current and longest daily streaks',
+        actual: JSON.stringify(wearer.getGoalStreaks('steps', 'daily', {to: '2020-09-25'})),
+        expected: '{"current":2,"longest":3}'
+      },
+      {
+        title: 'The day in progress does not break the current streak',
+        actual: wearer.getGoalStreaks('steps', 'daily', {to: '2020-09-26'}).current,
+        expected: 2
+      },
+      {
+        title: 'A missed day breaks the current streak',
+        actual: wearer.getGoalStreaks('steps', 'daily', {to: '2020-09-27'}).current,
+        expected: 0
+      },
+      {
+        title: 'Weekly workout goals count workouts from Monday to Sunday',
+        actual: wearer.evaluateGoal('workouts', 'weekly', {to: '2020-09-25'}).map(evaluation => `${evaluation.date}:${evaluation.value}`).join(','),
+        expected: '2020-09-14:1,2020-09-21:5'
+      },
+      {
+        title: 'Active minutes are the moving time of workouts',
+        actual: wearer.evaluateGoal('activeMinutes', 'daily', {to: '2020-09-25'})[0].progress,
+        expected: 100
+      },
+      {
+        title: 'Goal history is saved with the wearer',
+        actual: `${restoredWearer.getGoal('steps', 'daily', '2020-09-22')}/${restoredWearer.getGoal('steps', 'daily', '2020-09-23')}`,
+        expected: '1000/2000'
+      },
+      {
+        title: 'Unknown goal metrics are rejected',
+        actual: invalidGoalError,
+        expected: 'Goal metric must be one of steps, caloriesBurned, activeMinutes, workouts'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test wearer and workout events.
+   */
+  testEvents() {
+    const wearer = new Wearer(null, {profile: {heartRateThreshold: 150}});
+    const day = 86400;
+    const startTime = 1600565100;
+    wearer.setGoal({metric: 'steps', period: 'daily', target: 1000, effectiveDate: '2020-09-20'});
+    wearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: startTime, endTime: startTime + 240, stepsData: [400, 400], caloriesBurnedData: [10, 10]});
+    wearer.endWorkout();
+
+    const events = [];
+    const payloads = {};
+    const record = (emitter, eventName) => {
+      emitter.on(eventName, payload => {
+        events.push(eventName);
+        payloads[eventName] = payload;
+      });
+    };
+    ['workoutStarted', 'workoutEnded', 'goalReached', 'heartRateAboveThreshold', 'dailyRecord'].forEach(eventName => {
+      record(wearer, eventName);
+    });
+    wearer.on('workoutStarted', ({workout}) => {
+      ['paused', 'resumed', 'lap', 'finished'].forEach(eventName => record(workout, eventName));
+    });
+
+    const nextStartTime = startTime + day;
+    wearer.startWorkout({workoutType: 'walk', startTime: nextStartTime});
+    wearer.storeHeartRateData({heartRate: 140, timeWhenMeasured: nextStartTime + 60});
+    wearer.storeHeartRateData({heartRate: 160, timeWhenMeasured: nextStartTime + 120});
+    wearer.storeHeartRateData({heartRate: 170, timeWhenMeasured: nextStartTime + 180});
+    wearer.addSteps({additionalSteps: 600, timeWhenMeasured: nextStartTime + 180});
+    wearer.pauseWorkout({pauseTime: nextStartTime + 200});
+    wearer.resumeWorkout({resumeTime: nextStartTime + 260});
+    wearer.storeHeartRateData({heartRate: 140, timeWhenMeasured: nextStartTime + 300});
+    wearer.storeHeartRateData({heartRate: 155, timeWhenMeasured: nextStartTime + 360});
+    wearer.markLap({lapTime: nextStartTime + 360});
+    wearer.addSteps({additionalSteps: 600, timeWhenMeasured: nextStartTime + 420});
+    wearer.endWorkout({workoutId: 2, endTime: nextStartTime + 480});
+    let stateError = null;
+    try {
+      wearer.endWorkout({workoutId: 3});
+    } catch (e) {
+      stateError = e;
+    }
+    console.log('events:', events);
+    console.log();
+
+    const tests = [
+      {
+        title: 'Events are emitted in the order things happen',
+        actual: events.join(','),
+        expected: 'workoutStarted,heartRateAboveThreshold,paused,resumed,heartRateAboveThreshold,lap,lap,finished,' +
+          'workoutEnded,goalReached,dailyRecord'
+      },
+      {
+        title: 'workoutStarted carries the workout type and start time',
+        actual: `${payloads.workoutStarted.workoutType}/${payloads.workoutStarted.startTime}`,
+        expected: 'walk/1600651500'
+      },
+      {
+        title: 'heartRateAboveThreshold carries the heart rate and threshold',
+        actual: `${payloads.heartRateAboveThreshold.heartRate}/${payloads.heartRateAboveThreshold.threshold}`,
+        expected: '155/150'
+      },
+      {
+        title: 'paused carries the pause time',
+        actual: `${payloads.paused.pauseTime}/${payloads.paused.isAutoPause}`,
+        expected: '1600651700/false'
+      },
+      {
+        title: 'workoutEnded carries the workout summary',
+        actual: `${payloads.workoutEnded.workoutId}/${payloads.workoutEnded.steps}`,
+        expected: '2/1200'
+      },
+      {
+        title: 'goalReached carries the goal and the day it was reached',
+        actual: JSON.stringify(payloads.goalReached),
+        expected: '{"metric":"steps","period":"daily","date":"2020-09-21","target":1000,"value":1200}'
+      },
+      {
+        title: 'dailyRecord carries the new and previous record',
+        actual: `${payloads.dailyRecord.metric}/${payloads.dailyRecord.value}/${payloads.dailyRecord.previousRecord}`,
+        expected: 'steps/1200/800'
+      },
+      {
+        title: 'Requests that cannot be carried out throw a WorkoutStateError',
+        actual: `${stateError instanceof WorkoutStateError}/${stateError.code}/${stateError.message}`,
+        expected: 'true/no_workout_in_progress/There is no workout in progress'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test abnormal heart rate alerts.
+   */
+  testHeartRateAlerts() {
+    const startTime = 1600560000;
+    const wearer = new Wearer(null, {heartRateAlertSettings: {highResting: {durationSeconds: 300}}});
+    const emittedAlerts = [];
+    wearer.on('heartRateAlert', alert => emittedAlerts.push(alert.type));
+    const restingHeartRates = [70, 72, 115, 110, 108, 112, 105, 104, 80, 0, 300, 38, 38, 38, 38, 38, 38, 38, 38, 38, 38, 38, 36];
+    restingHeartRates.forEach((heartRate, index) => {
+      wearer.storeHeartRateData({heartRate: heartRate, timeWhenMeasured: startTime + index * 60});
+    });
+    // a hard workout isn't abnormal
+    const workoutStartTime = startTime + 3600;
+    wearer.startWorkout({workoutType: 'run', startTime: workoutStartTime});
+    for (let minute = 1; minute <= 15; minute++) {
+      wearer.storeHeartRateData({heartRate: minute === 1 ? 90 : 165, timeWhenMeasured: workoutStartTime + minute * 60});
+    }
+    wearer.endWorkout({workoutId: 1, endTime: workoutStartTime + 960});
+    const alerts = wearer.getHeartRateAlerts();
+    console.log('alerts:', alerts);
+    console.log();
+    const format = alert => `${alert.type}:${alert.startTime - startTime}-${alert.endTime - startTime}:${alert.heartRate}`;
+    const restoredWearer = new Wearer();
+    restoredWearer.restore(JSON.parse(JSON.stringify(wearer.toJSON())));
+
+    const tests = [
+      {
+        title: 'Alerts are emitted as they occur',
+        actual: emittedAlerts.join(','),
+        expected: 'spike,highResting,implausible,implausible,low'
+      },
+      {
+        title: 'A sudden rise during rest is a spike',
+        actual: `${format(alerts[0])}/${alerts[0].baseline}`,
+        expected: 'spike:120-120:115/70'
+      },
+      {
+        title: 'Sustained high resting heart rate is detected after the configured duration',
+        actual: format(wearer.getHeartRateAlerts({type: 'highResting'})[0]),
+        expected: 'highResting:120-420:115'
+      },
+      {
+        title: 'Sustained low heart rate follows the low period until it ends',
+        actual: format(wearer.getHeartRateAlerts({type: 'low'})[0]),
+        expected: 'low:660-1320:36'
+      },
+      {
+        title: 'Implausible readings are flagged',
+        actual: wearer.getHeartRateAlerts({type: 'implausible'}).map(alert => alert.heartRate).join(','),
+        expected: '0,300'
+      },
+      {
+        title: 'Alerts can be queried by time range',
+        actual: wearer.getHeartRateAlerts({from: startTime + 500, to: startTime + 700}).map(alert => alert.type).join(','),
+        expected: 'implausible,implausible,low'
+      },
+      {
+        title: 'Alerts and settings are saved with the wearer',
+        actual: `${restoredWearer.getHeartRateAlerts().length}/${restoredWearer.heartRateAlerts.settings.highResting.durationSeconds}`,
+        expected: '5/300'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test recorded and inferred sleep.
+   */
+  testSleep() {
+    const wearer = new Wearer();
+    // 2020-09-19 22:00 UTC, heart rate every 5 minutes
+    const eveningTime = 1600552800;
+    const getNightHeartRate = minutes => {
+      if (minutes < 60 || minutes >= 510) {
+        return 75 + (minutes >= 510 ? 5 : 0);
+      } else if (minutes < 180 || (minutes >= 310 && minutes < 420)) {
+        return 56;
+      } else if (minutes < 300) {
+        return 48;
+      } else if (minutes < 310) {
+        // woke up for 10 minutes
+        return 75;
+      }
+      return 64;
+    };
+    for (let minutes = 0; minutes <= 540; minutes += 5) {
+      wearer.storeHeartRateData({heartRate: getNightHeartRate(minutes), timeWhenMeasured: eveningTime + minutes * 60});
+    }
+    const inferredSessions = wearer.inferSleep();
+    console.log('inferred sleep:', inferredSessions[0]);
+    console.log();
+
+    // 2020-09-20 23:00 UTC to 2020-09-21 07:00 UTC
+    const nextNightTime = eveningTime + 86400 + 3600;
+    wearer.recordSleep({
+      startTime: nextNightTime,
+      endTime: nextNightTime + 8 * 3600,
+      stages: [
+        {stage: 'deep', startTime: nextNightTime + 3600, endTime: nextNightTime + 2 * 3600},
+        {stage: 'awake', startTime: nextNightTime + 4 * 3600, endTime: nextNightTime + 4.5 * 3600}
+      ]
+    });
+
+    // a quiet afternoon on 2020-09-21 with a short walk in the middle
+    const afternoonTime = eveningTime + 2 * 86400 - 9 * 3600;
+    for (let minutes = 0; minutes <= 240; minutes += 5) {
+      wearer.storeHeartRateData({heartRate: 55, timeWhenMeasured: afternoonTime + minutes * 60});
+    }
+    wearer.startWorkout({
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: afternoonTime + 2 * 3600,
+      endTime: afternoonTime + 2 * 3600 + 240,
+      stepsData: [200, 200],
+      caloriesBurnedData: [10, 10]
+    });
+    wearer.endWorkout();
+    const afternoonSessions = wearer.inferSleep({from: afternoonTime});
+
+    let overlapError = null;
+    try {
+      wearer.recordSleep({startTime: nextNightTime + 3600, endTime: nextNightTime + 2 * 3600});
+    } catch (e) {
+      overlapError = e.message;
+    }
+    const [firstNight, secondNight] = wearer.getSleepSummary();
+    const format = summary => ['timeAsleep', 'light', 'deep', 'rem', 'awake'].map(key => summary[key]).join(',');
+
+    const tests = [
+      {
+        title: 'Sleep is inferred from a long stretch of low resting heart rate',
+        actual: `${inferredSessions.length}/${inferredSessions[0].startTime - eveningTime}/${inferredSessions[0].endTime - eveningTime}`,
+        expected: '1/3600/30300'
+      },
+      {
+        title: 'Inferred stages follow the heart rate',
+        actual: inferredSessions[0].stages.map(stage => stage.stage).join(','),
+        expected: 'light,deep,awake,light,rem'
+      },
+      {
+        title: 'Nightly summary of inferred sleep',
+        actual: `${firstNight.daysSinceUnixEpoch}/${format(firstNight)}`,
+        expected: '18525/26100,13800,7200,5100,600'
+      },
+      {
+        title: 'Nightly summary of recorded sleep; unstaged time is light sleep',
+        actual: `${secondNight.daysSinceUnixEpoch}/${format(secondNight)}`,
+        expected: '18526/27000,23400,3600,0,1800'
+      },
+      {
+        title: 'Movement breaks up inferred sleep',
+        actual: afternoonSessions.length,
+        expected: 0
+      },
+      {
+        title: 'Recorded sessions cannot overlap',
+        actual: overlapError,
+        expected: 'There is already a sleep session recorded at that time'
+      },
+      {
+        title: 'Average sleep over N day period',
+        actual: `${wearer.getAverageSleepDuration(2)}/${wearer.getAverageSleepDuration(1)}/${wearer.getAverageSleepDuration(2, 'deep')}`,
+        expected: '26550/27000/5400'
+      },
+      {
+        title: 'Movement periods are merged in chronological order for sleep inference',
+        actual: JSON.stringify(SleepAnalyzer.mergePeriods([
+          {startTime: 600, endTime: 900},
+          {startTime: 0, endTime: 120},
+          {startTime: 120, endTime: 240},
+          {startTime: 700, endTime: 800}
+        ])),
+        expected: JSON.stringify([{startTime: 0, endTime: 240}, {startTime: 600, endTime: 900}])
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test all-day steps and calories burned.
+   */
+  testBackgroundData() {
+    const wearer = new Wearer();
+    // 2020-09-20 08:00 UTC, 20 steps and 2 calories a minute
+    const hourStart = 1600588800;
+    const storeMinute = minute => {
+      wearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 20, caloriesBurned: 2});
+    };
+    for (let minute = 0; minute < 30; minute++) {
+      storeMinute(minute);
+    }
+    // the watch keeps sending all-day data during a 10 minute workout
+    wearer.startWorkout({workoutType: 'walk', startTime: hourStart + 30 * 60});
+    for (let minute = 30; minute < 40; minute++) {
+      storeMinute(minute);
+      if (minute % 5 === 4) {
+        wearer.addSteps({additionalSteps: 150, timeWhenMeasured: hourStart + (minute + 1) * 60});
+        wearer.addCaloriesBurned({additionalCaloriesBurned: 15, timeWhenMeasured: hourStart + (minute + 1) * 60});
+      }
+    }
+    wearer.endWorkout({workoutId: 1, endTime: hourStart + 40 * 60});
+    for (let minute = 40; minute < 60; minute++) {
+      storeMinute(minute);
+    }
+
+    // all-day data synced before a workout that covers it
+    const lateWearer = new Wearer();
+    for (let minute = 60; minute < 70; minute++) {
+      lateWearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 20});
+    }
+    lateWearer.startWorkout({
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: hourStart + 3600,
+      endTime: hourStart + 4200,
+      stepsData: [100, 100, 100, 100, 100],
+      caloriesBurnedData: [10, 10, 10, 10, 10]
+    });
+    lateWearer.endWorkout();
+
+    // goals and daily records are reached by all-day steps too
+    const eventWearer = new Wearer();
+    const events = [];
+    eventWearer.on('goalReached', event => events.push(`goalReached:${event.date}:${event.value}`));
+    eventWearer.on('dailyRecord', event => events.push(`dailyRecord:${event.date}:${event.value}`));
+    eventWearer.setGoal({metric: 'steps', period: 'daily', target: 500, effectiveDate: '2020-09-19'});
+    eventWearer.storeBackgroundData({startTime: hourStart - 86400, endTime: hourStart - 86400 + 60, steps: 300});
+    for (let minute = 0; minute < 6; minute++) {
+      eventWearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 100});
+    }
+
+    // a backfill of several days sent as one batch
+    const backfillWearer = new Wearer();
+    const backfillEvents = [];
+    backfillWearer.on('goalReached', event => backfillEvents.push(`${event.period}:${event.date}`));
+    backfillWearer.setGoal({metric: 'steps', period: 'daily', target: 500, effectiveDate: '2020-09-19'});
+    backfillWearer.setGoal({metric: 'steps', period: 'weekly', target: 1000, effectiveDate: '2020-09-19'});
+    const backfill = [];
+    [0, 1, 2].forEach(day => {
+      for (let minute = 0; minute < 6; minute++) {
+        const sampleStart = hourStart + day * 86400 + minute * 60;
+        backfill.push({startTime: sampleStart, endTime: sampleStart + 60, steps: 100});
+      }
+    });
+    backfillWearer.storeBackgroundData(backfill);
+    let rejectedBackfillError = null;
+    try {
+      backfillWearer.storeBackgroundData([{startTime: hourStart + 3 * 86400, endTime: hourStart + 3 * 86400 + 60, steps: 100}, {startTime: hourStart, endTime: hourStart, steps: 100}]);
+    } catch (error) {
+      rejectedBackfillError = error.field;
+    }
+
+    const hourlySteps = wearer.getHourlyTotals('steps', '2020-09-20');
+    const dstWearer = new Wearer(null, {timeZone: 'America/Los_Angeles'});
+    console.log('hourly steps at 08:00:', hourlySteps[8]);
+    console.log();
+
+    const tests = [
+      {
+        title: 'Daily steps include steps outside workouts without counting workout time twice',
+        actual: wearer.getDataSummary('steps')[0].steps,
+        expected: 1300
+      },
+      {
+        title: 'Daily calories include calories outside workouts without counting workout time twice',
+        actual: wearer.getDataSummary('caloriesBurned')[0].caloriesBurned,
+        expected: 130
+      },
+      {
+        title: 'All-day data is no longer counted once a workout covering it is stored',
+        actual: lateWearer.getDataSummary('steps')[0].steps,
+        expected: 500
+      },
+      {
+        title: 'Hourly totals',
+        actual: `${hourlySteps.length}/${hourlySteps[7].steps}/${hourlySteps[8].hour}/${hourlySteps[8].steps}`,
+        expected: '24/0/8/1300'
+      },
+      {
+        title: 'Hourly calories burned',
+        actual: wearer.getHourlyTotals('caloriesBurned', '2020-09-20')[8].caloriesBurned,
+        expected: 130
+      },
+      {
+        title: 'Daily totals include days without data',
+        actual: wearer.getDailyTotals('steps', {from: '2020-09-19', to: '2020-09-21'}).map(data => `${data.date}:${data.steps}`).join(','),
+        expected: '2020-09-19:0,2020-09-20:1300,2020-09-21:0'
+      },
+      {
+        title: 'All-day steps emit goalReached and dailyRecord once each',
+        actual: events.join(','),
+        expected: 'dailyRecord:2020-09-20:400,goalReached:2020-09-20:500'
+      },
+      {
+        title: 'A batch of all-day data emits each goal once per day or week reached',
+        actual: backfillEvents.join(','),
+        expected: 'daily:2020-09-20,daily:2020-09-21,daily:2020-09-22,weekly:2020-09-21'
+      },
+      {
+        title: 'A batch with an invalid sample stores none of it',
+        actual: `${rejectedBackfillError}/${backfillWearer.backgroundData.rawData.length}/${backfillWearer.getDataSummary('steps').length}`,
+        expected: 'endTime/18/3'
+      },
+      {
+        title: 'The day DST ends has 25 hours',
+        actual: dstWearer.getHourlyTotals('steps', '2020-11-01').map(data => data.hour).slice(0, 4).join(',') +
+          `/${dstWearer.getHourlyTotals('steps', '2020-11-01').length}`,
+        expected: '0,1,1,2/25'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test time series queries.
+   */
+  testTimeSeries() {
+    const wearer = new Wearer();
+    // 2020-09-20 08:00 UTC
+    const hourStart = 1600588800;
+    for (let minute = 0; minute < 60; minute++) {
+      wearer.storeHeartRateData({heartRate: 60 + minute, timeWhenMeasured: hourStart + minute * 60});
+      if (minute < 30) {
+        wearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 20});
+      }
+    }
+    const values = buckets => buckets.map(bucket => bucket.value).join(',');
+    // more values than fit in a call's arguments
+    const manyValues = Array.from({length: 200000}, (value, index) => 60 + index % 100);
+    const threeHours = {from: hourStart - 3600, to: hourStart + 7200, resolution: 'hour'};
+    const heartRateSeries = wearer.getTimeSeries('heartRate', {from: hourStart, to: hourStart + 3600, resolution: '15min'});
+    console.log('15 minute heart rate:', heartRateSeries);
+    console.log();
+    const losAngelesWearer = new Wearer(null, {timeZone: 'America/Los_Angeles'});
+    const months = losAngelesWearer.getTimeSeries('steps', {from: 1600128000, to: 1605398400, resolution: 'month'});
+    let invalidResolutionError = null;
+    try {
+      wearer.getTimeSeries('steps', {from: hourStart, to: hourStart + 3600, resolution: 'second'});
+    } catch (e) {
+      invalidResolutionError = e.message;
+    }
+
+    const tests = [
+      {
+        title: 'Heart rate is averaged by default',
+        actual: values(heartRateSeries),
+        expected: '67,82,97,112'
+      },
+      {
+        title: 'Empty buckets are null unless filled',
+        actual: `${values(wearer.getTimeSeries('heartRate', Object.assign({aggregation: 'max'}, threeHours)))}/` +
+          wearer.getTimeSeries('heartRate', threeHours).map(bucket => bucket.count).join(','),
+        expected: ',119,/0,60,0'
+      },
+      {
+        title: 'Empty buckets can repeat the previous value',
+        actual: values(wearer.getTimeSeries('heartRate', Object.assign({fill: 'previous'}, threeHours))),
+        expected: ',89.5,89.5'
+      },
+      {
+        title: '95th percentile',
+        actual: wearer.getTimeSeries('heartRate', {from: hourStart, to: hourStart + 3600, aggregation: 'p95'})[0].value,
+        expected: 116
+      },
+      {
+        title: 'Steps are summed, with empty buckets filled with zero',
+        actual: values(wearer.getTimeSeries('steps', {from: hourStart, to: hourStart + 3600, resolution: '15min'})),
+        expected: '300,300,0,0'
+      },
+      {
+        title: 'Daily resolution',
+        actual: values(wearer.getTimeSeries('steps', {from: 1600473600, to: 1600732800, resolution: 'day'})),
+        expected: '0,600,0'
+      },
+      {
+        title: 'Minimum and maximum work for very large buckets',
+        actual: `${TimeSeries.aggregate(manyValues, 'min')}/${TimeSeries.aggregate(manyValues, 'max')}`,
+        expected: '60/159'
+      },
+      {
+        title: 'Weekly buckets start on Monday',
+        actual: new Date(wearer.getTimeSeries('steps', {from: hourStart, to: hourStart + 3600, resolution: 'week'})[0].startTime * 1000).toISOString(),
+        expected: '2020-09-14T00:00:00.000Z'
+      },
+      {
+        title: 'Monthly buckets start at local midnight',
+        actual: months.map(bucket => new Date(bucket.startTime * 1000).toISOString().slice(0, 13)).join(','),
+        expected: '2020-09-01T07,2020-10-01T07,2020-11-01T07'
+      },
+      {
+        title: 'Unknown resolutions are rejected',
+        actual: invalidResolutionError,
+        expected: 'Resolution must be one of minute, 15min, hour, day, week, month'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test daily resting heart rate.
+   */
+  testRestingHeartRate() {
+    const wearer = new Wearer();
+    const firstDay = TimeZone.parseDate('2020-09-21');
+    const dayStart = firstDay * 86400;
+    // 2 hours of samples every 5 minutes: 70 bpm, then 60 bpm after an hour
+    for (let minute = 0; minute <= 120; minute += 5) {
+      wearer.storeHeartRateData({heartRate: minute < 60 ? 70 : 60, timeWhenMeasured: dayStart + minute * 60});
+    }
+    // a sensor dropout
+    wearer.storeHeartRateData({heartRate: 0, timeWhenMeasured: dayStart + 62 * 60});
+    // a few readings on later days, skipping a day
+    [[1, 62], [2, 64], [3, 66], [5, 68]].forEach(([dayOffset, heartRate]) => {
+      const startTime = (firstDay + dayOffset) * 86400 + 3600;
+      [heartRate - 1, heartRate + 1].forEach((value, index) => {
+        wearer.storeHeartRateData({heartRate: value, timeWhenMeasured: startTime + index * 300});
+      });
+    });
+    const dailyValues = wearer.getDailyRestingHeartRates();
+    const stats = wearer.getRestingHeartRateStats(3);
+
+    let rangeError = null;
+    try {
+      wearer.getAverageRestingHeartRate(0);
+    } catch (error) {
+      rangeError = error.message;
+    }
+
+    let tests = [
+      {
+        title: 'A day with 30 minutes of continuous data uses the lowest 30 minute average',
+        actual: `${dailyValues[0].date}/${dailyValues[0].restingHeartRate}/${dailyValues[0].method}`,
+        expected: '2020-09-21/60/lowestWindowAverage'
+      },
+      {
+        title: 'Implausible readings are left out',
+        actual: dailyValues[0].samples,
+        expected: 25
+      },
+      {
+        title: 'Shorter days fall back to the average of their samples',
+        actual: dailyValues.slice(1).map(day => `${day.restingHeartRate}/${day.method}`).join(','),
+        expected: '62/mean,64/mean,66/mean,68/mean'
+      },
+      {
+        title: 'N day average ends on the latest day and skips days without data',
+        actual: `${wearer.getAverageRestingHeartRate(3)}/${wearer.getAverageRestingHeartRate(1)}/${wearer.getAverageRestingHeartRate(30)}`,
+        expected: '67/68/64'
+      },
+      {
+        title: 'Rolling N day averages',
+        actual: stats.rollingAverages.map(day => `${day.date.slice(5)}:${day.average}`).join(','),
+        expected: '09-21:60,09-22:61,09-23:62,09-24:64,09-26:67'
+      },
+      {
+        title: 'Trend over N day period',
+        actual: `${stats.trend.slope}/${stats.trend.direction}/${wearer.getRestingHeartRateStats(1).trend.direction}`,
+        expected: '1/rising/steady'
+      },
+      {
+        title: 'Wearers without heart rate data',
+        actual: `${new Wearer().getAverageRestingHeartRate(7)}/${new Wearer().getRestingHeartRateStats(7).trend.direction}`,
+        expected: '0/steady'
+      },
+      {
+        title: 'N day period must be a positive integer',
+        actual: rangeError,
+        expected: 'nDayPeriod must be a positive integer'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test personal records and trends.
+   */
+  testRecordsAndTrends() {
+    const wearer = new Wearer();
+    const day = 86400;
+    // 2020-09-20
+    const startTime = 1600565100;
+    const newRecords = [];
+    [
+      {workoutId: 1, workoutType: 'walk', startTime: startTime, endTime: startTime + 240, stepsData: [400, 400], caloriesBurnedData: [10, 10]},
+      {workoutId: 2, workoutType: 'run', startTime: startTime + day, endTime: startTime + day + 600, stepsData: [1000, 1000], caloriesBurnedData: [50, 50]},
+      {workoutId: 3, workoutType: 'walk', startTime: startTime + 2 * day, endTime: startTime + 2 * day + 240, stepsData: [700, 700], caloriesBurnedData: [15, 15]}
+    ].forEach(watchData => {
+      wearer.startWorkout(watchData);
+      newRecords.push(wearer.endWorkout().newRecords.join(' '));
+    });
+    const stepsTrend = wearer.getTrend('steps', 3);
+    wearer.startWorkout({workoutId: 4, workoutType: 'walk', startTime: startTime + 9 * day, endTime: startTime + 9 * day + 240, stepsData: [500, 500], caloriesBurnedData: [5, 5]});
+    newRecords.push(wearer.endWorkout().newRecords.join(' '));
+    const records = wearer.getPersonalRecords();
+    const weekChange = wearer.getPeriodChange('steps', 'week', {to: '2020-09-29'});
+    const monthChange = wearer.getPeriodChange('steps', 'month', {to: '2020-10-21'});
+
+    let categoryError = null;
+    try {
+      wearer.getTrend('heartRate', 7);
+    } catch (error) {
+      categoryError = error.message;
+    }
+
+    let tests = [
+      {
+        title: 'Most steps in a day',
+        actual: `${records.mostStepsInADay.date}/${records.mostStepsInADay.value}`,
+        expected: '2020-09-21/2000'
+      },
+      {
+        title: 'Longest workout by moving time',
+        actual: `${records.longestWorkout.workoutId}/${records.longestWorkout.workoutType}/${records.longestWorkout.value}`,
+        expected: '2/run/600'
+      },
+      {
+        title: 'Most calories in a workout for each workout type',
+        actual: Object.keys(records.mostCaloriesInAWorkout).sort().map(workoutType => {
+          const record = records.mostCaloriesInAWorkout[workoutType];
+          return `${workoutType}:${record.workoutId}/${record.value}`;
+        }).join(','),
+        expected: 'run:2/100,walk:3/30'
+      },
+      {
+        title: 'Fastest lap by step rate',
+        actual: `${records.fastestLap.workoutId}/${records.fastestLap.lapNumber}/${records.fastestLap.value}`,
+        expected: '3/1/350'
+      },
+      {
+        title: 'endWorkout flags the records a workout beat, but not first or tied values',
+        actual: newRecords.join(','),
+        expected: ',mostStepsInADay longestWorkout,mostCaloriesInAWorkout fastestLap,'
+      },
+      {
+        title: 'Wearers without workouts have no records',
+        actual: JSON.stringify(new Wearer().getPersonalRecords()),
+        expected: '{"mostStepsInADay":null,"longestWorkout":null,"mostCaloriesInAWorkout":{},"fastestLap":null}'
+      },
+      {
+        title: 'Week-over-week change compares the same days of last week',
+        actual: `${weekChange.current.from}..${weekChange.current.to}:${weekChange.current.value}/` +
+          `${weekChange.previous.from}..${weekChange.previous.to}:${weekChange.previous.value}/` +
+          `${weekChange.change}/${weekChange.percentChange.toFixed(1)}`,
+        expected: '2020-09-28..2020-09-29:1000/2020-09-21..2020-09-22:3400/-2400/-70.6'
+      },
+      {
+        title: 'Month-over-month change',
+        actual: `${monthChange.previous.from}..${monthChange.previous.to}:${monthChange.previous.value}/${monthChange.percentChange}`,
+        expected: '2020-09-01..2020-09-21:2800/-100'
+      },
+      {
+        title: 'Last month is cut short at its last day',
+        actual: wearer.getPeriodChange('steps', 'month', {to: '2020-10-31'}).previous.to,
+        expected: '2020-09-30'
+      },
+      {
+        title: 'Percent change is null without data last period',
+        actual: wearer.getPeriodChange('steps', 'week', {to: '2020-09-22'}).percentChange,
+        expected: null
+      },
+      {
+        title: 'Steps trend over N days',
+        actual: `${stepsTrend.slope}/${stepsTrend.direction}`,
+        expected: '300/rising'
+      },
+      {
+        title: 'Resting heart rate trend without data is steady',
+        actual: wearer.getTrend('restingHeartRate', 7).direction,
+        expected: 'steady'
+      },
+      {
+        title: 'Unknown trend data categories are rejected',
+        actual: categoryError,
+        expected: 'Data category must be "steps", "caloriesBurned" or "restingHeartRate"'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test training load and recovery.
+   */
+  testTrainingLoad() {
+    const profile = {age: 30, restingHeartRate: 50, sex: 'male'};
+    const firstDay = TimeZone.parseDate('2020-09-01');
+    // 10 minutes at 120 bpm, halfway into the heart rate reserve
+    const recordWorkout = (wearer, dayOffset, workoutId) => {
+      const startTime = (firstDay + dayOffset) * 86400 + 36000;
+      wearer.startWorkout({workoutType: 'run', startTime: startTime});
+      for (let minute = 0; minute < 10; minute++) {
+        wearer.storeHeartRateData({heartRate: 120, timeWhenMeasured: startTime + minute * 60});
+      }
+      return wearer.endWorkout({workoutId: workoutId, endTime: startTime + 600});
+    };
+    const storeRestingHeartRates = (wearer, dayOffset, heartRates) => {
+      heartRates.forEach((heartRate, index) => {
+        wearer.storeHeartRateData({heartRate: heartRate, timeWhenMeasured: (firstDay + dayOffset) * 86400 + 10800 + index * 300});
+      });
+    };
+
+    const wearer = new Wearer(null, {profile: profile});
+    const summary = recordWorkout(wearer, 7, 1);
+    recordWorkout(wearer, 14, 2);
+    recordWorkout(wearer, 24, 3);
+    recordWorkout(wearer, 26, 4);
+    storeRestingHeartRates(wearer, 24, [49, 51]);
+    storeRestingHeartRates(wearer, 25, [50, 50]);
+    storeRestingHeartRates(wearer, 27, [52, 54]);
+    const loadRatio = wearer.getTrainingLoadRatio({to: '2020-09-28'});
+    const recovery = wearer.getRecoveryScore({to: '2020-09-28'});
+
+    const femaleWearer = new Wearer(null, {profile: Object.assign({}, profile, {sex: 'female'})});
+    const measuredWearer = new Wearer(null, {profile: {age: 30}});
+    storeRestingHeartRates(measuredWearer, 0, [48, 52]);
+    const withoutRestingHeartRate = new Wearer(null, {profile: {age: 30}});
+
+    let tests = [
+      {
+        title: 'Workout summaries include TRIMP training load',
+        actual: summary.trainingLoad.toFixed(2),
+        expected: (10 * 0.5 * 0.64 * Math.exp(1.92 * 0.5)).toFixed(2)
+      },
+      {
+        title: 'Training load is weighted less steeply for women',
+        actual: recordWorkout(femaleWearer, 0, 1).trainingLoad.toFixed(2),
+        expected: (10 * 0.5 * 0.64 * Math.exp(1.67 * 0.5)).toFixed(2)
+      },
+      {
+        title: 'The measured resting heart rate stands in for one not in the profile',
+        actual: recordWorkout(measuredWearer, 1, 1).trainingLoad.toFixed(2),
+        expected: summary.trainingLoad.toFixed(2)
+      },
+      {
+        title: 'Training load needs a resting heart rate',
+        actual: recordWorkout(withoutRestingHeartRate, 0, 1).trainingLoad,
+        expected: null
+      },
+      {
+        title: 'Acute and chronic loads are daily averages over 7 and 28 days',
+        actual: `${(loadRatio.acuteLoad / summary.trainingLoad).toFixed(4)}/${(loadRatio.chronicLoad / summary.trainingLoad).toFixed(4)}`,
+        expected: `${(2 / 7).toFixed(4)}/${(4 / 28).toFixed(4)}`
+      },
+      {
+        title: 'Acute:chronic load ratio',
+        actual: `${loadRatio.ratio}/${loadRatio.status}`,
+        expected: '2/veryHigh'
+      },
+      {
+        title: 'Recovery score combines load ratio with resting heart rate above baseline',
+        actual: `${recovery.score}/${recovery.restingHeartRate}/${recovery.baselineRestingHeartRate}`,
+        expected: '20/53/50'
+      },
+      {
+        title: 'Wearers without workouts or heart rate data have no recovery score',
+        actual: `${new Wearer().getTrainingLoadRatio({to: '2020-09-28'}).ratio}/${new Wearer().getRecoveryScore({to: '2020-09-28'}).score}`,
+        expected: 'null/null'
+      },
+      {
+        title: 'A recovery score needs a load ratio or a resting heart rate baseline',
+        actual: `${TrainingLoad.getRecoveryScore(null, 60, null)}/${TrainingLoad.getRecoveryScore(null, 62, 60)}/${TrainingLoad.getRecoveryScore(1.2, null, null)}`,
+        expected: 'null/80/80'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test input validation and typed errors.
+   */
+  testValidation() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    const getError = fn => {
+      try {
+        fn();
+      } catch (e) {
+        return e;
+      }
+      return null;
+    };
+    const describe = error => `${error.name}/${error.field}/${error.message}`;
+
+    const missingType = getError(() => wearer.startWorkout({startTime: startTime}));
+    const unknownType = getError(() => wearer.startWorkout({workoutType: 'parkour', startTime: startTime}));
+    const noWorkout = getError(() => wearer.addSteps({additionalSteps: 10}));
+    wearer.startWorkout({workoutType: 'walk', startTime: startTime});
+    const startedAgain = getError(() => wearer.startWorkout({workoutType: 'walk', startTime: startTime}));
+    const negativeSteps = getError(() => wearer.addSteps({additionalSteps: -5, timeWhenMeasured: startTime + 60}));
+    const negativeHeartRate = getError(() => wearer.storeHeartRateData({heartRate: -1, timeWhenMeasured: startTime + 60}));
+    // a sensor dropout is stored and flagged, but left out of the workout
+    wearer.storeHeartRateData({heartRate: 0, timeWhenMeasured: startTime + 30});
+    const textTimestamp = getError(() => wearer.storeHeartRateData({heartRate: 90, timeWhenMeasured: 'noon'}));
+    // a workout used on its own leaves out implausible heart rates too
+    const standaloneWorkout = new Workout({workoutType: 'run', startTime: startTime});
+    [0, 150, 400].forEach((heartRate, index) => {
+      standaloneWorkout.addHeartRate({heartRate: heartRate, timeWhenMeasured: startTime + (index + 1) * 60});
+    });
+    const standaloneSummary = standaloneWorkout.getWorkoutSummary();
+    const notPaused = getError(() => wearer.resumeWorkout({resumeTime: startTime + 60}));
+    wearer.pauseWorkout({pauseTime: startTime + 60});
+    const pausedAgain = getError(() => wearer.pauseWorkout({pauseTime: startTime + 90}));
+    const endedEarly = getError(() => wearer.endWorkout({workoutId: 1, endTime: startTime - 60}));
+    const endedDuringPause = getError(() => wearer.endWorkout({workoutId: 1, endTime: startTime + 30}));
+    const isStillInProgress = wearer.workoutInstance !== null && wearer.workoutInstance.steps === 0
+      && wearer.workoutInstance.workoutId === null && wearer.workoutInstance.endTime === null && wearer.workoutInstance.isPaused;
+    wearer.endWorkout({workoutId: 1, endTime: startTime + 120});
+
+    // a 10 minute walk with pauses from 1 to 3 minutes and from 4 to 5 minutes
+    const pausedWearer = new Wearer();
+    pausedWearer.startWorkout({workoutType: 'walk', startTime: startTime});
+    pausedWearer.pauseWorkout({pauseTime: startTime + 60});
+    pausedWearer.resumeWorkout({resumeTime: startTime + 180});
+    const overlappingPause = getError(() => pausedWearer.pauseWorkout({pauseTime: startTime + 120}));
+    pausedWearer.pauseWorkout({pauseTime: startTime + 240});
+    pausedWearer.resumeWorkout({resumeTime: startTime + 300});
+    const pausedSummary = pausedWearer.endWorkout({workoutId: 2, endTime: startTime + 600});
+
+    const apiServer = new ApiServer();
+    apiServer.route('POST', '/wearers', {id: 'wearer-1'});
+    apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    const invalidSample = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {type: 'steps', additionalSteps: -5});
+    const resumed = apiServer.route('POST', '/wearers/wearer-1/workouts/current/resume', {resumeTime: startTime + 60});
+    const dropoutBatch = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [
+        {type: 'heartRate', heartRate: 0, timeWhenMeasured: startTime + 60},
+        {type: 'heartRate', heartRate: 95, timeWhenMeasured: startTime + 120}
+      ]
+    });
+
+    const nullOptions = [
+      () => wearer.getGoalStreaks('steps', 'daily', null),
+      () => wearer.getPeriodChange('steps', 'week', null),
+      () => wearer.getTrainingLoadRatio(null),
+      () => wearer.getRecoveryScore(null),
+      () => wearer.getMinMaxSteps(1, 'max', null)
+    ].map(fn => describe(getError(fn)));
+    const missingFile = getError(() => wearer.importFile(path.join(os.tmpdir(), `fitness-watch-missing-${process.pid}.gpx`)));
+
+    let tests = [
+      {
+        title: 'startWorkout needs a workout type',
+        actual: describe(missingType),
+        expected: 'ValidationError/workoutType/workoutType is required'
+      },
+      {
+        title: 'Unknown workout types are rejected',
+        actual: describe(unknownType),
+        expected: 'ValidationError/workoutType/Unknown workout type: parkour'
+      },
+      {
+        title: 'Steps must not be negative',
+        actual: describe(negativeSteps),
+        expected: 'ValidationError/additionalSteps/additionalSteps must be a non-negative number'
+      },
+      {
+        title: 'Negative heart rates are rejected',
+        actual: describe(negativeHeartRate),
+        expected: 'ValidationError/heartRate/heartRate must be a non-negative number'
+      },
+      {
+        title: 'Heart rate dropouts are flagged as implausible and left out of the workout',
+        actual: `${wearer.getHeartRateAlerts({type: 'implausible'}).length}/${wearer.getDataSummary('heartRate').rawData.active.length}/${wearer.workoutData.rawData[0].samples.heartRate.length}`,
+        expected: '1/1/0'
+      },
+      {
+        title: 'Workouts leave implausible heart rates out of their stats',
+        actual: `${standaloneWorkout.samples.heartRate.length}/${standaloneSummary.averageHeartRate}/${standaloneSummary.peakHeartRate}`,
+        expected: '1/150/150'
+      },
+      {
+        title: 'Timestamps must be numbers',
+        actual: describe(textTimestamp),
+        expected: 'ValidationError/timeWhenMeasured/timeWhenMeasured must be a UNIX timestamp'
+      },
+      {
+        title: 'A workout cannot end before it starts, and stays in progress',
+        actual: `${describe(endedEarly)}/${isStillInProgress}`,
+        expected: 'ValidationError/endTime/endTime must not be before startTime/true'
+      },
+      {
+        title: 'A paused workout cannot end before the pause started',
+        actual: describe(endedDuringPause),
+        expected: 'ValidationError/endTime/endTime must not be before the pause started'
+      },
+      {
+        title: 'Pauses cannot overlap, so moving time stays right',
+        actual: `${describe(overlappingPause)}/${pausedSummary.movingTime}`,
+        expected: 'ValidationError/pauseTime/pauseTime must not be before the previous pause ended/420'
+      },
+      {
+        title: 'minOrMax must be "min" or "max"',
+        actual: describe(getError(() => wearer.getMinMaxSteps(1, 'median'))),
+        expected: 'ValidationError/minOrMax/minOrMax must be "min" or "max"'
+      },
+      {
+        title: 'Requests the workout state does not allow throw a WorkoutStateError',
+        actual: [noWorkout, startedAgain, notPaused, pausedAgain].map(error => `${error.name}:${error.code}`).join(','),
+        expected: 'WorkoutStateError:no_workout_in_progress,WorkoutStateError:workout_in_progress,' +
+          'WorkoutStateError:workout_not_paused,WorkoutStateError:workout_paused'
+      },
+      {
+        title: 'Errors share a base class',
+        actual: [negativeHeartRate, noWorkout].every(error => error instanceof FitnessWatchError && error instanceof Error)
+          && negativeHeartRate instanceof ValidationError,
+        expected: true
+      },
+      {
+        title: 'The API answers validation errors with 400',
+        actual: `${invalidSample.status}/${invalidSample.body.error.code}/${invalidSample.body.error.message}`,
+        expected: '400/invalid_input/additionalSteps must be a non-negative number'
+      },
+      {
+        title: 'The API answers workout state errors with 409',
+        actual: `${resumed.status}/${resumed.body.error.code}`,
+        expected: '409/workout_not_paused'
+      },
+      {
+        title: 'The API accepts a batch with a heart rate dropout',
+        actual: `${dropoutBatch.status}/${dropoutBatch.body.accepted}`,
+        expected: '202/2'
+      },
+      {
+        title: 'Options must be objects',
+        actual: nullOptions.every(error => error === 'ValidationError/options/options must be an object'),
+        expected: true
+      },
+      {
+        title: 'importWorkouts needs parsed workouts',
+        actual: describe(getError(() => wearer.importWorkouts(null))),
+        expected: 'ValidationError/importedData/importedData must be an object'
+      },
+      {
+        title: 'Importing a missing file throws a NotFoundError',
+        actual: `${missingFile instanceof NotFoundError}/${missingFile.code}`,
+        expected: 'true/file_not_found'
+      },
+      {
+        title: 'History documents must be valid JSON with the wearer data',
+        actual: [
+          getError(() => Wearer.importHistory('{"format":')),
+          getError(() => Wearer.importHistory({format: 'fitness-watch-history', version: 1, wearer: {id: 'wearer-1'}}))
+        ].map(describe).join(','),
+        expected: 'ValidationError/document/The history document is not valid JSON,ValidationError/stepsData/stepsData is required'
+      },
+      {
+        title: 'Workout type names must be strings',
+        actual: describe(getError(() => new WorkoutTypeRegistry().register(5))),
+        expected: 'ValidationError/name/name must be a non-empty string'
+      },
+      {
+        title: 'Heart rate reserve zones need a resting heart rate',
+        actual: describe(getError(() => HeartRateZones.getZoneThresholds({maxHeartRate: 190, heartRateZoneMethod: 'heartRateReserve'}))),
+        expected: 'ValidationError/restingHeartRate/The heart rate reserve method needs a resting heart rate'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Run test groups.
+   */
+  runTestGroups() {
+    const tests = [
+      {
+        title: 'Test single walk workout',
+        fn: this.testSingleWalkWorkout
+      },
+      {
+        title: 'Test minimum, maximum, and average steps',
+        fn: this.testStepsStats
+      },
+      {
+        title: 'Test average heart rate',
+        fn: this.testHeartRateStats
+      },
+      {
+        title: 'Test average calories per workout for each workout type',
+        fn: this.testCaloriesStats
+      },
+      {
+        title: 'Test streaming samples into a workout',
+        fn: this.testLiveSampleStreaming
+      },
+      {
+        title: 'Test pausing and resuming a workout',
+        fn: this.testPauseAndResume
+      },
+      {
+        title: 'Test laps and splits',
+        fn: this.testLaps
+      },
+      {
+        title: 'Test saving and loading wearers',
+        fn: this.testStorage
+      },
+      {
+        title: 'Test bucketing by local calendar day',
+        fn: this.testTimeZones
+      },
+      {
+        title: 'Test heart rate zones',
+        fn: this.testHeartRateZones
+      },
+      {
+        title: 'Test calorie estimation',
+        fn: this.testCalorieEstimation
+      },
+      {
+        title: 'Test the workout type registry',
+        fn: this.testWorkoutTypes
+      },
+      {
+        title: 'Test GPX and TCX export',
+        fn: this.testWorkoutExport
+      },
+      {
+        title: 'Test CSV and JSON history export',
+        fn: this.testHistoryExport
+      },
+      {
+        title: 'Test importing GPX, TCX and FIT files',
+        fn: this.testWorkoutImport
+      },
+      {
+        title: 'Test the HTTP API routes',
+        fn: this.testApiRoutes
+      },
+      {
+        title: 'Test the command-line interface',
+        fn: this.testCli
+      },
+      {
+        title: 'Test wearer groups and leaderboards',
+        fn: this.testLeaderboards
+      },
+      {
+        title: 'Test goals and streaks',
+        fn: this.testGoals
+      },
+      {
+        title: 'Test wearer and workout events',
+        fn: this.testEvents
+      },
+      {
+        title: 'Test abnormal heart rate alerts',
+        fn: this.testHeartRateAlerts
+      },
+      {
+        title: 'Test recorded and inferred sleep',
+        fn: this.testSleep
+      },
+      {
+        title: 'Test all-day steps and calories burned',
+        fn: this.testBackgroundData
+      },
+      {
+        title: 'Test time series queries',
+        fn: this.testTimeSeries
+      },
+      {
+        title: 'Test daily resting heart rate',
+        fn: this.testRestingHeartRate
+      },
+      {
+        title: 'Test personal records and trends',
+        fn: this.testRecordsAndTrends
+      },
+      {
+        title: 'Test training load and recovery',
+        fn: this.testTrainingLoad
+      },
+      {
+        title: 'Test input validation and typed errors',
+        fn: this.testValidation
       }
     ];
     tests.forEach((test, testIndex) => {
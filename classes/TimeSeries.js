@@ -0,0 +1,127 @@
+const TimeZone = require('./TimeZone');
+const Goals = require('./Goals');
+
+/**
+ * Class with helpers for resampling timestamped values into time buckets.
+ * Buckets follow the local calendar, so days, weeks and months start at
+ * local midnight and weeks start on Monday.
+ */
+class TimeSeries {
+  /**
+   * Get the resolutions a time series can have.
+   * @return {array} Resolution names.
+   */
+  static getResolutions() {
+    return ['minute', '15min', 'hour', 'day', 'week', 'month'];
+  }
+
+  /**
+   * Get the aggregations a time series can use.
+   * @return {array} Aggregation names.
+   */
+  static getAggregations() {
+    return ['sum', 'mean', 'min', 'max', 'p95'];
+  }
+
+  /**
+   * Get the start of the bucket containing a time.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} resolution - Bucket size (Ex: "hour").
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} UNIX timestamp when the bucket starts.
+   */
+  static getBucketStart(timestamp, resolution, timeZone) {
+    const fixedSizes = {minute: 60, '15min': 900, hour: 3600};
+    if (fixedSizes[resolution]) {
+      const localTime = timestamp + TimeZone.getOffset(timestamp, timeZone);
+      return timestamp - (((localTime % fixedSizes[resolution]) + fixedSizes[resolution]) % fixedSizes[resolution]);
+    }
+    let dayNumber = TimeZone.getDayNumber(timestamp, timeZone);
+    if (resolution === 'week') {
+      dayNumber = Goals.getWeekStart(dayNumber);
+    } else if (resolution === 'month') {
+      dayNumber = TimeZone.parseDate(`${TimeZone.formatDate(dayNumber).slice(0, 7)}-01`);
+    }
+    return TimeZone.getDayStart(dayNumber, timeZone);
+  }
+
+  /**
+   * Get the start of the bucket after the one starting at a time.
+   * @param {number} bucketStart - UNIX timestamp when a bucket starts.
+   * @param {string} resolution - Bucket size.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} UNIX timestamp when the next bucket starts.
+   */
+  static getNextBucketStart(bucketStart, resolution, timeZone) {
+    const fixedSizes = {minute: 60, '15min': 900, hour: 3600};
+    if (fixedSizes[resolution]) {
+      return bucketStart + fixedSizes[resolution];
+    }
+    const dayNumber = TimeZone.getDayNumber(bucketStart, timeZone);
+    let nextDayNumber = dayNumber + (resolution === 'week' ? 7 : 1);
+    if (resolution === 'month') {
+      const date = new Date(dayNumber * 86400000);
+      nextDayNumber = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 86400000;
+    }
+    return TimeZone.getDayStart(nextDayNumber, timeZone);
+  }
+
+  /**
+   * Aggregate values.
+   * @param {array} values - Numbers.
+   * @param {string} aggregation - The string "sum", "mean", "min", "max" or "p95".
+   * @return {number} Aggregated value.
+   */
+  static aggregate(values, aggregation) {
+    if (aggregation === 'sum') {
+      return values.reduce((acc, value) => acc + value, 0);
+    } else if (aggregation === 'mean') {
+      return values.reduce((acc, value) => acc + value, 0) / values.length;
+    } else if (aggregation === 'min') {
+      return values.reduce((acc, value) => Math.min(acc, value), Infinity);
+    } else if (aggregation === 'max') {
+      return values.reduce((acc, value) => Math.max(acc, value), -Infinity);
+    }
+    // nearest-rank 95th percentile
+    const sortedValues = values.slice().sort((a, b) => a - b);
+    return sortedValues[Math.ceil(sortedValues.length * 0.95) - 1];
+  }
+
+  /**
+   * Resample timestamped values into buckets covering [from, to).
+   * @param {array} points - Values ({time, value}) in chronological order.
+   * @param {object} options - Query options ({from, to, resolution, aggregation, fill, timeZone}); fill is "zero", "previous" or null for empty buckets.
+   * @return {array} Buckets ({startTime, endTime, value, count}); count is the number of values in the bucket.
+   */
+  static resample(points, options) {
+    const {from, to, resolution, aggregation, fill, timeZone} = options;
+    const buckets = [];
+    let pointIndex = 0;
+    while (pointIndex < points.length && points[pointIndex].time < from) {
+      pointIndex++;
+    }
+    let previousValue = null;
+    for (let startTime = TimeSeries.getBucketStart(from, resolution, timeZone); startTime < to;) {
+      const endTime = TimeSeries.getNextBucketStart(startTime, resolution, timeZone);
+      const values = [];
+      while (pointIndex < points.length && points[pointIndex].time < Math.min(endTime, to)) {
+        values.push(points[pointIndex].value);
+        pointIndex++;
+      }
+      let value = null;
+      if (values.length) {
+        value = TimeSeries.aggregate(values, aggregation);
+      } else if (fill === 'zero') {
+        value = 0;
+      } else if (fill === 'previous') {
+        value = previousValue;
+      }
+      previousValue = value;
+      buckets.push({startTime: startTime, endTime: endTime, value: value, count: values.length});
+      startTime = endTime;
+    }
+    return buckets;
+  }
+}
+
+module.exports = TimeSeries;
@@ -0,0 +1,144 @@
+const ValidationError = require('./ValidationError');
+
+/**
+ * Class with helpers for bucketing UNIX timestamps into local calendar days.
+ * Days are numbered like UTC days since the UNIX epoch, but follow the
+ * wearer's local calendar, so DST transition days are 23 or 25 hours long.
+ */
+class TimeZone {
+  /**
+   * Check that a time zone is a known IANA time zone.
+   * @param {string} timeZone - IANA time zone (Ex: "America/Los_Angeles").
+   * @return {boolean} Whether the time zone is known.
+   */
+  static isValid(timeZone) {
+    try {
+      TimeZone.getFormatter(timeZone);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached formatter for a time zone.
+   * @param {string} timeZone - IANA time zone.
+   * @return {Intl.DateTimeFormat} Formatter producing numeric date and time parts.
+   */
+  static getFormatter(timeZone) {
+    TimeZone.formatters = TimeZone.formatters || {};
+    if (!TimeZone.formatters[timeZone]) {
+      TimeZone.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    }
+    return TimeZone.formatters[timeZone];
+  }
+
+  /**
+   * Get the local date and time for a timestamp.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} timeZone - IANA time zone.
+   * @return {object} Numeric year, month, day, hour, minute and second.
+   */
+  static getLocalParts(timestamp, timeZone) {
+    const parts = {};
+    TimeZone.getFormatter(timeZone).formatToParts(new Date(timestamp * 1000)).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = Number(part.value);
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * Get the offset from UTC at a timestamp.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} Offset in seconds (Ex: -25200 for PDT).
+   */
+  static getOffset(timestamp, timeZone) {
+    const parts = TimeZone.getLocalParts(timestamp, timeZone);
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    return localAsUtc - Math.floor(timestamp);
+  }
+
+  /**
+   * Get the local calendar day for a timestamp.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} Days since the UNIX epoch in the local calendar.
+   */
+  static getDayNumber(timestamp, timeZone) {
+    const secondsPerDay = 86400;
+    if (timeZone === 'UTC') {
+      return Math.floor(timestamp / secondsPerDay);
+    }
+    const parts = TimeZone.getLocalParts(timestamp, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day) / 1000 / secondsPerDay;
+  }
+
+  /**
+   * Get the timestamp of local midnight at the start of a day.
+   * @param {number} dayNumber - Days since the UNIX epoch in the local calendar.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} UNIX timestamp.
+   */
+  static getDayStart(dayNumber, timeZone) {
+    const localMidnightAsUtc = dayNumber * 86400;
+    let timestamp = localMidnightAsUtc - TimeZone.getOffset(localMidnightAsUtc, timeZone);
+    // the offset can differ on either side of a DST transition, so check it again
+    timestamp = localMidnightAsUtc - TimeZone.getOffset(timestamp, timeZone);
+    return timestamp;
+  }
+
+  /**
+   * Get the length of a local calendar day.
+   * @param {number} dayNumber - Days since the UNIX epoch in the local calendar.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} Length in seconds (82800 or 90000 on DST transition days).
+   */
+  static getDayLength(dayNumber, timeZone) {
+    return TimeZone.getDayStart(dayNumber + 1, timeZone) - TimeZone.getDayStart(dayNumber, timeZone);
+  }
+
+  /**
+   * Parse a calendar date into a day number.
+   * @param {string} date - ISO 8601 date (Ex: "2020-09-20").
+   * @return {number} Days since the UNIX epoch.
+   */
+  static parseDate(date) {
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN;
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`Invalid date: ${date}`, 'date');
+    }
+    return time / 86400000;
+  }
+
+  /**
+   * Format a day number as a calendar date.
+   * @param {number} dayNumber - Days since the UNIX epoch.
+   * @return {string} ISO 8601 date (Ex: "2020-09-20").
+   */
+  static formatDate(dayNumber) {
+    return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Format a timestamp as a UTC time.
+   * @param {number} timestamp - UNIX timestamp.
+   * @return {string} ISO 8601 time (Ex: "2020-09-20T01:25:00Z").
+   */
+  static formatTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z');
+  }
+}
+
+module.exports = TimeZone;
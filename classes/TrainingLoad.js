@@ -0,0 +1,80 @@
+const HeartRateZones = require('./HeartRateZones');
+
+/**
+ * Class with helpers for training load and recovery.
+ * A workout's load is Banister's TRIMP: minutes of exercise weighted by how
+ * far the heart rate is into the heart rate reserve, exponentially, so hard
+ * minutes count for much more than easy ones. Acute load is the average daily
+ * load over 7 days and chronic load over 28 days; their ratio shows whether
+ * training is building faster than the wearer is used to.
+ */
+class TrainingLoad {
+  /**
+   * Get the training load of heart rate samples (Banister's TRIMP).
+   * Samples count for as long as HeartRateZones.getSampleDurations says.
+   * @param {array} heartRateSamples - Samples ({heartRate, timeWhenMeasured}) in chronological order.
+   * @param {number} endTime - UNIX timestamp when the last sample ends.
+   * @param {object} profile - Wearer profile ({age, maxHeartRate, restingHeartRate, sex}).
+   * @return {number} Training load, or null without samples, a maximum heart rate or a resting heart rate.
+   */
+  static getTrimp(heartRateSamples, endTime, profile) {
+    const maxHeartRate = HeartRateZones.getMaxHeartRate(profile);
+    const restingHeartRate = profile.restingHeartRate;
+    if (!heartRateSamples.length || !maxHeartRate || !restingHeartRate || maxHeartRate <= restingHeartRate) {
+      return null;
+    }
+    const weighting = profile.sex === 'female' ? 1.67 : 1.92;
+    const durations = HeartRateZones.getSampleDurations(heartRateSamples, endTime);
+    return heartRateSamples.reduce((load, sample, index) => {
+      const minutes = durations[index] / 60;
+      const reserve = Math.min(1, Math.max(0, (sample.heartRate - restingHeartRate) / (maxHeartRate - restingHeartRate)));
+      return load + minutes * reserve * 0.64 * Math.exp(weighting * reserve);
+    }, 0);
+  }
+
+  /**
+   * Get the acute:chronic load ratio.
+   * @param {object} dailyLoads - Training loads keyed by day number.
+   * @param {number} lastDay - Last day of both periods.
+   * @return {object} Loads ({acuteLoad, chronicLoad, ratio, status}); loads are daily averages, ratio is null without chronic load, and status is "low" (under 0.8), "optimal", "high" (over 1.3) or "veryHigh" (over 1.5).
+   */
+  static getLoadRatio(dailyLoads, lastDay) {
+    const getAverageLoad = nDayPeriod => {
+      let total = 0;
+      for (let day = lastDay - nDayPeriod + 1; day <= lastDay; day++) {
+        total += dailyLoads[day] || 0;
+      }
+      return total / nDayPeriod;
+    };
+    const acuteLoad = getAverageLoad(7);
+    const chronicLoad = getAverageLoad(28);
+    const ratio = chronicLoad ? acuteLoad / chronicLoad : null;
+    let status = null;
+    if (ratio !== null) {
+      status = ratio < 0.8 ? 'low' : (ratio <= 1.3 ? 'optimal' : (ratio <= 1.5 ? 'high' : 'veryHigh'));
+    }
+    return {acuteLoad: acuteLoad, chronicLoad: chronicLoad, ratio: ratio, status: status};
+  }
+
+  /**
+   * Get a recovery score from 0 to 100. Up to 50 points are lost for a load
+   * ratio above 1 (all of them at 1.5), and up to 50 for a resting heart rate
+   * above its baseline (all of them at 5 bpm above).
+   * @param {number} ratio - Acute:chronic load ratio, or null.
+   * @param {number} restingHeartRate - Latest daily resting heart rate, or null.
+   * @param {number} baselineRestingHeartRate - Average daily resting heart rate before it, or null.
+   * @return {number} Recovery score; 100 is fully recovered, and null means there is neither a load ratio nor a resting heart rate and baseline to score.
+   */
+  static getRecoveryScore(ratio, restingHeartRate, baselineRestingHeartRate) {
+    const hasHeartRate = restingHeartRate !== null && baselineRestingHeartRate !== null;
+    if (ratio === null && !hasHeartRate) {
+      return null;
+    }
+    const loadPenalty = ratio ? Math.min(50, Math.max(0, (ratio - 1) * 100)) : 0;
+    const elevation = hasHeartRate ? restingHeartRate - baselineRestingHeartRate : 0;
+    const heartRatePenalty = Math.min(50, Math.max(0, elevation * 10));
+    return Math.round(100 - loadPenalty - heartRatePenalty);
+  }
+}
+
+module.exports = TrainingLoad;
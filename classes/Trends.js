@@ -0,0 +1,52 @@
+const TimeZone = require('./TimeZone');
+const Goals = require('./Goals');
+const RollingStatistics = require('./RollingStatistics');
+
+/**
+ * Class with helpers for trends: the direction of daily values over N days,
+ * and the change from one week or month to the one before.
+ */
+class Trends {
+  /**
+   * Get the trend of daily values.
+   * @param {array} points - Daily values ({x: day number, y: value}).
+   * @param {number} nDayPeriod - N day period the points cover.
+   * @param {number} minChange - Smallest change over the period that isn't steady.
+   * @return {object} Trend ({slope, direction}); slope is the least squares change per day, direction is "rising", "falling" or "steady".
+   */
+  static getTrend(points, nDayPeriod, minChange) {
+    const slope = points.length ? RollingStatistics.getSlope(points) : 0;
+    const change = slope * (nDayPeriod - 1);
+    return {
+      slope: slope,
+      direction: Math.abs(change) < minChange || change === 0 ? 'steady' : (change > 0 ? 'rising' : 'falling')
+    };
+  }
+
+  /**
+   * Get the week or month so far up to a day, and the same days of the one
+   * before. A previous month shorter than the day of the month ends on its
+   * last day.
+   * @param {number} day - Local calendar day.
+   * @param {string} period - The string "week" or "month".
+   * @return {object} Day ranges ({current, previous}, each {firstDay, lastDay}).
+   */
+  static getPeriodRanges(day, period) {
+    if (period === 'week') {
+      const firstDay = Goals.getWeekStart(day);
+      return {
+        current: {firstDay: firstDay, lastDay: day},
+        previous: {firstDay: firstDay - 7, lastDay: day - 7}
+      };
+    }
+    const firstDay = TimeZone.parseDate(`${TimeZone.formatDate(day).slice(0, 7)}-01`);
+    const date = new Date(firstDay * 86400000);
+    const previousFirstDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1) / 86400000;
+    return {
+      current: {firstDay: firstDay, lastDay: day},
+      previous: {firstDay: previousFirstDay, lastDay: Math.min(previousFirstDay + day - firstDay, firstDay - 1)}
+    };
+  }
+}
+
+module.exports = Trends;
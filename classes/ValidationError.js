@@ -0,0 +1,18 @@
+const FitnessWatchError = require('./FitnessWatchError');
+
+/**
+ * Class representing input that is missing, of the wrong type or out of range.
+ */
+class ValidationError extends FitnessWatchError {
+  /**
+   * Create a validation error.
+   * @param {string} message - Human readable message.
+   * @param {string} field - Name of the invalid field or argument, if known.
+   */
+  constructor(message, field = null) {
+    super(message, 'invalid_input');
+    this.field = field;
+  }
+}
+
+module.exports = ValidationError;
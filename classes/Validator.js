@@ -0,0 +1,88 @@
+const ValidationError = require('./ValidationError');
+
+/**
+ * Class with helpers for validating input against simple schemas.
+ * A schema maps field names to rules ({type, required, values}), where type
+ * is one of the types below and values lists the allowed values instead.
+ * Missing (undefined or null) fields are only rejected if required.
+ */
+class Validator {
+  /**
+   * Get the value types a rule can require.
+   * @return {object} Checks and descriptions keyed by type name.
+   */
+  static getTypes() {
+    return {
+      timestamp: {check: value => Number.isFinite(value) && value >= 0, description: 'a UNIX timestamp'},
+      number: {check: value => Number.isFinite(value), description: 'a number'},
+      nonNegativeNumber: {check: value => Number.isFinite(value) && value >= 0, description: 'a non-negative number'},
+      positiveNumber: {check: value => Number.isFinite(value) && value > 0, description: 'a positive number'},
+      positiveInteger: {check: value => Number.isInteger(value) && value > 0, description: 'a positive integer'},
+      string: {check: value => typeof value === 'string' && value.length > 0, description: 'a non-empty string'},
+      id: {
+        check: value => (typeof value === 'string' && value.length > 0) || Number.isFinite(value),
+        description: 'a number or a non-empty string'
+      },
+      latitude: {check: value => Number.isFinite(value) && Math.abs(value) <= 90, description: 'a latitude between -90 and 90'},
+      longitude: {check: value => Number.isFinite(value) && Math.abs(value) <= 180, description: 'a longitude between -180 and 180'},
+      object: {check: value => value !== null && typeof value === 'object' && !Array.isArray(value), description: 'an object'},
+      array: {check: value => Array.isArray(value), description: 'an array'}
+    };
+  }
+
+  /**
+   * Check a value.
+   * @param {*} value - Value to check.
+   * @param {string} type - Type name (Ex: "timestamp").
+   * @param {string} name - Name of the value, for the error message.
+   * @return {*} The value.
+   */
+  static check(value, type, name) {
+    const valueType = Validator.getTypes()[type];
+    if (!valueType.check(value)) {
+      throw new ValidationError(`${name} must be ${valueType.description}`, name);
+    }
+    return value;
+  }
+
+  /**
+   * Check that a value is one of the allowed values.
+   * @param {*} value - Value to check.
+   * @param {array} values - Allowed values.
+   * @param {string} name - Name of the value, for the error message.
+   * @return {*} The value.
+   */
+  static checkOneOf(value, values, name) {
+    if (!values.includes(value)) {
+      throw new ValidationError(`${name} must be one of ${values.join(', ')}`, name);
+    }
+    return value;
+  }
+
+  /**
+   * Validate an object against a schema.
+   * @param {object} data - Object to validate.
+   * @param {object} schema - Rules keyed by field name.
+   * @param {string} name - Name of the object, for the error message.
+   * @return {object} The object.
+   */
+  static validate(data, schema, name) {
+    Validator.check(data, 'object', name);
+    Object.keys(schema).forEach(field => {
+      const rule = schema[field];
+      const value = data[field];
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          throw new ValidationError(`${field} is required`, field);
+        }
+      } else if (rule.values) {
+        Validator.checkOneOf(value, rule.values, field);
+      } else {
+        Validator.check(value, rule.type, field);
+      }
+    });
+    return data;
+  }
+}
+
+module.exports = Validator;
@@ -1,20 +1,86 @@
+const EventEmitter = require('events');
 const Workout = require('./Workout');
+const MemoryStorage = require('./MemoryStorage');
+const TimeZone = require('./TimeZone');
+const WorkoutTypeRegistry = require('./WorkoutTypeRegistry');
+const WorkoutExporter = require('./WorkoutExporter');
+const HistoryExporter = require('./HistoryExporter');
+const WorkoutImporter = require('./WorkoutImporter');
+const Goals = require('./Goals');
+const HeartRateAlerts = require('./HeartRateAlerts');
+const SleepAnalyzer = require('./SleepAnalyzer');
+const TimeSeries = require('./TimeSeries');
+const RollingStatistics = require('./RollingStatistics');
+const RestingHeartRate = require('./RestingHeartRate');
+const PersonalRecords = require('./PersonalRecords');
+const Trends = require('./Trends');
+const TrainingLoad = require('./TrainingLoad');
+const Validator = require('./Validator');
+const ValidationError = require('./ValidationError');
+const WorkoutStateError = require('./WorkoutStateError');
+const NotFoundError = require('./NotFoundError');
+const ConflictError = require('./ConflictError');
 
 /**
  * Class representing a wearer.
+ *
+ * Events:
+ * - "workoutStarted" ({workout, workoutType, startTime}): listen to the workout for its own events.
+ * - "workoutEnded" (workout summary, with newRecords).
+ * - "goalReached" ({metric, period, date, target, value}).
+ * - "heartRateAboveThreshold" ({heartRate, timeWhenMeasured, threshold}): when a heart rate first goes above profile.heartRateThreshold.
+ * - "dailyRecord" ({metric, date, value, previousRecord}): when a day's steps first beat the best earlier day.
+ * - "heartRateAlert" ({type, startTime, endTime, heartRate}): abnormal heart rate, see HeartRateAlerts.
+ *
+ * Methods throw a ValidationError for bad input, a WorkoutStateError for a
+ * request the workout in progress (or the lack of one) doesn't allow, a
+ * NotFoundError for unknown ids and a ConflictError for clashes with stored data.
  */
-class Wearer {
+class Wearer extends EventEmitter {
   /**
    * Create a wearer.
    * @param {object} simulatedWatchData - Data for simulating a workout.
+   * @param {object} options - Wearer options ({id, storage, timeZone, profile, workoutTypes, heartRateAlertSettings}).
    */
-  constructor(simulatedWatchData) {
+  constructor(simulatedWatchData, options = {}) {
+    super();
+    Validator.validate(options, {
+      id: {type: 'string'},
+      timeZone: {type: 'string'},
+      profile: {type: 'object'},
+      heartRateAlertSettings: {type: 'object'}
+    }, 'options');
+    this.id = options.id || 'default';
+    // daily summaries are bucketed by calendar day in this IANA time zone
+    this.timeZone = 'UTC';
+    if (options.timeZone) {
+      this.setTimeZone(options.timeZone);
+    }
+    this.profile = {};
+    if (options.profile) {
+      this.setProfile(options.profile);
+    }
+    this.workoutTypes = options.workoutTypes || WorkoutTypeRegistry.getDefault();
+    // defaults to in-memory storage, which is lost when the process exits
+    this.storage = options.storage || new MemoryStorage();
     this.workoutInstance = null;
     // data is entered in chronological order
     this.stepsData = {summary: [], rawData: []};
     this.caloriesBurnedData = {summary: [], rawData: []};
     this.heartRateData = {rawData: {resting: [], active: []}};
+    // completed workouts, including their timestamped samples
+    this.workoutData = {rawData: []};
+    // sleep sessions, recorded by the watch or inferred
+    this.sleepData = {rawData: []};
+    // all-day steps and calories burned samples, in and out of workouts
+    this.backgroundData = {rawData: []};
+    // goal target changes, in chronological order
+    this.goals = [];
+    // abnormal heart rate alerts, in chronological order
+    this.alerts = [];
+    this.heartRateAlerts = new HeartRateAlerts(options.heartRateAlertSettings);
     this.isResting = true;
+    this.isAboveHeartRateThreshold = false;
 
     if (simulatedWatchData) {
       this.processSimulatedData(simulatedWatchData);
@@ -23,12 +89,15 @@ class Wearer {
 
   /**
    * Process simulated data.
+   * Simulated samples are fed through the same methods the watch streams to.
+   * Steps and calories burned outside a workout are stored as background data.
    * @param {object} simulatedWatchData - Data for simulating a workout.
    */
   processSimulatedData(simulatedWatchData) {
-    const {heartRateData} = simulatedWatchData;
+    const {heartRateData, caloriesBurnedData, stepsData, startTime} = simulatedWatchData;
     if (heartRateData) {
-      let timeWhenMeasured = heartRateData.startTime;
+      // heart rate is sent every minute
+      let timeWhenMeasured = heartRateData.startTime || startTime;
       heartRateData.heartRate.forEach(heartRate => {
         this.storeHeartRateData({
           timeWhenMeasured: timeWhenMeasured,
@@ -37,13 +106,214 @@ class Wearer {
         timeWhenMeasured += 60;
       });
     }
+    // steps and calories burned are sent every 2 minutes
+    if (!this.workoutInstance) {
+      // without a workout they are all-day samples
+      const sampleCount = Math.max((stepsData || []).length, (caloriesBurnedData || []).length);
+      const backgroundData = [];
+      for (let index = 0; index < sampleCount; index++) {
+        backgroundData.push({
+          startTime: startTime + index * 120,
+          endTime: startTime + (index + 1) * 120,
+          steps: stepsData ? stepsData[index] : 0,
+          caloriesBurned: caloriesBurnedData ? caloriesBurnedData[index] : 0
+        });
+      }
+      if (backgroundData.length) {
+        this.storeBackgroundData(backgroundData);
+      }
+      return;
+    }
+    if (caloriesBurnedData) {
+      caloriesBurnedData.forEach((calories, index) => {
+        this.addCaloriesBurned({
+          additionalCaloriesBurned: calories,
+          timeWhenMeasured: startTime + (index + 1) * 120
+        });
+      });
+    }
+    if (stepsData) {
+      stepsData.forEach((steps, index) => {
+        this.addSteps({
+          additionalSteps: steps,
+          timeWhenMeasured: startTime + (index + 1) * 120
+        });
+      });
+    }
+  }
+
+  /**
+   * Get the validation schemas of the samples a wearer records. Heart rates
+   * are also stored outside workouts, so they need the time they were measured.
+   * @return {object} Schemas keyed by sample type ("steps", "caloriesBurned", "heartRate" or "location").
+   */
+  static getSampleSchemas() {
+    const schemas = Workout.getSampleSchemas();
+    schemas.heartRate.timeWhenMeasured = {type: 'timestamp', required: true};
+    return schemas;
+  }
+
+  /**
+   * Set the wearer's time zone, for example when travelling.
+   * Data already stored keeps the calendar day it was bucketed into.
+   * @param {string} timeZone - IANA time zone (Ex: "America/Los_Angeles").
+   */
+  setTimeZone(timeZone) {
+    if (!TimeZone.isValid(timeZone)) {
+      throw new ValidationError(`Unknown time zone: ${timeZone}`, 'timeZone');
+    }
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Update the wearer's profile.
+   * @param {object} profile - Profile fields to update ({age, sex, weightKg, heightCm, maxHeartRate, restingHeartRate, heartRateThreshold, heartRateZoneMethod}); sex is "male" or "female", and heartRateZoneMethod is "maxHeartRate" or "heartRateReserve".
+   */
+  setProfile(profile) {
+    Validator.validate(profile, {
+      age: {type: 'positiveNumber'},
+      sex: {values: ['male', 'female']},
+      weightKg: {type: 'positiveNumber'},
+      heightCm: {type: 'positiveNumber'},
+      maxHeartRate: {type: 'positiveNumber'},
+      restingHeartRate: {type: 'positiveNumber'},
+      heartRateThreshold: {type: 'positiveNumber'},
+      heartRateZoneMethod: {values: ['maxHeartRate', 'heartRateReserve']}
+    }, 'profile');
+    const updatedProfile = Object.assign({}, this.profile, profile);
+    // zones are based on %maxHR unless the heart rate reserve (Karvonen) method is chosen
+    if (updatedProfile.heartRateZoneMethod === 'heartRateReserve' && !updatedProfile.restingHeartRate) {
+      throw new ValidationError('The heart rate reserve method needs a resting heart rate', 'restingHeartRate');
+    }
+    this.profile = updatedProfile;
+  }
+
+  /**
+   * Change the abnormal heart rate alert settings.
+   * @param {object} settings - Settings to change (Ex: {highResting: {threshold: 90, durationSeconds: 900}}).
+   */
+  setHeartRateAlertSettings(settings) {
+    Validator.check(settings, 'object', 'settings');
+    const updatedSettings = Object.assign({}, this.heartRateAlerts.settings);
+    Object.keys(settings).forEach(rule => {
+      updatedSettings[rule] = typeof settings[rule] === 'object'
+        ? Object.assign({}, updatedSettings[rule], settings[rule])
+        : settings[rule];
+    });
+    this.heartRateAlerts = new HeartRateAlerts(updatedSettings);
+    if (this.workoutInstance) {
+      this.workoutInstance.heartRateLimits = this.heartRateAlerts.settings.implausible;
+    }
+  }
+
+  /**
+   * Get the wearer's data in a serializable form.
+   * @return {object} Wearer data.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      timeZone: this.timeZone,
+      profile: this.profile,
+      stepsData: this.stepsData,
+      caloriesBurnedData: this.caloriesBurnedData,
+      heartRateData: this.heartRateData,
+      workoutData: this.workoutData,
+      sleepData: this.sleepData,
+      backgroundData: this.backgroundData,
+      goals: this.goals,
+      alerts: this.alerts,
+      heartRateAlertSettings: this.heartRateAlerts.settings,
+      workoutInProgress: this.workoutInstance ? this.workoutInstance.toJSON() : null
+    };
+  }
+
+  /**
+   * Restore data produced by toJSON.
+   * @param {object} wearerData - Wearer data.
+   */
+  restore(wearerData) {
+    this.timeZone = wearerData.timeZone || 'UTC';
+    this.profile = wearerData.profile || {};
+    this.stepsData = wearerData.stepsData;
+    this.caloriesBurnedData = wearerData.caloriesBurnedData;
+    this.heartRateData = wearerData.heartRateData;
+    this.workoutData = wearerData.workoutData;
+    this.sleepData = wearerData.sleepData || {rawData: []};
+    this.backgroundData = wearerData.backgroundData || {rawData: []};
+    this.goals = wearerData.goals || [];
+    this.alerts = wearerData.alerts || [];
+    this.heartRateAlerts = new HeartRateAlerts(wearerData.heartRateAlertSettings);
+    this.workoutInstance = null;
+    this.isResting = true;
+    if (wearerData.workoutInProgress) {
+      const {workoutType, startTime} = wearerData.workoutInProgress;
+      this.workoutInstance = new Workout({workoutType, startTime}, {
+        profile: this.getWorkoutProfile(),
+        workoutTypes: this.workoutTypes,
+        heartRateLimits: this.heartRateAlerts.settings.implausible
+      });
+      this.workoutInstance.restore(wearerData.workoutInProgress);
+      this.isResting = false;
+    }
+  }
+
+  /**
+   * Save the wearer's data to its storage backend.
+   */
+  save() {
+    this.storage.save(this.id, this.toJSON());
+  }
+
+  /**
+   * Load a wearer from a storage backend.
+   * @param {string} id - Id of the wearer.
+   * @param {Storage} storage - Storage backend to load from and save to.
+   * @return {Wearer} The saved wearer, or a new one if nothing was saved.
+   */
+  static load(id, storage) {
+    const wearer = new Wearer(null, {id: id, storage: storage});
+    const wearerData = storage.load(id);
+    if (wearerData) {
+      wearer.restore(wearerData);
+    }
+    return wearer;
+  }
+
+  /**
+   * Export the wearer's history.
+   * @param {string} format - The string "csv" or "json".
+   * @return {object|string} CSV text keyed by file name, or a versioned JSON document.
+   */
+  exportHistory(format) {
+    if (format === 'csv') {
+      return HistoryExporter.toCsv(this.toJSON());
+    } else if (format === 'json') {
+      return HistoryExporter.toJson(this.toJSON());
+    }
+    throw new ValidationError('Export format must be "csv" or "json"', 'format');
+  }
+
+  /**
+   * Create a wearer from a JSON history document.
+   * @param {string|object} document - JSON document from exportHistory.
+   * @param {object} options - Wearer options ({storage}).
+   * @return {Wearer} Wearer with the imported history.
+   */
+  static importHistory(document, options = {}) {
+    const wearerData = HistoryExporter.fromJson(document);
+    const wearer = new Wearer(null, Object.assign({}, options, {id: wearerData.id}));
+    wearer.restore(wearerData);
+    return wearer;
   }
 
   /**
    * Get summary data.
    * @param {string} dataCategory - Data category ("steps", "caloriesBurned", or "heartRate").
+   * @return {object|array} Daily summaries, or raw resting and active heart rate data.
    */
   getDataSummary(dataCategory) {
+    Validator.checkOneOf(dataCategory, ['steps', 'caloriesBurned', 'heartRate'], 'dataCategory');
     let dataSource = this[`${dataCategory}Data`];
     if (dataCategory !== 'heartRate') {
       dataSource = dataSource.summary;
@@ -52,16 +322,96 @@ class Wearer {
   }
 
   /**
-   * Start a workout.
-   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * Get the workout in progress.
+   * @return {Workout} The workout in progress.
    */
-  startWorkout(simulatedWatchData) {
+  requireWorkout() {
     if (!this.workoutInstance) {
-      this.isResting = false;
-      this.workoutInstance = new Workout(simulatedWatchData);
-    } else {
-      console.log('There is a workout in progress');
+      throw new WorkoutStateError('There is no workout in progress', 'no_workout_in_progress');
     }
+    return this.workoutInstance;
+  }
+
+  /**
+   * Get the profile a workout is recorded with. Without a resting heart rate
+   * in the profile, the measured 7 day average is used for training load.
+   * @return {object} Wearer profile.
+   */
+  getWorkoutProfile() {
+    if (this.profile.restingHeartRate) {
+      return this.profile;
+    }
+    const restingHeartRate = this.getAverageRestingHeartRate(7);
+    return restingHeartRate ? Object.assign({}, this.profile, {restingHeartRate: restingHeartRate}) : this.profile;
+  }
+
+  /**
+   * Start a workout.
+   * @param {object} watchData - Sent by watch when user starts a workout, optionally with simulated samples.
+   * @param {object} options - Workout options ({autoPauseSeconds, autoLap}).
+   */
+  startWorkout(watchData, options = {}) {
+    if (this.workoutInstance) {
+      throw new WorkoutStateError('There is a workout in progress', 'workout_in_progress');
+    }
+    Validator.validate(options, {}, 'options');
+    this.workoutInstance = new Workout(watchData, Object.assign({
+      profile: this.getWorkoutProfile(),
+      workoutTypes: this.workoutTypes,
+      heartRateLimits: this.heartRateAlerts.settings.implausible
+    }, options));
+    this.isResting = false;
+    const workout = this.workoutInstance;
+    this.emit('workoutStarted', {workout: workout, workoutType: workout.workoutType, startTime: workout.startTime});
+    this.processSimulatedData(watchData);
+  }
+
+  /**
+   * Pause the workout in progress.
+   * @param {object} watchData - Sent by watch when user pauses a workout.
+   */
+  pauseWorkout(watchData) {
+    this.requireWorkout().pauseWorkoutRecording(watchData);
+  }
+
+  /**
+   * Resume the paused workout.
+   * @param {object} watchData - Sent by watch when user resumes a workout.
+   */
+  resumeWorkout(watchData) {
+    this.requireWorkout().resumeWorkoutRecording(watchData);
+  }
+
+  /**
+   * Mark a lap in the workout in progress.
+   * @param {object} watchData - Sent by watch when user marks a lap.
+   */
+  markLap(watchData) {
+    this.requireWorkout().markLap(watchData);
+  }
+
+  /**
+   * Add steps to the workout in progress.
+   * @param {object} stepsData - Step recording sent by watch every 2 minutes.
+   */
+  addSteps(stepsData) {
+    this.requireWorkout().addSteps(stepsData);
+  }
+
+  /**
+   * Add a GPS location to the workout in progress.
+   * @param {object} locationData - Location recording sent by watch.
+   */
+  addLocation(locationData) {
+    this.requireWorkout().addLocation(locationData);
+  }
+
+  /**
+   * Add calories burned to the workout in progress.
+   * @param {object} caloriesData - Calories burned recording sent by watch every 2 minutes.
+   */
+  addCaloriesBurned(caloriesData) {
+    this.requireWorkout().addCaloriesBurned(caloriesData);
   }
 
   /**
@@ -70,24 +420,272 @@ class Wearer {
    * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
    */
   storeData(newData, dataCategory) {
-    const secondsPerDay = 86400;
-    const daysSinceUnixEpoch = Math.floor(newData.startTime / secondsPerDay)
+    // local calendar day
+    const daysSinceUnixEpoch = TimeZone.getDayNumber(newData.startTime, this.timeZone);
+    this.addToSummary(dataCategory, daysSinceUnixEpoch, newData[dataCategory], newData.workoutType);
+    this.insertChronologically(this[`${dataCategory}Data`].rawData, newData, 'startTime');
+  }
 
-    const source = this[`${dataCategory}Data`];
-    const lastDataPoint = source.summary[source.summary.length - 1];
-    if (lastDataPoint && lastDataPoint.daysSinceUnixEpoch === daysSinceUnixEpoch) {
-      lastDataPoint[dataCategory] += newData[dataCategory];
+  /**
+   * Add an amount to a day of the steps or calories burned summary.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {number} daysSinceUnixEpoch - Local calendar day.
+   * @param {number} amount - Steps or calories burned to add. It can be negative.
+   * @param {string} workoutType - Workout type for a new calories burned summary day.
+   */
+  addToSummary(dataCategory, daysSinceUnixEpoch, amount, workoutType) {
+    const summary = this[`${dataCategory}Data`].summary;
+    // imported history can be older than data already stored
+    let index = summary.length;
+    while (index > 0 && summary[index - 1].daysSinceUnixEpoch > daysSinceUnixEpoch) {
+      index--;
+    }
+    const sameDayDataPoint = summary[index - 1];
+    if (sameDayDataPoint && sameDayDataPoint.daysSinceUnixEpoch === daysSinceUnixEpoch) {
+      sameDayDataPoint[dataCategory] += amount;
     } else {
       let payload = {
         daysSinceUnixEpoch: daysSinceUnixEpoch,
-        [dataCategory]: newData[dataCategory]
+        [dataCategory]: amount
       };
       if (dataCategory === 'caloriesBurned') {
-        payload.workoutType = newData.workoutType;
+        payload.workoutType = workoutType;
       }
-      source.summary.push(payload);
+      summary.splice(index, 0, payload);
     }
-    source.rawData.push(newData);
+  }
+
+  /**
+   * Store all-day steps and calories burned samples, measured in or out of
+   * workouts. Only the part of a sample outside workouts is added to the
+   * daily totals, because workouts count their own steps and calories.
+   * Goals and daily records they complete are emitted as for workouts. They
+   * are checked once per day in a batch, so a backfill is best sent as one.
+   * @param {object|array} backgroundData - A sample sent by watch periodically (Ex: every minute) ({startTime, endTime, steps, caloriesBurned}), or a list of them.
+   */
+  storeBackgroundData(backgroundData) {
+    /*
+      {
+        startTime: Long (UNIX timestamp),
+        endTime: Long (UNIX timestamp),
+        steps: Number,
+        caloriesBurned: Number
+      }
+     */
+    const batch = Array.isArray(backgroundData) ? backgroundData : [backgroundData];
+    // check the whole batch first, so a rejected batch stores nothing
+    const samplesByDay = new Map();
+    batch.forEach(sample => {
+      Validator.validate(sample, {
+        startTime: {type: 'timestamp', required: true},
+        endTime: {type: 'timestamp', required: true},
+        steps: {type: 'nonNegativeNumber'},
+        caloriesBurned: {type: 'nonNegativeNumber'}
+      }, 'backgroundData');
+      const {startTime, endTime} = sample;
+      if (endTime <= startTime) {
+        throw new ValidationError('Background data must end after it starts', 'endTime');
+      }
+      const dayNumber = TimeZone.getDayNumber(startTime, this.timeZone);
+      if (!samplesByDay.has(dayNumber)) {
+        samplesByDay.set(dayNumber, []);
+      }
+      samplesByDay.get(dayNumber).push({
+        startTime: startTime,
+        endTime: endTime,
+        steps: sample.steps || 0,
+        caloriesBurned: sample.caloriesBurned || 0,
+        // the parts counted towards the daily totals
+        countedSteps: 0,
+        countedCaloriesBurned: 0
+      });
+    });
+    samplesByDay.forEach((samples, dayNumber) => {
+      const goalsBefore = this.getGoalProgress(dayNumber);
+      const stepsRecordBefore = this.getStepsRecord(dayNumber);
+      samples.forEach(newData => {
+        this.insertChronologically(this.backgroundData.rawData, newData, 'startTime');
+        this.countBackgroundData(newData);
+      });
+      this.emitGoalsReached(goalsBefore, this.getGoalProgress(dayNumber));
+      this.emitStepsRecord(stepsRecordBefore, this.getStepsRecord(dayNumber));
+    });
+  }
+
+  /**
+   * Get how long workouts overlap a period.
+   * @param {number} startTime - UNIX timestamp when the period starts.
+   * @param {number} endTime - UNIX timestamp when the period ends.
+   * @return {number} Overlap in seconds.
+   */
+  getWorkoutOverlap(startTime, endTime) {
+    const overlap = workout => Math.max(0, Math.min(endTime, workout.endTime) - Math.max(startTime, workout.startTime));
+    // the workout in progress covers everything since it started
+    let total = this.workoutInstance ? overlap({startTime: this.workoutInstance.startTime, endTime: Infinity}) : 0;
+    // workouts are in chronological order and don't overlap each other, so
+    // the ones overlapping the period are just before the first one after it
+    const workouts = this.workoutData.rawData;
+    let low = 0;
+    let high = workouts.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (workouts[middle].startTime < endTime) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    for (let index = low - 1; index >= 0 && workouts[index].endTime > startTime; index--) {
+      total += overlap(workouts[index]);
+    }
+    return total;
+  }
+
+  /**
+   * Count the part of a background sample outside workouts towards the daily
+   * totals, replacing what was counted for it before.
+   * @param {object} backgroundData - Stored background sample.
+   */
+  countBackgroundData(backgroundData) {
+    const {startTime, endTime} = backgroundData;
+    const daysSinceUnixEpoch = TimeZone.getDayNumber(startTime, this.timeZone);
+    const outsideWorkouts = 1 - this.getWorkoutOverlap(startTime, endTime) / (endTime - startTime);
+    ['steps', 'caloriesBurned'].forEach(dataCategory => {
+      const countedKey = dataCategory === 'steps' ? 'countedSteps' : 'countedCaloriesBurned';
+      const counted = Math.round(backgroundData[dataCategory] * outsideWorkouts);
+      if (counted !== backgroundData[countedKey]) {
+        this.addToSummary(dataCategory, daysSinceUnixEpoch, counted - backgroundData[countedKey]);
+        backgroundData[countedKey] = counted;
+      }
+    });
+  }
+
+  /**
+   * Get every timestamped value of a data category.
+   * Workouts contribute their samples, and background data the part outside
+   * workouts, so nothing is counted twice.
+   * @param {string} dataCategory - Data category ("steps", "caloriesBurned" or "heartRate").
+   * @return {array} Values ({time, value}) in chronological order.
+   */
+  getSamplePoints(dataCategory) {
+    if (dataCategory === 'heartRate') {
+      const {resting, active} = this.heartRateData.rawData;
+      return resting.concat(active)
+        .filter(data => this.heartRateAlerts.isPlausible(data.heartRate))
+        .map(data => ({time: data.timeWhenMeasured, value: data.heartRate}))
+        .sort((a, b) => a.time - b.time);
+    }
+
+    const points = [];
+    const sampleKey = dataCategory === 'steps' ? 'additionalSteps' : 'additionalCaloriesBurned';
+    this.workoutData.rawData.forEach(workout => {
+      if (dataCategory === 'caloriesBurned' && workout.caloriesSource !== 'device') {
+        // estimated calories have no samples, so spread them over the workout
+        const duration = workout.endTime - workout.startTime;
+        for (let time = workout.startTime; time < workout.endTime; time += 60) {
+          points.push({time: time, value: workout.caloriesBurned * Math.min(60, workout.endTime - time) / duration});
+        }
+        return;
+      }
+      workout.samples[dataCategory].forEach(sample => points.push({time: sample.timeWhenMeasured, value: sample[sampleKey]}));
+    });
+    const countedKey = dataCategory === 'steps' ? 'countedSteps' : 'countedCaloriesBurned';
+    this.backgroundData.rawData.forEach(data => points.push({time: data.startTime, value: data[countedKey]}));
+    return points.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Get a time series for charts.
+   * @param {string} dataCategory - Data category ("steps", "caloriesBurned" or "heartRate").
+   * @param {object} options - Query options ({from, to, resolution, aggregation, fill}); from and to are UNIX timestamps of the range [from, to), resolution is "minute", "15min", "hour", "day", "week" or "month", aggregation is "sum", "mean", "min", "max" or "p95" (defaults to "mean" for heart rate and "sum" otherwise), and fill is what empty buckets hold: "zero", "previous" or null (defaults to "zero" for sums and null otherwise).
+   * @return {array} Buckets ({startTime, endTime, value, count}) in the wearer's local calendar.
+   */
+  getTimeSeries(dataCategory, options) {
+    if (!['steps', 'caloriesBurned', 'heartRate'].includes(dataCategory)) {
+      throw new ValidationError('Data category must be "steps", "caloriesBurned" or "heartRate"', 'dataCategory');
+    }
+    Validator.validate(options, {}, 'options');
+    const {from, to} = options;
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+      throw new ValidationError('from and to must be UNIX timestamps with from before to', 'from');
+    }
+    const resolution = options.resolution || 'hour';
+    if (!TimeSeries.getResolutions().includes(resolution)) {
+      throw new ValidationError(`Resolution must be one of ${TimeSeries.getResolutions().join(', ')}`, 'resolution');
+    }
+    const aggregation = options.aggregation || (dataCategory === 'heartRate' ? 'mean' : 'sum');
+    if (!TimeSeries.getAggregations().includes(aggregation)) {
+      throw new ValidationError(`Aggregation must be one of ${TimeSeries.getAggregations().join(', ')}`, 'aggregation');
+    }
+    const fill = options.fill !== undefined ? options.fill : (aggregation === 'sum' ? 'zero' : null);
+    if (![null, 'zero', 'previous'].includes(fill)) {
+      throw new ValidationError('Fill must be "zero", "previous" or null', 'fill');
+    }
+    // keep minute resolution queries over long ranges from building huge results
+    if (resolution === 'minute' && to - from > 31 * 86400) {
+      throw new ValidationError('Minute resolution covers at most 31 days', 'to');
+    }
+    return TimeSeries.resample(this.getSamplePoints(dataCategory), {
+      from: from,
+      to: to,
+      resolution: resolution,
+      aggregation: aggregation,
+      fill: fill,
+      timeZone: this.timeZone
+    });
+  }
+
+  /**
+   * Get hourly totals for a local calendar day.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {string} date - ISO 8601 date (Ex: "2020-09-20").
+   * @return {array} Totals ({hour, startTime, steps or caloriesBurned}); DST transition days have 23 or 25 hours.
+   */
+  getHourlyTotals(dataCategory, date) {
+    const dayNumber = TimeZone.parseDate(date);
+    const dayStart = TimeZone.getDayStart(dayNumber, this.timeZone);
+    return this.getTimeSeries(dataCategory, {
+      from: dayStart,
+      to: dayStart + TimeZone.getDayLength(dayNumber, this.timeZone),
+      resolution: 'hour'
+    }).map(bucket => ({
+      hour: TimeZone.getLocalParts(bucket.startTime, this.timeZone).hour,
+      startTime: bucket.startTime,
+      [dataCategory]: bucket.value
+    }));
+  }
+
+  /**
+   * Get daily totals for a range of local calendar days, including days without data.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {object} options - Date range ({from, to} ISO 8601 dates).
+   * @return {array} Totals ({date, daysSinceUnixEpoch, steps or caloriesBurned}).
+   */
+  getDailyTotals(dataCategory, options) {
+    Validator.validate(options, {from: {type: 'string', required: true}, to: {type: 'string', required: true}}, 'options');
+    const firstDay = TimeZone.parseDate(options.from);
+    const lastDay = TimeZone.parseDate(options.to);
+    const totals = this.getDailyTotalsByDay(dataCategory);
+    const days = [];
+    for (let dayNumber = firstDay; dayNumber <= lastDay; dayNumber++) {
+      days.push({date: TimeZone.formatDate(dayNumber), daysSinceUnixEpoch: dayNumber, [dataCategory]: totals[dayNumber] || 0});
+    }
+    return days;
+  }
+
+  /**
+   * Insert data into a list kept in chronological order.
+   * Data usually arrives in order, so the list is searched from the end.
+   * @param {array} list - List in chronological order.
+   * @param {object} newData - Data to insert.
+   * @param {string} timeKey - Name of the timestamp property.
+   */
+  insertChronologically(list, newData, timeKey) {
+    let index = list.length;
+    while (index > 0 && list[index - 1][timeKey] > newData[timeKey]) {
+      index--;
+    }
+    list.splice(index, 0, newData);
   }
 
   /**
@@ -101,228 +699,764 @@ class Wearer {
         heartRate: Number
       }
      */
-    const secondsPerDay = 86400;
-    const daysSinceUnixEpoch = Math.floor(newHeartRateData.timeWhenMeasured / secondsPerDay);
+    Validator.validate(newHeartRateData, Wearer.getSampleSchemas().heartRate, 'heartRateData');
+    // local calendar day
+    const daysSinceUnixEpoch = TimeZone.getDayNumber(newHeartRateData.timeWhenMeasured, this.timeZone);
     const newData = Object.assign({}, newHeartRateData, {daysSinceUnixEpoch: daysSinceUnixEpoch});
     const dataCategory = this.isResting ? 'resting' : 'active';
-    this.heartRateData.rawData[dataCategory].push(newData);
+    this.insertChronologically(this.heartRateData.rawData[dataCategory], newData, 'timeWhenMeasured');
+    // implausible readings (Ex: sensor dropouts) are only stored and alerted
+    // on; the workout leaves them out too
+    const isPlausible = this.heartRateAlerts.isPlausible(newData.heartRate);
+    if (this.workoutInstance) {
+      this.workoutInstance.addHeartRate(newHeartRateData);
+    }
+
+    const threshold = this.profile.heartRateThreshold;
+    if (threshold && isPlausible) {
+      const isAboveThreshold = newData.heartRate > threshold;
+      if (isAboveThreshold && !this.isAboveHeartRateThreshold) {
+        this.emit('heartRateAboveThreshold', {
+          heartRate: newData.heartRate,
+          timeWhenMeasured: newData.timeWhenMeasured,
+          threshold: threshold
+        });
+      }
+      this.isAboveHeartRateThreshold = isAboveThreshold;
+    }
+
+    this.heartRateAlerts.check(newData, this.isResting).forEach(alert => {
+      this.insertChronologically(this.alerts, alert, 'startTime');
+      this.emit('heartRateAlert', alert);
+    });
+  }
+
+  /**
+   * Get abnormal heart rate alerts.
+   * @param {object} options - Filters ({type, from, to}); from and to are UNIX timestamps.
+   * @return {array} Alerts overlapping the time range, in chronological order.
+   */
+  getHeartRateAlerts(options = {}) {
+    Validator.validate(options, {
+      type: {values: ['highResting', 'low', 'spike', 'implausible']},
+      from: {type: 'timestamp'},
+      to: {type: 'timestamp'}
+    }, 'options');
+    return this.alerts.filter(alert => {
+      return (options.type === undefined || alert.type === options.type)
+        && (options.from === undefined || alert.endTime >= options.from)
+        && (options.to === undefined || alert.startTime <= options.to);
+    });
+  }
+
+  /**
+   * Get the progress of every goal for the day or week containing a day.
+   * @param {number} dayNumber - Local calendar day.
+   * @return {object} Evaluations keyed by metric and period (Ex: "steps/daily").
+   */
+  getGoalProgress(dayNumber) {
+    const progress = {};
+    this.goals.forEach(goal => {
+      const [evaluation] = Goals.evaluate(this, this.goals, goal.metric, goal.period, dayNumber, dayNumber);
+      progress[`${goal.metric}/${goal.period}`] = evaluation || null;
+    });
+    return progress;
+  }
+
+  /**
+   * Emit goalReached for goals completed since their progress was last checked.
+   * @param {object} goalsBefore - Progress from getGoalProgress before new data was stored.
+   * @param {object} goalsAfter - Progress from getGoalProgress after new data was stored.
+   */
+  emitGoalsReached(goalsBefore, goalsAfter) {
+    Object.keys(goalsAfter).forEach(key => {
+      const before = goalsBefore[key];
+      const after = goalsAfter[key];
+      if (after && after.completed && !(before && before.completed)) {
+        const [metric, period] = key.split('/');
+        this.emit('goalReached', {metric: metric, period: period, date: after.date, target: after.target, value: after.value});
+      }
+    });
+  }
+
+  /**
+   * Get a day's steps and the most steps on any other day.
+   * @param {number} dayNumber - Local calendar day.
+   * @return {object} Steps ({date, value, previousRecord}); previousRecord is null if there are no other days.
+   */
+  getStepsRecord(dayNumber) {
+    let value = 0;
+    let previousRecord = null;
+    this.getDataSummary('steps').forEach(data => {
+      if (data.daysSinceUnixEpoch === dayNumber) {
+        value = data.steps;
+      } else {
+        previousRecord = Math.max(previousRecord || 0, data.steps);
+      }
+    });
+    return {date: TimeZone.formatDate(dayNumber), value, previousRecord};
+  }
+
+  /**
+   * Emit dailyRecord if a day's steps just went past the previous record.
+   * @param {object} recordBefore - Steps from getStepsRecord before new data was stored.
+   * @param {object} recordAfter - Steps from getStepsRecord after new data was stored.
+   */
+  emitStepsRecord(recordBefore, recordAfter) {
+    const previousRecord = recordAfter.previousRecord;
+    if (previousRecord !== null && recordAfter.value > previousRecord && recordBefore.value <= previousRecord) {
+      this.emit('dailyRecord', Object.assign({metric: 'steps'}, recordAfter));
+    }
+  }
+
+  /**
+   * Get the id for the next workout that is ended without one.
+   * Such workouts are numbered in order after the highest numeric id.
+   * @return {number} Workout id.
+   */
+  getNextWorkoutId() {
+    return this.workoutData.rawData.reduce((acc, workout) => Math.max(acc, Number(workout.workoutId) || 0), 0) + 1;
   }
 
   /**
    * End a workout.
+   * @param {object} watchData - Sent by watch when user finishes a workout.
+   * @return {object} Summary of the completed workout, with the names of the personal records it beat (newRecords).
    */
-  endWorkout() {
-    if (this.workoutInstance) {
-      this.isResting = true;
-      this.workoutInstance.finishWorkoutRecording();
-      const summary = this.workoutInstance.getWorkoutSummary();
-      this.storeData(summary, 'steps');
-      this.storeData(summary, 'caloriesBurned');
-      this.workoutInstance = null;
-      return summary;
-    } else {
-      console.log('There is no workout in progress');
+  endWorkout(watchData) {
+    this.requireWorkout().finishWorkoutRecording(watchData);
+    this.isResting = true;
+    const summary = this.workoutInstance.getWorkoutSummary();
+    const dayNumber = TimeZone.getDayNumber(summary.startTime, this.timeZone);
+    const goalsBefore = this.getGoalProgress(dayNumber);
+    const stepsRecordBefore = this.getStepsRecord(dayNumber);
+    const recordsBefore = this.getPersonalRecords();
+    this.storeData(summary, 'steps');
+    this.storeData(summary, 'caloriesBurned');
+    this.insertChronologically(this.workoutData.rawData, Object.assign({}, summary, {
+      samples: this.workoutInstance.getSamples(),
+      pausedSamples: this.workoutInstance.getPausedSamples()
+    }), 'startTime');
+    this.workoutInstance = null;
+    // background data measured during the workout is now counted by it
+    this.backgroundData.rawData
+      .filter(data => data.endTime > summary.startTime && data.startTime < summary.endTime)
+      .forEach(data => this.countBackgroundData(data));
+    summary.newRecords = PersonalRecords.getNewRecords(recordsBefore, this.getPersonalRecords(), summary.workoutType);
+    this.emit('workoutEnded', summary);
+    this.emitGoalsReached(goalsBefore, this.getGoalProgress(dayNumber));
+    this.emitStepsRecord(stepsRecordBefore, this.getStepsRecord(dayNumber));
+    return summary;
+  }
+
+  /**
+   * Export a completed workout.
+   * @param {number} workoutId - Id of the workout.
+   * @param {string} format - The string "gpx" or "tcx".
+   * @return {string} Exported workout.
+   */
+  exportWorkout(workoutId, format) {
+    Validator.checkOneOf(format, ['gpx', 'tcx'], 'format');
+    const workoutRecord = this.workoutData.rawData.find(workout => workout.workoutId === workoutId);
+    if (!workoutRecord) {
+      throw new NotFoundError(`There is no workout with id ${workoutId}`, 'workout_not_found');
     }
+    return format === 'gpx' ? WorkoutExporter.toGpx(workoutRecord) : WorkoutExporter.toTcx(workoutRecord);
   }
 
   /**
-   * Get minimum or maximum steps for a wearer over N day period.
-   * @param {number} nDayPeriod - N day period > 1.
-   * @param {string} minOrMax - The string "min" or "max".
-   * @return {number} Minimum or maximum steps over N day period.
+   * Import a GPX, TCX or FIT file.
+   * @param {string} filePath - Path of the file.
+   * @return {object} Ids of imported and skipped workouts.
    */
-  getMinMaxSteps(nDayPeriod, minOrMax) {
-    // if no step data, return 0
-    if (this.stepsData.length === 0) {
-      return 0;
-    } else if (this.stepsData.length === 1) {
-      return this.stepsData[0].steps;
-    } else {
-      /*
-        Summary steps data sample:
-        [
-          { daysSinceUnixEpoch: 18525, steps: 3484 },
-          { daysSinceUnixEpoch: 18526, steps: 2324 }
-        ]
-
-        Algorithm:
-        2 pointer method over stepsSummary list
-
-      */
-      const stepsSummary = this.getDataSummary('steps');
-      let minOrMaxSteps = 0;
-      let totalSteps = stepsSummary[0].steps;
-      let slowPtr = 0;
-      let fastPtr = 1;
-      while (fastPtr < stepsSummary.length) {
-        const diff = stepsSummary[fastPtr].daysSinceUnixEpoch - stepsSummary[slowPtr].daysSinceUnixEpoch;
-        if (diff === nDayPeriod - 1) {
-          totalSteps += stepsSummary[fastPtr].steps;
-          // enough data collected
-          if (!minOrMaxSteps) {
-            minOrMaxSteps = totalSteps;
-          }
-          minOrMaxSteps = Math[minOrMax](minOrMaxSteps, totalSteps);
-          slowPtr++;
-          fastPtr = slowPtr + 1;
-          totalSteps = stepsSummary[slowPtr].steps;
-        } else if (diff < nDayPeriod) {
-          // collect more steps data
-          totalSteps += stepsSummary[fastPtr].steps;
-          fastPtr++;
-        } else {
-          slowPtr++;
-          totalSteps = stepsSummary[slowPtr].steps;
-          fastPtr = slowPtr + 1;
-        }
+  importFile(filePath) {
+    return this.importWorkouts(WorkoutImporter.readFile(filePath));
+  }
+
+  /**
+   * Check parsed workouts and heart rate samples before any of them are
+   * stored, so a bad sample doesn't leave a workout half imported.
+   * @param {object} importedData - Parsed file from WorkoutImporter.
+   */
+  validateImportedData(importedData) {
+    Validator.validate(importedData, {
+      workouts: {type: 'array', required: true},
+      heartRateSamples: {type: 'array', required: true}
+    }, 'importedData');
+    const sampleSchemas = Wearer.getSampleSchemas();
+    const validateSamples = (samples, sampleType) => {
+      const schema = Object.assign({}, sampleSchemas[sampleType], {timeWhenMeasured: {type: 'timestamp', required: true}});
+      Validator.check(samples, 'array', sampleType);
+      samples.forEach(sample => Validator.validate(sample, schema, sampleType));
+    };
+    importedData.workouts.forEach(workout => {
+      Validator.validate(workout, {
+        workoutId: {type: 'id'},
+        workoutType: {type: 'string', required: true},
+        startTime: {type: 'timestamp', required: true},
+        endTime: {type: 'timestamp', required: true},
+        samples: {type: 'object', required: true},
+        lapTimes: {type: 'array', required: true}
+      }, 'workout');
+      if (workout.endTime < workout.startTime) {
+        throw new ValidationError('endTime must not be before startTime', 'endTime');
       }
-      return minOrMaxSteps;
+      Object.keys(sampleSchemas).forEach(sampleType => validateSamples(workout.samples[sampleType], sampleType));
+      workout.lapTimes.forEach(lapTime => {
+        Validator.check(lapTime, 'timestamp', 'lapTime');
+        if (lapTime < workout.startTime || lapTime > workout.endTime) {
+          throw new ValidationError('lapTime must be between startTime and endTime', 'lapTime');
+        }
+      });
+    });
+    validateSamples(importedData.heartRateSamples, 'heartRate');
+  }
+
+  /**
+   * Import parsed workouts and heart rate samples.
+   * Workouts already stored with the same id or start time are skipped, as
+   * are heart rate samples already stored with the same time. Nothing is
+   * imported if any of the data is invalid or storing it fails. Heart rates
+   * of 0, which some files record instead of leaving a gap, are stored and
+   * flagged as implausible, as when the watch sends them.
+   * @param {object} importedData - Parsed file from WorkoutImporter.
+   * @return {object} Ids of imported and skipped workouts.
+   */
+  importWorkouts(importedData) {
+    if (this.workoutInstance) {
+      throw new WorkoutStateError('There is a workout in progress', 'workout_in_progress');
+    }
+    this.validateImportedData(importedData);
+    // a copy to go back to if a workout fails part way through the file
+    const snapshot = JSON.parse(JSON.stringify(this.toJSON()));
+    const isAboveHeartRateThreshold = this.isAboveHeartRateThreshold;
+    try {
+      return this.replayImportedData(importedData);
+    } catch (error) {
+      this.restore(snapshot);
+      this.isAboveHeartRateThreshold = isAboveHeartRateThreshold;
+      throw error;
     }
   }
 
   /**
-   * Get average number of steps for a wearer over N day period.
-   * @param {number} nDayPeriod - N day period > 1.
-   * @return {number} Average number of steps over N day period.
+   * Store validated workouts and heart rate samples from importWorkouts.
+   * @param {object} importedData - Parsed file from WorkoutImporter.
+   * @return {object} Ids of imported and skipped workouts.
    */
-  getAverageNumberOfSteps(nDayPeriod) {
-    /*
-     * 1. track number of complete N day periods
-     * 2. store running total of steps for complete N day periods
-     * 3. divide number of complete periods by running total
-     */
-    if (this.stepsData.length === 0) {
-      return 0;
-    } else if (this.stepsData.length === 1) {
-      return this.stepsData[0].steps;
-    } else {
-      let completeNDayPeriods = 0;
-      let totalStepsForCompleteNDayPeriods = 0;
-
-      const stepsSummary = this.getDataSummary('steps');
-      let totalSteps = stepsSummary[0].steps;
-      let slowPtr = 0;
-      let fastPtr = 1;
-      while (fastPtr < stepsSummary.length) {
-        const diff = stepsSummary[fastPtr].daysSinceUnixEpoch - stepsSummary[slowPtr].daysSinceUnixEpoch;
-        if (diff === nDayPeriod - 1) {
-          totalSteps += stepsSummary[fastPtr].steps;
-          // enough data collected
-          completeNDayPeriods++;
-          totalStepsForCompleteNDayPeriods += totalSteps;
-
-          slowPtr++;
-          fastPtr = slowPtr + 1;
-          totalSteps = stepsSummary[slowPtr].steps;
-        } else if (diff < nDayPeriod) {
-          // collect more steps data
-          totalSteps += stepsSummary[fastPtr].steps;
-          fastPtr++;
-        } else {
-          slowPtr++;
-          totalSteps = stepsSummary[slowPtr].steps;
-          fastPtr = slowPtr + 1;
-        }
+  replayImportedData(importedData) {
+    const hasId = id => id !== undefined && id !== null;
+    const result = {imported: [], skipped: []};
+    importedData.workouts.forEach(workout => {
+      const isDuplicate = this.workoutData.rawData.some(existing => {
+        return (hasId(existing.workoutId) && hasId(workout.workoutId) && existing.workoutId === workout.workoutId)
+          || existing.startTime === workout.startTime;
+      });
+      if (isDuplicate) {
+        result.skipped.push(workout.workoutId);
+        return;
       }
 
-      if (completeNDayPeriods === 0) {
-        return 0;
-      } else {
-        return totalStepsForCompleteNDayPeriods / completeNDayPeriods;
+      // replay the samples in the order they were measured, closing laps after
+      // samples measured at the same time
+      const events = [];
+      const {steps, caloriesBurned, heartRate, location} = workout.samples;
+      steps.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.addSteps(sample)}));
+      caloriesBurned.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.addCaloriesBurned(sample)}));
+      heartRate.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.storeHeartRateData(sample)}));
+      location.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.addLocation(sample)}));
+      workout.lapTimes.forEach(lapTime => events.push({time: lapTime, order: 1, apply: () => this.markLap({lapTime: lapTime})}));
+      events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+      const workoutType = this.workoutTypes.resolve(workout.workoutType) ? workout.workoutType : 'other';
+      this.startWorkout({workoutId: workout.workoutId, workoutType: workoutType, startTime: workout.startTime});
+      events.forEach(event => event.apply());
+      this.endWorkout({workoutId: workout.workoutId, endTime: workout.endTime});
+      result.imported.push(workout.workoutId);
+    });
+
+    const {resting, active} = this.heartRateData.rawData;
+    const storedTimes = new Set(resting.concat(active).map(data => data.timeWhenMeasured));
+    importedData.heartRateSamples.forEach(sample => {
+      if (!storedTimes.has(sample.timeWhenMeasured)) {
+        this.storeHeartRateData(sample);
+        storedTimes.add(sample.timeWhenMeasured);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Record a sleep session. It replaces inferred sessions it overlaps.
+   * @param {object} sleepData - Sent by watch after sleep ({startTime, endTime, stages}); stages is a list of {stage, startTime, endTime} with stage "light", "deep", "rem" or "awake".
+   * @return {object} The stored session.
+   */
+  recordSleep(sleepData) {
+    Validator.validate(sleepData, {
+      startTime: {type: 'timestamp', required: true},
+      endTime: {type: 'timestamp', required: true},
+      stages: {type: 'array'}
+    }, 'sleepData');
+    const {startTime, endTime} = sleepData;
+    if (endTime <= startTime) {
+      throw new ValidationError('Sleep must end after it starts', 'endTime');
+    }
+    const stages = (sleepData.stages || []).map(stage => {
+      Validator.validate(stage, {
+        stage: {values: SleepAnalyzer.getStages(), required: true},
+        startTime: {type: 'timestamp', required: true},
+        endTime: {type: 'timestamp', required: true}
+      }, 'stage');
+      if (stage.endTime <= stage.startTime || stage.startTime < startTime || stage.endTime > endTime) {
+        throw new ValidationError('Sleep stages must be within the sleep session', 'stages');
       }
+      return {stage: stage.stage, startTime: stage.startTime, endTime: stage.endTime};
+    }).sort((a, b) => a.startTime - b.startTime);
+
+    const overlaps = session => session.startTime < endTime && session.endTime > startTime;
+    if (this.sleepData.rawData.some(session => session.source === 'recorded' && overlaps(session))) {
+      throw new ConflictError('There is already a sleep session recorded at that time', 'sleep_overlaps');
     }
+    this.sleepData.rawData = this.sleepData.rawData.filter(session => !overlaps(session));
+    const session = {startTime: startTime, endTime: endTime, stages: stages, source: 'recorded'};
+    this.insertChronologically(this.sleepData.rawData, session, 'startTime');
+    return session;
   }
 
   /**
-   * Get average resting heart rate for a wearer over N day period.
+   * Get the periods the wearer was moving.
+   * @return {array} Periods with steps ({startTime, endTime}).
+   */
+  getMovementPeriods() {
+    return this.stepsData.rawData.concat(this.backgroundData.rawData)
+      .filter(data => data.steps > 0)
+      .map(data => ({startTime: data.startTime, endTime: data.endTime}));
+  }
+
+  /**
+   * Infer sleep sessions from long stretches of low resting heart rate
+   * without steps, and store those that don't overlap a stored session.
+   * @param {object} options - Inference options ({from, to, maxHeartRate, minDurationSeconds, maxGapSeconds}); from and to are UNIX timestamps, maxHeartRate defaults to 10 bpm above profile.restingHeartRate (or 65 bpm), minDurationSeconds to 3 hours and maxGapSeconds to 15 minutes.
+   * @return {array} The new sessions.
+   */
+  inferSleep(options = {}) {
+    Validator.validate(options, {
+      from: {type: 'timestamp'},
+      to: {type: 'timestamp'},
+      maxHeartRate: {type: 'positiveNumber'},
+      minDurationSeconds: {type: 'positiveNumber'},
+      maxGapSeconds: {type: 'positiveNumber'}
+    }, 'options');
+    const inferenceOptions = {
+      maxHeartRate: options.maxHeartRate || (this.profile.restingHeartRate ? this.profile.restingHeartRate + 10 : 65),
+      minDurationSeconds: options.minDurationSeconds || 3 * 3600,
+      maxGapSeconds: options.maxGapSeconds || 15 * 60
+    };
+    const samples = this.heartRateData.rawData.resting.filter(sample => {
+      return this.heartRateAlerts.isPlausible(sample.heartRate)
+        && (options.from === undefined || sample.timeWhenMeasured >= options.from)
+        && (options.to === undefined || sample.timeWhenMeasured <= options.to);
+    });
+    const newSessions = SleepAnalyzer.inferSessions(samples, this.getMovementPeriods(), inferenceOptions)
+      .filter(newSession => !this.sleepData.rawData.some(session => {
+        return session.startTime < newSession.endTime && session.endTime > newSession.startTime;
+      }));
+    newSessions.forEach(session => this.insertChronologically(this.sleepData.rawData, session, 'startTime'));
+    return newSessions;
+  }
+
+  /**
+   * Get nightly sleep summaries.
+   * @return {array} Summaries ({daysSinceUnixEpoch, sessions, timeInBed, timeAsleep, light, deep, rem, awake}) in seconds, one per local day sleep ended on.
+   */
+  getSleepSummary() {
+    return SleepAnalyzer.getNightlySummaries(this.sleepData.rawData, this.timeZone);
+  }
+
+  /**
+   * Get average nightly sleep for a wearer over N day period.
+   * The period ends on the latest night with sleep data; nights without sleep data are skipped.
    * @param {number} nDayPeriod - N day period > 0.
-   * @return {number} Average resting heart rate over N day period.
+   * @param {string} stage - Sleep stage to average ("light", "deep", "rem" or "awake"), defaults to all time asleep.
+   * @return {number} Average seconds per night over N day period.
    */
-  getAverageRestingHeartRate(nDayPeriod) {
-    const heartRateDataList = this.getDataSummary('heartRate').rawData.resting;
-    if (heartRateDataList.length === 0) {
+  getAverageSleepDuration(nDayPeriod, stage) {
+    Validator.check(nDayPeriod, 'positiveInteger', 'nDayPeriod');
+    if (stage !== undefined) {
+      Validator.checkOneOf(stage, SleepAnalyzer.getStages(), 'stage');
+    }
+    const summaries = this.getSleepSummary();
+    if (summaries.length === 0) {
       return 0;
-    } else {
-      let lastSeenDaysSinceUnixEpoch = heartRateDataList[0].daysSinceUnixEpoch;
-      let countOfNDayPeriods = 1;
-      let averageHeartRateData = [];
-      let totalHeartRateBpmInNDayPeriod = 0;
-      let countOfDataPointsInNDayPeriod = 0;
-
-      heartRateDataList.forEach(heartRateData => {
-        if (heartRateData.daysSinceUnixEpoch === lastSeenDaysSinceUnixEpoch) {
-          // collect more data
-          totalHeartRateBpmInNDayPeriod += heartRateData.heartRate;
-          countOfDataPointsInNDayPeriod++;
-        } else {
-          // bank collected data
-          averageHeartRateData.push(totalHeartRateBpmInNDayPeriod / countOfDataPointsInNDayPeriod);
-
-          countOfNDayPeriods++
-          // reset
-          totalHeartRateBpmInNDayPeriod = 0;
-          countOfDataPointsInNDayPeriod = 0;
-        }
-      });
-      // bank last set of data
-      if (countOfDataPointsInNDayPeriod) {
-        averageHeartRateData.push(totalHeartRateBpmInNDayPeriod / countOfDataPointsInNDayPeriod);
-      }
-      return averageHeartRateData.reduce((acc, cur, curIndex, arr) => {
-        acc += cur;
-        if (curIndex === arr.length - 1) {
-          acc = acc / arr.length;
-        }
-        return acc;
-      }, 0);
     }
+    const lastDay = summaries[summaries.length - 1].daysSinceUnixEpoch;
+    const nights = summaries.filter(summary => summary.daysSinceUnixEpoch > lastDay - nDayPeriod);
+    const total = nights.reduce((acc, summary) => acc + summary[stage || 'timeAsleep'], 0);
+    return total / nights.length;
+  }
+
+  /**
+   * Get daily totals of steps or calories burned, keyed by local day.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @return {object} Totals keyed by day number.
+   */
+  getDailyTotalsByDay(dataCategory) {
+    Validator.checkOneOf(dataCategory, ['steps', 'caloriesBurned'], 'dataCategory');
+    const totals = {};
+    this.getDataSummary(dataCategory).forEach(data => {
+      totals[data.daysSinceUnixEpoch] = data[dataCategory];
+    });
+    return totals;
+  }
+
+  /**
+   * Get a statistic of the totals of every N day period.
+   * Periods slide one day at a time from the first to the last day with data.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {string} statistic - The string "min", "max", "mean", "sum", "median" or "stddev".
+   * @param {object} options - Window options ({skipMissingDays}); by default days without data count as zero.
+   * @return {number} Statistic over N day period totals, 0 without data, or null if the data has no complete period.
+   */
+  getRollingStatistic(dataCategory, nDayPeriod, statistic, options = {}) {
+    const dailyTotals = this.getDailyTotalsByDay(dataCategory);
+    const windows = RollingStatistics.getWindowTotals(dailyTotals, nDayPeriod, options);
+    if (!windows.length && Object.keys(dailyTotals).length) {
+      return null;
+    }
+    return RollingStatistics.summarize(windows.map(window => window.total), statistic);
+  }
+
+  /**
+   * Get minimum or maximum steps for a wearer over N day period.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {string} minOrMax - The string "min" or "max".
+   * @param {object} options - Window options ({skipMissingDays}).
+   * @return {number} Minimum or maximum steps over N day period, or null if the data has no complete period.
+   */
+  getMinMaxSteps(nDayPeriod, minOrMax, options) {
+    if (minOrMax !== 'min' && minOrMax !== 'max') {
+      throw new ValidationError('minOrMax must be "min" or "max"', 'minOrMax');
+    }
+    return this.getRollingStatistic('steps', nDayPeriod, minOrMax, options);
+  }
+
+  /**
+   * Get average number of steps for a wearer over N day period.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {object} options - Window options ({skipMissingDays}).
+   * @return {number} Average number of steps over N day period, or null if the data has no complete period.
+   */
+  getAverageNumberOfSteps(nDayPeriod, options) {
+    return this.getRollingStatistic('steps', nDayPeriod, 'mean', options);
+  }
+
+  /**
+   * Get the resting heart rate of each day: the lowest 30 minute average of
+   * resting samples, or their average on days without 30 minutes of
+   * continuous data. Implausible readings are ignored.
+   * @return {array} Days ({daysSinceUnixEpoch, date, restingHeartRate, method, samples}); method is "lowestWindowAverage" or "mean".
+   */
+  getDailyRestingHeartRates() {
+    const {min, max} = this.heartRateAlerts.settings.implausible;
+    return RestingHeartRate.getDailyValues(this.getDataSummary('heartRate').rawData.resting, {
+      windowSeconds: 30 * 60,
+      maxGapSeconds: 10 * 60,
+      min: min,
+      max: max
+    }).map(day => Object.assign({date: TimeZone.formatDate(day.daysSinceUnixEpoch)}, day));
+  }
+
+  /**
+   * Get average resting heart rate for a wearer over N day period.
+   * The period ends on the latest day with resting heart rate data; days without data are skipped.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @return {number} Average of daily resting heart rates over N day period.
+   */
+  getAverageRestingHeartRate(nDayPeriod) {
+    return this.getRestingHeartRateStats(nDayPeriod).average;
+  }
+
+  /**
+   * Get resting heart rate stats over N day period.
+   * The trend is the least squares slope of the daily values in the latest
+   * N day period; a change of less than 1 bpm over the period is steady.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @return {object} Stats ({average, trend: {slope, direction}, rollingAverages, dailyValues}); slope is in bpm per day, direction is "rising", "falling" or "steady", and rollingAverages has the N day average ending on each day with data.
+   */
+  getRestingHeartRateStats(nDayPeriod) {
+    Validator.check(nDayPeriod, 'positiveInteger', 'nDayPeriod');
+    const dailyValues = this.getDailyRestingHeartRates();
+    const getPeriod = lastDay => dailyValues.filter(day => {
+      return day.daysSinceUnixEpoch > lastDay - nDayPeriod && day.daysSinceUnixEpoch <= lastDay;
+    });
+    const getAverage = days => RollingStatistics.summarize(days.map(day => day.restingHeartRate), 'mean');
+
+    const latestPeriod = dailyValues.length ? getPeriod(dailyValues[dailyValues.length - 1].daysSinceUnixEpoch) : [];
+    const points = latestPeriod.map(day => ({x: day.daysSinceUnixEpoch, y: day.restingHeartRate}));
+    return {
+      average: getAverage(latestPeriod),
+      trend: Trends.getTrend(points, nDayPeriod, 1),
+      rollingAverages: dailyValues.map(day => ({
+        date: day.date,
+        daysSinceUnixEpoch: day.daysSinceUnixEpoch,
+        average: getAverage(getPeriod(day.daysSinceUnixEpoch))
+      })),
+      dailyValues: dailyValues
+    };
   }
 
   /**
    * Get average calories burned per workout for each workout type over N day period.
+   * Each N day period with a workout of the type contributes its calories
+   * burned per workout, and those are averaged.
    * @param {number} nDayPeriod - N day period > 0.
    * @param {string} workoutType - The string representing the workout type (Ex: "walk").
-   * @return {number} Average calories burned per workout for each workout type over N day period.
-   */
-  getAverageCaloriesBurnedPerWorkout(nDayPeriod, workoutType) {
-    const caloriesBurnedDataList = this.getDataSummary('caloriesBurned')
-      .filter(data => data.workoutType === workoutType);
-
-    let completeNDayPeriods = 0;
-    let totalCaloriesBurnedForCompleteNDayPeriods = 0;
-
-    let totalCaloriesBurned = caloriesBurnedDataList[0].caloriesBurned;
-    let countOfDataPointsInNDayPeriod = 1;
-    let slowPtr = 0;
-    let fastPtr = 1;
-    while (fastPtr < caloriesBurnedDataList.length) {
-      const diff = caloriesBurnedDataList[fastPtr].daysSinceUnixEpoch - caloriesBurnedDataList[slowPtr].daysSinceUnixEpoch;
-      if (diff === nDayPeriod - 1) {
-        totalCaloriesBurned += caloriesBurnedDataList[fastPtr].caloriesBurned;
-        // enough data collected
-        completeNDayPeriods++;
-        totalCaloriesBurnedForCompleteNDayPeriods += totalCaloriesBurned;
-
-        slowPtr++;
-        fastPtr = slowPtr + 1;
-        totalCaloriesBurned = caloriesBurnedDataList[slowPtr].caloriesBurned;
-      } else if (diff < nDayPeriod) {
-        // collect more data
-        totalCaloriesBurned += caloriesBurnedDataList[fastPtr].caloriesBurned;
-        countOfDataPointsInNDayPeriod++;
-        fastPtr++;
-      } else {
-        slowPtr++;
-        totalCaloriesBurned = caloriesBurnedDataList[slowPtr].caloriesBurned;
-        fastPtr = slowPtr + 1;
+   * @param {object} options - Window options ({skipMissingDays}).
+   * @return {number} Average calories burned per workout for each workout type over N day period, or null if the workouts have no complete period.
+   */
+  getAverageCaloriesBurnedPerWorkout(nDayPeriod, workoutType, options) {
+    Validator.check(workoutType, 'string', 'workoutType');
+    const canonicalWorkoutType = this.workoutTypes.resolve(workoutType) || workoutType;
+    const caloriesByDay = {};
+    const workoutsByDay = {};
+    this.workoutData.rawData
+      .filter(workout => workout.workoutType === canonicalWorkoutType)
+      .forEach(workout => {
+        const dayNumber = TimeZone.getDayNumber(workout.startTime, this.timeZone);
+        caloriesByDay[dayNumber] = (caloriesByDay[dayNumber] || 0) + workout.caloriesBurned;
+        workoutsByDay[dayNumber] = (workoutsByDay[dayNumber] || 0) + 1;
+      });
+
+    const calorieWindows = RollingStatistics.getWindowTotals(caloriesByDay, nDayPeriod, options);
+    const workoutWindows = RollingStatistics.getWindowTotals(workoutsByDay, nDayPeriod, options);
+    if (!calorieWindows.length && Object.keys(caloriesByDay).length) {
+      return null;
+    }
+    const caloriesPerWorkout = calorieWindows
+      .map((window, index) => window.total / workoutWindows[index].total)
+      // periods without a workout have nothing to average
+      .filter(value => !Number.isNaN(value));
+    return RollingStatistics.summarize(caloriesPerWorkout, 'mean');
+  }
+
+  /**
+   * Get today's local calendar day.
+   * @return {number} Days since the UNIX epoch in the local calendar.
+   */
+  getToday() {
+    return TimeZone.getDayNumber(Math.floor(Date.now() / 1000), this.timeZone);
+  }
+
+  /**
+   * Check a goal's metric and period.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   */
+  checkGoal(metric, period) {
+    if (!Goals.getMetrics().includes(metric)) {
+      throw new ValidationError(`Goal metric must be one of ${Goals.getMetrics().join(', ')}`, 'metric');
+    }
+    if (!['daily', 'weekly'].includes(period)) {
+      throw new ValidationError('Goal period must be "daily" or "weekly"', 'period');
+    }
+  }
+
+  /**
+   * Set a daily or weekly goal. Days before the effective date keep their old target.
+   * @param {object} goal - Goal ({metric, period, target, effectiveDate}); metric is "steps", "caloriesBurned", "activeMinutes" or "workouts", period is "daily" or "weekly", a null target removes the goal, and effectiveDate is an ISO 8601 date that defaults to today.
+   */
+  setGoal(goal) {
+    Validator.check(goal, 'object', 'goal');
+    this.checkGoal(goal.metric, goal.period);
+    if (goal.target !== null && !(typeof goal.target === 'number' && goal.target > 0)) {
+      throw new ValidationError('Goal target must be a positive number or null', 'target');
+    }
+    const effectiveDay = goal.effectiveDate !== undefined ? TimeZone.parseDate(goal.effectiveDate) : this.getToday();
+    // a second change on the same day replaces the first
+    this.goals = this.goals.filter(change => {
+      return !(change.metric === goal.metric && change.period === goal.period && change.effectiveDay === effectiveDay);
+    });
+    this.insertChronologically(this.goals, {
+      metric: goal.metric,
+      period: goal.period,
+      target: goal.target,
+      effectiveDay: effectiveDay
+    }, 'effectiveDay');
+  }
+
+  /**
+   * Get the target of a goal on a date.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {string} date - ISO 8601 date, defaults to today.
+   * @return {number} Target, or null if there was no goal.
+   */
+  getGoal(metric, period, date) {
+    this.checkGoal(metric, period);
+    const dayNumber = date !== undefined ? TimeZone.parseDate(date) : this.getToday();
+    return Goals.getTarget(this.goals, metric, period, dayNumber);
+  }
+
+  /**
+   * Evaluate a goal for each day or week it was set.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {object} options - Date range ({from, to} ISO 8601 dates); defaults to when the goal was first set until today.
+   * @return {array} Evaluations ({date, target, value, progress, completed}); progress is a percentage.
+   */
+  evaluateGoal(metric, period, options = {}) {
+    this.checkGoal(metric, period);
+    Validator.validate(options, {from: {type: 'string'}, to: {type: 'string'}}, 'options');
+    const changes = this.goals.filter(goal => goal.metric === metric && goal.period === period);
+    if (!changes.length) {
+      return [];
+    }
+    const firstDay = options.from !== undefined ? TimeZone.parseDate(options.from) : changes[0].effectiveDay;
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    return Goals.evaluate(this, this.goals, metric, period, firstDay, lastDay);
+  }
+
+  /**
+   * Get the current and longest streaks of completed days or weeks for a goal.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {object} options - Streak options ({to}, the ISO 8601 date to count up to, defaults to today).
+   * @return {object} Streak lengths in days or weeks ({current, longest}).
+   */
+  getGoalStreaks(metric, period, options = {}) {
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    const evaluations = this.evaluateGoal(metric, period, {to: TimeZone.formatDate(lastDay)});
+    return Goals.getStreaks(evaluations, period, lastDay);
+  }
+
+  /**
+   * Get personal records, found from stored workouts and daily steps.
+   * The fastest lap is the one with the highest step rate.
+   * @return {object} Records ({mostStepsInADay, longestWorkout, mostCaloriesInAWorkout, fastestLap}); mostCaloriesInAWorkout is keyed by workout type, and workout durations are moving time in seconds.
+   */
+  getPersonalRecords() {
+    return PersonalRecords.getRecords(this.workoutData.rawData, this.getDailyTotalsByDay('steps'), this.timeZone);
+  }
+
+  /**
+   * Get the trend of a daily value over the N days ending on the latest day with data.
+   * Days without steps or calories count as zero; days without a resting heart rate are skipped.
+   * A change over the period of less than 5% of the average (1 bpm for resting heart rate) is steady.
+   * @param {string} dataCategory - The string "steps", "caloriesBurned" or "restingHeartRate".
+   * @param {number} nDayPeriod - N day period > 0.
+   * @return {object} Trend ({slope, direction}); slope is the change per day, direction is "rising", "falling" or "steady".
+   */
+  getTrend(dataCategory, nDayPeriod) {
+    if (dataCategory === 'restingHeartRate') {
+      return this.getRestingHeartRateStats(nDayPeriod).trend;
+    }
+    if (dataCategory !== 'steps' && dataCategory !== 'caloriesBurned') {
+      throw new ValidationError('Data category must be "steps", "caloriesBurned" or "restingHeartRate"', 'dataCategory');
+    }
+    Validator.check(nDayPeriod, 'positiveInteger', 'nDayPeriod');
+    const dailyTotals = this.getDailyTotalsByDay(dataCategory);
+    const days = Object.keys(dailyTotals).map(Number);
+    const points = [];
+    if (days.length) {
+      const lastDay = days.reduce((acc, day) => Math.max(acc, day));
+      const firstDay = days.reduce((acc, day) => Math.min(acc, day));
+      for (let day = Math.max(lastDay - nDayPeriod + 1, firstDay); day <= lastDay; day++) {
+        points.push({x: day, y: dailyTotals[day] || 0});
       }
     }
+    const average = RollingStatistics.summarize(points.map(point => point.y), 'mean');
+    return Trends.getTrend(points, nDayPeriod, average * 0.05);
+  }
 
-    if (completeNDayPeriods === 0) {
-      return 0;
-    } else {
-      return totalCaloriesBurnedForCompleteNDayPeriods / countOfDataPointsInNDayPeriod;
+  /**
+   * Get the change in steps or calories burned from last week or month.
+   * The week or month so far is compared with the same days of the one before.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {string} period - The string "week" or "month".
+   * @param {object} options - Change options ({to}, the ISO 8601 date to compare up to, defaults to today).
+   * @return {object} Change ({current, previous, change, percentChange}); current and previous are {from, to, value}, and percentChange is null if previous is 0.
+   */
+  getPeriodChange(dataCategory, period, options = {}) {
+    if (dataCategory !== 'steps' && dataCategory !== 'caloriesBurned') {
+      throw new ValidationError('Data category must be "steps" or "caloriesBurned"', 'dataCategory');
+    }
+    if (period !== 'week' && period !== 'month') {
+      throw new ValidationError('Period must be "week" or "month"', 'period');
+    }
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    const dailyTotals = this.getDailyTotalsByDay(dataCategory);
+    const getTotal = range => {
+      let value = 0;
+      for (let day = range.firstDay; day <= range.lastDay; day++) {
+        value += dailyTotals[day] || 0;
+      }
+      return {from: TimeZone.formatDate(range.firstDay), to: TimeZone.formatDate(range.lastDay), value: value};
+    };
+    const ranges = Trends.getPeriodRanges(lastDay, period);
+    const current = getTotal(ranges.current);
+    const previous = getTotal(ranges.previous);
+    return {
+      current: current,
+      previous: previous,
+      change: current.value - previous.value,
+      percentChange: previous.value ? (current.value - previous.value) / previous.value * 100 : null
+    };
+  }
+
+  /**
+   * Get the training load of completed workouts, keyed by the local day they started.
+   * @return {object} Training loads keyed by day number; workouts without a load count as 0.
+   */
+  getDailyTrainingLoads() {
+    const loads = {};
+    this.workoutData.rawData.forEach(workout => {
+      const dayNumber = TimeZone.getDayNumber(workout.startTime, this.timeZone);
+      loads[dayNumber] = (loads[dayNumber] || 0) + (workout.trainingLoad || 0);
+    });
+    return loads;
+  }
+
+  /**
+   * Get the acute (7 day) to chronic (28 day) training load ratio.
+   * @param {object} options - Ratio options ({to}, the ISO 8601 date both periods end on, defaults to today).
+   * @return {object} Loads ({acuteLoad, chronicLoad, ratio, status}); loads are daily averages, and status is "low", "optimal", "high" or "veryHigh".
+   */
+  getTrainingLoadRatio(options = {}) {
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    return TrainingLoad.getLoadRatio(this.getDailyTrainingLoads(), lastDay);
+  }
+
+  /**
+   * Get a recovery score combining the training load ratio with how far the
+   * latest daily resting heart rate is above the average of the 28 days before it.
+   * @param {object} options - Score options ({to}, the ISO 8601 date to score, defaults to today).
+   * @return {object} Recovery ({score, loadRatio, restingHeartRate, baselineRestingHeartRate}); score is 0 to 100 (null without a load ratio or resting heart rate baseline), and heart rates are null without data.
+   */
+  getRecoveryScore(options = {}) {
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    const loadRatio = TrainingLoad.getLoadRatio(this.getDailyTrainingLoads(), lastDay).ratio;
+    const dailyValues = this.getDailyRestingHeartRates().filter(day => day.daysSinceUnixEpoch <= lastDay);
+    const latest = dailyValues[dailyValues.length - 1];
+    let restingHeartRate = null;
+    let baselineRestingHeartRate = null;
+    if (latest) {
+      const baselineDays = dailyValues.filter(day => day.daysSinceUnixEpoch >= latest.daysSinceUnixEpoch - 28 && day !== latest);
+      restingHeartRate = latest.restingHeartRate;
+      baselineRestingHeartRate = baselineDays.length
+        ? RollingStatistics.summarize(baselineDays.map(day => day.restingHeartRate), 'mean')
+        : null;
     }
+    return {
+      score: TrainingLoad.getRecoveryScore(loadRatio, restingHeartRate, baselineRestingHeartRate),
+      loadRatio: loadRatio,
+      restingHeartRate: restingHeartRate,
+      baselineRestingHeartRate: baselineRestingHeartRate
+    };
   }
 }
 
@@ -0,0 +1,280 @@
+const Wearer = require('./Wearer');
+const MemoryStorage = require('./MemoryStorage');
+const TimeZone = require('./TimeZone');
+const Validator = require('./Validator');
+const ValidationError = require('./ValidationError');
+const NotFoundError = require('./NotFoundError');
+const ConflictError = require('./ConflictError');
+
+/**
+ * Class representing a registry of wearers, their groups (Ex: a family or a
+ * team) and leaderboards over their stats.
+ */
+class WearerRegistry {
+  /**
+   * Create a wearer registry.
+   * @param {object} options - Registry options ({storage, workoutTypes}).
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.workoutTypes = options.workoutTypes;
+    // wearers loaded from storage and groups, keyed by id; Maps, so ids such
+    // as "constructor" never match Object.prototype
+    this.wearers = new Map();
+    this.groups = new Map();
+  }
+
+  /**
+   * Check whether a wearer exists.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {boolean} Whether the wearer exists.
+   */
+  hasWearer(wearerId) {
+    return this.wearers.has(wearerId) || this.storage.list().includes(wearerId);
+  }
+
+  /**
+   * Create a wearer and save it.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} options - Wearer options ({timeZone, profile}).
+   * @return {Wearer} The new wearer.
+   */
+  createWearer(wearerId, options = {}) {
+    if (this.hasWearer(wearerId)) {
+      throw new ConflictError(`There is already a wearer with id ${wearerId}`, 'wearer_exists');
+    }
+    const wearer = new Wearer(null, Object.assign({}, options, {
+      id: wearerId,
+      storage: this.storage,
+      workoutTypes: this.workoutTypes
+    }));
+    this.wearers.set(wearerId, wearer);
+    wearer.save();
+    return wearer;
+  }
+
+  /**
+   * Get a wearer, loading it from storage if needed.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {Wearer} The wearer.
+   */
+  getWearer(wearerId) {
+    if (!this.wearers.has(wearerId)) {
+      if (!this.hasWearer(wearerId)) {
+        throw new NotFoundError(`There is no wearer with id ${wearerId}`, 'wearer_not_found');
+      }
+      const wearer = Wearer.load(wearerId, this.storage);
+      if (this.workoutTypes) {
+        wearer.workoutTypes = this.workoutTypes;
+      }
+      this.wearers.set(wearerId, wearer);
+    }
+    return this.wearers.get(wearerId);
+  }
+
+  /**
+   * Remove a wearer from storage and from every group.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  removeWearer(wearerId) {
+    this.getWearer(wearerId);
+    this.wearers.delete(wearerId);
+    this.storage.remove(wearerId);
+    this.groups.forEach((group, groupId) => {
+      this.removeFromGroup(groupId, wearerId);
+    });
+  }
+
+  /**
+   * List the ids of all wearers.
+   * @return {array} Wearer ids, sorted.
+   */
+  listWearers() {
+    const wearerIds = new Set([...this.storage.list(), ...this.wearers.keys()]);
+    return [...wearerIds].sort();
+  }
+
+  /**
+   * Create a group of wearers.
+   * @param {string} groupId - Id of the group.
+   * @param {object} details - Group details ({name, type}, Ex: {name: "Smiths", type: "family"}).
+   * @return {object} The group.
+   */
+  createGroup(groupId, details = {}) {
+    if (this.groups.has(groupId)) {
+      throw new ConflictError(`There is already a group with id ${groupId}`, 'group_exists');
+    }
+    const group = {
+      groupId: groupId,
+      name: details.name || groupId,
+      type: details.type || null,
+      wearerIds: []
+    };
+    this.groups.set(groupId, group);
+    return group;
+  }
+
+  /**
+   * Get a group.
+   * @param {string} groupId - Id of the group.
+   * @return {object} The group ({groupId, name, type, wearerIds}).
+   */
+  getGroup(groupId) {
+    if (!this.groups.has(groupId)) {
+      throw new NotFoundError(`There is no group with id ${groupId}`, 'group_not_found');
+    }
+    return this.groups.get(groupId);
+  }
+
+  /**
+   * Remove a group. Its wearers are kept.
+   * @param {string} groupId - Id of the group.
+   */
+  removeGroup(groupId) {
+    this.getGroup(groupId);
+    this.groups.delete(groupId);
+  }
+
+  /**
+   * List all groups.
+   * @return {array} Groups, sorted by id.
+   */
+  listGroups() {
+    return [...this.groups.keys()].sort().map(groupId => this.groups.get(groupId));
+  }
+
+  /**
+   * Add a wearer to a group. A wearer can be in any number of groups.
+   * @param {string} groupId - Id of the group.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  addToGroup(groupId, wearerId) {
+    const group = this.getGroup(groupId);
+    this.getWearer(wearerId);
+    if (!group.wearerIds.includes(wearerId)) {
+      group.wearerIds.push(wearerId);
+    }
+  }
+
+  /**
+   * Remove a wearer from a group.
+   * @param {string} groupId - Id of the group.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  removeFromGroup(groupId, wearerId) {
+    const group = this.getGroup(groupId);
+    group.wearerIds = group.wearerIds.filter(id => id !== wearerId);
+  }
+
+  /**
+   * Get the groups in a serializable form.
+   * @return {object} Registry data.
+   */
+  toJSON() {
+    return {groups: Object.fromEntries(this.groups)};
+  }
+
+  /**
+   * Restore groups produced by toJSON.
+   * @param {object} registryData - Registry data.
+   */
+  restore(registryData) {
+    this.groups = new Map(Object.entries(registryData.groups || {}));
+  }
+
+  /**
+   * Get the local calendar days a leaderboard covers for a wearer.
+   * Dates are compared with the wearer's local days, so "2020-09-20" means
+   * the 20th wherever each wearer lives.
+   * @param {Wearer} wearer - The wearer.
+   * @param {object} options - Date range ({from, to} ISO 8601 dates, and/or days, the last N days up to "to" or today).
+   * @return {object} First and last day number ({firstDay, lastDay}), inclusive.
+   */
+  getDayRange(wearer, options) {
+    const lastDay = options.to !== undefined
+      ? TimeZone.parseDate(options.to)
+      : TimeZone.getDayNumber(Math.floor(Date.now() / 1000), wearer.timeZone);
+    let firstDay = -Infinity;
+    if (options.from !== undefined) {
+      firstDay = TimeZone.parseDate(options.from);
+    } else if (options.days !== undefined) {
+      if (!Number.isInteger(options.days) || options.days < 1) {
+        throw new ValidationError('days must be a positive integer', 'days');
+      }
+      firstDay = lastDay - options.days + 1;
+    }
+    return {firstDay, lastDay};
+  }
+
+  /**
+   * Get a wearer's value for a leaderboard metric.
+   * @param {Wearer} wearer - The wearer.
+   * @param {string} metric - The string "steps", "workouts" or "caloriesPerWorkout".
+   * @param {object} options - Leaderboard options ({from, to, days, workoutType}).
+   * @return {number} Value, or null if the wearer has nothing to rank.
+   */
+  getMetricValue(wearer, metric, options) {
+    const {firstDay, lastDay} = this.getDayRange(wearer, options);
+    const isInRange = daysSinceUnixEpoch => daysSinceUnixEpoch >= firstDay && daysSinceUnixEpoch <= lastDay;
+
+    if (metric === 'steps') {
+      return wearer.getDataSummary('steps')
+        .filter(data => isInRange(data.daysSinceUnixEpoch))
+        .reduce((acc, data) => acc + data.steps, 0);
+    }
+
+    const workoutType = options.workoutType !== undefined
+      ? wearer.workoutTypes.resolve(options.workoutType) || options.workoutType
+      : null;
+    const workouts = wearer.workoutData.rawData.filter(workout => {
+      return (!workoutType || workout.workoutType === workoutType)
+        && isInRange(TimeZone.getDayNumber(workout.startTime, wearer.timeZone));
+    });
+    if (metric === 'workouts') {
+      return workouts.length;
+    }
+    // caloriesPerWorkout
+    if (!workouts.length) {
+      return null;
+    }
+    return workouts.reduce((acc, workout) => acc + workout.caloriesBurned, 0) / workouts.length;
+  }
+
+  /**
+   * Get a leaderboard.
+   * Wearers with the same value share a rank and the next rank is skipped
+   * (Ex: 1, 2, 2, 4). Wearers with no workouts to average are left out of
+   * "caloriesPerWorkout" leaderboards.
+   * @param {string} metric - The string "steps" (total steps), "workouts" (number of workouts) or "caloriesPerWorkout" (average calories burned per workout).
+   * @param {object} options - Leaderboard options ({groupId, from, to, days, workoutType}); without a groupId every wearer is ranked.
+   * @return {array} Entries ({rank, wearerId, value}), best first.
+   */
+  getLeaderboard(metric, options = {}) {
+    if (!['steps', 'workouts', 'caloriesPerWorkout'].includes(metric)) {
+      throw new ValidationError('Leaderboard metric must be "steps", "workouts" or "caloriesPerWorkout"', 'metric');
+    }
+    Validator.validate(options, {
+      groupId: {type: 'id'},
+      from: {type: 'string'},
+      to: {type: 'string'},
+      days: {type: 'positiveInteger'},
+      workoutType: {type: 'string'}
+    }, 'options');
+    const wearerIds = options.groupId !== undefined ? this.getGroup(options.groupId).wearerIds : this.listWearers();
+    const entries = wearerIds
+      .map(wearerId => ({wearerId: wearerId, value: this.getMetricValue(this.getWearer(wearerId), metric, options)}))
+      .filter(entry => entry.value !== null)
+      // ties are listed by wearer id
+      .sort((a, b) => b.value - a.value || (a.wearerId < b.wearerId ? -1 : a.wearerId > b.wearerId ? 1 : 0));
+
+    let rank = 0;
+    return entries.map((entry, index) => {
+      if (index === 0 || entries[index - 1].value !== entry.value) {
+        rank = index + 1;
+      }
+      return {rank: rank, wearerId: entry.wearerId, value: entry.value};
+    });
+  }
+}
+
+module.exports = WearerRegistry;
@@ -1,22 +1,210 @@
+const EventEmitter = require('events');
+const HeartRateZones = require('./HeartRateZones');
+const CalorieEstimator = require('./CalorieEstimator');
+const HeartRateAlerts = require('./HeartRateAlerts');
+const TrainingLoad = require('./TrainingLoad');
+const Validator = require('./Validator');
+const ValidationError = require('./ValidationError');
+const WorkoutStateError = require('./WorkoutStateError');
+const WorkoutTypeRegistry = require('./WorkoutTypeRegistry');
+
 /**
  * Class representing a workout.
+ *
+ * Events:
+ * - "paused" ({pauseTime, isAutoPause}).
+ * - "resumed" ({resumeTime}).
+ * - "lap" (the completed lap).
+ * - "finished" (workout summary).
  */
-class Workout {
+class Workout extends EventEmitter {
   /**
    * Create a workout.
-   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * @param {object} watchData - Sent by watch when user starts a workout.
+   * @param {object} options - Workout options ({autoPauseSeconds, autoLap: {steps} or {minutes}, profile, workoutTypes, heartRateLimits: {min, max}}).
    */
-  constructor(simulatedWatchData) {
+  constructor(watchData, options = {}) {
+    super();
+    Validator.validate(options, {autoPauseSeconds: {type: 'positiveNumber'}, autoLap: {type: 'object'}, heartRateLimits: {type: 'object'}}, 'options');
+    if (options.autoLap) {
+      Validator.validate(options.autoLap, {steps: {type: 'positiveInteger'}, minutes: {type: 'positiveNumber'}}, 'autoLap');
+    }
     this.workoutId = null;
     this.workoutType = null;
     this.startTime = null;
     this.endTime = null;
     this.caloriesBurned = 0;
     this.steps = 0;
-    this.simulatedWatchData = simulatedWatchData;
+    // samples are kept in the order they arrive from the watch
+    this.samples = {steps: [], caloriesBurned: [], heartRate: [], location: []};
+    // samples arriving while paused are not added to steps and calories burned
+    this.pausedSamples = {steps: [], caloriesBurned: [], heartRate: [], location: []};
+    this.pausedSteps = 0;
+    this.pausedCaloriesBurned = 0;
+    this.pauses = [];
+    this.isPaused = false;
+    // pause automatically when no steps arrive for this many seconds
+    this.autoPauseSeconds = options.autoPauseSeconds || null;
+    this.lastStepTime = null;
+    this.laps = [];
+    this.currentLap = null;
+    // split automatically every N steps or every N minutes
+    this.autoLap = options.autoLap || null;
+    // wearer profile used for heart rate zones and calorie estimates
+    this.profile = options.profile || {};
+    this.workoutTypes = options.workoutTypes || WorkoutTypeRegistry.getDefault();
+    // heart rates outside these limits (Ex: sensor dropouts) are left out
+    this.heartRateLimits = options.heartRateLimits || HeartRateAlerts.getDefaultSettings().implausible;
+    this.watchData = watchData;
+
+    this.startWorkoutRecording(watchData);
+    this.currentLap = this.createLap(this.startTime);
+  }
+
+  /**
+   * Get the validation schemas of the samples a workout records.
+   * @return {object} Schemas keyed by sample type ("steps", "caloriesBurned", "heartRate" or "location").
+   */
+  static getSampleSchemas() {
+    return {
+      steps: {
+        additionalSteps: {type: 'nonNegativeNumber', required: true},
+        timeWhenMeasured: {type: 'timestamp'}
+      },
+      caloriesBurned: {
+        additionalCaloriesBurned: {type: 'nonNegativeNumber', required: true},
+        timeWhenMeasured: {type: 'timestamp'}
+      },
+      heartRate: {
+        // 0 is a sensor dropout, which is left out like other implausible readings
+        heartRate: {type: 'nonNegativeNumber', required: true},
+        timeWhenMeasured: {type: 'timestamp'}
+      },
+      location: {
+        latitude: {type: 'latitude', required: true},
+        longitude: {type: 'longitude', required: true},
+        elevation: {type: 'number'},
+        timeWhenMeasured: {type: 'timestamp'}
+      }
+    };
+  }
+
+  /**
+   * Get the workout's recording state in a serializable form, so a workout in
+   * progress can be continued by another process.
+   * @return {object} Workout state.
+   */
+  toJSON() {
+    return {
+      workoutId: this.workoutId,
+      workoutType: this.workoutType,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      caloriesBurned: this.caloriesBurned,
+      steps: this.steps,
+      samples: this.samples,
+      pausedSamples: this.pausedSamples,
+      pausedSteps: this.pausedSteps,
+      pausedCaloriesBurned: this.pausedCaloriesBurned,
+      pauses: this.pauses,
+      isPaused: this.isPaused,
+      autoPauseSeconds: this.autoPauseSeconds,
+      lastStepTime: this.lastStepTime,
+      laps: this.laps,
+      currentLap: this.currentLap,
+      autoLap: this.autoLap,
+      watchData: this.watchData
+    };
+  }
 
-    this.startWorkoutRecording();
-    this.processSimulatedData();
+  /**
+   * Restore recording state produced by toJSON.
+   * @param {object} workoutState - Workout state.
+   */
+  restore(workoutState) {
+    Object.assign(this, workoutState);
+  }
+
+  /**
+   * Create a lap.
+   * @param {number} startTime - UNIX timestamp when the lap starts.
+   * @return {object} Lap with no data recorded yet.
+   */
+  createLap(startTime) {
+    return {
+      lapNumber: this.laps.length + 1,
+      startTime: startTime,
+      endTime: null,
+      caloriesBurned: 0,
+      steps: 0,
+      heartRateTotal: 0,
+      heartRateCount: 0,
+      peakHeartRate: null
+    };
+  }
+
+  /**
+   * Close the current lap and start a new one.
+   * @param {object} watchData - Sent by watch when user marks a lap.
+   */
+  markLap(watchData) {
+    /*
+      {
+        lapTime: Long (UNIX timestamp)
+      }
+     */
+    Validator.validate(watchData, {lapTime: {type: 'timestamp', required: true}}, 'watchData');
+    const lapTime = watchData.lapTime;
+    if (lapTime < this.currentLap.startTime) {
+      throw new ValidationError('lapTime must not be before the current lap started', 'lapTime');
+    }
+    this.closeLap(lapTime);
+    this.currentLap = this.createLap(lapTime);
+  }
+
+  /**
+   * Close the current lap.
+   * @param {number} endTime - UNIX timestamp when the lap ends.
+   */
+  closeLap(endTime) {
+    const lap = this.currentLap;
+    lap.endTime = endTime;
+    const completedLap = {
+      lapNumber: lap.lapNumber,
+      startTime: lap.startTime,
+      endTime: lap.endTime,
+      caloriesBurned: lap.caloriesBurned,
+      steps: lap.steps,
+      averageHeartRate: lap.heartRateCount ? lap.heartRateTotal / lap.heartRateCount : null,
+      peakHeartRate: lap.peakHeartRate
+    };
+    this.laps.push(completedLap);
+    this.emit('lap', completedLap);
+  }
+
+  /**
+   * Mark time-based laps that are due by the given time.
+   * @param {number} currentTime - UNIX timestamp of the latest watch data.
+   */
+  checkAutoLapTime(currentTime) {
+    if (!this.autoLap || !this.autoLap.minutes) {
+      return;
+    }
+    const lapSeconds = this.autoLap.minutes * 60;
+    // a sample measured at the lap boundary belongs to the lap it closes
+    while (currentTime - this.currentLap.startTime > lapSeconds) {
+      this.markLap({lapTime: this.currentLap.startTime + lapSeconds});
+    }
+  }
+
+  /**
+   * Timestamp a sample sent by the watch, defaulting to the current time.
+   * @param {object} sampleData - Sample sent by watch.
+   * @return {object} Copy of the sample with a timeWhenMeasured.
+   */
+  timestampSample(sampleData) {
+    const now = Math.floor(Date.now() / 1000);
+    return Object.assign({timeWhenMeasured: now}, sampleData);
   }
 
   /**
@@ -26,10 +214,22 @@ class Workout {
   addCaloriesBurned(caloriesData) {
     /*
       {
-        additionalCaloriesBurned: Number
+        additionalCaloriesBurned: Number,
+        timeWhenMeasured: Number (UNIX timestamp)
       }
      */
-    this.caloriesBurned += caloriesData.additionalCaloriesBurned;
+    Validator.validate(caloriesData, Workout.getSampleSchemas().caloriesBurned, 'caloriesData');
+    const sample = this.timestampSample(caloriesData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    if (this.isPaused) {
+      this.pausedSamples.caloriesBurned.push(sample);
+      this.pausedCaloriesBurned += sample.additionalCaloriesBurned;
+    } else {
+      this.samples.caloriesBurned.push(sample);
+      this.caloriesBurned += sample.additionalCaloriesBurned;
+      this.currentLap.caloriesBurned += sample.additionalCaloriesBurned;
+    }
   }
 
   /**
@@ -39,10 +239,156 @@ class Workout {
   addSteps(stepsData) {
     /*
       {
-        additionalSteps: Number
+        additionalSteps: Number,
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(stepsData, Workout.getSampleSchemas().steps, 'stepsData');
+    const sample = this.timestampSample(stepsData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    if (sample.additionalSteps > 0) {
+      if (this.isPaused && this.pauses[this.pauses.length - 1].isAutoPause) {
+        // moving again
+        this.resumeWorkoutRecording({resumeTime: sample.timeWhenMeasured});
+      }
+      this.lastStepTime = sample.timeWhenMeasured;
+    }
+    if (this.isPaused) {
+      this.pausedSamples.steps.push(sample);
+      this.pausedSteps += sample.additionalSteps;
+    } else {
+      this.samples.steps.push(sample);
+      this.steps += sample.additionalSteps;
+      this.currentLap.steps += sample.additionalSteps;
+      if (this.autoLap && this.autoLap.steps && this.currentLap.steps >= this.autoLap.steps) {
+        this.markLap({lapTime: sample.timeWhenMeasured});
+      }
+    }
+  }
+
+  /**
+   * Track heart rate during a workout. Readings outside heartRateLimits are
+   * left out of laps, zones, training load and the workout summary.
+   * @param {object} heartRateData - Heart rate recording sent by watch every minute.
+   */
+  addHeartRate(heartRateData) {
+    /*
+      {
+        heartRate: Number,
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(heartRateData, Workout.getSampleSchemas().heartRate, 'heartRateData');
+    const {min, max} = this.heartRateLimits;
+    if (heartRateData.heartRate < min || heartRateData.heartRate > max) {
+      return;
+    }
+    const sample = this.timestampSample(heartRateData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    if (this.isPaused) {
+      this.pausedSamples.heartRate.push(sample);
+    } else {
+      this.samples.heartRate.push(sample);
+      const lap = this.currentLap;
+      lap.heartRateTotal += sample.heartRate;
+      lap.heartRateCount++;
+      lap.peakHeartRate = Math.max(lap.peakHeartRate || 0, sample.heartRate);
+    }
+  }
+
+  /**
+   * Track location during a workout, for watches with GPS.
+   * @param {object} locationData - Location recording sent by watch.
+   */
+  addLocation(locationData) {
+    /*
+      {
+        latitude: Number (degrees),
+        longitude: Number (degrees),
+        elevation: Number (meters, optional),
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(locationData, Workout.getSampleSchemas().location, 'locationData');
+    const sample = this.timestampSample(locationData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    const source = this.isPaused ? this.pausedSamples : this.samples;
+    source.location.push(sample);
+  }
+
+  /**
+   * Pause the workout automatically if no steps arrived within the auto-pause window.
+   * @param {number} currentTime - UNIX timestamp of the latest watch data.
+   */
+  checkAutoPause(currentTime) {
+    // missing steps don't mean the wearer stopped if the workout type has no steps
+    if (!this.autoPauseSeconds || this.isPaused || !this.workoutTypes.get(this.workoutType).hasSteps) {
+      return;
+    }
+    const lastMovingTime = this.lastStepTime || this.startTime;
+    if (currentTime - lastMovingTime >= this.autoPauseSeconds) {
+      this.pauseWorkoutRecording({pauseTime: lastMovingTime + this.autoPauseSeconds}, true);
+    }
+  }
+
+  /**
+   * Pause workout recording.
+   * @param {object} watchData - Sent by watch when user pauses a workout.
+   * @param {boolean} isAutoPause - Whether the pause was triggered by auto-pause.
+   */
+  pauseWorkoutRecording(watchData, isAutoPause = false) {
+    /*
+      {
+        pauseTime: Long (UNIX timestamp)
       }
      */
-    this.steps += stepsData.additionalSteps;
+    Validator.validate(watchData, {pauseTime: {type: 'timestamp', required: true}}, 'watchData');
+    if (this.isPaused) {
+      throw new WorkoutStateError('The workout is already paused', 'workout_paused');
+    }
+    if (watchData.pauseTime < this.startTime) {
+      throw new ValidationError('pauseTime must not be before startTime', 'pauseTime');
+    }
+    const previousPause = this.pauses[this.pauses.length - 1];
+    if (previousPause && watchData.pauseTime < previousPause.endTime) {
+      // overlapping pauses would count the same time as paused twice
+      throw new ValidationError('pauseTime must not be before the previous pause ended', 'pauseTime');
+    }
+    this.isPaused = true;
+    this.pauses.push({
+      startTime: watchData.pauseTime,
+      endTime: null,
+      isAutoPause: isAutoPause
+    });
+    this.emit('paused', {pauseTime: watchData.pauseTime, isAutoPause: isAutoPause});
+  }
+
+  /**
+   * Resume workout recording.
+   * @param {object} watchData - Sent by watch when user resumes a workout.
+   */
+  resumeWorkoutRecording(watchData) {
+    /*
+      {
+        resumeTime: Long (UNIX timestamp)
+      }
+     */
+    Validator.validate(watchData, {resumeTime: {type: 'timestamp', required: true}}, 'watchData');
+    if (!this.isPaused) {
+      throw new WorkoutStateError('The workout is not paused', 'workout_not_paused');
+    }
+    const pause = this.pauses[this.pauses.length - 1];
+    if (watchData.resumeTime < pause.startTime) {
+      throw new ValidationError('resumeTime must not be before the pause started', 'resumeTime');
+    }
+    this.isPaused = false;
+    pause.endTime = watchData.resumeTime;
+    // restart the auto-pause window
+    this.lastStepTime = watchData.resumeTime;
+    this.emit('resumed', {resumeTime: watchData.resumeTime});
   }
 
   /**
@@ -56,36 +402,101 @@ class Workout {
         startTime: Long (UNIX timestamp)
       }
      */
-    const data = watchData || this.simulatedWatchData;
-    this.workoutType = data.workoutType;
+    const data = Validator.validate(watchData || this.watchData, {
+      workoutId: {type: 'id'},
+      workoutType: {type: 'string', required: true},
+      startTime: {type: 'timestamp', required: true},
+      endTime: {type: 'timestamp'}
+    }, 'watchData');
+    const workoutType = this.workoutTypes.resolve(data.workoutType);
+    if (!workoutType) {
+      throw new ValidationError(`Unknown workout type: ${data.workoutType}`, 'workoutType');
+    }
+    this.workoutType = workoutType;
     this.startTime = data.startTime;
   }
 
   /**
-   * Process simulated data.
+   * Finish workout recording.
+   * @param {object} watchData - Sent by watch when user finishes a workout.
    */
-  processSimulatedData() {
-    const {caloriesBurnedData, stepsData, heartRateData} = this.simulatedWatchData;
-    if (caloriesBurnedData) {
-      caloriesBurnedData.forEach(calories => {
-        this.addCaloriesBurned({additionalCaloriesBurned: calories});
-      });
+  finishWorkoutRecording(watchData) {
+    const data = Validator.validate(watchData || this.watchData, {
+      workoutId: {type: 'id'},
+      endTime: {type: 'timestamp'}
+    }, 'watchData');
+    const endTime = data.endTime || Math.floor(Date.now() / 1000);
+    if (endTime < this.startTime) {
+      throw new ValidationError('endTime must not be before startTime', 'endTime');
+    }
+    if (this.isPaused && endTime < this.pauses[this.pauses.length - 1].startTime) {
+      throw new ValidationError('endTime must not be before the pause started', 'endTime');
     }
-    if (stepsData) {
-      stepsData.forEach(steps => {
-        this.addSteps({additionalSteps: steps});
-      });
+    if (endTime < this.currentLap.startTime) {
+      throw new ValidationError('endTime must not be before the current lap started', 'endTime');
     }
+    // nothing changes until the finish is known to succeed
+    this.workoutId = data.workoutId;
+    this.endTime = endTime;
+    if (this.isPaused) {
+      this.resumeWorkoutRecording({resumeTime: this.endTime});
+    }
+    if (this.currentLap.startTime < this.endTime || this.laps.length === 0) {
+      this.closeLap(this.endTime);
+    }
+    this.emit('finished', this.getWorkoutSummary());
   }
 
   /**
-   * Finish workout recording.
-   * @param {object} watchData - Sent by watch when user finishes a workout.
+   * Get the timestamped samples recorded during the workout.
+   * @return {object} Steps, calories burned, heart rate and location samples.
    */
-  finishWorkoutRecording(watchData) {
-    const data = watchData || this.simulatedWatchData;
-    this.workoutId = data.workoutId;
-    this.endTime = data.endTime;
+  getSamples() {
+    return this.samples;
+  }
+
+  /**
+   * Get the timestamped samples recorded while the workout was paused.
+   * @return {object} Steps, calories burned, heart rate and location samples.
+   */
+  getPausedSamples() {
+    return this.pausedSamples;
+  }
+
+  /**
+   * Get heart rate stats for the time the workout was moving.
+   * @return {object} Average and peak heart rate, and seconds spent in each zone.
+   */
+  getHeartRateStats() {
+    const heartRateSamples = this.samples.heartRate;
+    if (heartRateSamples.length === 0) {
+      return {averageHeartRate: null, peakHeartRate: null, heartRateZones: null};
+    }
+    const heartRates = heartRateSamples.map(sample => sample.heartRate);
+    const thresholds = HeartRateZones.getZoneThresholds(this.profile);
+    return {
+      averageHeartRate: heartRates.reduce((acc, cur) => acc + cur) / heartRates.length,
+      peakHeartRate: heartRates.reduce((acc, cur) => Math.max(acc, cur)),
+      heartRateZones: thresholds ? HeartRateZones.getTimeInZones(heartRateSamples, thresholds, this.endTime) : null
+    };
+  }
+
+  /**
+   * Get calories burned, estimating them when the watch didn't report any.
+   * @param {number} movingTime - Seconds the workout was moving.
+   * @param {number} averageHeartRate - Average heart rate while moving.
+   * @return {object} Calories burned and their source ("device", "heartRate", "met" or null).
+   */
+  getCaloriesBurned(movingTime, averageHeartRate) {
+    if (this.samples.caloriesBurned.length || this.pausedSamples.caloriesBurned.length) {
+      return {caloriesBurned: this.caloriesBurned, caloriesSource: 'device'};
+    }
+    const estimate = CalorieEstimator.estimate(this.profile, {
+      met: this.workoutTypes.get(this.workoutType).met,
+      averageHeartRate: averageHeartRate,
+      durationSeconds: movingTime
+    });
+    return estimate || {caloriesBurned: this.caloriesBurned, caloriesSource: null};
   }
 
   /**
@@ -93,13 +504,29 @@ class Workout {
    * @return {object} Data related to the completed workout.
    */
   getWorkoutSummary() {
+    const elapsedTime = this.endTime - this.startTime;
+    const pausedTime = this.pauses.reduce((acc, pause) => acc + (pause.endTime - pause.startTime), 0);
+    const movingTime = elapsedTime - pausedTime;
+    const heartRateStats = this.getHeartRateStats();
+    const calories = this.getCaloriesBurned(movingTime, heartRateStats.averageHeartRate);
     return {
       workoutId: this.workoutId,
       workoutType: this.workoutType,
       startTime: this.startTime,
       endTime: this.endTime,
-      caloriesBurned: this.caloriesBurned,
-      steps: this.steps
+      elapsedTime: elapsedTime,
+      movingTime: movingTime,
+      caloriesBurned: calories.caloriesBurned,
+      caloriesSource: calories.caloriesSource,
+      steps: this.steps,
+      pausedCaloriesBurned: this.pausedCaloriesBurned,
+      pausedSteps: this.pausedSteps,
+      averageHeartRate: heartRateStats.averageHeartRate,
+      peakHeartRate: heartRateStats.peakHeartRate,
+      heartRateZones: heartRateStats.heartRateZones,
+      trainingLoad: TrainingLoad.getTrimp(this.samples.heartRate, this.endTime, this.profile),
+      pauses: this.pauses,
+      laps: this.laps
     };
   }
 }
@@ -0,0 +1,241 @@
+const TimeZone = require('./TimeZone');
+
+/**
+ * Class with helpers for exporting completed workouts to GPX 1.1 and Garmin TCX.
+ * Workouts are the records stored in a wearer's workoutData (summary plus samples).
+ */
+class WorkoutExporter {
+  /**
+   * Escape text for use in XML.
+   * @param {*} value - Value to escape.
+   * @return {string} Escaped text.
+   */
+  static escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Get the laps of a workout, treating a workout without laps as a single lap.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {array} Laps in chronological order.
+   */
+  static getLaps(workoutRecord) {
+    if (workoutRecord.laps && workoutRecord.laps.length) {
+      return workoutRecord.laps;
+    }
+    return [{
+      lapNumber: 1,
+      startTime: workoutRecord.startTime,
+      endTime: workoutRecord.endTime,
+      caloriesBurned: workoutRecord.caloriesBurned,
+      steps: workoutRecord.steps,
+      averageHeartRate: workoutRecord.averageHeartRate,
+      peakHeartRate: workoutRecord.peakHeartRate
+    }];
+  }
+
+  /**
+   * Merge the samples of a workout into one point per timestamp.
+   * Cadence is derived from each step sample and the time since the previous
+   * one, and is halved because Garmin formats count one foot.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {array} Points ({time, heartRate, cadence, location}) in chronological order.
+   */
+  static getTrackpoints(workoutRecord) {
+    const samples = workoutRecord.samples;
+    const pauses = workoutRecord.pauses || [];
+    const points = {};
+    const getPoint = time => {
+      if (!points[time]) {
+        points[time] = {time: time};
+      }
+      return points[time];
+    };
+
+    samples.heartRate.forEach(sample => {
+      getPoint(sample.timeWhenMeasured).heartRate = sample.heartRate;
+    });
+    let previousTime = workoutRecord.startTime;
+    samples.steps.forEach(sample => {
+      // time spent paused doesn't count towards cadence
+      pauses.forEach(pause => {
+        if (pause.endTime > previousTime && pause.endTime <= sample.timeWhenMeasured) {
+          previousTime = pause.endTime;
+        }
+      });
+      const interval = sample.timeWhenMeasured - previousTime;
+      if (interval > 0) {
+        getPoint(sample.timeWhenMeasured).cadence = Math.round(sample.additionalSteps / interval * 60 / 2);
+      }
+      previousTime = sample.timeWhenMeasured;
+    });
+    (samples.location || []).forEach(sample => {
+      getPoint(sample.timeWhenMeasured).location = sample;
+    });
+
+    return Object.keys(points)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(time => points[time]);
+  }
+
+  /**
+   * Group points by the lap they were measured in.
+   * A point measured at a lap boundary belongs to the lap it closes.
+   * @param {array} laps - Laps in chronological order.
+   * @param {array} points - Points in chronological order.
+   * @return {array} List of points for each lap.
+   */
+  static groupByLap(laps, points) {
+    const pointsByLap = laps.map(() => []);
+    points.forEach(point => {
+      let lapIndex = laps.findIndex(lap => point.time <= lap.endTime);
+      if (lapIndex === -1) {
+        lapIndex = laps.length - 1;
+      }
+      pointsByLap[lapIndex].push(point);
+    });
+    return pointsByLap;
+  }
+
+  /**
+   * Export a workout as GPX 1.1.
+   * GPX track points need a position, so only location samples become track
+   * points; each carries the latest heart rate and cadence measured by then.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {string} GPX document.
+   */
+  static toGpx(workoutRecord) {
+    const escapeXml = WorkoutExporter.escapeXml;
+    const laps = WorkoutExporter.getLaps(workoutRecord);
+    const pointsByLap = WorkoutExporter.groupByLap(laps, WorkoutExporter.getTrackpoints(workoutRecord));
+    const name = `${workoutRecord.workoutType} ${TimeZone.formatTime(workoutRecord.startTime)}`;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="fitness_tracking_watch" xmlns="http://www.topografix.com/GPX/1/1" ' +
+        'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+      '  <metadata>',
+      `    <name>${escapeXml(name)}</name>`,
+      `    <time>${TimeZone.formatTime(workoutRecord.startTime)}</time>`,
+      '  </metadata>',
+      '  <trk>',
+      `    <name>${escapeXml(name)}</name>`,
+      `    <type>${escapeXml(workoutRecord.workoutType)}</type>`
+    ];
+    let heartRate = null;
+    let cadence = null;
+    pointsByLap.forEach(points => {
+      // one track segment per lap
+      lines.push('    <trkseg>');
+      points.forEach(point => {
+        heartRate = point.heartRate !== undefined ? point.heartRate : heartRate;
+        cadence = point.cadence !== undefined ? point.cadence : cadence;
+        if (!point.location) {
+          return;
+        }
+        const {latitude, longitude, elevation} = point.location;
+        lines.push(`      <trkpt lat="${latitude}" lon="${longitude}">`);
+        if (elevation !== undefined && elevation !== null) {
+          lines.push(`        <ele>${elevation}</ele>`);
+        }
+        lines.push(`        <time>${TimeZone.formatTime(point.time)}</time>`);
+        if (heartRate !== null || cadence !== null) {
+          lines.push('        <extensions>');
+          lines.push('          <gpxtpx:TrackPointExtension>');
+          if (heartRate !== null) {
+            lines.push(`            <gpxtpx:hr>${Math.round(heartRate)}</gpxtpx:hr>`);
+          }
+          if (cadence !== null) {
+            lines.push(`            <gpxtpx:cad>${cadence}</gpxtpx:cad>`);
+          }
+          lines.push('          </gpxtpx:TrackPointExtension>');
+          lines.push('        </extensions>');
+        }
+        lines.push('      </trkpt>');
+      });
+      lines.push('    </trkseg>');
+    });
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Export a workout as Garmin TCX.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {string} TCX document.
+   */
+  static toTcx(workoutRecord) {
+    const sports = {run: 'Running', walk: 'Running', cycle: 'Biking'};
+    const sport = sports[workoutRecord.workoutType] || 'Other';
+    const laps = WorkoutExporter.getLaps(workoutRecord);
+    const pointsByLap = WorkoutExporter.groupByLap(laps, WorkoutExporter.getTrackpoints(workoutRecord));
+    const elapsedTime = workoutRecord.endTime - workoutRecord.startTime;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" ' +
+        'xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+      '  <Activities>',
+      `    <Activity Sport="${sport}">`,
+      `      <Id>${TimeZone.formatTime(workoutRecord.startTime)}</Id>`
+    ];
+    laps.forEach((lap, lapIndex) => {
+      const lapTime = lap.endTime - lap.startTime;
+      // estimated calories aren't split into laps, so share them out by time
+      let calories = lap.caloriesBurned;
+      if (workoutRecord.caloriesSource !== 'device' && elapsedTime > 0) {
+        calories = workoutRecord.caloriesBurned * lapTime / elapsedTime;
+      }
+      lines.push(`      <Lap StartTime="${TimeZone.formatTime(lap.startTime)}">`);
+      lines.push(`        <TotalTimeSeconds>${lapTime}</TotalTimeSeconds>`);
+      lines.push('        <DistanceMeters>0</DistanceMeters>');
+      lines.push(`        <Calories>${Math.round(calories || 0)}</Calories>`);
+      if (lap.averageHeartRate) {
+        lines.push(`        <AverageHeartRateBpm><Value>${Math.round(lap.averageHeartRate)}</Value></AverageHeartRateBpm>`);
+        lines.push(`        <MaximumHeartRateBpm><Value>${Math.round(lap.peakHeartRate)}</Value></MaximumHeartRateBpm>`);
+      }
+      lines.push('        <Intensity>Active</Intensity>');
+      lines.push('        <TriggerMethod>Manual</TriggerMethod>');
+      const points = pointsByLap[lapIndex];
+      if (points.length) {
+        lines.push('        <Track>');
+      }
+      points.forEach(point => {
+        lines.push('          <Trackpoint>');
+        lines.push(`            <Time>${TimeZone.formatTime(point.time)}</Time>`);
+        if (point.location) {
+          const {latitude, longitude, elevation} = point.location;
+          lines.push(`            <Position><LatitudeDegrees>${latitude}</LatitudeDegrees><LongitudeDegrees>${longitude}</LongitudeDegrees></Position>`);
+          if (elevation !== undefined && elevation !== null) {
+            lines.push(`            <AltitudeMeters>${elevation}</AltitudeMeters>`);
+          }
+        }
+        if (point.heartRate !== undefined) {
+          lines.push(`            <HeartRateBpm><Value>${Math.round(point.heartRate)}</Value></HeartRateBpm>`);
+        }
+        if (point.cadence !== undefined) {
+          lines.push(`            <Extensions><ns3:TPX><ns3:RunCadence>${point.cadence}</ns3:RunCadence></ns3:TPX></Extensions>`);
+        }
+        lines.push('          </Trackpoint>');
+      });
+      if (points.length) {
+        lines.push('        </Track>');
+      }
+      lines.push(`        <Extensions><ns3:LX><ns3:Steps>${lap.steps}</ns3:Steps></ns3:LX></Extensions>`);
+      lines.push('      </Lap>');
+    });
+    lines.push('    </Activity>');
+    lines.push('  </Activities>');
+    lines.push('</TrainingCenterDatabase>');
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = WorkoutExporter;
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const Validator = require('./Validator');
+const ValidationError = require('./ValidationError');
+const NotFoundError = require('./NotFoundError');
+
+/**
+ * Class with helpers for importing workouts from GPX, TCX and Garmin FIT files.
+ * Parsed files look like:
+ *   {
+ *     workouts: [{
+ *       workoutId, workoutType, startTime, endTime,
+ *       samples: {steps: [], caloriesBurned: [], heartRate: [], location: []},
+ *       lapTimes: [UNIX timestamps where a lap ends, except the last]
+ *     }],
+ *     heartRateSamples: [heart rate measured outside of workouts]
+ *   }
+ * Samples use the same shape the watch streams to Wearer.
+ */
+class WorkoutImporter {
+  /**
+   * Read and parse a workout file.
+   * @param {string} filePath - Path of a GPX, TCX or FIT file.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static readFile(filePath) {
+    Validator.check(filePath, 'string', 'filePath');
+    let content;
+    try {
+      content = fs.readFileSync(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        throw new NotFoundError(`There is no file at ${filePath}`, 'file_not_found');
+      }
+      throw new ValidationError(`Cannot read ${filePath}: ${e.message}`, 'filePath');
+    }
+    return WorkoutImporter.parse(content);
+  }
+
+  /**
+   * Parse a workout file, detecting its format from the content.
+   * @param {Buffer|string} content - File content.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parse(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') {
+      return WorkoutImporter.parseFit(buffer);
+    }
+    const text = buffer.toString('utf8');
+    if (/<gpx[\s>]/.test(text)) {
+      return WorkoutImporter.parseGpx(text);
+    }
+    if (/<TrainingCenterDatabase[\s>]/.test(text)) {
+      return WorkoutImporter.parseTcx(text);
+    }
+    throw new ValidationError('Unrecognized workout file format', 'filePath');
+  }
+
+  /**
+   * Get the content of every element with a tag name, ignoring namespace prefixes.
+   * The formats read here never nest an element inside one with the same name.
+   * @param {string} xml - XML text.
+   * @param {string} tagName - Local tag name (Ex: "trkpt").
+   * @return {array} Elements ({attributes, content}).
+   */
+  static getElements(xml, tagName) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tagName}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tagName}>)`, 'g');
+    const elements = [];
+    let match;
+    while ((match = pattern.exec(xml))) {
+      elements.push({attributes: match[1] || '', content: match[2] || ''});
+    }
+    return elements;
+  }
+
+  /**
+   * Get the text of the first element with a tag name.
+   * @param {string} xml - XML text.
+   * @param {string} tagName - Local tag name.
+   * @return {string} Trimmed, unescaped text, or null if there is no such element.
+   */
+  static getText(xml, tagName) {
+    const element = WorkoutImporter.getElements(xml, tagName)[0];
+    if (!element) {
+      return null;
+    }
+    return element.content.trim()
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Get an attribute value.
+   * @param {string} attributes - Attribute text of an element.
+   * @param {string} name - Attribute name.
+   * @return {string} Attribute value, or null if missing.
+   */
+  static getAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parse an ISO 8601 time.
+   * @param {string} text - Time (Ex: "2020-09-20T01:25:00Z").
+   * @return {number} UNIX timestamp.
+   */
+  static parseTime(text) {
+    return Math.floor(Date.parse(text) / 1000);
+  }
+
+  /**
+   * Create an empty imported workout.
+   * @param {string} workoutType - Workout type from the file.
+   * @return {object} Imported workout.
+   */
+  static createWorkout(workoutType) {
+    return {
+      workoutId: null,
+      workoutType: workoutType,
+      startTime: null,
+      endTime: null,
+      samples: {steps: [], caloriesBurned: [], heartRate: [], location: []},
+      lapTimes: []
+    };
+  }
+
+  /**
+   * Fill in start and end times from the samples of an imported workout.
+   * Imported workouts are identified by their start time.
+   * @param {object} workout - Imported workout.
+   * @return {object} The same workout.
+   */
+  static finishWorkout(workout) {
+    const times = [];
+    Object.keys(workout.samples).forEach(sampleType => {
+      workout.samples[sampleType].forEach(sample => times.push(sample.timeWhenMeasured));
+    });
+    if (workout.startTime === null) {
+      workout.startTime = times.length ? times.reduce((acc, time) => Math.min(acc, time)) : null;
+    }
+    if (workout.endTime === null) {
+      workout.endTime = times.length ? times.reduce((acc, time) => Math.max(acc, time)) : workout.startTime;
+    }
+    workout.workoutId = workout.startTime;
+    return workout;
+  }
+
+  /**
+   * Parse a GPX 1.1 file. Each track is a workout and each track segment a lap.
+   * @param {string} text - GPX document.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parseGpx(text) {
+    const workouts = WorkoutImporter.getElements(text, 'trk').map(track => {
+      const workout = WorkoutImporter.createWorkout(WorkoutImporter.getText(track.content, 'type') || 'other');
+      const segments = WorkoutImporter.getElements(track.content, 'trkseg');
+      segments.forEach((segment, segmentIndex) => {
+        let segmentEndTime = null;
+        WorkoutImporter.getElements(segment.content, 'trkpt').forEach(point => {
+          const time = WorkoutImporter.getText(point.content, 'time');
+          if (!time) {
+            return;
+          }
+          const timeWhenMeasured = WorkoutImporter.parseTime(time);
+          const elevation = WorkoutImporter.getText(point.content, 'ele');
+          const location = {
+            latitude: Number(WorkoutImporter.getAttribute(point.attributes, 'lat')),
+            longitude: Number(WorkoutImporter.getAttribute(point.attributes, 'lon')),
+            timeWhenMeasured: timeWhenMeasured
+          };
+          if (elevation !== null) {
+            location.elevation = Number(elevation);
+          }
+          workout.samples.location.push(location);
+          const heartRate = WorkoutImporter.getText(point.content, 'hr');
+          if (heartRate !== null) {
+            workout.samples.heartRate.push({heartRate: Number(heartRate), timeWhenMeasured: timeWhenMeasured});
+          }
+          segmentEndTime = timeWhenMeasured;
+        });
+        if (segmentIndex < segments.length - 1 && segmentEndTime !== null) {
+          workout.lapTimes.push(segmentEndTime);
+        }
+      });
+      return WorkoutImporter.finishWorkout(workout);
+    });
+    return {workouts: workouts.filter(workout => workout.startTime !== null), heartRateSamples: []};
+  }
+
+  /**
+   * Parse a Garmin TCX file. Each activity is a workout.
+   * Lap steps and calories become one sample at the end of each lap.
+   * @param {string} text - TCX document.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parseTcx(text) {
+    const workouts = WorkoutImporter.getElements(text, 'Activity').map(activity => {
+      const workout = WorkoutImporter.createWorkout(WorkoutImporter.getAttribute(activity.attributes, 'Sport') || 'other');
+      const id = WorkoutImporter.getText(activity.content, 'Id');
+      workout.startTime = id ? WorkoutImporter.parseTime(id) : null;
+      const laps = WorkoutImporter.getElements(activity.content, 'Lap');
+      laps.forEach((lap, lapIndex) => {
+        const lapStartTime = WorkoutImporter.parseTime(WorkoutImporter.getAttribute(lap.attributes, 'StartTime'));
+        const lapEndTime = lapStartTime + Math.round(Number(WorkoutImporter.getText(lap.content, 'TotalTimeSeconds') || 0));
+        WorkoutImporter.getElements(lap.content, 'Trackpoint').forEach(point => {
+          const timeWhenMeasured = WorkoutImporter.parseTime(WorkoutImporter.getText(point.content, 'Time'));
+          const position = WorkoutImporter.getText(point.content, 'Position');
+          if (position) {
+            const location = {
+              latitude: Number(WorkoutImporter.getText(position, 'LatitudeDegrees')),
+              longitude: Number(WorkoutImporter.getText(position, 'LongitudeDegrees')),
+              timeWhenMeasured: timeWhenMeasured
+            };
+            const altitude = WorkoutImporter.getText(point.content, 'AltitudeMeters');
+            if (altitude !== null) {
+              location.elevation = Number(altitude);
+            }
+            workout.samples.location.push(location);
+          }
+          const heartRate = WorkoutImporter.getText(point.content, 'HeartRateBpm');
+          if (heartRate) {
+            workout.samples.heartRate.push({
+              heartRate: Number(WorkoutImporter.getText(heartRate, 'Value')),
+              timeWhenMeasured: timeWhenMeasured
+            });
+          }
+        });
+        const calories = WorkoutImporter.getText(lap.content, 'Calories');
+        if (calories !== null && Number(calories) > 0) {
+          workout.samples.caloriesBurned.push({additionalCaloriesBurned: Number(calories), timeWhenMeasured: lapEndTime});
+        }
+        const steps = WorkoutImporter.getText(lap.content, 'Steps');
+        if (steps !== null) {
+          workout.samples.steps.push({additionalSteps: Number(steps), timeWhenMeasured: lapEndTime});
+        }
+        if (lapIndex < laps.length - 1) {
+          workout.lapTimes.push(lapEndTime);
+        } else {
+          workout.endTime = lapEndTime;
+        }
+      });
+      return WorkoutImporter.finishWorkout(workout);
+    });
+    return {workouts: workouts.filter(workout => workout.startTime !== null), heartRateSamples: []};
+  }
+
+  /**
+   * Decode the messages of a Garmin FIT file.
+   * @param {Buffer} buffer - FIT file content.
+   * @return {array} Messages ({globalMessageNumber, fields: {fieldNumber: value}}).
+   */
+  static decodeFitMessages(buffer) {
+    // seconds between the UNIX epoch and the FIT epoch (1989-12-31T00:00:00Z)
+    const fitEpochOffset = 631065600;
+    const headerSize = buffer.readUInt8(0);
+    const dataEnd = headerSize + buffer.readUInt32LE(4);
+    if (dataEnd > buffer.length) {
+      throw new ValidationError('FIT file is truncated', 'filePath');
+    }
+    const baseTypes = {
+      0x00: {size: 1, read: (b, o) => b.readUInt8(o), invalid: 0xFF},
+      0x01: {size: 1, read: (b, o) => b.readInt8(o), invalid: 0x7F},
+      0x02: {size: 1, read: (b, o) => b.readUInt8(o), invalid: 0xFF},
+      0x83: {size: 2, read: (b, o, le) => (le ? b.readInt16LE(o) : b.readInt16BE(o)), invalid: 0x7FFF},
+      0x84: {size: 2, read: (b, o, le) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o)), invalid: 0xFFFF},
+      0x85: {size: 4, read: (b, o, le) => (le ? b.readInt32LE(o) : b.readInt32BE(o)), invalid: 0x7FFFFFFF},
+      0x86: {size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)), invalid: 0xFFFFFFFF},
+      0x0A: {size: 1, read: (b, o) => b.readUInt8(o), invalid: 0},
+      0x8B: {size: 2, read: (b, o, le) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o)), invalid: 0},
+      0x8C: {size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)), invalid: 0}
+    };
+    const definitions = {};
+    const messages = [];
+    let lastTimestamp = null;
+    let offset = headerSize;
+
+    while (offset < dataEnd) {
+      const recordHeader = buffer.readUInt8(offset++);
+      const isCompressedTimestamp = (recordHeader & 0x80) !== 0;
+      const localMessageType = isCompressedTimestamp ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0F;
+
+      if (!isCompressedTimestamp && (recordHeader & 0x40)) {
+        // definition message
+        const isLittleEndian = buffer.readUInt8(offset + 1) === 0;
+        const globalMessageNumber = isLittleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+        const numberOfFields = buffer.readUInt8(offset + 4);
+        offset += 5;
+        const fields = [];
+        for (let i = 0; i < numberOfFields; i++) {
+          fields.push({
+            fieldNumber: buffer.readUInt8(offset),
+            size: buffer.readUInt8(offset + 1),
+            baseType: buffer.readUInt8(offset + 2)
+          });
+          offset += 3;
+        }
+        let developerDataSize = 0;
+        if (recordHeader & 0x20) {
+          const numberOfDeveloperFields = buffer.readUInt8(offset++);
+          for (let i = 0; i < numberOfDeveloperFields; i++) {
+            developerDataSize += buffer.readUInt8(offset + 1);
+            offset += 3;
+          }
+        }
+        definitions[localMessageType] = {globalMessageNumber, isLittleEndian, fields, developerDataSize};
+        continue;
+      }
+
+      // data message
+      const definition = definitions[localMessageType];
+      if (!definition) {
+        throw new ValidationError(`FIT data message uses undefined local message type ${localMessageType}`, 'filePath');
+      }
+      const fields = {};
+      definition.fields.forEach(field => {
+        const baseType = baseTypes[field.baseType];
+        if (baseType && baseType.size === field.size) {
+          const value = baseType.read(buffer, offset, definition.isLittleEndian);
+          if (value !== baseType.invalid) {
+            fields[field.fieldNumber] = value;
+          }
+        }
+        offset += field.size;
+      });
+      offset += definition.developerDataSize;
+
+      if (isCompressedTimestamp && lastTimestamp !== null) {
+        // 5 bit offset from the last full timestamp
+        const timeOffset = recordHeader & 0x1F;
+        let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) {
+          timestamp += 0x20;
+        }
+        fields[253] = timestamp;
+      }
+      if (fields[253] !== undefined) {
+        lastTimestamp = fields[253];
+      }
+      // convert FIT times to UNIX timestamps
+      [253, 2].forEach(fieldNumber => {
+        const isTimeField = fieldNumber === 253 || [18, 19].includes(definition.globalMessageNumber);
+        if (isTimeField && fields[fieldNumber] !== undefined) {
+          fields[fieldNumber] += fitEpochOffset;
+        }
+      });
+      messages.push({globalMessageNumber: definition.globalMessageNumber, fields: fields});
+    }
+    return messages;
+  }
+
+  /**
+   * Parse a Garmin FIT activity or monitoring file.
+   * Each session is a workout; heart rate from monitoring messages is
+   * returned as heart rate measured outside of workouts.
+   * @param {Buffer} buffer - FIT file content.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parseFit(buffer) {
+    const sports = {0: 'other', 1: 'run', 2: 'cycle', 5: 'swim', 10: 'strength', 11: 'walk'};
+    const semicirclesToDegrees = 180 / Math.pow(2, 31);
+    const messages = WorkoutImporter.decodeFitMessages(buffer);
+    const records = messages.filter(message => message.globalMessageNumber === 20).map(message => message.fields);
+    const laps = messages.filter(message => message.globalMessageNumber === 19).map(message => message.fields);
+    const sessions = messages.filter(message => message.globalMessageNumber === 18).map(message => message.fields);
+
+    const workouts = sessions.map(session => {
+      const workout = WorkoutImporter.createWorkout(sports[session[5]] || 'other');
+      workout.startTime = session[2];
+      workout.endTime = session[7] !== undefined ? session[2] + Math.round(session[7] / 1000) : session[253];
+      const isInSession = time => time >= workout.startTime && time <= workout.endTime;
+
+      let previousTime = null;
+      records.filter(record => isInSession(record[253])).forEach(record => {
+        const timeWhenMeasured = record[253];
+        if (record[0] !== undefined && record[1] !== undefined) {
+          const location = {
+            latitude: record[0] * semicirclesToDegrees,
+            longitude: record[1] * semicirclesToDegrees,
+            timeWhenMeasured: timeWhenMeasured
+          };
+          if (record[2] !== undefined) {
+            location.elevation = record[2] / 5 - 500;
+          }
+          workout.samples.location.push(location);
+        }
+        if (record[3] !== undefined) {
+          workout.samples.heartRate.push({heartRate: record[3], timeWhenMeasured: timeWhenMeasured});
+        }
+        // running cadence counts one foot, so steps are twice the cadence
+        if (record[4] !== undefined && previousTime !== null && workout.workoutType !== 'cycle') {
+          const steps = Math.round(record[4] * 2 * (timeWhenMeasured - previousTime) / 60);
+          workout.samples.steps.push({additionalSteps: steps, timeWhenMeasured: timeWhenMeasured});
+        }
+        previousTime = timeWhenMeasured;
+      });
+
+      const sessionLaps = laps.filter(lap => isInSession(lap[2]));
+      sessionLaps.forEach((lap, lapIndex) => {
+        const lapEndTime = lap[7] !== undefined ? lap[2] + Math.round(lap[7] / 1000) : lap[253];
+        if (lapIndex < sessionLaps.length - 1) {
+          workout.lapTimes.push(lapEndTime);
+        }
+      });
+      if (session[11]) {
+        workout.samples.caloriesBurned.push({additionalCaloriesBurned: session[11], timeWhenMeasured: workout.endTime});
+      }
+      return WorkoutImporter.finishWorkout(workout);
+    });
+
+    // monitoring messages carry all-day heart rate
+    const heartRateSamples = messages
+      .filter(message => message.globalMessageNumber === 55 && message.fields[27] !== undefined && message.fields[253] !== undefined)
+      .map(message => ({heartRate: message.fields[27], timeWhenMeasured: message.fields[253]}));
+
+    return {workouts: workouts, heartRateSamples: heartRateSamples};
+  }
+}
+
+module.exports = WorkoutImporter;
@@ -0,0 +1,9 @@
+const FitnessWatchError = require('./FitnessWatchError');
+
+/**
+ * Class representing a request the workout in progress, or the lack of one,
+ * doesn't allow (Ex: ending a workout that wasn't started).
+ */
+class WorkoutStateError extends FitnessWatchError {}
+
+module.exports = WorkoutStateError;
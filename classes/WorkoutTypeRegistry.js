@@ -0,0 +1,96 @@
+const Validator = require('./Validator');
+const ConflictError = require('./ConflictError');
+
+/**
+ * Class representing the registry of known workout types.
+ */
+class WorkoutTypeRegistry {
+  /**
+   * Create a registry with the built-in workout types.
+   */
+  constructor() {
+    // Maps, so names such as "constructor" never match Object.prototype
+    this.workoutTypes = new Map();
+    this.aliases = new Map();
+
+    this.register('walk', {displayName: 'Walk', aliases: ['walking', 'hike', 'hiking'], met: 3.5, hasSteps: true});
+    this.register('run', {displayName: 'Run', aliases: ['running', 'jog', 'jogging'], met: 9.8, hasSteps: true});
+    this.register('cycle', {displayName: 'Cycle', aliases: ['cycling', 'bike', 'biking'], met: 7.5, hasSteps: false});
+    this.register('swim', {displayName: 'Swim', aliases: ['swimming'], met: 8.0, hasSteps: false});
+    this.register('strength', {displayName: 'Strength Training', aliases: ['weights', 'weightlifting'], met: 5.0, hasSteps: false});
+    // for imported workouts whose type isn't known
+    this.register('other', {displayName: 'Other', aliases: [], met: null, hasSteps: true});
+  }
+
+  /**
+   * Get the registry shared by wearers that don't have their own.
+   * @return {WorkoutTypeRegistry} Shared registry.
+   */
+  static getDefault() {
+    if (!WorkoutTypeRegistry.defaultRegistry) {
+      WorkoutTypeRegistry.defaultRegistry = new WorkoutTypeRegistry();
+    }
+    return WorkoutTypeRegistry.defaultRegistry;
+  }
+
+  /**
+   * Register a workout type.
+   * @param {string} name - Canonical name stored in summaries (Ex: "walk").
+   * @param {object} metadata - Workout type metadata ({displayName, aliases, met, hasSteps}).
+   */
+  register(name, metadata = {}) {
+    Validator.check(name, 'string', 'name');
+    Validator.validate(metadata, {displayName: {type: 'string'}, aliases: {type: 'array'}, met: {type: 'positiveNumber'}}, 'metadata');
+    (metadata.aliases || []).forEach(alias => Validator.check(alias, 'string', 'alias'));
+    const key = name.trim().toLowerCase();
+    const aliases = (metadata.aliases || []).map(alias => alias.trim().toLowerCase());
+    [key, ...aliases].forEach(alias => {
+      if (this.aliases.has(alias) && this.aliases.get(alias) !== key) {
+        throw new ConflictError(`Workout type name or alias is already registered: ${alias}`, 'workout_type_exists');
+      }
+    });
+    this.workoutTypes.set(key, {
+      name: key,
+      displayName: metadata.displayName || name,
+      aliases: aliases,
+      met: metadata.met || null,
+      // whether step counts say anything about the activity
+      hasSteps: metadata.hasSteps !== false
+    });
+    [key, ...aliases].forEach(alias => {
+      this.aliases.set(alias, key);
+    });
+  }
+
+  /**
+   * Resolve a workout type name or alias.
+   * @param {string} nameOrAlias - Workout type name or alias (Ex: "Running").
+   * @return {string} Canonical name, or null if the type is unknown.
+   */
+  resolve(nameOrAlias) {
+    if (typeof nameOrAlias !== 'string') {
+      return null;
+    }
+    return this.aliases.get(nameOrAlias.trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Get a workout type's metadata.
+   * @param {string} nameOrAlias - Workout type name or alias.
+   * @return {object} Workout type metadata, or null if the type is unknown.
+   */
+  get(nameOrAlias) {
+    const name = this.resolve(nameOrAlias);
+    return name ? this.workoutTypes.get(name) : null;
+  }
+
+  /**
+   * List all registered workout types.
+   * @return {array} Workout type metadata.
+   */
+  list() {
+    return Array.from(this.workoutTypes.values());
+  }
+}
+
+module.exports = WorkoutTypeRegistry;
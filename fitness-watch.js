@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+const Cli = require('./classes/Cli');
+
+const cli = new Cli();
+process.exitCode = cli.run(process.argv.slice(2));
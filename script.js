@@ -1,722 +1,7943 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+
 /**
- * Class representing a workout.
+ * Class representing an error raised by the fitness watch classes.
+ * Subclasses say what went wrong, so callers such as the HTTP API can tell
+ * bad input apart from a request made at the wrong time.
  */
-class Workout {
+class FitnessWatchError extends Error {
   /**
-   * Create a workout.
-   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * Create an error.
+   * @param {string} message - Human readable message.
+   * @param {string} code - Machine readable error code (Ex: "invalid_input").
    */
-  constructor(simulatedWatchData) {
-    this.workoutId = null;
-    this.workoutType = null;
-    this.startTime = null;
-    this.endTime = null;
-    this.caloriesBurned = 0;
-    this.steps = 0;
-    this.simulatedWatchData = simulatedWatchData;
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
 
-    this.startWorkoutRecording();
-    this.processSimulatedData();
+/**
+ * Class representing input that is missing, of the wrong type or out of range.
+ */
+class ValidationError extends FitnessWatchError {
+  /**
+   * Create a validation error.
+   * @param {string} message - Human readable message.
+   * @param {string} field - Name of the invalid field or argument, if known.
+   */
+  constructor(message, field = null) {
+    super(message, 'invalid_input');
+    this.field = field;
   }
+}
 
+/**
+ * Class with helpers for heart rate zone analysis.
+ * Zones 1-5 start at 50%, 60%, 70%, 80% and 90% of either the maximum heart
+ * rate or, with the Karvonen method, the heart rate reserve.
+ */
+class HeartRateZones {
   /**
-   * Track total calories burned for a workout.
-   * @param {object} caloriesData - Calories Burned recording sent by watch every 2 minutes.
+   * Get the maximum heart rate for a profile.
+   * @param {object} profile - Wearer profile ({age, maxHeartRate}).
+   * @return {number} Measured maximum heart rate, or 220 - age if not measured.
    */
-  addCaloriesBurned(caloriesData) {
-    /*
-      {
-        additionalCaloriesBurned: Number
-      }
-     */
-    this.caloriesBurned += caloriesData.additionalCaloriesBurned;
+  static getMaxHeartRate(profile) {
+    if (profile.maxHeartRate) {
+      return profile.maxHeartRate;
+    }
+    return profile.age ? 220 - profile.age : null;
   }
 
   /**
-   * Track total steps for a workout.
-   * @param {object} stepsData - Additional step recording sent by watch every 2 minutes.
+   * Get the heart rate where each zone starts.
+   * @param {object} profile - Wearer profile ({age, maxHeartRate, restingHeartRate, heartRateZoneMethod}).
+   * @return {array} Lower bounds for zones 1-5, or null if the maximum heart rate is unknown.
    */
-  addSteps(stepsData) {
-    /*
-      {
-        additionalSteps: Number
+  static getZoneThresholds(profile) {
+    const maxHeartRate = HeartRateZones.getMaxHeartRate(profile);
+    if (!maxHeartRate) {
+      return null;
+    }
+    const percentages = [0.5, 0.6, 0.7, 0.8, 0.9];
+    if (profile.heartRateZoneMethod === 'heartRateReserve') {
+      // Karvonen: resting + percentage of (max - resting)
+      if (!profile.restingHeartRate) {
+        throw new ValidationError('The heart rate reserve method needs a resting heart rate', 'restingHeartRate');
       }
-     */
-    this.steps += stepsData.additionalSteps;
+      const reserve = maxHeartRate - profile.restingHeartRate;
+      return percentages.map(percentage => profile.restingHeartRate + percentage * reserve);
+    }
+    return percentages.map(percentage => percentage * maxHeartRate);
   }
 
   /**
-   * Start workout recording.
-   * @param {object} watchData - Sent by watch when user starts a workout.
+   * Get the zone a heart rate falls into.
+   * @param {number} heartRate - Heart rate in bpm.
+   * @param {array} thresholds - Lower bounds for zones 1-5.
+   * @return {number} Zone 1-5, or 0 if below zone 1.
    */
-  startWorkoutRecording(watchData) {
-    /*
-      {
-        workoutType: String
-        startTime: Long (UNIX timestamp)
+  static getZone(heartRate, thresholds) {
+    let zone = 0;
+    thresholds.forEach((threshold, index) => {
+      if (heartRate >= threshold) {
+        zone = index + 1;
       }
-     */
-    const data = watchData || this.simulatedWatchData;
-    this.workoutType = data.workoutType;
-    this.startTime = data.startTime;
+    });
+    return zone;
   }
 
   /**
-   * Process simulated data.
+   * Get how long each heart rate sample counts for.
+   * Each sample counts until the next one, up to the one minute the watch
+   * waits between heart rate recordings, so gaps and pauses are not counted.
+   * @param {array} heartRateSamples - Samples ({heartRate, timeWhenMeasured}) in chronological order.
+   * @param {number} endTime - UNIX timestamp when the last sample ends.
+   * @return {array} Durations in seconds, one per sample.
    */
-  processSimulatedData() {
-    const {caloriesBurnedData, stepsData, heartRateData} = this.simulatedWatchData;
-    if (caloriesBurnedData) {
-      caloriesBurnedData.forEach(calories => {
-        this.addCaloriesBurned({additionalCaloriesBurned: calories});
-      });
+  static getSampleDurations(heartRateSamples, endTime) {
+    const sampleIntervalSeconds = 60;
+    return heartRateSamples.map((sample, index) => {
+      const next = heartRateSamples[index + 1];
+      const nextTime = next ? next.timeWhenMeasured : endTime;
+      return Math.max(0, Math.min(sampleIntervalSeconds, nextTime - sample.timeWhenMeasured));
+    });
+  }
+
+  /**
+   * Get time spent in each zone, counting samples as getSampleDurations does.
+   * @param {array} heartRateSamples - Samples ({heartRate, timeWhenMeasured}) in chronological order.
+   * @param {array} thresholds - Lower bounds for zones 1-5.
+   * @param {number} endTime - UNIX timestamp when the last sample ends.
+   * @return {object} Seconds below zone 1 and in zones 1-5.
+   */
+  static getTimeInZones(heartRateSamples, thresholds, endTime) {
+    const timeInZones = {belowZone1: 0, zone1: 0, zone2: 0, zone3: 0, zone4: 0, zone5: 0};
+    const durations = HeartRateZones.getSampleDurations(heartRateSamples, endTime);
+    heartRateSamples.forEach((sample, index) => {
+      const duration = durations[index];
+      const zone = HeartRateZones.getZone(sample.heartRate, thresholds);
+      timeInZones[zone ? `zone${zone}` : 'belowZone1'] += duration;
+    });
+    return timeInZones;
+  }
+}
+
+/**
+ * Class with helpers for estimating calories burned from a wearer's
+ * physiology when the watch doesn't report them.
+ */
+class CalorieEstimator {
+  /**
+   * Estimate calories burned from heart rate (Keytel et al., 2005).
+   * @param {object} profile - Wearer profile ({weightKg, age, sex}).
+   * @param {number} averageHeartRate - Average heart rate in bpm.
+   * @param {number} durationSeconds - Duration of the activity.
+   * @return {number} Calories burned, or null if the profile is incomplete.
+   */
+  static fromHeartRate(profile, averageHeartRate, durationSeconds) {
+    const {weightKg, age, sex} = profile;
+    if (!averageHeartRate || !weightKg || !age || !sex) {
+      return null;
     }
-    if (stepsData) {
-      stepsData.forEach(steps => {
-        this.addSteps({additionalSteps: steps});
-      });
+    let kilojoulesPerMinute;
+    if (sex === 'female') {
+      kilojoulesPerMinute = -20.4022 + 0.4472 * averageHeartRate - 0.1263 * weightKg + 0.074 * age;
+    } else {
+      kilojoulesPerMinute = -55.0969 + 0.6309 * averageHeartRate + 0.1988 * weightKg + 0.2017 * age;
     }
+    const caloriesPerMinute = Math.max(0, kilojoulesPerMinute / 4.184);
+    return caloriesPerMinute * durationSeconds / 60;
   }
 
   /**
-   * Finish workout recording.
-   * @param {object} watchData - Sent by watch when user finishes a workout.
+   * Estimate calories burned from the MET value of an activity.
+   * Uses the wearer's resting metabolic rate (Mifflin-St Jeor) as 1 MET when
+   * height, age and sex are known, otherwise the standard 3.5 ml O2/kg/min.
+   * @param {object} profile - Wearer profile ({weightKg, heightCm, age, sex}).
+   * @param {number} met - Metabolic equivalent of the activity.
+   * @param {number} durationSeconds - Duration of the activity.
+   * @return {number} Calories burned, or null if the profile has no weight.
    */
-  finishWorkoutRecording(watchData) {
-    const data = watchData || this.simulatedWatchData;
-    this.workoutId = data.workoutId;
-    this.endTime = data.endTime;
+  static fromMet(profile, met, durationSeconds) {
+    const {weightKg, heightCm, age, sex} = profile;
+    if (!met || !weightKg) {
+      return null;
+    }
+    let restingCaloriesPerMinute = 3.5 * weightKg / 200;
+    if (heightCm && age && sex) {
+      const sexConstant = sex === 'female' ? -161 : 5;
+      const restingCaloriesPerDay = 10 * weightKg + 6.25 * heightCm - 5 * age + sexConstant;
+      restingCaloriesPerMinute = restingCaloriesPerDay / 1440;
+    }
+    return met * restingCaloriesPerMinute * durationSeconds / 60;
   }
 
   /**
-   * Get workout summary.
-   * @return {object} Data related to the completed workout.
+   * Estimate calories burned for a workout, preferring heart rate over MET values.
+   * @param {object} profile - Wearer profile ({weightKg, heightCm, age, sex}).
+   * @param {object} workoutData - Workout data ({met, averageHeartRate, durationSeconds}).
+   * @return {object} Calories burned and the source used ("heartRate" or "met"), or null if no estimate is possible.
    */
-  getWorkoutSummary() {
-    return {
-      workoutId: this.workoutId,
-      workoutType: this.workoutType,
-      startTime: this.startTime,
-      endTime: this.endTime,
-      caloriesBurned: this.caloriesBurned,
-      steps: this.steps
-    };
+  static estimate(profile, workoutData) {
+    const {met, averageHeartRate, durationSeconds} = workoutData;
+    const fromHeartRate = CalorieEstimator.fromHeartRate(profile, averageHeartRate, durationSeconds);
+    if (fromHeartRate !== null) {
+      return {caloriesBurned: Math.round(fromHeartRate), caloriesSource: 'heartRate'};
+    }
+    const fromMet = CalorieEstimator.fromMet(profile, met, durationSeconds);
+    if (fromMet !== null) {
+      return {caloriesBurned: Math.round(fromMet), caloriesSource: 'met'};
+    }
+    return null;
   }
 }
 
 /**
- * Class representing a wearer.
+ * Class representing abnormal heart rate detection over a stream of heart
+ * rate samples. Each rule is configurable:
+ * - highResting: resting heart rate above threshold for durationSeconds.
+ * - low: heart rate below threshold for durationSeconds.
+ * - spike: resting heart rate rising by at least rise bpm within withinSeconds.
+ * - implausible: readings below min or above max, usually sensor dropouts.
  */
-class Wearer {
+class HeartRateAlerts {
   /**
-   * Create a wearer.
-   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * Get the default alert settings.
+   * @return {object} Settings for each rule, and maxGapSeconds.
    */
-  constructor(simulatedWatchData) {
-    this.workoutInstance = null;
-    // data is entered in chronological order
-    this.stepsData = {summary: [], rawData: []};
-    this.caloriesBurnedData = {summary: [], rawData: []};
-    this.heartRateData = {rawData: {resting: [], active: []}};
-    this.isResting = true;
+  static getDefaultSettings() {
+    return {
+      highResting: {threshold: 100, durationSeconds: 600},
+      low: {threshold: 40, durationSeconds: 600},
+      spike: {rise: 40, withinSeconds: 120},
+      implausible: {min: 25, max: 250},
+      // samples further apart than this don't count as one sustained period
+      maxGapSeconds: 300
+    };
+  }
 
-    if (simulatedWatchData) {
-      this.processSimulatedData(simulatedWatchData);
-    }
+  /**
+   * Create a detector.
+   * @param {object} settings - Settings to change from the defaults (Ex: {low: {threshold: 35}}).
+   */
+  constructor(settings = {}) {
+    const defaults = HeartRateAlerts.getDefaultSettings();
+    this.settings = {};
+    Object.keys(defaults).forEach(rule => {
+      this.settings[rule] = typeof defaults[rule] === 'object'
+        ? Object.assign({}, defaults[rule], settings[rule])
+        : (settings[rule] !== undefined ? settings[rule] : defaults[rule]);
+    });
+    Object.keys(this.settings).forEach(rule => {
+      const values = typeof this.settings[rule] === 'object' ? Object.values(this.settings[rule]) : [this.settings[rule]];
+      if (values.some(value => typeof value !== 'number' || value < 0)) {
+        throw new ValidationError(`Heart rate alert settings for ${rule} must be non-negative numbers`, rule);
+      }
+    });
+    this.reset();
   }
 
   /**
-   * Process simulated data.
-   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * Forget the samples seen so far, so nothing sustained carries over.
    */
-  processSimulatedData(simulatedWatchData) {
-    const {heartRateData} = simulatedWatchData;
-    if (heartRateData) {
-      let timeWhenMeasured = heartRateData.startTime;
-      heartRateData.heartRate.forEach(heartRate => {
-        this.storeHeartRateData({
-          timeWhenMeasured: timeWhenMeasured,
-          heartRate: heartRate
-        });
-        timeWhenMeasured += 60;
-      });
-    }
+  reset() {
+    this.lastTime = null;
+    this.runs = {highResting: null, low: null};
+    this.recentRestingSamples = [];
+    this.lastSpikeTime = null;
   }
 
   /**
-   * Get summary data.
-   * @param {string} dataCategory - Data category ("steps", "caloriesBurned", or "heartRate").
+   * Track a run of samples matching a sustained rule, and raise an alert once
+   * the run lasts long enough. The alert's end time and heart rate follow the
+   * run until it ends.
+   * @param {string} type - The string "highResting" or "low".
+   * @param {boolean} matches - Whether the sample matches the rule.
+   * @param {object} sample - Heart rate sample.
+   * @param {function} pick - Math.max or Math.min, to keep the most extreme heart rate.
+   * @return {object} New alert, or null.
    */
-  getDataSummary(dataCategory) {
-    let dataSource = this[`${dataCategory}Data`];
-    if (dataCategory !== 'heartRate') {
-      dataSource = dataSource.summary;
+  updateRun(type, matches, sample, pick) {
+    if (!matches) {
+      this.runs[type] = null;
+      return null;
     }
-    return dataSource;
+    const {heartRate, timeWhenMeasured} = sample;
+    if (!this.runs[type]) {
+      this.runs[type] = {startTime: timeWhenMeasured, heartRate: heartRate, alert: null};
+    }
+    const run = this.runs[type];
+    run.heartRate = pick(run.heartRate, heartRate);
+    if (run.alert) {
+      run.alert.endTime = timeWhenMeasured;
+      run.alert.heartRate = run.heartRate;
+      return null;
+    }
+    if (timeWhenMeasured - run.startTime >= this.settings[type].durationSeconds) {
+      run.alert = {type: type, startTime: run.startTime, endTime: timeWhenMeasured, heartRate: run.heartRate};
+      return run.alert;
+    }
+    return null;
   }
 
   /**
-   * Start a workout.
-   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * Check whether a heart rate is plausible. Implausible readings are kept
+   * as measured, but left out of anything computed from heart rates.
+   * @param {number} heartRate - Heart rate in bpm.
+   * @return {boolean} Whether the heart rate is within the implausible rule's limits.
    */
-  startWorkout(simulatedWatchData) {
-    if (!this.workoutInstance) {
-      this.isResting = false;
-      this.workoutInstance = new Workout(simulatedWatchData);
-    } else {
-      console.log('There is a workout in progress');
-    }
+  isPlausible(heartRate) {
+    return heartRate >= this.settings.implausible.min && heartRate <= this.settings.implausible.max;
   }
 
   /**
-   * Store data (steps, calories burned).
-   * @param {object} newData - Data for steps or calories burned.
-   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * Check a heart rate sample. Samples are expected in chronological order;
+   * an older sample starts detection over.
+   * @param {object} sample - Heart rate sample ({heartRate, timeWhenMeasured}).
+   * @param {boolean} isResting - Whether the wearer is resting.
+   * @return {array} New alerts ({type, startTime, endTime, heartRate}; spikes also have a baseline).
    */
-  storeData(newData, dataCategory) {
-    const secondsPerDay = 86400;
-    const daysSinceUnixEpoch = Math.floor(newData.startTime / secondsPerDay)
+  check(sample, isResting) {
+    const {heartRate, timeWhenMeasured} = sample;
+    const settings = this.settings;
+    if (!this.isPlausible(heartRate)) {
+      // dropouts neither start nor break sustained periods
+      return [{type: 'implausible', startTime: timeWhenMeasured, endTime: timeWhenMeasured, heartRate: heartRate}];
+    }
+    if (this.lastTime !== null && (timeWhenMeasured <= this.lastTime || timeWhenMeasured - this.lastTime > settings.maxGapSeconds)) {
+      this.reset();
+    }
+    this.lastTime = timeWhenMeasured;
 
-    const source = this[`${dataCategory}Data`];
-    const lastDataPoint = source.summary[source.summary.length - 1];
-    if (lastDataPoint && lastDataPoint.daysSinceUnixEpoch === daysSinceUnixEpoch) {
-      lastDataPoint[dataCategory] += newData[dataCategory];
-    } else {
-      let payload = {
-        daysSinceUnixEpoch: daysSinceUnixEpoch,
-        [dataCategory]: newData[dataCategory]
-      };
-      if (dataCategory === 'caloriesBurned') {
-        payload.workoutType = newData.workoutType;
+    const alerts = [
+      this.updateRun('highResting', isResting && heartRate > settings.highResting.threshold, sample, Math.max),
+      this.updateRun('low', heartRate < settings.low.threshold, sample, Math.min)
+    ];
+
+    if (isResting) {
+      const {rise, withinSeconds} = settings.spike;
+      this.recentRestingSamples = this.recentRestingSamples
+        .filter(recentSample => timeWhenMeasured - recentSample.timeWhenMeasured <= withinSeconds);
+      const baseline = this.recentRestingSamples.reduce((acc, recentSample) => Math.min(acc, recentSample.heartRate), Infinity);
+      const isNewSpike = this.lastSpikeTime === null || timeWhenMeasured - this.lastSpikeTime > withinSeconds;
+      if (heartRate - baseline >= rise && isNewSpike) {
+        alerts.push({type: 'spike', startTime: timeWhenMeasured, endTime: timeWhenMeasured, heartRate: heartRate, baseline: baseline});
+        this.lastSpikeTime = timeWhenMeasured;
       }
-      source.summary.push(payload);
+      this.recentRestingSamples.push(sample);
+    } else {
+      // exercise raises heart rate on purpose
+      this.recentRestingSamples = [];
     }
-    source.rawData.push(newData);
+    return alerts.filter(alert => alert);
   }
+}
 
+/**
+ * Class with helpers for training load and recovery.
+ * A workout's load is Banister's TRIMP: minutes of exercise weighted by how
+ * far the heart rate is into the heart rate reserve, exponentially, so hard
+ * minutes count for much more than easy ones. Acute load is the average daily
+ * load over 7 days and chronic load over 28 days; their ratio shows whether
+ * training is building faster than the wearer is used to.
+ */
+class TrainingLoad {
   /**
-   * Store heart rate data.
-   * @param {object} newHeartRateData - Data for heart rate.
+   * Get the training load of heart rate samples (Banister's TRIMP).
+   * Samples count for as long as HeartRateZones.getSampleDurations says.
+   * @param {array} heartRateSamples - Samples ({heartRate, timeWhenMeasured}) in chronological order.
+   * @param {number} endTime - UNIX timestamp when the last sample ends.
+   * @param {object} profile - Wearer profile ({age, maxHeartRate, restingHeartRate, sex}).
+   * @return {number} Training load, or null without samples, a maximum heart rate or a resting heart rate.
    */
-  storeHeartRateData(newHeartRateData) {
-    /*
-      {
-        timeWhenMeasured: Number (UNIX timestamp),
-        heartRate: Number
-      }
-     */
-    const secondsPerDay = 86400;
-    const daysSinceUnixEpoch = Math.floor(newHeartRateData.timeWhenMeasured / secondsPerDay);
-    const newData = Object.assign({}, newHeartRateData, {daysSinceUnixEpoch: daysSinceUnixEpoch});
-    const dataCategory = this.isResting ? 'resting' : 'active';
-    this.heartRateData.rawData[dataCategory].push(newData);
+  static getTrimp(heartRateSamples, endTime, profile) {
+    const maxHeartRate = HeartRateZones.getMaxHeartRate(profile);
+    const restingHeartRate = profile.restingHeartRate;
+    if (!heartRateSamples.length || !maxHeartRate || !restingHeartRate || maxHeartRate <= restingHeartRate) {
+      return null;
+    }
+    const weighting = profile.sex === 'female' ? 1.67 : 1.92;
+    const durations = HeartRateZones.getSampleDurations(heartRateSamples, endTime);
+    return heartRateSamples.reduce((load, sample, index) => {
+      const minutes = durations[index] / 60;
+      const reserve = Math.min(1, Math.max(0, (sample.heartRate - restingHeartRate) / (maxHeartRate - restingHeartRate)));
+      return load + minutes * reserve * 0.64 * Math.exp(weighting * reserve);
+    }, 0);
   }
 
   /**
-   * End a workout.
+   * Get the acute:chronic load ratio.
+   * @param {object} dailyLoads - Training loads keyed by day number.
+   * @param {number} lastDay - Last day of both periods.
+   * @return {object} Loads ({acuteLoad, chronicLoad, ratio, status}); loads are daily averages, ratio is null without chronic load, and status is "low" (under 0.8), "optimal", "high" (over 1.3) or "veryHigh" (over 1.5).
    */
-  endWorkout() {
-    if (this.workoutInstance) {
-      this.isResting = true;
-      this.workoutInstance.finishWorkoutRecording();
-      const summary = this.workoutInstance.getWorkoutSummary();
-      this.storeData(summary, 'steps');
-      this.storeData(summary, 'caloriesBurned');
-      this.workoutInstance = null;
-      return summary;
-    } else {
-      console.log('There is no workout in progress');
+  static getLoadRatio(dailyLoads, lastDay) {
+    const getAverageLoad = nDayPeriod => {
+      let total = 0;
+      for (let day = lastDay - nDayPeriod + 1; day <= lastDay; day++) {
+        total += dailyLoads[day] || 0;
+      }
+      return total / nDayPeriod;
+    };
+    const acuteLoad = getAverageLoad(7);
+    const chronicLoad = getAverageLoad(28);
+    const ratio = chronicLoad ? acuteLoad / chronicLoad : null;
+    let status = null;
+    if (ratio !== null) {
+      status = ratio < 0.8 ? 'low' : (ratio <= 1.3 ? 'optimal' : (ratio <= 1.5 ? 'high' : 'veryHigh'));
     }
+    return {acuteLoad: acuteLoad, chronicLoad: chronicLoad, ratio: ratio, status: status};
   }
 
   /**
-   * Get minimum or maximum steps for a wearer over N day period.
-   * @param {number} nDayPeriod - N day period > 1.
-   * @param {string} minOrMax - The string "min" or "max".
-   * @return {number} Minimum or maximum steps over N day period.
+   * Get a recovery score from 0 to 100. Up to 50 points are lost for a load
+   * ratio above 1 (all of them at 1.5), and up to 50 for a resting heart rate
+   * above its baseline (all of them at 5 bpm above).
+   * @param {number} ratio - Acute:chronic load ratio, or null.
+   * @param {number} restingHeartRate - Latest daily resting heart rate, or null.
+   * @param {number} baselineRestingHeartRate - Average daily resting heart rate before it, or null.
+   * @return {number} Recovery score; 100 is fully recovered, and null means there is neither a load ratio nor a resting heart rate and baseline to score.
    */
-  getMinMaxSteps(nDayPeriod, minOrMax) {
-    // if no step data, return 0
-    if (this.stepsData.length === 0) {
-      return 0;
-    } else if (this.stepsData.length === 1) {
-      return this.stepsData[0].steps;
-    } else {
-      /*
-        Summary steps data sample:
-        [
-          { daysSinceUnixEpoch: 18525, steps: 3484 },
-          { daysSinceUnixEpoch: 18526, steps: 2324 }
-        ]
-
-        Algorithm:
-        2 pointer method over stepsSummary list
-
-      */
-      const stepsSummary = this.getDataSummary('steps');
-      let minOrMaxSteps = 0;
-      let totalSteps = stepsSummary[0].steps;
-      let slowPtr = 0;
-      let fastPtr = 1;
-      while (fastPtr < stepsSummary.length) {
-        const diff = stepsSummary[fastPtr].daysSinceUnixEpoch - stepsSummary[slowPtr].daysSinceUnixEpoch;
-        if (diff === nDayPeriod - 1) {
-          totalSteps += stepsSummary[fastPtr].steps;
-          // enough data collected
-          if (!minOrMaxSteps) {
-            minOrMaxSteps = totalSteps;
-          }
-          minOrMaxSteps = Math[minOrMax](minOrMaxSteps, totalSteps);
-          slowPtr++;
-          fastPtr = slowPtr + 1;
-          totalSteps = stepsSummary[slowPtr].steps;
-        } else if (diff < nDayPeriod) {
-          // collect more steps data
-          totalSteps += stepsSummary[fastPtr].steps;
-          fastPtr++;
-        } else {
-          slowPtr++;
-          totalSteps = stepsSummary[slowPtr].steps;
-          fastPtr = slowPtr + 1;
-        }
-      }
-      return minOrMaxSteps;
+  static getRecoveryScore(ratio, restingHeartRate, baselineRestingHeartRate) {
+    const hasHeartRate = restingHeartRate !== null && baselineRestingHeartRate !== null;
+    if (ratio === null && !hasHeartRate) {
+      return null;
     }
+    const loadPenalty = ratio ? Math.min(50, Math.max(0, (ratio - 1) * 100)) : 0;
+    const elevation = hasHeartRate ? restingHeartRate - baselineRestingHeartRate : 0;
+    const heartRatePenalty = Math.min(50, Math.max(0, elevation * 10));
+    return Math.round(100 - loadPenalty - heartRatePenalty);
   }
+}
 
+/**
+ * Class with helpers for validating input against simple schemas.
+ * A schema maps field names to rules ({type, required, values}), where type
+ * is one of the types below and values lists the allowed values instead.
+ * Missing (undefined or null) fields are only rejected if required.
+ */
+class Validator {
   /**
-   * Get average number of steps for a wearer over N day period.
-   * @param {number} nDayPeriod - N day period > 1.
-   * @return {number} Average number of steps over N day period.
+   * Get the value types a rule can require.
+   * @return {object} Checks and descriptions keyed by type name.
    */
-  getAverageNumberOfSteps(nDayPeriod) {
-    /*
-     * 1. track number of complete N day periods
-     * 2. store running total of steps for complete N day periods
-     * 3. divide number of complete periods by running total
-     */
-    if (this.stepsData.length === 0) {
-      return 0;
-    } else if (this.stepsData.length === 1) {
-      return this.stepsData[0].steps;
-    } else {
-      let completeNDayPeriods = 0;
-      let totalStepsForCompleteNDayPeriods = 0;
-
-      const stepsSummary = this.getDataSummary('steps');
-      let totalSteps = stepsSummary[0].steps;
-      let slowPtr = 0;
-      let fastPtr = 1;
-      while (fastPtr < stepsSummary.length) {
-        const diff = stepsSummary[fastPtr].daysSinceUnixEpoch - stepsSummary[slowPtr].daysSinceUnixEpoch;
-        if (diff === nDayPeriod - 1) {
-          totalSteps += stepsSummary[fastPtr].steps;
-          // enough data collected
-          completeNDayPeriods++;
-          totalStepsForCompleteNDayPeriods += totalSteps;
-
-          slowPtr++;
-          fastPtr = slowPtr + 1;
-          totalSteps = stepsSummary[slowPtr].steps;
-        } else if (diff < nDayPeriod) {
-          // collect more steps data
-          totalSteps += stepsSummary[fastPtr].steps;
-          fastPtr++;
-        } else {
-          slowPtr++;
-          totalSteps = stepsSummary[slowPtr].steps;
-          fastPtr = slowPtr + 1;
-        }
-      }
+  static getTypes() {
+    return {
+      timestamp: {check: value => Number.isFinite(value) && value >= 0, description: 'a UNIX timestamp'},
+      number: {check: value => Number.isFinite(value), description: 'a number'},
+      nonNegativeNumber: {check: value => Number.isFinite(value) && value >= 0, description: 'a non-negative number'},
+      positiveNumber: {check: value => Number.isFinite(value) && value > 0, description: 'a positive number'},
+      positiveInteger: {check: value => Number.isInteger(value) && value > 0, description: 'a positive integer'},
+      string: {check: value => typeof value === 'string' && value.length > 0, description: 'a non-empty string'},
+      id: {
+        check: value => (typeof value === 'string' && value.length > 0) || Number.isFinite(value),
+        description: 'a number or a non-empty string'
+      },
+      latitude: {check: value => Number.isFinite(value) && Math.abs(value) <= 90, description: 'a latitude between -90 and 90'},
+      longitude: {check: value => Number.isFinite(value) && Math.abs(value) <= 180, description: 'a longitude between -180 and 180'},
+      object: {check: value => value !== null && typeof value === 'object' && !Array.isArray(value), description: 'an object'},
+      array: {check: value => Array.isArray(value), description: 'an array'}
+    };
+  }
 
-      if (completeNDayPeriods === 0) {
-        return 0;
-      } else {
-        return totalStepsForCompleteNDayPeriods / completeNDayPeriods;
-      }
+  /**
+   * Check a value.
+   * @param {*} value - Value to check.
+   * @param {string} type - Type name (Ex: "timestamp").
+   * @param {string} name - Name of the value, for the error message.
+   * @return {*} The value.
+   */
+  static check(value, type, name) {
+    const valueType = Validator.getTypes()[type];
+    if (!valueType.check(value)) {
+      throw new ValidationError(`${name} must be ${valueType.description}`, name);
     }
+    return value;
   }
 
   /**
-   * Get average resting heart rate for a wearer over N day period.
-   * @param {number} nDayPeriod - N day period > 0.
-   * @return {number} Average resting heart rate over N day period.
+   * Check that a value is one of the allowed values.
+   * @param {*} value - Value to check.
+   * @param {array} values - Allowed values.
+   * @param {string} name - Name of the value, for the error message.
+   * @return {*} The value.
    */
-  getAverageRestingHeartRate(nDayPeriod) {
-    const heartRateDataList = this.getDataSummary('heartRate').rawData.resting;
-    if (heartRateDataList.length === 0) {
-      return 0;
-    } else {
-      let lastSeenDaysSinceUnixEpoch = heartRateDataList[0].daysSinceUnixEpoch;
-      let countOfNDayPeriods = 1;
-      let averageHeartRateData = [];
-      let totalHeartRateBpmInNDayPeriod = 0;
-      let countOfDataPointsInNDayPeriod = 0;
-
-      heartRateDataList.forEach(heartRateData => {
-        if (heartRateData.daysSinceUnixEpoch === lastSeenDaysSinceUnixEpoch) {
-          // collect more data
-          totalHeartRateBpmInNDayPeriod += heartRateData.heartRate;
-          countOfDataPointsInNDayPeriod++;
-        } else {
-          // bank collected data
-          averageHeartRateData.push(totalHeartRateBpmInNDayPeriod / countOfDataPointsInNDayPeriod);
-
-          countOfNDayPeriods++
-          // reset
-          totalHeartRateBpmInNDayPeriod = 0;
-          countOfDataPointsInNDayPeriod = 0;
-        }
-      });
-      // bank last set of data
-      if (countOfDataPointsInNDayPeriod) {
-        averageHeartRateData.push(totalHeartRateBpmInNDayPeriod / countOfDataPointsInNDayPeriod);
-      }
-      return averageHeartRateData.reduce((acc, cur, curIndex, arr) => {
-        acc += cur;
-        if (curIndex === arr.length - 1) {
-          acc = acc / arr.length;
-        }
-        return acc;
-      }, 0);
+  static checkOneOf(value, values, name) {
+    if (!values.includes(value)) {
+      throw new ValidationError(`${name} must be one of ${values.join(', ')}`, name);
     }
+    return value;
   }
 
   /**
-   * Get average calories burned per workout for each workout type over N day period.
-   * @param {number} nDayPeriod - N day period > 0.
-   * @param {string} workoutType - The string representing the workout type (Ex: "walk").
-   * @return {number} Average calories burned per workout for each workout type over N day period.
-   */
-  getAverageCaloriesBurnedPerWorkout(nDayPeriod, workoutType) {
-    const caloriesBurnedDataList = this.getDataSummary('caloriesBurned')
-      .filter(data => data.workoutType === workoutType);
-
-    let completeNDayPeriods = 0;
-    let totalCaloriesBurnedForCompleteNDayPeriods = 0;
-
-    let totalCaloriesBurned = caloriesBurnedDataList[0].caloriesBurned;
-    let countOfDataPointsInNDayPeriod = 1;
-    let slowPtr = 0;
-    let fastPtr = 1;
-    while (fastPtr < caloriesBurnedDataList.length) {
-      const diff = caloriesBurnedDataList[fastPtr].daysSinceUnixEpoch - caloriesBurnedDataList[slowPtr].daysSinceUnixEpoch;
-      if (diff === nDayPeriod - 1) {
-        totalCaloriesBurned += caloriesBurnedDataList[fastPtr].caloriesBurned;
-        // enough data collected
-        completeNDayPeriods++;
-        totalCaloriesBurnedForCompleteNDayPeriods += totalCaloriesBurned;
-
-        slowPtr++;
-        fastPtr = slowPtr + 1;
-        totalCaloriesBurned = caloriesBurnedDataList[slowPtr].caloriesBurned;
-      } else if (diff < nDayPeriod) {
-        // collect more data
-        totalCaloriesBurned += caloriesBurnedDataList[fastPtr].caloriesBurned;
-        countOfDataPointsInNDayPeriod++;
-        fastPtr++;
+   * Validate an object against a schema.
+   * @param {object} data - Object to validate.
+   * @param {object} schema - Rules keyed by field name.
+   * @param {string} name - Name of the object, for the error message.
+   * @return {object} The object.
+   */
+  static validate(data, schema, name) {
+    Validator.check(data, 'object', name);
+    Object.keys(schema).forEach(field => {
+      const rule = schema[field];
+      const value = data[field];
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          throw new ValidationError(`${field} is required`, field);
+        }
+      } else if (rule.values) {
+        Validator.checkOneOf(value, rule.values, field);
       } else {
-        slowPtr++;
-        totalCaloriesBurned = caloriesBurnedDataList[slowPtr].caloriesBurned;
-        fastPtr = slowPtr + 1;
+        Validator.check(value, rule.type, field);
       }
-    }
-
-    if (completeNDayPeriods === 0) {
-      return 0;
-    } else {
-      return totalCaloriesBurnedForCompleteNDayPeriods / countOfDataPointsInNDayPeriod;
-    }
+    });
+    return data;
   }
 }
 
 /**
- * Class to simulate watch data and run tests.
+ * Class representing a request the workout in progress, or the lack of one,
+ * doesn't allow (Ex: ending a workout that wasn't started).
  */
-class TestRunner {
+class WorkoutStateError extends FitnessWatchError {}
+
+/**
+ * Class representing a request that clashes with something already stored
+ * (Ex: creating a wearer with an id that is taken).
+ */
+class ConflictError extends FitnessWatchError {}
+
+/**
+ * Class representing the registry of known workout types.
+ */
+class WorkoutTypeRegistry {
+  /**
+   * Create a registry with the built-in workout types.
+   */
   constructor() {
-    this.totalTests = 0;
-    this.numberOfTestsPassed = 0;
+    // Maps, so names such as "constructor" never match Object.prototype
+    this.workoutTypes = new Map();
+    this.aliases = new Map();
+
+    this.register('walk', {displayName: 'Walk', aliases: ['walking', 'hike', 'hiking'], met: 3.5, hasSteps: true});
+    this.register('run', {displayName: 'Run', aliases: ['running', 'jog', 'jogging'], met: 9.8, hasSteps: true});
+    this.register('cycle', {displayName: 'Cycle', aliases: ['cycling', 'bike', 'biking'], met: 7.5, hasSteps: false});
+    this.register('swim', {displayName: 'Swim', aliases: ['swimming'], met: 8.0, hasSteps: false});
+    this.register('strength', {displayName: 'Strength Training', aliases: ['weights', 'weightlifting'], met: 5.0, hasSteps: false});
+    // for imported workouts whose type isn't known
+    this.register('other', {displayName: 'Other', aliases: [], met: null, hasSteps: true});
   }
 
   /**
-   * Run tests.
-   * @param {array} tests - List of tests to run.
+   * Get the registry shared by wearers that don't have their own.
+   * @return {WorkoutTypeRegistry} Shared registry.
    */
-  runTests(tests) {
-    tests.forEach(test => {
-      this.totalTests++;
-      const testPassed = test.actual === test.expected;
-      console.log('Title:', test.title);
-      console.log('Actual:', test.actual);
-      console.log('Expected:', test.expected);
-      console.log('Success:', testPassed);
-      console.log();
-      if (testPassed) {
-        this.numberOfTestsPassed++;
+  static getDefault() {
+    if (!WorkoutTypeRegistry.defaultRegistry) {
+      WorkoutTypeRegistry.defaultRegistry = new WorkoutTypeRegistry();
+    }
+    return WorkoutTypeRegistry.defaultRegistry;
+  }
+
+  /**
+   * Register a workout type.
+   * @param {string} name - Canonical name stored in summaries (Ex: "walk").
+   * @param {object} metadata - Workout type metadata ({displayName, aliases, met, hasSteps}).
+   */
+  register(name, metadata = {}) {
+    Validator.check(name, 'string', 'name');
+    Validator.validate(metadata, {displayName: {type: 'string'}, aliases: {type: 'array'}, met: {type: 'positiveNumber'}}, 'metadata');
+    (metadata.aliases || []).forEach(alias => Validator.check(alias, 'string', 'alias'));
+    const key = name.trim().toLowerCase();
+    const aliases = (metadata.aliases || []).map(alias => alias.trim().toLowerCase());
+    [key, ...aliases].forEach(alias => {
+      if (this.aliases.has(alias) && this.aliases.get(alias) !== key) {
+        throw new ConflictError(`Workout type name or alias is already registered: ${alias}`, 'workout_type_exists');
       }
     });
+    this.workoutTypes.set(key, {
+      name: key,
+      displayName: metadata.displayName || name,
+      aliases: aliases,
+      met: metadata.met || null,
+      // whether step counts say anything about the activity
+      hasSteps: metadata.hasSteps !== false
+    });
+    [key, ...aliases].forEach(alias => {
+      this.aliases.set(alias, key);
+    });
   }
 
   /**
-   * Test single walk workout.
-   * @param {Wearer} wearer - Instance of the Wearer class.
+   * Resolve a workout type name or alias.
+   * @param {string} nameOrAlias - Workout type name or alias (Ex: "Running").
+   * @return {string} Canonical name, or null if the type is unknown.
    */
-  testSingleWalkWorkout(wearer) {
-    const simulatedWatchData = {
-      // 20 minute walk
-      workoutId: 1,
-      workoutType: 'walk',
+  resolve(nameOrAlias) {
+    if (typeof nameOrAlias !== 'string') {
+      return null;
+    }
+    return this.aliases.get(nameOrAlias.trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Get a workout type's metadata.
+   * @param {string} nameOrAlias - Workout type name or alias.
+   * @return {object} Workout type metadata, or null if the type is unknown.
+   */
+  get(nameOrAlias) {
+    const name = this.resolve(nameOrAlias);
+    return name ? this.workoutTypes.get(name) : null;
+  }
+
+  /**
+   * List all registered workout types.
+   * @return {array} Workout type metadata.
+   */
+  list() {
+    return Array.from(this.workoutTypes.values());
+  }
+}
+
+/**
+ * Class representing a workout.
+ *
+ * Events:
+ * - "paused" ({pauseTime, isAutoPause}).
+ * - "resumed" ({resumeTime}).
+ * - "lap" (the completed lap).
+ * - "finished" (workout summary).
+ */
+class Workout extends EventEmitter {
+  /**
+   * Create a workout.
+   * @param {object} watchData - Sent by watch when user starts a workout.
+   * @param {object} options - Workout options ({autoPauseSeconds, autoLap: {steps} or {minutes}, profile, workoutTypes, heartRateLimits: {min, max}}).
+   */
+  constructor(watchData, options = {}) {
+    super();
+    Validator.validate(options, {autoPauseSeconds: {type: 'positiveNumber'}, autoLap: {type: 'object'}, heartRateLimits: {type: 'object'}}, 'options');
+    if (options.autoLap) {
+      Validator.validate(options.autoLap, {steps: {type: 'positiveInteger'}, minutes: {type: 'positiveNumber'}}, 'autoLap');
+    }
+    this.workoutId = null;
+    this.workoutType = null;
+    this.startTime = null;
+    this.endTime = null;
+    this.caloriesBurned = 0;
+    this.steps = 0;
+    // samples are kept in the order they arrive from the watch
+    this.samples = {steps: [], caloriesBurned: [], heartRate: [], location: []};
+    // samples arriving while paused are not added to steps and calories burned
+    this.pausedSamples = {steps: [], caloriesBurned: [], heartRate: [], location: []};
+    this.pausedSteps = 0;
+    this.pausedCaloriesBurned = 0;
+    this.pauses = [];
+    this.isPaused = false;
+    // pause automatically when no steps arrive for this many seconds
+    this.autoPauseSeconds = options.autoPauseSeconds || null;
+    this.lastStepTime = null;
+    this.laps = [];
+    this.currentLap = null;
+    // split automatically every N steps or every N minutes
+    this.autoLap = options.autoLap || null;
+    // wearer profile used for heart rate zones and calorie estimates
+    this.profile = options.profile || {};
+    this.workoutTypes = options.workoutTypes || WorkoutTypeRegistry.getDefault();
+    // heart rates outside these limits (Ex: sensor dropouts) are left out
+    this.heartRateLimits = options.heartRateLimits || HeartRateAlerts.getDefaultSettings().implausible;
+    this.watchData = watchData;
+
+    this.startWorkoutRecording(watchData);
+    this.currentLap = this.createLap(this.startTime);
+  }
+
+  /**
+   * Get the validation schemas of the samples a workout records.
+   * @return {object} Schemas keyed by sample type ("steps", "caloriesBurned", "heartRate" or "location").
+   */
+  static getSampleSchemas() {
+    return {
+      steps: {
+        additionalSteps: {type: 'nonNegativeNumber', required: true},
+        timeWhenMeasured: {type: 'timestamp'}
+      },
+      caloriesBurned: {
+        additionalCaloriesBurned: {type: 'nonNegativeNumber', required: true},
+        timeWhenMeasured: {type: 'timestamp'}
+      },
+      heartRate: {
+        // 0 is a sensor dropout, which is left out like other implausible readings
+        heartRate: {type: 'nonNegativeNumber', required: true},
+        timeWhenMeasured: {type: 'timestamp'}
+      },
+      location: {
+        latitude: {type: 'latitude', required: true},
+        longitude: {type: 'longitude', required: true},
+        elevation: {type: 'number'},
+        timeWhenMeasured: {type: 'timestamp'}
+      }
+    };
+  }
+
+  /**
+   * Get the workout's recording state in a serializable form, so a workout in
+   * progress can be continued by another process.
+   * @return {object} Workout state.
+   */
+  toJSON() {
+    return {
+      workoutId: this.workoutId,
+      workoutType: this.workoutType,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      caloriesBurned: this.caloriesBurned,
+      steps: this.steps,
+      samples: this.samples,
+      pausedSamples: this.pausedSamples,
+      pausedSteps: this.pausedSteps,
+      pausedCaloriesBurned: this.pausedCaloriesBurned,
+      pauses: this.pauses,
+      isPaused: this.isPaused,
+      autoPauseSeconds: this.autoPauseSeconds,
+      lastStepTime: this.lastStepTime,
+      laps: this.laps,
+      currentLap: this.currentLap,
+      autoLap: this.autoLap,
+      watchData: this.watchData
+    };
+  }
+
+  /**
+   * Restore recording state produced by toJSON.
+   * @param {object} workoutState - Workout state.
+   */
+  restore(workoutState) {
+    Object.assign(this, workoutState);
+  }
+
+  /**
+   * Create a lap.
+   * @param {number} startTime - UNIX timestamp when the lap starts.
+   * @return {object} Lap with no data recorded yet.
+   */
+  createLap(startTime) {
+    return {
+      lapNumber: this.laps.length + 1,
+      startTime: startTime,
+      endTime: null,
+      caloriesBurned: 0,
+      steps: 0,
+      heartRateTotal: 0,
+      heartRateCount: 0,
+      peakHeartRate: null
+    };
+  }
+
+  /**
+   * Close the current lap and start a new one.
+   * @param {object} watchData - Sent by watch when user marks a lap.
+   */
+  markLap(watchData) {
+    /*
+      {
+        lapTime: Long (UNIX timestamp)
+      }
+     */
+    Validator.validate(watchData, {lapTime: {type: 'timestamp', required: true}}, 'watchData');
+    const lapTime = watchData.lapTime;
+    if (lapTime < this.currentLap.startTime) {
+      throw new ValidationError('lapTime must not be before the current lap started', 'lapTime');
+    }
+    this.closeLap(lapTime);
+    this.currentLap = this.createLap(lapTime);
+  }
+
+  /**
+   * Close the current lap.
+   * @param {number} endTime - UNIX timestamp when the lap ends.
+   */
+  closeLap(endTime) {
+    const lap = this.currentLap;
+    lap.endTime = endTime;
+    const completedLap = {
+      lapNumber: lap.lapNumber,
+      startTime: lap.startTime,
+      endTime: lap.endTime,
+      caloriesBurned: lap.caloriesBurned,
+      steps: lap.steps,
+      averageHeartRate: lap.heartRateCount ? lap.heartRateTotal / lap.heartRateCount : null,
+      peakHeartRate: lap.peakHeartRate
+    };
+    this.laps.push(completedLap);
+    this.emit('lap', completedLap);
+  }
+
+  /**
+   * Mark time-based laps that are due by the given time.
+   * @param {number} currentTime - UNIX timestamp of the latest watch data.
+   */
+  checkAutoLapTime(currentTime) {
+    if (!this.autoLap || !this.autoLap.minutes) {
+      return;
+    }
+    const lapSeconds = this.autoLap.minutes * 60;
+    // a sample measured at the lap boundary belongs to the lap it closes
+    while (currentTime - this.currentLap.startTime > lapSeconds) {
+      this.markLap({lapTime: this.currentLap.startTime + lapSeconds});
+    }
+  }
+
+  /**
+   * Timestamp a sample sent by the watch, defaulting to the current time.
+   * @param {object} sampleData - Sample sent by watch.
+   * @return {object} Copy of the sample with a timeWhenMeasured.
+   */
+  timestampSample(sampleData) {
+    const now = Math.floor(Date.now() / 1000);
+    return Object.assign({timeWhenMeasured: now}, sampleData);
+  }
+
+  /**
+   * Track total calories burned for a workout.
+   * @param {object} caloriesData - Calories Burned recording sent by watch every 2 minutes.
+   */
+  addCaloriesBurned(caloriesData) {
+    /*
+      {
+        additionalCaloriesBurned: Number,
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(caloriesData, Workout.getSampleSchemas().caloriesBurned, 'caloriesData');
+    const sample = this.timestampSample(caloriesData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    if (this.isPaused) {
+      this.pausedSamples.caloriesBurned.push(sample);
+      this.pausedCaloriesBurned += sample.additionalCaloriesBurned;
+    } else {
+      this.samples.caloriesBurned.push(sample);
+      this.caloriesBurned += sample.additionalCaloriesBurned;
+      this.currentLap.caloriesBurned += sample.additionalCaloriesBurned;
+    }
+  }
+
+  /**
+   * Track total steps for a workout.
+   * @param {object} stepsData - Additional step recording sent by watch every 2 minutes.
+   */
+  addSteps(stepsData) {
+    /*
+      {
+        additionalSteps: Number,
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(stepsData, Workout.getSampleSchemas().steps, 'stepsData');
+    const sample = this.timestampSample(stepsData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    if (sample.additionalSteps > 0) {
+      if (this.isPaused && this.pauses[this.pauses.length - 1].isAutoPause) {
+        // moving again
+        this.resumeWorkoutRecording({resumeTime: sample.timeWhenMeasured});
+      }
+      this.lastStepTime = sample.timeWhenMeasured;
+    }
+    if (this.isPaused) {
+      this.pausedSamples.steps.push(sample);
+      this.pausedSteps += sample.additionalSteps;
+    } else {
+      this.samples.steps.push(sample);
+      this.steps += sample.additionalSteps;
+      this.currentLap.steps += sample.additionalSteps;
+      if (this.autoLap && this.autoLap.steps && this.currentLap.steps >= this.autoLap.steps) {
+        this.markLap({lapTime: sample.timeWhenMeasured});
+      }
+    }
+  }
+
+  /**
+   * Track heart rate during a workout. Readings outside heartRateLimits are
+   * left out of laps, zones, training load and the workout summary.
+   * @param {object} heartRateData - Heart rate recording sent by watch every minute.
+   */
+  addHeartRate(heartRateData) {
+    /*
+      {
+        heartRate: Number,
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(heartRateData, Workout.getSampleSchemas().heartRate, 'heartRateData');
+    const {min, max} = this.heartRateLimits;
+    if (heartRateData.heartRate < min || heartRateData.heartRate > max) {
+      return;
+    }
+    const sample = this.timestampSample(heartRateData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    if (this.isPaused) {
+      this.pausedSamples.heartRate.push(sample);
+    } else {
+      this.samples.heartRate.push(sample);
+      const lap = this.currentLap;
+      lap.heartRateTotal += sample.heartRate;
+      lap.heartRateCount++;
+      lap.peakHeartRate = Math.max(lap.peakHeartRate || 0, sample.heartRate);
+    }
+  }
+
+  /**
+   * Track location during a workout, for watches with GPS.
+   * @param {object} locationData - Location recording sent by watch.
+   */
+  addLocation(locationData) {
+    /*
+      {
+        latitude: Number (degrees),
+        longitude: Number (degrees),
+        elevation: Number (meters, optional),
+        timeWhenMeasured: Number (UNIX timestamp)
+      }
+     */
+    Validator.validate(locationData, Workout.getSampleSchemas().location, 'locationData');
+    const sample = this.timestampSample(locationData);
+    this.checkAutoPause(sample.timeWhenMeasured);
+    this.checkAutoLapTime(sample.timeWhenMeasured);
+    const source = this.isPaused ? this.pausedSamples : this.samples;
+    source.location.push(sample);
+  }
+
+  /**
+   * Pause the workout automatically if no steps arrived within the auto-pause window.
+   * @param {number} currentTime - UNIX timestamp of the latest watch data.
+   */
+  checkAutoPause(currentTime) {
+    // missing steps don't mean the wearer stopped if the workout type has no steps
+    if (!this.autoPauseSeconds || this.isPaused || !this.workoutTypes.get(this.workoutType).hasSteps) {
+      return;
+    }
+    const lastMovingTime = this.lastStepTime || this.startTime;
+    if (currentTime - lastMovingTime >= this.autoPauseSeconds) {
+      this.pauseWorkoutRecording({pauseTime: lastMovingTime + this.autoPauseSeconds}, true);
+    }
+  }
+
+  /**
+   * Pause workout recording.
+   * @param {object} watchData - Sent by watch when user pauses a workout.
+   * @param {boolean} isAutoPause - Whether the pause was triggered by auto-pause.
+   */
+  pauseWorkoutRecording(watchData, isAutoPause = false) {
+    /*
+      {
+        pauseTime: Long (UNIX timestamp)
+      }
+     */
+    Validator.validate(watchData, {pauseTime: {type: 'timestamp', required: true}}, 'watchData');
+    if (this.isPaused) {
+      throw new WorkoutStateError('The workout is already paused', 'workout_paused');
+    }
+    if (watchData.pauseTime < this.startTime) {
+      throw new ValidationError('pauseTime must not be before startTime', 'pauseTime');
+    }
+    const previousPause = this.pauses[this.pauses.length - 1];
+    if (previousPause && watchData.pauseTime < previousPause.endTime) {
+      // overlapping pauses would count the same time as paused twice
+      throw new ValidationError('pauseTime must not be before the previous pause ended', 'pauseTime');
+    }
+    this.isPaused = true;
+    this.pauses.push({
+      startTime: watchData.pauseTime,
+      endTime: null,
+      isAutoPause: isAutoPause
+    });
+    this.emit('paused', {pauseTime: watchData.pauseTime, isAutoPause: isAutoPause});
+  }
+
+  /**
+   * Resume workout recording.
+   * @param {object} watchData - Sent by watch when user resumes a workout.
+   */
+  resumeWorkoutRecording(watchData) {
+    /*
+      {
+        resumeTime: Long (UNIX timestamp)
+      }
+     */
+    Validator.validate(watchData, {resumeTime: {type: 'timestamp', required: true}}, 'watchData');
+    if (!this.isPaused) {
+      throw new WorkoutStateError('The workout is not paused', 'workout_not_paused');
+    }
+    const pause = this.pauses[this.pauses.length - 1];
+    if (watchData.resumeTime < pause.startTime) {
+      throw new ValidationError('resumeTime must not be before the pause started', 'resumeTime');
+    }
+    this.isPaused = false;
+    pause.endTime = watchData.resumeTime;
+    // restart the auto-pause window
+    this.lastStepTime = watchData.resumeTime;
+    this.emit('resumed', {resumeTime: watchData.resumeTime});
+  }
+
+  /**
+   * Start workout recording.
+   * @param {object} watchData - Sent by watch when user starts a workout.
+   */
+  startWorkoutRecording(watchData) {
+    /*
+      {
+        workoutType: String
+        startTime: Long (UNIX timestamp)
+      }
+     */
+    const data = Validator.validate(watchData || this.watchData, {
+      workoutId: {type: 'id'},
+      workoutType: {type: 'string', required: true},
+      startTime: {type: 'timestamp', required: true},
+      endTime: {type: 'timestamp'}
+    }, 'watchData');
+    const workoutType = this.workoutTypes.resolve(data.workoutType);
+    if (!workoutType) {
+      throw new ValidationError(`Unknown workout type: ${data.workoutType}`, 'workoutType');
+    }
+    this.workoutType = workoutType;
+    this.startTime = data.startTime;
+  }
+
+  /**
+   * Finish workout recording.
+   * @param {object} watchData - Sent by watch when user finishes a workout.
+   */
+  finishWorkoutRecording(watchData) {
+    const data = Validator.validate(watchData || this.watchData, {
+      workoutId: {type: 'id'},
+      endTime: {type: 'timestamp'}
+    }, 'watchData');
+    const endTime = data.endTime || Math.floor(Date.now() / 1000);
+    if (endTime < this.startTime) {
+      throw new ValidationError('endTime must not be before startTime', 'endTime');
+    }
+    if (this.isPaused && endTime < this.pauses[this.pauses.length - 1].startTime) {
+      throw new ValidationError('endTime must not be before the pause started', 'endTime');
+    }
+    if (endTime < this.currentLap.startTime) {
+      throw new ValidationError('endTime must not be before the current lap started', 'endTime');
+    }
+    // nothing changes until the finish is known to succeed
+    this.workoutId = data.workoutId;
+    this.endTime = endTime;
+    if (this.isPaused) {
+      this.resumeWorkoutRecording({resumeTime: this.endTime});
+    }
+    if (this.currentLap.startTime < this.endTime || this.laps.length === 0) {
+      this.closeLap(this.endTime);
+    }
+    this.emit('finished', this.getWorkoutSummary());
+  }
+
+  /**
+   * Get the timestamped samples recorded during the workout.
+   * @return {object} Steps, calories burned, heart rate and location samples.
+   */
+  getSamples() {
+    return this.samples;
+  }
+
+  /**
+   * Get the timestamped samples recorded while the workout was paused.
+   * @return {object} Steps, calories burned, heart rate and location samples.
+   */
+  getPausedSamples() {
+    return this.pausedSamples;
+  }
+
+  /**
+   * Get heart rate stats for the time the workout was moving.
+   * @return {object} Average and peak heart rate, and seconds spent in each zone.
+   */
+  getHeartRateStats() {
+    const heartRateSamples = this.samples.heartRate;
+    if (heartRateSamples.length === 0) {
+      return {averageHeartRate: null, peakHeartRate: null, heartRateZones: null};
+    }
+    const heartRates = heartRateSamples.map(sample => sample.heartRate);
+    const thresholds = HeartRateZones.getZoneThresholds(this.profile);
+    return {
+      averageHeartRate: heartRates.reduce((acc, cur) => acc + cur) / heartRates.length,
+      peakHeartRate: heartRates.reduce((acc, cur) => Math.max(acc, cur)),
+      heartRateZones: thresholds ? HeartRateZones.getTimeInZones(heartRateSamples, thresholds, this.endTime) : null
+    };
+  }
+
+  /**
+   * Get calories burned, estimating them when the watch didn't report any.
+   * @param {number} movingTime - Seconds the workout was moving.
+   * @param {number} averageHeartRate - Average heart rate while moving.
+   * @return {object} Calories burned and their source ("device", "heartRate", "met" or null).
+   */
+  getCaloriesBurned(movingTime, averageHeartRate) {
+    if (this.samples.caloriesBurned.length || this.pausedSamples.caloriesBurned.length) {
+      return {caloriesBurned: this.caloriesBurned, caloriesSource: 'device'};
+    }
+    const estimate = CalorieEstimator.estimate(this.profile, {
+      met: this.workoutTypes.get(this.workoutType).met,
+      averageHeartRate: averageHeartRate,
+      durationSeconds: movingTime
+    });
+    return estimate || {caloriesBurned: this.caloriesBurned, caloriesSource: null};
+  }
+
+  /**
+   * Get workout summary.
+   * @return {object} Data related to the completed workout.
+   */
+  getWorkoutSummary() {
+    const elapsedTime = this.endTime - this.startTime;
+    const pausedTime = this.pauses.reduce((acc, pause) => acc + (pause.endTime - pause.startTime), 0);
+    const movingTime = elapsedTime - pausedTime;
+    const heartRateStats = this.getHeartRateStats();
+    const calories = this.getCaloriesBurned(movingTime, heartRateStats.averageHeartRate);
+    return {
+      workoutId: this.workoutId,
+      workoutType: this.workoutType,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      elapsedTime: elapsedTime,
+      movingTime: movingTime,
+      caloriesBurned: calories.caloriesBurned,
+      caloriesSource: calories.caloriesSource,
+      steps: this.steps,
+      pausedCaloriesBurned: this.pausedCaloriesBurned,
+      pausedSteps: this.pausedSteps,
+      averageHeartRate: heartRateStats.averageHeartRate,
+      peakHeartRate: heartRateStats.peakHeartRate,
+      heartRateZones: heartRateStats.heartRateZones,
+      trainingLoad: TrainingLoad.getTrimp(this.samples.heartRate, this.endTime, this.profile),
+      pauses: this.pauses,
+      laps: this.laps
+    };
+  }
+}
+
+/**
+ * Class representing a storage backend for wearer data.
+ * Backends extend this class and implement every method.
+ */
+class Storage {
+  /**
+   * Load the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {object} Saved wearer data, or null if nothing was saved.
+   */
+  load(wearerId) {
+    throw new Error(`${this.constructor.name} does not implement load`);
+  }
+
+  /**
+   * Save data for a wearer, replacing anything saved before.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} wearerData - Serializable wearer data.
+   */
+  save(wearerId, wearerData) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Remove the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  remove(wearerId) {
+    throw new Error(`${this.constructor.name} does not implement remove`);
+  }
+
+  /**
+   * List the ids of all saved wearers.
+   * @return {array} Wearer ids.
+   */
+  list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+}
+
+/**
+ * Class representing in-memory storage. Data is lost when the process exits.
+ */
+class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    // a Map, so ids such as "constructor" never match Object.prototype
+    this.wearers = new Map();
+  }
+
+  /**
+   * Load the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {object} Saved wearer data, or null if nothing was saved.
+   */
+  load(wearerId) {
+    const saved = this.wearers.get(wearerId);
+    // hand out copies so callers can't change what is stored
+    return saved ? JSON.parse(saved) : null;
+  }
+
+  /**
+   * Save data for a wearer, replacing anything saved before.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} wearerData - Serializable wearer data.
+   */
+  save(wearerId, wearerData) {
+    this.wearers.set(wearerId, JSON.stringify(wearerData));
+  }
+
+  /**
+   * Remove the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  remove(wearerId) {
+    this.wearers.delete(wearerId);
+  }
+
+  /**
+   * List the ids of all saved wearers.
+   * @return {array} Wearer ids.
+   */
+  list() {
+    return Array.from(this.wearers.keys());
+  }
+}
+
+/**
+ * Class with helpers for bucketing UNIX timestamps into local calendar days.
+ * Days are numbered like UTC days since the UNIX epoch, but follow the
+ * wearer's local calendar, so DST transition days are 23 or 25 hours long.
+ */
+class TimeZone {
+  /**
+   * Check that a time zone is a known IANA time zone.
+   * @param {string} timeZone - IANA time zone (Ex: "America/Los_Angeles").
+   * @return {boolean} Whether the time zone is known.
+   */
+  static isValid(timeZone) {
+    try {
+      TimeZone.getFormatter(timeZone);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached formatter for a time zone.
+   * @param {string} timeZone - IANA time zone.
+   * @return {Intl.DateTimeFormat} Formatter producing numeric date and time parts.
+   */
+  static getFormatter(timeZone) {
+    TimeZone.formatters = TimeZone.formatters || {};
+    if (!TimeZone.formatters[timeZone]) {
+      TimeZone.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    }
+    return TimeZone.formatters[timeZone];
+  }
+
+  /**
+   * Get the local date and time for a timestamp.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} timeZone - IANA time zone.
+   * @return {object} Numeric year, month, day, hour, minute and second.
+   */
+  static getLocalParts(timestamp, timeZone) {
+    const parts = {};
+    TimeZone.getFormatter(timeZone).formatToParts(new Date(timestamp * 1000)).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = Number(part.value);
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * Get the offset from UTC at a timestamp.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} Offset in seconds (Ex: -25200 for PDT).
+   */
+  static getOffset(timestamp, timeZone) {
+    const parts = TimeZone.getLocalParts(timestamp, timeZone);
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    return localAsUtc - Math.floor(timestamp);
+  }
+
+  /**
+   * Get the local calendar day for a timestamp.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} Days since the UNIX epoch in the local calendar.
+   */
+  static getDayNumber(timestamp, timeZone) {
+    const secondsPerDay = 86400;
+    if (timeZone === 'UTC') {
+      return Math.floor(timestamp / secondsPerDay);
+    }
+    const parts = TimeZone.getLocalParts(timestamp, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day) / 1000 / secondsPerDay;
+  }
+
+  /**
+   * Get the timestamp of local midnight at the start of a day.
+   * @param {number} dayNumber - Days since the UNIX epoch in the local calendar.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} UNIX timestamp.
+   */
+  static getDayStart(dayNumber, timeZone) {
+    const localMidnightAsUtc = dayNumber * 86400;
+    let timestamp = localMidnightAsUtc - TimeZone.getOffset(localMidnightAsUtc, timeZone);
+    // the offset can differ on either side of a DST transition, so check it again
+    timestamp = localMidnightAsUtc - TimeZone.getOffset(timestamp, timeZone);
+    return timestamp;
+  }
+
+  /**
+   * Get the length of a local calendar day.
+   * @param {number} dayNumber - Days since the UNIX epoch in the local calendar.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} Length in seconds (82800 or 90000 on DST transition days).
+   */
+  static getDayLength(dayNumber, timeZone) {
+    return TimeZone.getDayStart(dayNumber + 1, timeZone) - TimeZone.getDayStart(dayNumber, timeZone);
+  }
+
+  /**
+   * Parse a calendar date into a day number.
+   * @param {string} date - ISO 8601 date (Ex: "2020-09-20").
+   * @return {number} Days since the UNIX epoch.
+   */
+  static parseDate(date) {
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN;
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`Invalid date: ${date}`, 'date');
+    }
+    return time / 86400000;
+  }
+
+  /**
+   * Format a day number as a calendar date.
+   * @param {number} dayNumber - Days since the UNIX epoch.
+   * @return {string} ISO 8601 date (Ex: "2020-09-20").
+   */
+  static formatDate(dayNumber) {
+    return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Format a timestamp as a UTC time.
+   * @param {number} timestamp - UNIX timestamp.
+   * @return {string} ISO 8601 time (Ex: "2020-09-20T01:25:00Z").
+   */
+  static formatTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z');
+  }
+}
+
+/**
+ * Class with helpers for exporting completed workouts to GPX 1.1 and Garmin TCX.
+ * Workouts are the records stored in a wearer's workoutData (summary plus samples).
+ */
+class WorkoutExporter {
+  /**
+   * Escape text for use in XML.
+   * @param {*} value - Value to escape.
+   * @return {string} Escaped text.
+   */
+  static escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Get the laps of a workout, treating a workout without laps as a single lap.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {array} Laps in chronological order.
+   */
+  static getLaps(workoutRecord) {
+    if (workoutRecord.laps && workoutRecord.laps.length) {
+      return workoutRecord.laps;
+    }
+    return [{
+      lapNumber: 1,
+      startTime: workoutRecord.startTime,
+      endTime: workoutRecord.endTime,
+      caloriesBurned: workoutRecord.caloriesBurned,
+      steps: workoutRecord.steps,
+      averageHeartRate: workoutRecord.averageHeartRate,
+      peakHeartRate: workoutRecord.peakHeartRate
+    }];
+  }
+
+  /**
+   * Merge the samples of a workout into one point per timestamp.
+   * Cadence is derived from each step sample and the time since the previous
+   * one, and is halved because Garmin formats count one foot.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {array} Points ({time, heartRate, cadence, location}) in chronological order.
+   */
+  static getTrackpoints(workoutRecord) {
+    const samples = workoutRecord.samples;
+    const pauses = workoutRecord.pauses || [];
+    const points = {};
+    const getPoint = time => {
+      if (!points[time]) {
+        points[time] = {time: time};
+      }
+      return points[time];
+    };
+
+    samples.heartRate.forEach(sample => {
+      getPoint(sample.timeWhenMeasured).heartRate = sample.heartRate;
+    });
+    let previousTime = workoutRecord.startTime;
+    samples.steps.forEach(sample => {
+      // time spent paused doesn't count towards cadence
+      pauses.forEach(pause => {
+        if (pause.endTime > previousTime && pause.endTime <= sample.timeWhenMeasured) {
+          previousTime = pause.endTime;
+        }
+      });
+      const interval = sample.timeWhenMeasured - previousTime;
+      if (interval > 0) {
+        getPoint(sample.timeWhenMeasured).cadence = Math.round(sample.additionalSteps / interval * 60 / 2);
+      }
+      previousTime = sample.timeWhenMeasured;
+    });
+    (samples.location || []).forEach(sample => {
+      getPoint(sample.timeWhenMeasured).location = sample;
+    });
+
+    return Object.keys(points)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(time => points[time]);
+  }
+
+  /**
+   * Group points by the lap they were measured in.
+   * A point measured at a lap boundary belongs to the lap it closes.
+   * @param {array} laps - Laps in chronological order.
+   * @param {array} points - Points in chronological order.
+   * @return {array} List of points for each lap.
+   */
+  static groupByLap(laps, points) {
+    const pointsByLap = laps.map(() => []);
+    points.forEach(point => {
+      let lapIndex = laps.findIndex(lap => point.time <= lap.endTime);
+      if (lapIndex === -1) {
+        lapIndex = laps.length - 1;
+      }
+      pointsByLap[lapIndex].push(point);
+    });
+    return pointsByLap;
+  }
+
+  /**
+   * Export a workout as GPX 1.1.
+   * GPX track points need a position, so only location samples become track
+   * points; each carries the latest heart rate and cadence measured by then.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {string} GPX document.
+   */
+  static toGpx(workoutRecord) {
+    const escapeXml = WorkoutExporter.escapeXml;
+    const laps = WorkoutExporter.getLaps(workoutRecord);
+    const pointsByLap = WorkoutExporter.groupByLap(laps, WorkoutExporter.getTrackpoints(workoutRecord));
+    const name = `${workoutRecord.workoutType} ${TimeZone.formatTime(workoutRecord.startTime)}`;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="fitness_tracking_watch" xmlns="http://www.topografix.com/GPX/1/1" ' +
+        'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+      '  <metadata>',
+      `    <name>${escapeXml(name)}</name>`,
+      `    <time>${TimeZone.formatTime(workoutRecord.startTime)}</time>`,
+      '  </metadata>',
+      '  <trk>',
+      `    <name>${escapeXml(name)}</name>`,
+      `    <type>${escapeXml(workoutRecord.workoutType)}</type>`
+    ];
+    let heartRate = null;
+    let cadence = null;
+    pointsByLap.forEach(points => {
+      // one track segment per lap
+      lines.push('    <trkseg>');
+      points.forEach(point => {
+        heartRate = point.heartRate !== undefined ? point.heartRate : heartRate;
+        cadence = point.cadence !== undefined ? point.cadence : cadence;
+        if (!point.location) {
+          return;
+        }
+        const {latitude, longitude, elevation} = point.location;
+        lines.push(`      <trkpt lat="${latitude}" lon="${longitude}">`);
+        if (elevation !== undefined && elevation !== null) {
+          lines.push(`        <ele>${elevation}</ele>`);
+        }
+        lines.push(`        <time>${TimeZone.formatTime(point.time)}</time>`);
+        if (heartRate !== null || cadence !== null) {
+          lines.push('        <extensions>');
+          lines.push('          <gpxtpx:TrackPointExtension>');
+          if (heartRate !== null) {
+            lines.push(`            <gpxtpx:hr>${Math.round(heartRate)}</gpxtpx:hr>`);
+          }
+          if (cadence !== null) {
+            lines.push(`            <gpxtpx:cad>${cadence}</gpxtpx:cad>`);
+          }
+          lines.push('          </gpxtpx:TrackPointExtension>');
+          lines.push('        </extensions>');
+        }
+        lines.push('      </trkpt>');
+      });
+      lines.push('    </trkseg>');
+    });
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Export a workout as Garmin TCX.
+   * @param {object} workoutRecord - Completed workout.
+   * @return {string} TCX document.
+   */
+  static toTcx(workoutRecord) {
+    const sports = {run: 'Running', walk: 'Running', cycle: 'Biking'};
+    const sport = sports[workoutRecord.workoutType] || 'Other';
+    const laps = WorkoutExporter.getLaps(workoutRecord);
+    const pointsByLap = WorkoutExporter.groupByLap(laps, WorkoutExporter.getTrackpoints(workoutRecord));
+    const elapsedTime = workoutRecord.endTime - workoutRecord.startTime;
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" ' +
+        'xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+      '  <Activities>',
+      `    <Activity Sport="${sport}">`,
+      `      <Id>${TimeZone.formatTime(workoutRecord.startTime)}</Id>`
+    ];
+    laps.forEach((lap, lapIndex) => {
+      const lapTime = lap.endTime - lap.startTime;
+      // estimated calories aren't split into laps, so share them out by time
+      let calories = lap.caloriesBurned;
+      if (workoutRecord.caloriesSource !== 'device' && elapsedTime > 0) {
+        calories = workoutRecord.caloriesBurned * lapTime / elapsedTime;
+      }
+      lines.push(`      <Lap StartTime="${TimeZone.formatTime(lap.startTime)}">`);
+      lines.push(`        <TotalTimeSeconds>${lapTime}</TotalTimeSeconds>`);
+      lines.push('        <DistanceMeters>0</DistanceMeters>');
+      lines.push(`        <Calories>${Math.round(calories || 0)}</Calories>`);
+      if (lap.averageHeartRate) {
+        lines.push(`        <AverageHeartRateBpm><Value>${Math.round(lap.averageHeartRate)}</Value></AverageHeartRateBpm>`);
+        lines.push(`        <MaximumHeartRateBpm><Value>${Math.round(lap.peakHeartRate)}</Value></MaximumHeartRateBpm>`);
+      }
+      lines.push('        <Intensity>Active</Intensity>');
+      lines.push('        <TriggerMethod>Manual</TriggerMethod>');
+      const points = pointsByLap[lapIndex];
+      if (points.length) {
+        lines.push('        <Track>');
+      }
+      points.forEach(point => {
+        lines.push('          <Trackpoint>');
+        lines.push(`            <Time>${TimeZone.formatTime(point.time)}</Time>`);
+        if (point.location) {
+          const {latitude, longitude, elevation} = point.location;
+          lines.push(`            <Position><LatitudeDegrees>${latitude}</LatitudeDegrees><LongitudeDegrees>${longitude}</LongitudeDegrees></Position>`);
+          if (elevation !== undefined && elevation !== null) {
+            lines.push(`            <AltitudeMeters>${elevation}</AltitudeMeters>`);
+          }
+        }
+        if (point.heartRate !== undefined) {
+          lines.push(`            <HeartRateBpm><Value>${Math.round(point.heartRate)}</Value></HeartRateBpm>`);
+        }
+        if (point.cadence !== undefined) {
+          lines.push(`            <Extensions><ns3:TPX><ns3:RunCadence>${point.cadence}</ns3:RunCadence></ns3:TPX></Extensions>`);
+        }
+        lines.push('          </Trackpoint>');
+      });
+      if (points.length) {
+        lines.push('        </Track>');
+      }
+      lines.push(`        <Extensions><ns3:LX><ns3:Steps>${lap.steps}</ns3:Steps></ns3:LX></Extensions>`);
+      lines.push('      </Lap>');
+    });
+    lines.push('    </Activity>');
+    lines.push('  </Activities>');
+    lines.push('</TrainingCenterDatabase>');
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Class with helpers for exporting a wearer's history to CSV and JSON.
+ */
+class HistoryExporter {
+  /**
+   * Build CSV text.
+   * @param {array} headers - Column names.
+   * @param {array} rows - List of rows, each a list of values.
+   * @return {string} CSV with a header row.
+   */
+  static toCsvText(headers, rows) {
+    const escapeValue = value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(escapeValue).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Export a wearer's history as CSV, one file per category.
+   * Raw steps and calories burned include all-day background samples, with
+   * only the part outside workouts, so they add up to the summary.
+   * @param {object} wearerData - Wearer data from Wearer.toJSON.
+   * @return {object} CSV text keyed by file name.
+   */
+  static toCsv(wearerData) {
+    const files = {};
+
+    const backgroundData = (wearerData.backgroundData || {rawData: []}).rawData;
+    ['steps', 'caloriesBurned'].forEach(dataCategory => {
+      const source = wearerData[`${dataCategory}Data`];
+      const countedKey = dataCategory === 'steps' ? 'countedSteps' : 'countedCaloriesBurned';
+      const rawData = source.rawData
+        .concat(backgroundData.map(data => ({startTime: data.startTime, endTime: data.endTime, [dataCategory]: data[countedKey]})))
+        .sort((a, b) => a.startTime - b.startTime);
+      files[`${dataCategory}-summary.csv`] = HistoryExporter.toCsvText(
+        ['date', 'daysSinceUnixEpoch', dataCategory],
+        source.summary.map(data => [TimeZone.formatDate(data.daysSinceUnixEpoch), data.daysSinceUnixEpoch, data[dataCategory]])
+      );
+      files[`${dataCategory}-raw.csv`] = HistoryExporter.toCsvText(
+        ['workoutId', 'workoutType', 'startTime', 'endTime', dataCategory],
+        rawData.map(data => [data.workoutId, data.workoutType, TimeZone.formatTime(data.startTime), TimeZone.formatTime(data.endTime), data[dataCategory]])
+      );
+    });
+
+    const heartRateRows = [];
+    ['resting', 'active'].forEach(state => {
+      wearerData.heartRateData.rawData[state].forEach(data => {
+        heartRateRows.push([TimeZone.formatTime(data.timeWhenMeasured), TimeZone.formatDate(data.daysSinceUnixEpoch), state, data.heartRate]);
+      });
+    });
+    heartRateRows.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    files['heartRate-raw.csv'] = HistoryExporter.toCsvText(['timeWhenMeasured', 'date', 'state', 'heartRate'], heartRateRows);
+
+    return files;
+  }
+
+  /**
+   * Write a wearer's history as CSV files.
+   * @param {object} wearerData - Wearer data from Wearer.toJSON.
+   * @param {string} directory - Directory to write the files to. It must exist.
+   * @return {array} Paths of the written files.
+   */
+  static writeCsvFiles(wearerData, directory) {
+    const files = HistoryExporter.toCsv(wearerData);
+    return Object.keys(files).map(fileName => {
+      const filePath = path.join(directory, fileName);
+      fs.writeFileSync(filePath, files[fileName]);
+      return filePath;
+    });
+  }
+
+  /**
+   * Export a wearer's history as a versioned JSON document.
+   * @param {object} wearerData - Wearer data from Wearer.toJSON.
+   * @return {string} JSON document.
+   */
+  static toJson(wearerData) {
+    return JSON.stringify({
+      format: 'fitness-watch-history',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      wearer: wearerData
+    }, null, 2);
+  }
+
+  /**
+   * Read wearer data back from a JSON document produced by toJson.
+   * @param {string|object} document - JSON document, as text or parsed.
+   * @return {object} Wearer data for Wearer.restore.
+   */
+  static fromJson(document) {
+    let parsed = document;
+    if (typeof document === 'string') {
+      try {
+        parsed = JSON.parse(document);
+      } catch (e) {
+        throw new ValidationError('The history document is not valid JSON', 'document');
+      }
+    }
+    if (!parsed || parsed.format !== 'fitness-watch-history') {
+      throw new ValidationError('Not a fitness watch history document', 'document');
+    }
+    if (parsed.version !== 1) {
+      throw new ValidationError(`Unsupported history version: ${parsed.version}`, 'version');
+    }
+    // the data Wearer.restore can't do without
+    const wearerData = Validator.validate(parsed.wearer, {
+      id: {type: 'id', required: true},
+      stepsData: {type: 'object', required: true},
+      caloriesBurnedData: {type: 'object', required: true},
+      heartRateData: {type: 'object', required: true},
+      workoutData: {type: 'object', required: true}
+    }, 'wearer');
+    ['stepsData', 'caloriesBurnedData'].forEach(dataCategory => {
+      Validator.validate(wearerData[dataCategory], {summary: {type: 'array', required: true}, rawData: {type: 'array', required: true}}, dataCategory);
+    });
+    Validator.validate(wearerData.heartRateData, {rawData: {type: 'object', required: true}}, 'heartRateData');
+    Validator.validate(wearerData.heartRateData.rawData, {resting: {type: 'array', required: true}, active: {type: 'array', required: true}}, 'rawData');
+    Validator.validate(wearerData.workoutData, {rawData: {type: 'array', required: true}}, 'workoutData');
+    return wearerData;
+  }
+}
+
+/**
+ * Class representing a request for something that doesn't exist (Ex: a workout id).
+ */
+class NotFoundError extends FitnessWatchError {}
+
+/**
+ * Class with helpers for importing workouts from GPX, TCX and Garmin FIT files.
+ * Parsed files look like:
+ *   {
+ *     workouts: [{
+ *       workoutId, workoutType, startTime, endTime,
+ *       samples: {steps: [], caloriesBurned: [], heartRate: [], location: []},
+ *       lapTimes: [UNIX timestamps where a lap ends, except the last]
+ *     }],
+ *     heartRateSamples: [heart rate measured outside of workouts]
+ *   }
+ * Samples use the same shape the watch streams to Wearer.
+ */
+class WorkoutImporter {
+  /**
+   * Read and parse a workout file.
+   * @param {string} filePath - Path of a GPX, TCX or FIT file.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static readFile(filePath) {
+    Validator.check(filePath, 'string', 'filePath');
+    let content;
+    try {
+      content = fs.readFileSync(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        throw new NotFoundError(`There is no file at ${filePath}`, 'file_not_found');
+      }
+      throw new ValidationError(`Cannot read ${filePath}: ${e.message}`, 'filePath');
+    }
+    return WorkoutImporter.parse(content);
+  }
+
+  /**
+   * Parse a workout file, detecting its format from the content.
+   * @param {Buffer|string} content - File content.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parse(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') {
+      return WorkoutImporter.parseFit(buffer);
+    }
+    const text = buffer.toString('utf8');
+    if (/<gpx[\s>]/.test(text)) {
+      return WorkoutImporter.parseGpx(text);
+    }
+    if (/<TrainingCenterDatabase[\s>]/.test(text)) {
+      return WorkoutImporter.parseTcx(text);
+    }
+    throw new ValidationError('Unrecognized workout file format', 'filePath');
+  }
+
+  /**
+   * Get the content of every element with a tag name, ignoring namespace prefixes.
+   * The formats read here never nest an element inside one with the same name.
+   * @param {string} xml - XML text.
+   * @param {string} tagName - Local tag name (Ex: "trkpt").
+   * @return {array} Elements ({attributes, content}).
+   */
+  static getElements(xml, tagName) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tagName}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tagName}>)`, 'g');
+    const elements = [];
+    let match;
+    while ((match = pattern.exec(xml))) {
+      elements.push({attributes: match[1] || '', content: match[2] || ''});
+    }
+    return elements;
+  }
+
+  /**
+   * Get the text of the first element with a tag name.
+   * @param {string} xml - XML text.
+   * @param {string} tagName - Local tag name.
+   * @return {string} Trimmed, unescaped text, or null if there is no such element.
+   */
+  static getText(xml, tagName) {
+    const element = WorkoutImporter.getElements(xml, tagName)[0];
+    if (!element) {
+      return null;
+    }
+    return element.content.trim()
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Get an attribute value.
+   * @param {string} attributes - Attribute text of an element.
+   * @param {string} name - Attribute name.
+   * @return {string} Attribute value, or null if missing.
+   */
+  static getAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parse an ISO 8601 time.
+   * @param {string} text - Time (Ex: "2020-09-20T01:25:00Z").
+   * @return {number} UNIX timestamp.
+   */
+  static parseTime(text) {
+    return Math.floor(Date.parse(text) / 1000);
+  }
+
+  /**
+   * Create an empty imported workout.
+   * @param {string} workoutType - Workout type from the file.
+   * @return {object} Imported workout.
+   */
+  static createWorkout(workoutType) {
+    return {
+      workoutId: null,
+      workoutType: workoutType,
+      startTime: null,
+      endTime: null,
+      samples: {steps: [], caloriesBurned: [], heartRate: [], location: []},
+      lapTimes: []
+    };
+  }
+
+  /**
+   * Fill in start and end times from the samples of an imported workout.
+   * Imported workouts are identified by their start time.
+   * @param {object} workout - Imported workout.
+   * @return {object} The same workout.
+   */
+  static finishWorkout(workout) {
+    const times = [];
+    Object.keys(workout.samples).forEach(sampleType => {
+      workout.samples[sampleType].forEach(sample => times.push(sample.timeWhenMeasured));
+    });
+    if (workout.startTime === null) {
+      workout.startTime = times.length ? times.reduce((acc, time) => Math.min(acc, time)) : null;
+    }
+    if (workout.endTime === null) {
+      workout.endTime = times.length ? times.reduce((acc, time) => Math.max(acc, time)) : workout.startTime;
+    }
+    workout.workoutId = workout.startTime;
+    return workout;
+  }
+
+  /**
+   * Parse a GPX 1.1 file. Each track is a workout and each track segment a lap.
+   * @param {string} text - GPX document.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parseGpx(text) {
+    const workouts = WorkoutImporter.getElements(text, 'trk').map(track => {
+      const workout = WorkoutImporter.createWorkout(WorkoutImporter.getText(track.content, 'type') || 'other');
+      const segments = WorkoutImporter.getElements(track.content, 'trkseg');
+      segments.forEach((segment, segmentIndex) => {
+        let segmentEndTime = null;
+        WorkoutImporter.getElements(segment.content, 'trkpt').forEach(point => {
+          const time = WorkoutImporter.getText(point.content, 'time');
+          if (!time) {
+            return;
+          }
+          const timeWhenMeasured = WorkoutImporter.parseTime(time);
+          const elevation = WorkoutImporter.getText(point.content, 'ele');
+          const location = {
+            latitude: Number(WorkoutImporter.getAttribute(point.attributes, 'lat')),
+            longitude: Number(WorkoutImporter.getAttribute(point.attributes, 'lon')),
+            timeWhenMeasured: timeWhenMeasured
+          };
+          if (elevation !== null) {
+            location.elevation = Number(elevation);
+          }
+          workout.samples.location.push(location);
+          const heartRate = WorkoutImporter.getText(point.content, 'hr');
+          if (heartRate !== null) {
+            workout.samples.heartRate.push({heartRate: Number(heartRate), timeWhenMeasured: timeWhenMeasured});
+          }
+          segmentEndTime = timeWhenMeasured;
+        });
+        if (segmentIndex < segments.length - 1 && segmentEndTime !== null) {
+          workout.lapTimes.push(segmentEndTime);
+        }
+      });
+      return WorkoutImporter.finishWorkout(workout);
+    });
+    return {workouts: workouts.filter(workout => workout.startTime !== null), heartRateSamples: []};
+  }
+
+  /**
+   * Parse a Garmin TCX file. Each activity is a workout.
+   * Lap steps and calories become one sample at the end of each lap.
+   * @param {string} text - TCX document.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parseTcx(text) {
+    const workouts = WorkoutImporter.getElements(text, 'Activity').map(activity => {
+      const workout = WorkoutImporter.createWorkout(WorkoutImporter.getAttribute(activity.attributes, 'Sport') || 'other');
+      const id = WorkoutImporter.getText(activity.content, 'Id');
+      workout.startTime = id ? WorkoutImporter.parseTime(id) : null;
+      const laps = WorkoutImporter.getElements(activity.content, 'Lap');
+      laps.forEach((lap, lapIndex) => {
+        const lapStartTime = WorkoutImporter.parseTime(WorkoutImporter.getAttribute(lap.attributes, 'StartTime'));
+        const lapEndTime = lapStartTime + Math.round(Number(WorkoutImporter.getText(lap.content, 'TotalTimeSeconds') || 0));
+        WorkoutImporter.getElements(lap.content, 'Trackpoint').forEach(point => {
+          const timeWhenMeasured = WorkoutImporter.parseTime(WorkoutImporter.getText(point.content, 'Time'));
+          const position = WorkoutImporter.getText(point.content, 'Position');
+          if (position) {
+            const location = {
+              latitude: Number(WorkoutImporter.getText(position, 'LatitudeDegrees')),
+              longitude: Number(WorkoutImporter.getText(position, 'LongitudeDegrees')),
+              timeWhenMeasured: timeWhenMeasured
+            };
+            const altitude = WorkoutImporter.getText(point.content, 'AltitudeMeters');
+            if (altitude !== null) {
+              location.elevation = Number(altitude);
+            }
+            workout.samples.location.push(location);
+          }
+          const heartRate = WorkoutImporter.getText(point.content, 'HeartRateBpm');
+          if (heartRate) {
+            workout.samples.heartRate.push({
+              heartRate: Number(WorkoutImporter.getText(heartRate, 'Value')),
+              timeWhenMeasured: timeWhenMeasured
+            });
+          }
+        });
+        const calories = WorkoutImporter.getText(lap.content, 'Calories');
+        if (calories !== null && Number(calories) > 0) {
+          workout.samples.caloriesBurned.push({additionalCaloriesBurned: Number(calories), timeWhenMeasured: lapEndTime});
+        }
+        const steps = WorkoutImporter.getText(lap.content, 'Steps');
+        if (steps !== null) {
+          workout.samples.steps.push({additionalSteps: Number(steps), timeWhenMeasured: lapEndTime});
+        }
+        if (lapIndex < laps.length - 1) {
+          workout.lapTimes.push(lapEndTime);
+        } else {
+          workout.endTime = lapEndTime;
+        }
+      });
+      return WorkoutImporter.finishWorkout(workout);
+    });
+    return {workouts: workouts.filter(workout => workout.startTime !== null), heartRateSamples: []};
+  }
+
+  /**
+   * Decode the messages of a Garmin FIT file.
+   * @param {Buffer} buffer - FIT file content.
+   * @return {array} Messages ({globalMessageNumber, fields: {fieldNumber: value}}).
+   */
+  static decodeFitMessages(buffer) {
+    // seconds between the UNIX epoch and the FIT epoch (1989-12-31T00:00:00Z)
+    const fitEpochOffset = 631065600;
+    const headerSize = buffer.readUInt8(0);
+    const dataEnd = headerSize + buffer.readUInt32LE(4);
+    if (dataEnd > buffer.length) {
+      throw new ValidationError('FIT file is truncated', 'filePath');
+    }
+    const baseTypes = {
+      0x00: {size: 1, read: (b, o) => b.readUInt8(o), invalid: 0xFF},
+      0x01: {size: 1, read: (b, o) => b.readInt8(o), invalid: 0x7F},
+      0x02: {size: 1, read: (b, o) => b.readUInt8(o), invalid: 0xFF},
+      0x83: {size: 2, read: (b, o, le) => (le ? b.readInt16LE(o) : b.readInt16BE(o)), invalid: 0x7FFF},
+      0x84: {size: 2, read: (b, o, le) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o)), invalid: 0xFFFF},
+      0x85: {size: 4, read: (b, o, le) => (le ? b.readInt32LE(o) : b.readInt32BE(o)), invalid: 0x7FFFFFFF},
+      0x86: {size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)), invalid: 0xFFFFFFFF},
+      0x0A: {size: 1, read: (b, o) => b.readUInt8(o), invalid: 0},
+      0x8B: {size: 2, read: (b, o, le) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o)), invalid: 0},
+      0x8C: {size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)), invalid: 0}
+    };
+    const definitions = {};
+    const messages = [];
+    let lastTimestamp = null;
+    let offset = headerSize;
+
+    while (offset < dataEnd) {
+      const recordHeader = buffer.readUInt8(offset++);
+      const isCompressedTimestamp = (recordHeader & 0x80) !== 0;
+      const localMessageType = isCompressedTimestamp ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0F;
+
+      if (!isCompressedTimestamp && (recordHeader & 0x40)) {
+        // definition message
+        const isLittleEndian = buffer.readUInt8(offset + 1) === 0;
+        const globalMessageNumber = isLittleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+        const numberOfFields = buffer.readUInt8(offset + 4);
+        offset += 5;
+        const fields = [];
+        for (let i = 0; i < numberOfFields; i++) {
+          fields.push({
+            fieldNumber: buffer.readUInt8(offset),
+            size: buffer.readUInt8(offset + 1),
+            baseType: buffer.readUInt8(offset + 2)
+          });
+          offset += 3;
+        }
+        let developerDataSize = 0;
+        if (recordHeader & 0x20) {
+          const numberOfDeveloperFields = buffer.readUInt8(offset++);
+          for (let i = 0; i < numberOfDeveloperFields; i++) {
+            developerDataSize += buffer.readUInt8(offset + 1);
+            offset += 3;
+          }
+        }
+        definitions[localMessageType] = {globalMessageNumber, isLittleEndian, fields, developerDataSize};
+        continue;
+      }
+
+      // data message
+      const definition = definitions[localMessageType];
+      if (!definition) {
+        throw new ValidationError(`FIT data message uses undefined local message type ${localMessageType}`, 'filePath');
+      }
+      const fields = {};
+      definition.fields.forEach(field => {
+        const baseType = baseTypes[field.baseType];
+        if (baseType && baseType.size === field.size) {
+          const value = baseType.read(buffer, offset, definition.isLittleEndian);
+          if (value !== baseType.invalid) {
+            fields[field.fieldNumber] = value;
+          }
+        }
+        offset += field.size;
+      });
+      offset += definition.developerDataSize;
+
+      if (isCompressedTimestamp && lastTimestamp !== null) {
+        // 5 bit offset from the last full timestamp
+        const timeOffset = recordHeader & 0x1F;
+        let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) {
+          timestamp += 0x20;
+        }
+        fields[253] = timestamp;
+      }
+      if (fields[253] !== undefined) {
+        lastTimestamp = fields[253];
+      }
+      // convert FIT times to UNIX timestamps
+      [253, 2].forEach(fieldNumber => {
+        const isTimeField = fieldNumber === 253 || [18, 19].includes(definition.globalMessageNumber);
+        if (isTimeField && fields[fieldNumber] !== undefined) {
+          fields[fieldNumber] += fitEpochOffset;
+        }
+      });
+      messages.push({globalMessageNumber: definition.globalMessageNumber, fields: fields});
+    }
+    return messages;
+  }
+
+  /**
+   * Parse a Garmin FIT activity or monitoring file.
+   * Each session is a workout; heart rate from monitoring messages is
+   * returned as heart rate measured outside of workouts.
+   * @param {Buffer} buffer - FIT file content.
+   * @return {object} Parsed workouts and heart rate samples.
+   */
+  static parseFit(buffer) {
+    const sports = {0: 'other', 1: 'run', 2: 'cycle', 5: 'swim', 10: 'strength', 11: 'walk'};
+    const semicirclesToDegrees = 180 / Math.pow(2, 31);
+    const messages = WorkoutImporter.decodeFitMessages(buffer);
+    const records = messages.filter(message => message.globalMessageNumber === 20).map(message => message.fields);
+    const laps = messages.filter(message => message.globalMessageNumber === 19).map(message => message.fields);
+    const sessions = messages.filter(message => message.globalMessageNumber === 18).map(message => message.fields);
+
+    const workouts = sessions.map(session => {
+      const workout = WorkoutImporter.createWorkout(sports[session[5]] || 'other');
+      workout.startTime = session[2];
+      workout.endTime = session[7] !== undefined ? session[2] + Math.round(session[7] / 1000) : session[253];
+      const isInSession = time => time >= workout.startTime && time <= workout.endTime;
+
+      let previousTime = null;
+      records.filter(record => isInSession(record[253])).forEach(record => {
+        const timeWhenMeasured = record[253];
+        if (record[0] !== undefined && record[1] !== undefined) {
+          const location = {
+            latitude: record[0] * semicirclesToDegrees,
+            longitude: record[1] * semicirclesToDegrees,
+            timeWhenMeasured: timeWhenMeasured
+          };
+          if (record[2] !== undefined) {
+            location.elevation = record[2] / 5 - 500;
+          }
+          workout.samples.location.push(location);
+        }
+        if (record[3] !== undefined) {
+          workout.samples.heartRate.push({heartRate: record[3], timeWhenMeasured: timeWhenMeasured});
+        }
+        // running cadence counts one foot, so steps are twice the cadence
+        if (record[4] !== undefined && previousTime !== null && workout.workoutType !== 'cycle') {
+          const steps = Math.round(record[4] * 2 * (timeWhenMeasured - previousTime) / 60);
+          workout.samples.steps.push({additionalSteps: steps, timeWhenMeasured: timeWhenMeasured});
+        }
+        previousTime = timeWhenMeasured;
+      });
+
+      const sessionLaps = laps.filter(lap => isInSession(lap[2]));
+      sessionLaps.forEach((lap, lapIndex) => {
+        const lapEndTime = lap[7] !== undefined ? lap[2] + Math.round(lap[7] / 1000) : lap[253];
+        if (lapIndex < sessionLaps.length - 1) {
+          workout.lapTimes.push(lapEndTime);
+        }
+      });
+      if (session[11]) {
+        workout.samples.caloriesBurned.push({additionalCaloriesBurned: session[11], timeWhenMeasured: workout.endTime});
+      }
+      return WorkoutImporter.finishWorkout(workout);
+    });
+
+    // monitoring messages carry all-day heart rate
+    const heartRateSamples = messages
+      .filter(message => message.globalMessageNumber === 55 && message.fields[27] !== undefined && message.fields[253] !== undefined)
+      .map(message => ({heartRate: message.fields[27], timeWhenMeasured: message.fields[253]}));
+
+    return {workouts: workouts, heartRateSamples: heartRateSamples};
+  }
+}
+
+/**
+ * Class with helpers for evaluating daily and weekly goals and their streaks.
+ * Goal history is a list of target changes ({metric, period, target, effectiveDay})
+ * in chronological order, so past days keep the target they had at the time.
+ */
+class Goals {
+  /**
+   * Get the metrics a goal can be set for.
+   * @return {array} Metric names.
+   */
+  static getMetrics() {
+    return ['steps', 'caloriesBurned', 'activeMinutes', 'workouts'];
+  }
+
+  /**
+   * Get the first day of the week a day is in. Weeks start on Monday.
+   * @param {number} dayNumber - Days since the UNIX epoch in the local calendar.
+   * @return {number} Day number of the Monday.
+   */
+  static getWeekStart(dayNumber) {
+    // day 0 (1970-01-01) was a Thursday
+    return dayNumber - (dayNumber + 3) % 7;
+  }
+
+  /**
+   * Get the target in effect on a day.
+   * @param {array} goalHistory - Target changes in chronological order.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {number} dayNumber - Day to get the target for.
+   * @return {number} Target, or null if there was no goal.
+   */
+  static getTarget(goalHistory, metric, period, dayNumber) {
+    let target = null;
+    goalHistory.forEach(goal => {
+      if (goal.metric === metric && goal.period === period && goal.effectiveDay <= dayNumber) {
+        target = goal.target;
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Get a wearer's daily totals for a metric.
+   * Active minutes are the moving time of workouts, which excludes pauses.
+   * @param {Wearer} wearer - The wearer.
+   * @param {string} metric - Goal metric.
+   * @return {object} Totals keyed by local day number.
+   */
+  static getDailyTotals(wearer, metric) {
+    const totals = {};
+    if (metric === 'steps' || metric === 'caloriesBurned') {
+      wearer.getDataSummary(metric).forEach(data => {
+        totals[data.daysSinceUnixEpoch] = (totals[data.daysSinceUnixEpoch] || 0) + data[metric];
+      });
+    } else {
+      wearer.workoutData.rawData.forEach(workout => {
+        const dayNumber = TimeZone.getDayNumber(workout.startTime, wearer.timeZone);
+        const value = metric === 'activeMinutes' ? workout.movingTime / 60 : 1;
+        totals[dayNumber] = (totals[dayNumber] || 0) + value;
+      });
+    }
+    return totals;
+  }
+
+  /**
+   * Evaluate a goal for every day or week in a range that had a target.
+   * A week is evaluated against the target in effect on its last day, or on
+   * the last day of the range for the week in progress.
+   * @param {Wearer} wearer - The wearer.
+   * @param {array} goalHistory - Target changes in chronological order.
+   * @param {string} metric - Goal metric.
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {number} firstDay - First day of the range.
+   * @param {number} lastDay - Last day of the range.
+   * @return {array} Evaluations ({date, target, value, progress, completed}); progress is a percentage.
+   */
+  static evaluate(wearer, goalHistory, metric, period, firstDay, lastDay) {
+    const totals = Goals.getDailyTotals(wearer, metric);
+    const periodLength = period === 'weekly' ? 7 : 1;
+    const evaluations = [];
+    let periodStart = period === 'weekly' ? Goals.getWeekStart(firstDay) : firstDay;
+    for (; periodStart <= lastDay; periodStart += periodLength) {
+      const periodEnd = Math.min(periodStart + periodLength - 1, lastDay);
+      const target = Goals.getTarget(goalHistory, metric, period, periodEnd);
+      if (target === null) {
+        continue;
+      }
+      let value = 0;
+      for (let dayNumber = periodStart; dayNumber <= periodEnd; dayNumber++) {
+        value += totals[dayNumber] || 0;
+      }
+      evaluations.push({
+        date: TimeZone.formatDate(periodStart),
+        target: target,
+        value: value,
+        progress: Math.round(value / target * 100),
+        completed: value >= target
+      });
+    }
+    return evaluations;
+  }
+
+  /**
+   * Get the current and longest streaks of completed days or weeks.
+   * The day or week in progress doesn't break the current streak until it's over.
+   * @param {array} evaluations - Evaluations from evaluate.
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {number} lastDay - Last day that was evaluated (Ex: today).
+   * @return {object} Streak lengths in days or weeks ({current, longest}).
+   */
+  static getStreaks(evaluations, period, lastDay) {
+    const periodLength = period === 'weekly' ? 7 : 1;
+    const dayNumbers = evaluations.map(evaluation => TimeZone.parseDate(evaluation.date));
+
+    let longest = 0;
+    let length = 0;
+    evaluations.forEach((evaluation, index) => {
+      const followsPrevious = index > 0 && dayNumbers[index] - dayNumbers[index - 1] === periodLength;
+      length = evaluation.completed ? (followsPrevious ? length : 0) + 1 : 0;
+      longest = Math.max(longest, length);
+    });
+
+    let expectedDay = period === 'weekly' ? Goals.getWeekStart(lastDay) : lastDay;
+    let index = evaluations.length - 1;
+    if (index >= 0 && dayNumbers[index] === expectedDay && !evaluations[index].completed) {
+      // still in progress
+      index--;
+      expectedDay -= periodLength;
+    }
+    let current = 0;
+    while (index >= 0 && dayNumbers[index] === expectedDay && evaluations[index].completed) {
+      current++;
+      index--;
+      expectedDay -= periodLength;
+    }
+    return {current, longest};
+  }
+}
+
+/**
+ * Class with helpers for sleep sessions.
+ * A session is {startTime, endTime, stages, source}, where stages is a list of
+ * {stage, startTime, endTime} with stage "light", "deep", "rem" or "awake",
+ * and source is "recorded" or "inferred".
+ */
+class SleepAnalyzer {
+  /**
+   * Get the sleep stage names.
+   * @return {array} Stage names.
+   */
+  static getStages() {
+    return ['light', 'deep', 'rem', 'awake'];
+  }
+
+  /**
+   * Get the time spent in each stage of a session.
+   * Time not covered by a stage counts as light sleep.
+   * @param {object} session - Sleep session.
+   * @return {object} Seconds in each stage ({light, deep, rem, awake}).
+   */
+  static getStageDurations(session) {
+    const durations = {light: 0, deep: 0, rem: 0, awake: 0};
+    let stagedTime = 0;
+    session.stages.forEach(stage => {
+      durations[stage.stage] += stage.endTime - stage.startTime;
+      stagedTime += stage.endTime - stage.startTime;
+    });
+    durations.light += session.endTime - session.startTime - stagedTime;
+    return durations;
+  }
+
+  /**
+   * Infer sleep sessions from resting heart rate and movement.
+   * A session is a long stretch of low heart rate without movement. Short
+   * stretches of higher heart rate inside it are awake time, and the rest is
+   * split into deep, light and REM sleep by where the heart rate falls
+   * between the session's lowest and highest sleeping heart rate.
+   * @param {array} samples - Resting heart rate samples in chronological order.
+   * @param {array} movementPeriods - Periods with steps ({startTime, endTime}).
+   * @param {object} options - Inference options ({maxHeartRate, minDurationSeconds, maxGapSeconds}).
+   * @return {array} Inferred sessions in chronological order.
+   */
+  static inferSessions(samples, movementPeriods, options) {
+    const {maxHeartRate, minDurationSeconds, maxGapSeconds} = options;
+    // samples are checked in chronological order, so one pointer sweeps the periods
+    const periods = SleepAnalyzer.mergePeriods(movementPeriods);
+    let periodIndex = 0;
+    const hasMovement = (startTime, endTime) => {
+      while (periodIndex < periods.length && periods[periodIndex].endTime < startTime) {
+        periodIndex++;
+      }
+      return periodIndex < periods.length && periods[periodIndex].startTime <= endTime;
+    };
+
+    const sessions = [];
+    let run = null;
+    const closeRun = () => {
+      // a session ends with its last low heart rate sample
+      const runSamples = run.samples.filter(sample => sample.timeWhenMeasured <= run.lastLowTime);
+      if (run.lastLowTime - runSamples[0].timeWhenMeasured >= minDurationSeconds) {
+        sessions.push(SleepAnalyzer.createInferredSession(runSamples, maxHeartRate));
+      }
+      run = null;
+    };
+    samples.forEach((sample, index) => {
+      const previousSample = samples[index - 1];
+      const isLow = sample.heartRate <= maxHeartRate;
+      if (run) {
+        const isInterrupted = sample.timeWhenMeasured - previousSample.timeWhenMeasured > maxGapSeconds
+          || hasMovement(previousSample.timeWhenMeasured, sample.timeWhenMeasured)
+          || (!isLow && sample.timeWhenMeasured - run.lastLowTime > maxGapSeconds);
+        if (isInterrupted) {
+          closeRun();
+        } else {
+          run.samples.push(sample);
+          if (isLow) {
+            run.lastLowTime = sample.timeWhenMeasured;
+          }
+        }
+      }
+      if (!run && isLow && !hasMovement(sample.timeWhenMeasured, sample.timeWhenMeasured)) {
+        run = {samples: [sample], lastLowTime: sample.timeWhenMeasured};
+      }
+    });
+    if (run) {
+      closeRun();
+    }
+    return sessions;
+  }
+
+  /**
+   * Merge overlapping and touching periods.
+   * @param {array} periods - Periods ({startTime, endTime}) in any order.
+   * @return {array} Periods that don't overlap, in chronological order.
+   */
+  static mergePeriods(periods) {
+    const merged = [];
+    periods.slice().sort((a, b) => a.startTime - b.startTime).forEach(period => {
+      const previous = merged[merged.length - 1];
+      if (previous && period.startTime <= previous.endTime) {
+        previous.endTime = Math.max(previous.endTime, period.endTime);
+      } else {
+        merged.push({startTime: period.startTime, endTime: period.endTime});
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Create an inferred session from the heart rate samples of a sleep period.
+   * Each sample decides the stage until the next sample.
+   * @param {array} samples - Heart rate samples, starting and ending with a sleeping heart rate.
+   * @param {number} maxHeartRate - Highest sleeping heart rate; higher is awake.
+   * @return {object} Sleep session.
+   */
+  static createInferredSession(samples, maxHeartRate) {
+    const sleepingHeartRates = samples.map(sample => sample.heartRate).filter(heartRate => heartRate <= maxHeartRate);
+    const lowest = sleepingHeartRates.reduce((acc, heartRate) => Math.min(acc, heartRate));
+    const range = sleepingHeartRates.reduce((acc, heartRate) => Math.max(acc, heartRate)) - lowest;
+    const getStage = heartRate => {
+      if (heartRate > maxHeartRate) {
+        return 'awake';
+      } else if (heartRate <= lowest + range / 4) {
+        return 'deep';
+      } else if (heartRate >= lowest + range * 3 / 4) {
+        return 'rem';
+      }
+      return 'light';
+    };
+
+    const stages = [];
+    samples.slice(0, -1).forEach((sample, index) => {
+      const stage = getStage(sample.heartRate);
+      const endTime = samples[index + 1].timeWhenMeasured;
+      const previousStage = stages[stages.length - 1];
+      if (previousStage && previousStage.stage === stage) {
+        previousStage.endTime = endTime;
+      } else {
+        stages.push({stage: stage, startTime: sample.timeWhenMeasured, endTime: endTime});
+      }
+    });
+    return {
+      startTime: samples[0].timeWhenMeasured,
+      endTime: samples[samples.length - 1].timeWhenMeasured,
+      stages: stages,
+      source: 'inferred'
+    };
+  }
+
+  /**
+   * Get nightly summaries. A night belongs to the local day its sleep ends on,
+   * so naps count towards the day they're taken.
+   * @param {array} sessions - Sleep sessions in chronological order.
+   * @param {string} timeZone - IANA time zone.
+   * @return {array} Summaries ({daysSinceUnixEpoch, sessions, timeInBed, timeAsleep, light, deep, rem, awake}) in seconds.
+   */
+  static getNightlySummaries(sessions, timeZone) {
+    const summaries = [];
+    sessions.forEach(session => {
+      const daysSinceUnixEpoch = TimeZone.getDayNumber(session.endTime, timeZone);
+      let summary = summaries[summaries.length - 1];
+      if (!summary || summary.daysSinceUnixEpoch !== daysSinceUnixEpoch) {
+        summary = {daysSinceUnixEpoch: daysSinceUnixEpoch, sessions: 0, timeInBed: 0, timeAsleep: 0, light: 0, deep: 0, rem: 0, awake: 0};
+        summaries.push(summary);
+      }
+      const durations = SleepAnalyzer.getStageDurations(session);
+      summary.sessions++;
+      summary.timeInBed += session.endTime - session.startTime;
+      summary.timeAsleep += session.endTime - session.startTime - durations.awake;
+      SleepAnalyzer.getStages().forEach(stage => {
+        summary[stage] += durations[stage];
+      });
+    });
+    return summaries;
+  }
+}
+
+/**
+ * Class with helpers for resampling timestamped values into time buckets.
+ * Buckets follow the local calendar, so days, weeks and months start at
+ * local midnight and weeks start on Monday.
+ */
+class TimeSeries {
+  /**
+   * Get the resolutions a time series can have.
+   * @return {array} Resolution names.
+   */
+  static getResolutions() {
+    return ['minute', '15min', 'hour', 'day', 'week', 'month'];
+  }
+
+  /**
+   * Get the aggregations a time series can use.
+   * @return {array} Aggregation names.
+   */
+  static getAggregations() {
+    return ['sum', 'mean', 'min', 'max', 'p95'];
+  }
+
+  /**
+   * Get the start of the bucket containing a time.
+   * @param {number} timestamp - UNIX timestamp.
+   * @param {string} resolution - Bucket size (Ex: "hour").
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} UNIX timestamp when the bucket starts.
+   */
+  static getBucketStart(timestamp, resolution, timeZone) {
+    const fixedSizes = {minute: 60, '15min': 900, hour: 3600};
+    if (fixedSizes[resolution]) {
+      const localTime = timestamp + TimeZone.getOffset(timestamp, timeZone);
+      return timestamp - (((localTime % fixedSizes[resolution]) + fixedSizes[resolution]) % fixedSizes[resolution]);
+    }
+    let dayNumber = TimeZone.getDayNumber(timestamp, timeZone);
+    if (resolution === 'week') {
+      dayNumber = Goals.getWeekStart(dayNumber);
+    } else if (resolution === 'month') {
+      dayNumber = TimeZone.parseDate(`${TimeZone.formatDate(dayNumber).slice(0, 7)}-01`);
+    }
+    return TimeZone.getDayStart(dayNumber, timeZone);
+  }
+
+  /**
+   * Get the start of the bucket after the one starting at a time.
+   * @param {number} bucketStart - UNIX timestamp when a bucket starts.
+   * @param {string} resolution - Bucket size.
+   * @param {string} timeZone - IANA time zone.
+   * @return {number} UNIX timestamp when the next bucket starts.
+   */
+  static getNextBucketStart(bucketStart, resolution, timeZone) {
+    const fixedSizes = {minute: 60, '15min': 900, hour: 3600};
+    if (fixedSizes[resolution]) {
+      return bucketStart + fixedSizes[resolution];
+    }
+    const dayNumber = TimeZone.getDayNumber(bucketStart, timeZone);
+    let nextDayNumber = dayNumber + (resolution === 'week' ? 7 : 1);
+    if (resolution === 'month') {
+      const date = new Date(dayNumber * 86400000);
+      nextDayNumber = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 86400000;
+    }
+    return TimeZone.getDayStart(nextDayNumber, timeZone);
+  }
+
+  /**
+   * Aggregate values.
+   * @param {array} values - Numbers.
+   * @param {string} aggregation - The string "sum", "mean", "min", "max" or "p95".
+   * @return {number} Aggregated value.
+   */
+  static aggregate(values, aggregation) {
+    if (aggregation === 'sum') {
+      return values.reduce((acc, value) => acc + value, 0);
+    } else if (aggregation === 'mean') {
+      return values.reduce((acc, value) => acc + value, 0) / values.length;
+    } else if (aggregation === 'min') {
+      return values.reduce((acc, value) => Math.min(acc, value), Infinity);
+    } else if (aggregation === 'max') {
+      return values.reduce((acc, value) => Math.max(acc, value), -Infinity);
+    }
+    // nearest-rank 95th percentile
+    const sortedValues = values.slice().sort((a, b) => a - b);
+    return sortedValues[Math.ceil(sortedValues.length * 0.95) - 1];
+  }
+
+  /**
+   * Resample timestamped values into buckets covering [from, to).
+   * @param {array} points - Values ({time, value}) in chronological order.
+   * @param {object} options - Query options ({from, to, resolution, aggregation, fill, timeZone}); fill is "zero", "previous" or null for empty buckets.
+   * @return {array} Buckets ({startTime, endTime, value, count}); count is the number of values in the bucket.
+   */
+  static resample(points, options) {
+    const {from, to, resolution, aggregation, fill, timeZone} = options;
+    const buckets = [];
+    let pointIndex = 0;
+    while (pointIndex < points.length && points[pointIndex].time < from) {
+      pointIndex++;
+    }
+    let previousValue = null;
+    for (let startTime = TimeSeries.getBucketStart(from, resolution, timeZone); startTime < to;) {
+      const endTime = TimeSeries.getNextBucketStart(startTime, resolution, timeZone);
+      const values = [];
+      while (pointIndex < points.length && points[pointIndex].time < Math.min(endTime, to)) {
+        values.push(points[pointIndex].value);
+        pointIndex++;
+      }
+      let value = null;
+      if (values.length) {
+        value = TimeSeries.aggregate(values, aggregation);
+      } else if (fill === 'zero') {
+        value = 0;
+      } else if (fill === 'previous') {
+        value = previousValue;
+      }
+      previousValue = value;
+      buckets.push({startTime: startTime, endTime: endTime, value: value, count: values.length});
+      startTime = endTime;
+    }
+    return buckets;
+  }
+}
+
+/**
+ * Class with helpers for statistics over rolling N day windows.
+ * A window is N consecutive calendar days, and its value is the total of
+ * those days. Windows slide one day at a time over every day from the first
+ * to the last day with data, so the totals take O(n) time.
+ */
+class RollingStatistics {
+  /**
+   * Get the statistics that can be computed over window totals.
+   * @return {array} Statistic names.
+   */
+  static getStatistics() {
+    return ['min', 'max', 'mean', 'sum', 'median', 'stddev'];
+  }
+
+  /**
+   * Get the totals of every N day window.
+   * @param {object} dailyTotals - Totals keyed by day number.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {object} options - Window options ({skipMissingDays}); by default days without data count as zero, with skipMissingDays windows containing them are left out.
+   * @return {array} Window totals ({firstDay, lastDay, total}) in chronological order.
+   */
+  static getWindowTotals(dailyTotals, nDayPeriod, options = {}) {
+    if (!Number.isInteger(nDayPeriod) || nDayPeriod < 1) {
+      throw new ValidationError('nDayPeriod must be a positive integer', 'nDayPeriod');
+    }
+    Validator.validate(options, {}, 'options');
+    const days = Object.keys(dailyTotals).map(Number);
+    if (!days.length) {
+      return [];
+    }
+    const firstDay = days.reduce((acc, day) => Math.min(acc, day));
+    const lastDay = days.reduce((acc, day) => Math.max(acc, day));
+
+    const windows = [];
+    let total = 0;
+    let missingDays = 0;
+    for (let day = firstDay; day <= lastDay; day++) {
+      // add the day entering the window and drop the one leaving it
+      total += dailyTotals[day] || 0;
+      missingDays += dailyTotals[day] === undefined ? 1 : 0;
+      const leavingDay = day - nDayPeriod;
+      if (leavingDay >= firstDay) {
+        total -= dailyTotals[leavingDay] || 0;
+        missingDays -= dailyTotals[leavingDay] === undefined ? 1 : 0;
+      }
+      if (day - firstDay + 1 >= nDayPeriod && !(options.skipMissingDays && missingDays)) {
+        windows.push({firstDay: day - nDayPeriod + 1, lastDay: day, total: total});
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * Compute a statistic over values.
+   * @param {array} values - Numbers.
+   * @param {string} statistic - The string "min", "max", "mean", "sum", "median" or "stddev" (population standard deviation).
+   * @return {number} Statistic, or 0 if there are no values.
+   */
+  static summarize(values, statistic) {
+    if (!RollingStatistics.getStatistics().includes(statistic)) {
+      throw new ValidationError(`Statistic must be one of ${RollingStatistics.getStatistics().join(', ')}`, 'statistic');
+    }
+    if (!values.length) {
+      return 0;
+    }
+    const sum = values.reduce((acc, value) => acc + value, 0);
+    const mean = sum / values.length;
+    if (statistic === 'min') {
+      return values.reduce((acc, value) => Math.min(acc, value));
+    } else if (statistic === 'max') {
+      return values.reduce((acc, value) => Math.max(acc, value));
+    } else if (statistic === 'mean') {
+      return mean;
+    } else if (statistic === 'sum') {
+      return sum;
+    } else if (statistic === 'median') {
+      const sortedValues = values.slice().sort((a, b) => a - b);
+      const middle = Math.floor(sortedValues.length / 2);
+      return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+    }
+    return Math.sqrt(values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length);
+  }
+
+  /**
+   * Get the slope of the least squares line through points.
+   * @param {array} points - Points ({x, y}).
+   * @return {number} Change in y per unit of x, or 0 with fewer than 2 distinct x values.
+   */
+  static getSlope(points) {
+    const meanX = points.reduce((acc, point) => acc + point.x, 0) / points.length;
+    const meanY = points.reduce((acc, point) => acc + point.y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(point => {
+      covariance += (point.x - meanX) * (point.y - meanY);
+      variance += (point.x - meanX) ** 2;
+    });
+    return variance ? covariance / variance : 0;
+  }
+}
+
+/**
+ * Class with helpers for computing a daily resting heart rate.
+ * A day's resting heart rate is the lowest average heart rate over any 30
+ * minutes of continuous resting data that day. Days without 30 minutes of
+ * continuous data fall back to the average of their resting samples.
+ */
+class RestingHeartRate {
+  /**
+   * Get the lowest average heart rate over a window of continuous samples.
+   * @param {array} samples - Resting heart rate samples for one day, in chronological order.
+   * @param {number} windowSeconds - Window length.
+   * @param {number} maxGapSeconds - Longest gap between samples that still counts as continuous.
+   * @return {number} Lowest window average, or null if no window is fully covered by data.
+   */
+  static getLowestWindowAverage(samples, windowSeconds, maxGapSeconds) {
+    let lowestAverage = null;
+    let total = 0;
+    let gaps = 0;
+    let end = 0;
+    for (let start = 0; start < samples.length; start++) {
+      const windowEnd = samples[start].timeWhenMeasured + windowSeconds;
+      // grow the window to every sample measured before it ends
+      while (end < samples.length && samples[end].timeWhenMeasured < windowEnd) {
+        total += samples[end].heartRate;
+        if (end > start && samples[end].timeWhenMeasured - samples[end - 1].timeWhenMeasured > maxGapSeconds) {
+          gaps++;
+        }
+        end++;
+      }
+      // a window is covered if data continues past its end without gaps
+      const isCovered = end < samples.length && gaps === 0
+        && samples[end].timeWhenMeasured - samples[end - 1].timeWhenMeasured <= maxGapSeconds;
+      if (isCovered) {
+        const average = total / (end - start);
+        lowestAverage = lowestAverage === null ? average : Math.min(lowestAverage, average);
+      }
+      total -= samples[start].heartRate;
+      if (start + 1 < end && samples[start + 1].timeWhenMeasured - samples[start].timeWhenMeasured > maxGapSeconds) {
+        gaps--;
+      }
+    }
+    return lowestAverage;
+  }
+
+  /**
+   * Get the resting heart rate of each day.
+   * @param {array} samples - Resting heart rate samples ({heartRate, timeWhenMeasured, daysSinceUnixEpoch}) in chronological order.
+   * @param {object} options - Options ({windowSeconds, maxGapSeconds, min, max}); readings outside min and max are sensor dropouts and are ignored.
+   * @return {array} Days ({daysSinceUnixEpoch, restingHeartRate, method, samples}); method is "lowestWindowAverage" or "mean".
+   */
+  static getDailyValues(samples, options) {
+    const {windowSeconds, maxGapSeconds, min, max} = options;
+    const samplesByDay = {};
+    samples
+      .filter(sample => sample.heartRate >= min && sample.heartRate <= max)
+      .forEach(sample => {
+        samplesByDay[sample.daysSinceUnixEpoch] = samplesByDay[sample.daysSinceUnixEpoch] || [];
+        samplesByDay[sample.daysSinceUnixEpoch].push(sample);
+      });
+
+    return Object.keys(samplesByDay).map(Number).sort((a, b) => a - b).map(daysSinceUnixEpoch => {
+      const daySamples = samplesByDay[daysSinceUnixEpoch];
+      const lowestAverage = RestingHeartRate.getLowestWindowAverage(daySamples, windowSeconds, maxGapSeconds);
+      return {
+        daysSinceUnixEpoch: daysSinceUnixEpoch,
+        restingHeartRate: lowestAverage !== null
+          ? lowestAverage
+          : daySamples.reduce((acc, sample) => acc + sample.heartRate, 0) / daySamples.length,
+        method: lowestAverage !== null ? 'lowestWindowAverage' : 'mean',
+        samples: daySamples.length
+      };
+    });
+  }
+}
+
+/**
+ * Class with helpers for personal records. Records are found from stored
+ * workouts and daily totals each time, so they always agree with the data.
+ * A record is only beaten by a strictly better value, so the earliest of
+ * equal values holds it.
+ */
+class PersonalRecords {
+  /**
+   * Get the personal record names.
+   * @return {array} Record names.
+   */
+  static getRecordNames() {
+    return ['mostStepsInADay', 'longestWorkout', 'mostCaloriesInAWorkout', 'fastestLap'];
+  }
+
+  /**
+   * Get personal records.
+   * @param {array} workouts - Completed workouts in chronological order.
+   * @param {object} dailySteps - Step totals keyed by day number.
+   * @param {string} timeZone - IANA time zone.
+   * @return {object} Records ({mostStepsInADay, longestWorkout, mostCaloriesInAWorkout, fastestLap}); mostCaloriesInAWorkout is keyed by workout type, and the others are null without data.
+   */
+  static getRecords(workouts, dailySteps, timeZone) {
+    const records = {mostStepsInADay: null, longestWorkout: null, mostCaloriesInAWorkout: {}, fastestLap: null};
+    const isBetter = (record, value) => !record || value > record.value;
+
+    Object.keys(dailySteps).map(Number).sort((a, b) => a - b).forEach(day => {
+      if (isBetter(records.mostStepsInADay, dailySteps[day])) {
+        records.mostStepsInADay = {date: TimeZone.formatDate(day), value: dailySteps[day]};
+      }
+    });
+
+    workouts.forEach(workout => {
+      const workoutRecord = {
+        workoutId: workout.workoutId,
+        workoutType: workout.workoutType,
+        date: TimeZone.formatDate(TimeZone.getDayNumber(workout.startTime, timeZone))
+      };
+      if (isBetter(records.longestWorkout, workout.movingTime)) {
+        records.longestWorkout = Object.assign({value: workout.movingTime}, workoutRecord);
+      }
+      if (isBetter(records.mostCaloriesInAWorkout[workout.workoutType], workout.caloriesBurned)) {
+        records.mostCaloriesInAWorkout[workout.workoutType] = Object.assign({value: workout.caloriesBurned}, workoutRecord);
+      }
+      (workout.laps || []).forEach(lap => {
+        const lapSeconds = lap.endTime - lap.startTime;
+        // laps have no distance, so speed is the step rate
+        const stepsPerMinute = lapSeconds > 0 ? lap.steps / (lapSeconds / 60) : 0;
+        if (stepsPerMinute > 0 && isBetter(records.fastestLap, stepsPerMinute)) {
+          records.fastestLap = Object.assign({value: stepsPerMinute, lapNumber: lap.lapNumber}, workoutRecord);
+        }
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Get the records a new workout set.
+   * Records set where there was none before don't count.
+   * @param {object} recordsBefore - Records before the workout was stored.
+   * @param {object} recordsAfter - Records after the workout was stored.
+   * @param {string} workoutType - The workout's type.
+   * @return {array} Names of the records that were beaten.
+   */
+  static getNewRecords(recordsBefore, recordsAfter, workoutType) {
+    return PersonalRecords.getRecordNames().filter(name => {
+      const before = name === 'mostCaloriesInAWorkout' ? recordsBefore[name][workoutType] : recordsBefore[name];
+      const after = name === 'mostCaloriesInAWorkout' ? recordsAfter[name][workoutType] : recordsAfter[name];
+      return Boolean(before && after && after.value > before.value);
+    });
+  }
+}
+
+/**
+ * Class with helpers for trends: the direction of daily values over N days,
+ * and the change from one week or month to the one before.
+ */
+class Trends {
+  /**
+   * Get the trend of daily values.
+   * @param {array} points - Daily values ({x: day number, y: value}).
+   * @param {number} nDayPeriod - N day period the points cover.
+   * @param {number} minChange - Smallest change over the period that isn't steady.
+   * @return {object} Trend ({slope, direction}); slope is the least squares change per day, direction is "rising", "falling" or "steady".
+   */
+  static getTrend(points, nDayPeriod, minChange) {
+    const slope = points.length ? RollingStatistics.getSlope(points) : 0;
+    const change = slope * (nDayPeriod - 1);
+    return {
+      slope: slope,
+      direction: Math.abs(change) < minChange || change === 0 ? 'steady' : (change > 0 ? 'rising' : 'falling')
+    };
+  }
+
+  /**
+   * Get the week or month so far up to a day, and the same days of the one
+   * before. A previous month shorter than the day of the month ends on its
+   * last day.
+   * @param {number} day - Local calendar day.
+   * @param {string} period - The string "week" or "month".
+   * @return {object} Day ranges ({current, previous}, each {firstDay, lastDay}).
+   */
+  static getPeriodRanges(day, period) {
+    if (period === 'week') {
+      const firstDay = Goals.getWeekStart(day);
+      return {
+        current: {firstDay: firstDay, lastDay: day},
+        previous: {firstDay: firstDay - 7, lastDay: day - 7}
+      };
+    }
+    const firstDay = TimeZone.parseDate(`${TimeZone.formatDate(day).slice(0, 7)}-01`);
+    const date = new Date(firstDay * 86400000);
+    const previousFirstDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1) / 86400000;
+    return {
+      current: {firstDay: firstDay, lastDay: day},
+      previous: {firstDay: previousFirstDay, lastDay: Math.min(previousFirstDay + day - firstDay, firstDay - 1)}
+    };
+  }
+}
+
+/**
+ * Class representing a wearer.
+ *
+ * Events:
+ * - "workoutStarted" ({workout, workoutType, startTime}): listen to the workout for its own events.
+ * - "workoutEnded" (workout summary, with newRecords).
+ * - "goalReached" ({metric, period, date, target, value}).
+ * - "heartRateAboveThreshold" ({heartRate, timeWhenMeasured, threshold}): when a heart rate first goes above profile.heartRateThreshold.
+ * - "dailyRecord" ({metric, date, value, previousRecord}): when a day's steps first beat the best earlier day.
+ * - "heartRateAlert" ({type, startTime, endTime, heartRate}): abnormal heart rate, see HeartRateAlerts.
+ *
+ * Methods throw a ValidationError for bad input, a WorkoutStateError for a
+ * request the workout in progress (or the lack of one) doesn't allow, a
+ * NotFoundError for unknown ids and a ConflictError for clashes with stored data.
+ */
+class Wearer extends EventEmitter {
+  /**
+   * Create a wearer.
+   * @param {object} simulatedWatchData - Data for simulating a workout.
+   * @param {object} options - Wearer options ({id, storage, timeZone, profile, workoutTypes, heartRateAlertSettings}).
+   */
+  constructor(simulatedWatchData, options = {}) {
+    super();
+    Validator.validate(options, {
+      id: {type: 'string'},
+      timeZone: {type: 'string'},
+      profile: {type: 'object'},
+      heartRateAlertSettings: {type: 'object'}
+    }, 'options');
+    this.id = options.id || 'default';
+    // daily summaries are bucketed by calendar day in this IANA time zone
+    this.timeZone = 'UTC';
+    if (options.timeZone) {
+      this.setTimeZone(options.timeZone);
+    }
+    this.profile = {};
+    if (options.profile) {
+      this.setProfile(options.profile);
+    }
+    this.workoutTypes = options.workoutTypes || WorkoutTypeRegistry.getDefault();
+    // defaults to in-memory storage, which is lost when the process exits
+    this.storage = options.storage || new MemoryStorage();
+    this.workoutInstance = null;
+    // data is entered in chronological order
+    this.stepsData = {summary: [], rawData: []};
+    this.caloriesBurnedData = {summary: [], rawData: []};
+    this.heartRateData = {rawData: {resting: [], active: []}};
+    // completed workouts, including their timestamped samples
+    this.workoutData = {rawData: []};
+    // sleep sessions, recorded by the watch or inferred
+    this.sleepData = {rawData: []};
+    // all-day steps and calories burned samples, in and out of workouts
+    this.backgroundData = {rawData: []};
+    // goal target changes, in chronological order
+    this.goals = [];
+    // abnormal heart rate alerts, in chronological order
+    this.alerts = [];
+    this.heartRateAlerts = new HeartRateAlerts(options.heartRateAlertSettings);
+    this.isResting = true;
+    this.isAboveHeartRateThreshold = false;
+
+    if (simulatedWatchData) {
+      this.processSimulatedData(simulatedWatchData);
+    }
+  }
+
+  /**
+   * Process simulated data.
+   * Simulated samples are fed through the same methods the watch streams to.
+   * Steps and calories burned outside a workout are stored as background data.
+   * @param {object} simulatedWatchData - Data for simulating a workout.
+   */
+  processSimulatedData(simulatedWatchData) {
+    const {heartRateData, caloriesBurnedData, stepsData, startTime} = simulatedWatchData;
+    if (heartRateData) {
+      // heart rate is sent every minute
+      let timeWhenMeasured = heartRateData.startTime || startTime;
+      heartRateData.heartRate.forEach(heartRate => {
+        this.storeHeartRateData({
+          timeWhenMeasured: timeWhenMeasured,
+          heartRate: heartRate
+        });
+        timeWhenMeasured += 60;
+      });
+    }
+    // steps and calories burned are sent every 2 minutes
+    if (!this.workoutInstance) {
+      // without a workout they are all-day samples
+      const sampleCount = Math.max((stepsData || []).length, (caloriesBurnedData || []).length);
+      const backgroundData = [];
+      for (let index = 0; index < sampleCount; index++) {
+        backgroundData.push({
+          startTime: startTime + index * 120,
+          endTime: startTime + (index + 1) * 120,
+          steps: stepsData ? stepsData[index] : 0,
+          caloriesBurned: caloriesBurnedData ? caloriesBurnedData[index] : 0
+        });
+      }
+      if (backgroundData.length) {
+        this.storeBackgroundData(backgroundData);
+      }
+      return;
+    }
+    if (caloriesBurnedData) {
+      caloriesBurnedData.forEach((calories, index) => {
+        this.addCaloriesBurned({
+          additionalCaloriesBurned: calories,
+          timeWhenMeasured: startTime + (index + 1) * 120
+        });
+      });
+    }
+    if (stepsData) {
+      stepsData.forEach((steps, index) => {
+        this.addSteps({
+          additionalSteps: steps,
+          timeWhenMeasured: startTime + (index + 1) * 120
+        });
+      });
+    }
+  }
+
+  /**
+   * Get the validation schemas of the samples a wearer records. Heart rates
+   * are also stored outside workouts, so they need the time they were measured.
+   * @return {object} Schemas keyed by sample type ("steps", "caloriesBurned", "heartRate" or "location").
+   */
+  static getSampleSchemas() {
+    const schemas = Workout.getSampleSchemas();
+    schemas.heartRate.timeWhenMeasured = {type: 'timestamp', required: true};
+    return schemas;
+  }
+
+  /**
+   * Set the wearer's time zone, for example when travelling.
+   * Data already stored keeps the calendar day it was bucketed into.
+   * @param {string} timeZone - IANA time zone (Ex: "America/Los_Angeles").
+   */
+  setTimeZone(timeZone) {
+    if (!TimeZone.isValid(timeZone)) {
+      throw new ValidationError(`Unknown time zone: ${timeZone}`, 'timeZone');
+    }
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Update the wearer's profile.
+   * @param {object} profile - Profile fields to update ({age, sex, weightKg, heightCm, maxHeartRate, restingHeartRate, heartRateThreshold, heartRateZoneMethod}); sex is "male" or "female", and heartRateZoneMethod is "maxHeartRate" or "heartRateReserve".
+   */
+  setProfile(profile) {
+    Validator.validate(profile, {
+      age: {type: 'positiveNumber'},
+      sex: {values: ['male', 'female']},
+      weightKg: {type: 'positiveNumber'},
+      heightCm: {type: 'positiveNumber'},
+      maxHeartRate: {type: 'positiveNumber'},
+      restingHeartRate: {type: 'positiveNumber'},
+      heartRateThreshold: {type: 'positiveNumber'},
+      heartRateZoneMethod: {values: ['maxHeartRate', 'heartRateReserve']}
+    }, 'profile');
+    const updatedProfile = Object.assign({}, this.profile, profile);
+    // zones are based on %maxHR unless the heart rate reserve (Karvonen) method is chosen
+    if (updatedProfile.heartRateZoneMethod === 'heartRateReserve' && !updatedProfile.restingHeartRate) {
+      throw new ValidationError('The heart rate reserve method needs a resting heart rate', 'restingHeartRate');
+    }
+    this.profile = updatedProfile;
+  }
+
+  /**
+   * Change the abnormal heart rate alert settings.
+   * @param {object} settings - Settings to change (Ex: {highResting: {threshold: 90, durationSeconds: 900}}).
+   */
+  setHeartRateAlertSettings(settings) {
+    Validator.check(settings, 'object', 'settings');
+    const updatedSettings = Object.assign({}, this.heartRateAlerts.settings);
+    Object.keys(settings).forEach(rule => {
+      updatedSettings[rule] = typeof settings[rule] === 'object'
+        ? Object.assign({}, updatedSettings[rule], settings[rule])
+        : settings[rule];
+    });
+    this.heartRateAlerts = new HeartRateAlerts(updatedSettings);
+    if (this.workoutInstance) {
+      this.workoutInstance.heartRateLimits = this.heartRateAlerts.settings.implausible;
+    }
+  }
+
+  /**
+   * Get the wearer's data in a serializable form.
+   * @return {object} Wearer data.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      timeZone: this.timeZone,
+      profile: this.profile,
+      stepsData: this.stepsData,
+      caloriesBurnedData: this.caloriesBurnedData,
+      heartRateData: this.heartRateData,
+      workoutData: this.workoutData,
+      sleepData: this.sleepData,
+      backgroundData: this.backgroundData,
+      goals: this.goals,
+      alerts: this.alerts,
+      heartRateAlertSettings: this.heartRateAlerts.settings,
+      workoutInProgress: this.workoutInstance ? this.workoutInstance.toJSON() : null
+    };
+  }
+
+  /**
+   * Restore data produced by toJSON.
+   * @param {object} wearerData - Wearer data.
+   */
+  restore(wearerData) {
+    this.timeZone = wearerData.timeZone || 'UTC';
+    this.profile = wearerData.profile || {};
+    this.stepsData = wearerData.stepsData;
+    this.caloriesBurnedData = wearerData.caloriesBurnedData;
+    this.heartRateData = wearerData.heartRateData;
+    this.workoutData = wearerData.workoutData;
+    this.sleepData = wearerData.sleepData || {rawData: []};
+    this.backgroundData = wearerData.backgroundData || {rawData: []};
+    this.goals = wearerData.goals || [];
+    this.alerts = wearerData.alerts || [];
+    this.heartRateAlerts = new HeartRateAlerts(wearerData.heartRateAlertSettings);
+    this.workoutInstance = null;
+    this.isResting = true;
+    if (wearerData.workoutInProgress) {
+      const {workoutType, startTime} = wearerData.workoutInProgress;
+      this.workoutInstance = new Workout({workoutType, startTime}, {
+        profile: this.getWorkoutProfile(),
+        workoutTypes: this.workoutTypes,
+        heartRateLimits: this.heartRateAlerts.settings.implausible
+      });
+      this.workoutInstance.restore(wearerData.workoutInProgress);
+      this.isResting = false;
+    }
+  }
+
+  /**
+   * Save the wearer's data to its storage backend.
+   */
+  save() {
+    this.storage.save(this.id, this.toJSON());
+  }
+
+  /**
+   * Load a wearer from a storage backend.
+   * @param {string} id - Id of the wearer.
+   * @param {Storage} storage - Storage backend to load from and save to.
+   * @return {Wearer} The saved wearer, or a new one if nothing was saved.
+   */
+  static load(id, storage) {
+    const wearer = new Wearer(null, {id: id, storage: storage});
+    const wearerData = storage.load(id);
+    if (wearerData) {
+      wearer.restore(wearerData);
+    }
+    return wearer;
+  }
+
+  /**
+   * Export the wearer's history.
+   * @param {string} format - The string "csv" or "json".
+   * @return {object|string} CSV text keyed by file name, or a versioned JSON document.
+   */
+  exportHistory(format) {
+    if (format === 'csv') {
+      return HistoryExporter.toCsv(this.toJSON());
+    } else if (format === 'json') {
+      return HistoryExporter.toJson(this.toJSON());
+    }
+    throw new ValidationError('Export format must be "csv" or "json"', 'format');
+  }
+
+  /**
+   * Create a wearer from a JSON history document.
+   * @param {string|object} document - JSON document from exportHistory.
+   * @param {object} options - Wearer options ({storage}).
+   * @return {Wearer} Wearer with the imported history.
+   */
+  static importHistory(document, options = {}) {
+    const wearerData = HistoryExporter.fromJson(document);
+    const wearer = new Wearer(null, Object.assign({}, options, {id: wearerData.id}));
+    wearer.restore(wearerData);
+    return wearer;
+  }
+
+  /**
+   * Get summary data.
+   * @param {string} dataCategory - Data category ("steps", "caloriesBurned", or "heartRate").
+   * @return {object|array} Daily summaries, or raw resting and active heart rate data.
+   */
+  getDataSummary(dataCategory) {
+    Validator.checkOneOf(dataCategory, ['steps', 'caloriesBurned', 'heartRate'], 'dataCategory');
+    let dataSource = this[`${dataCategory}Data`];
+    if (dataCategory !== 'heartRate') {
+      dataSource = dataSource.summary;
+    }
+    return dataSource;
+  }
+
+  /**
+   * Get the workout in progress.
+   * @return {Workout} The workout in progress.
+   */
+  requireWorkout() {
+    if (!this.workoutInstance) {
+      throw new WorkoutStateError('There is no workout in progress', 'no_workout_in_progress');
+    }
+    return this.workoutInstance;
+  }
+
+  /**
+   * Get the profile a workout is recorded with. Without a resting heart rate
+   * in the profile, the measured 7 day average is used for training load.
+   * @return {object} Wearer profile.
+   */
+  getWorkoutProfile() {
+    if (this.profile.restingHeartRate) {
+      return this.profile;
+    }
+    const restingHeartRate = this.getAverageRestingHeartRate(7);
+    return restingHeartRate ? Object.assign({}, this.profile, {restingHeartRate: restingHeartRate}) : this.profile;
+  }
+
+  /**
+   * Start a workout.
+   * @param {object} watchData - Sent by watch when user starts a workout, optionally with simulated samples.
+   * @param {object} options - Workout options ({autoPauseSeconds, autoLap}).
+   */
+  startWorkout(watchData, options = {}) {
+    if (this.workoutInstance) {
+      throw new WorkoutStateError('There is a workout in progress', 'workout_in_progress');
+    }
+    Validator.validate(options, {}, 'options');
+    this.workoutInstance = new Workout(watchData, Object.assign({
+      profile: this.getWorkoutProfile(),
+      workoutTypes: this.workoutTypes,
+      heartRateLimits: this.heartRateAlerts.settings.implausible
+    }, options));
+    this.isResting = false;
+    const workout = this.workoutInstance;
+    this.emit('workoutStarted', {workout: workout, workoutType: workout.workoutType, startTime: workout.startTime});
+    this.processSimulatedData(watchData);
+  }
+
+  /**
+   * Pause the workout in progress.
+   * @param {object} watchData - Sent by watch when user pauses a workout.
+   */
+  pauseWorkout(watchData) {
+    this.requireWorkout().pauseWorkoutRecording(watchData);
+  }
+
+  /**
+   * Resume the paused workout.
+   * @param {object} watchData - Sent by watch when user resumes a workout.
+   */
+  resumeWorkout(watchData) {
+    this.requireWorkout().resumeWorkoutRecording(watchData);
+  }
+
+  /**
+   * Mark a lap in the workout in progress.
+   * @param {object} watchData - Sent by watch when user marks a lap.
+   */
+  markLap(watchData) {
+    this.requireWorkout().markLap(watchData);
+  }
+
+  /**
+   * Add steps to the workout in progress.
+   * @param {object} stepsData - Step recording sent by watch every 2 minutes.
+   */
+  addSteps(stepsData) {
+    this.requireWorkout().addSteps(stepsData);
+  }
+
+  /**
+   * Add a GPS location to the workout in progress.
+   * @param {object} locationData - Location recording sent by watch.
+   */
+  addLocation(locationData) {
+    this.requireWorkout().addLocation(locationData);
+  }
+
+  /**
+   * Add calories burned to the workout in progress.
+   * @param {object} caloriesData - Calories burned recording sent by watch every 2 minutes.
+   */
+  addCaloriesBurned(caloriesData) {
+    this.requireWorkout().addCaloriesBurned(caloriesData);
+  }
+
+  /**
+   * Store data (steps, calories burned).
+   * @param {object} newData - Data for steps or calories burned.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   */
+  storeData(newData, dataCategory) {
+    // local calendar day
+    const daysSinceUnixEpoch = TimeZone.getDayNumber(newData.startTime, this.timeZone);
+    this.addToSummary(dataCategory, daysSinceUnixEpoch, newData[dataCategory], newData.workoutType);
+    this.insertChronologically(this[`${dataCategory}Data`].rawData, newData, 'startTime');
+  }
+
+  /**
+   * Add an amount to a day of the steps or calories burned summary.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {number} daysSinceUnixEpoch - Local calendar day.
+   * @param {number} amount - Steps or calories burned to add. It can be negative.
+   * @param {string} workoutType - Workout type for a new calories burned summary day.
+   */
+  addToSummary(dataCategory, daysSinceUnixEpoch, amount, workoutType) {
+    const summary = this[`${dataCategory}Data`].summary;
+    // imported history can be older than data already stored
+    let index = summary.length;
+    while (index > 0 && summary[index - 1].daysSinceUnixEpoch > daysSinceUnixEpoch) {
+      index--;
+    }
+    const sameDayDataPoint = summary[index - 1];
+    if (sameDayDataPoint && sameDayDataPoint.daysSinceUnixEpoch === daysSinceUnixEpoch) {
+      sameDayDataPoint[dataCategory] += amount;
+    } else {
+      let payload = {
+        daysSinceUnixEpoch: daysSinceUnixEpoch,
+        [dataCategory]: amount
+      };
+      if (dataCategory === 'caloriesBurned') {
+        payload.workoutType = workoutType;
+      }
+      summary.splice(index, 0, payload);
+    }
+  }
+
+  /**
+   * Store all-day steps and calories burned samples, measured in or out of
+   * workouts. Only the part of a sample outside workouts is added to the
+   * daily totals, because workouts count their own steps and calories.
+   * Goals and daily records they complete are emitted as for workouts. They
+   * are checked once per day in a batch, so a backfill is best sent as one.
+   * @param {object|array} backgroundData - A sample sent by watch periodically (Ex: every minute) ({startTime, endTime, steps, caloriesBurned}), or a list of them.
+   */
+  storeBackgroundData(backgroundData) {
+    /*
+      {
+        startTime: Long (UNIX timestamp),
+        endTime: Long (UNIX timestamp),
+        steps: Number,
+        caloriesBurned: Number
+      }
+     */
+    const batch = Array.isArray(backgroundData) ? backgroundData : [backgroundData];
+    // check the whole batch first, so a rejected batch stores nothing
+    const samplesByDay = new Map();
+    batch.forEach(sample => {
+      Validator.validate(sample, {
+        startTime: {type: 'timestamp', required: true},
+        endTime: {type: 'timestamp', required: true},
+        steps: {type: 'nonNegativeNumber'},
+        caloriesBurned: {type: 'nonNegativeNumber'}
+      }, 'backgroundData');
+      const {startTime, endTime} = sample;
+      if (endTime <= startTime) {
+        throw new ValidationError('Background data must end after it starts', 'endTime');
+      }
+      const dayNumber = TimeZone.getDayNumber(startTime, this.timeZone);
+      if (!samplesByDay.has(dayNumber)) {
+        samplesByDay.set(dayNumber, []);
+      }
+      samplesByDay.get(dayNumber).push({
+        startTime: startTime,
+        endTime: endTime,
+        steps: sample.steps || 0,
+        caloriesBurned: sample.caloriesBurned || 0,
+        // the parts counted towards the daily totals
+        countedSteps: 0,
+        countedCaloriesBurned: 0
+      });
+    });
+    samplesByDay.forEach((samples, dayNumber) => {
+      const goalsBefore = this.getGoalProgress(dayNumber);
+      const stepsRecordBefore = this.getStepsRecord(dayNumber);
+      samples.forEach(newData => {
+        this.insertChronologically(this.backgroundData.rawData, newData, 'startTime');
+        this.countBackgroundData(newData);
+      });
+      this.emitGoalsReached(goalsBefore, this.getGoalProgress(dayNumber));
+      this.emitStepsRecord(stepsRecordBefore, this.getStepsRecord(dayNumber));
+    });
+  }
+
+  /**
+   * Get how long workouts overlap a period.
+   * @param {number} startTime - UNIX timestamp when the period starts.
+   * @param {number} endTime - UNIX timestamp when the period ends.
+   * @return {number} Overlap in seconds.
+   */
+  getWorkoutOverlap(startTime, endTime) {
+    const overlap = workout => Math.max(0, Math.min(endTime, workout.endTime) - Math.max(startTime, workout.startTime));
+    // the workout in progress covers everything since it started
+    let total = this.workoutInstance ? overlap({startTime: this.workoutInstance.startTime, endTime: Infinity}) : 0;
+    // workouts are in chronological order and don't overlap each other, so
+    // the ones overlapping the period are just before the first one after it
+    const workouts = this.workoutData.rawData;
+    let low = 0;
+    let high = workouts.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (workouts[middle].startTime < endTime) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    for (let index = low - 1; index >= 0 && workouts[index].endTime > startTime; index--) {
+      total += overlap(workouts[index]);
+    }
+    return total;
+  }
+
+  /**
+   * Count the part of a background sample outside workouts towards the daily
+   * totals, replacing what was counted for it before.
+   * @param {object} backgroundData - Stored background sample.
+   */
+  countBackgroundData(backgroundData) {
+    const {startTime, endTime} = backgroundData;
+    const daysSinceUnixEpoch = TimeZone.getDayNumber(startTime, this.timeZone);
+    const outsideWorkouts = 1 - this.getWorkoutOverlap(startTime, endTime) / (endTime - startTime);
+    ['steps', 'caloriesBurned'].forEach(dataCategory => {
+      const countedKey = dataCategory === 'steps' ? 'countedSteps' : 'countedCaloriesBurned';
+      const counted = Math.round(backgroundData[dataCategory] * outsideWorkouts);
+      if (counted !== backgroundData[countedKey]) {
+        this.addToSummary(dataCategory, daysSinceUnixEpoch, counted - backgroundData[countedKey]);
+        backgroundData[countedKey] = counted;
+      }
+    });
+  }
+
+  /**
+   * Get every timestamped value of a data category.
+   * Workouts contribute their samples, and background data the part outside
+   * workouts, so nothing is counted twice.
+   * @param {string} dataCategory - Data category ("steps", "caloriesBurned" or "heartRate").
+   * @return {array} Values ({time, value}) in chronological order.
+   */
+  getSamplePoints(dataCategory) {
+    if (dataCategory === 'heartRate') {
+      const {resting, active} = this.heartRateData.rawData;
+      return resting.concat(active)
+        .filter(data => this.heartRateAlerts.isPlausible(data.heartRate))
+        .map(data => ({time: data.timeWhenMeasured, value: data.heartRate}))
+        .sort((a, b) => a.time - b.time);
+    }
+
+    const points = [];
+    const sampleKey = dataCategory === 'steps' ? 'additionalSteps' : 'additionalCaloriesBurned';
+    this.workoutData.rawData.forEach(workout => {
+      if (dataCategory === 'caloriesBurned' && workout.caloriesSource !== 'device') {
+        // estimated calories have no samples, so spread them over the workout
+        const duration = workout.endTime - workout.startTime;
+        for (let time = workout.startTime; time < workout.endTime; time += 60) {
+          points.push({time: time, value: workout.caloriesBurned * Math.min(60, workout.endTime - time) / duration});
+        }
+        return;
+      }
+      workout.samples[dataCategory].forEach(sample => points.push({time: sample.timeWhenMeasured, value: sample[sampleKey]}));
+    });
+    const countedKey = dataCategory === 'steps' ? 'countedSteps' : 'countedCaloriesBurned';
+    this.backgroundData.rawData.forEach(data => points.push({time: data.startTime, value: data[countedKey]}));
+    return points.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Get a time series for charts.
+   * @param {string} dataCategory - Data category ("steps", "caloriesBurned" or "heartRate").
+   * @param {object} options - Query options ({from, to, resolution, aggregation, fill}); from and to are UNIX timestamps of the range [from, to), resolution is "minute", "15min", "hour", "day", "week" or "month", aggregation is "sum", "mean", "min", "max" or "p95" (defaults to "mean" for heart rate and "sum" otherwise), and fill is what empty buckets hold: "zero", "previous" or null (defaults to "zero" for sums and null otherwise).
+   * @return {array} Buckets ({startTime, endTime, value, count}) in the wearer's local calendar.
+   */
+  getTimeSeries(dataCategory, options) {
+    if (!['steps', 'caloriesBurned', 'heartRate'].includes(dataCategory)) {
+      throw new ValidationError('Data category must be "steps", "caloriesBurned" or "heartRate"', 'dataCategory');
+    }
+    Validator.validate(options, {}, 'options');
+    const {from, to} = options;
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+      throw new ValidationError('from and to must be UNIX timestamps with from before to', 'from');
+    }
+    const resolution = options.resolution || 'hour';
+    if (!TimeSeries.getResolutions().includes(resolution)) {
+      throw new ValidationError(`Resolution must be one of ${TimeSeries.getResolutions().join(', ')}`, 'resolution');
+    }
+    const aggregation = options.aggregation || (dataCategory === 'heartRate' ? 'mean' : 'sum');
+    if (!TimeSeries.getAggregations().includes(aggregation)) {
+      throw new ValidationError(`Aggregation must be one of ${TimeSeries.getAggregations().join(', ')}`, 'aggregation');
+    }
+    const fill = options.fill !== undefined ? options.fill : (aggregation === 'sum' ? 'zero' : null);
+    if (![null, 'zero', 'previous'].includes(fill)) {
+      throw new ValidationError('Fill must be "zero", "previous" or null', 'fill');
+    }
+    // keep minute resolution queries over long ranges from building huge results
+    if (resolution === 'minute' && to - from > 31 * 86400) {
+      throw new ValidationError('Minute resolution covers at most 31 days', 'to');
+    }
+    return TimeSeries.resample(this.getSamplePoints(dataCategory), {
+      from: from,
+      to: to,
+      resolution: resolution,
+      aggregation: aggregation,
+      fill: fill,
+      timeZone: this.timeZone
+    });
+  }
+
+  /**
+   * Get hourly totals for a local calendar day.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {string} date - ISO 8601 date (Ex: "2020-09-20").
+   * @return {array} Totals ({hour, startTime, steps or caloriesBurned}); DST transition days have 23 or 25 hours.
+   */
+  getHourlyTotals(dataCategory, date) {
+    const dayNumber = TimeZone.parseDate(date);
+    const dayStart = TimeZone.getDayStart(dayNumber, this.timeZone);
+    return this.getTimeSeries(dataCategory, {
+      from: dayStart,
+      to: dayStart + TimeZone.getDayLength(dayNumber, this.timeZone),
+      resolution: 'hour'
+    }).map(bucket => ({
+      hour: TimeZone.getLocalParts(bucket.startTime, this.timeZone).hour,
+      startTime: bucket.startTime,
+      [dataCategory]: bucket.value
+    }));
+  }
+
+  /**
+   * Get daily totals for a range of local calendar days, including days without data.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {object} options - Date range ({from, to} ISO 8601 dates).
+   * @return {array} Totals ({date, daysSinceUnixEpoch, steps or caloriesBurned}).
+   */
+  getDailyTotals(dataCategory, options) {
+    Validator.validate(options, {from: {type: 'string', required: true}, to: {type: 'string', required: true}}, 'options');
+    const firstDay = TimeZone.parseDate(options.from);
+    const lastDay = TimeZone.parseDate(options.to);
+    const totals = this.getDailyTotalsByDay(dataCategory);
+    const days = [];
+    for (let dayNumber = firstDay; dayNumber <= lastDay; dayNumber++) {
+      days.push({date: TimeZone.formatDate(dayNumber), daysSinceUnixEpoch: dayNumber, [dataCategory]: totals[dayNumber] || 0});
+    }
+    return days;
+  }
+
+  /**
+   * Insert data into a list kept in chronological order.
+   * Data usually arrives in order, so the list is searched from the end.
+   * @param {array} list - List in chronological order.
+   * @param {object} newData - Data to insert.
+   * @param {string} timeKey - Name of the timestamp property.
+   */
+  insertChronologically(list, newData, timeKey) {
+    let index = list.length;
+    while (index > 0 && list[index - 1][timeKey] > newData[timeKey]) {
+      index--;
+    }
+    list.splice(index, 0, newData);
+  }
+
+  /**
+   * Store heart rate data.
+   * @param {object} newHeartRateData - Data for heart rate.
+   */
+  storeHeartRateData(newHeartRateData) {
+    /*
+      {
+        timeWhenMeasured: Number (UNIX timestamp),
+        heartRate: Number
+      }
+     */
+    Validator.validate(newHeartRateData, Wearer.getSampleSchemas().heartRate, 'heartRateData');
+    // local calendar day
+    const daysSinceUnixEpoch = TimeZone.getDayNumber(newHeartRateData.timeWhenMeasured, this.timeZone);
+    const newData = Object.assign({}, newHeartRateData, {daysSinceUnixEpoch: daysSinceUnixEpoch});
+    const dataCategory = this.isResting ? 'resting' : 'active';
+    this.insertChronologically(this.heartRateData.rawData[dataCategory], newData, 'timeWhenMeasured');
+    // implausible readings (Ex: sensor dropouts) are only stored and alerted
+    // on; the workout leaves them out too
+    const isPlausible = this.heartRateAlerts.isPlausible(newData.heartRate);
+    if (this.workoutInstance) {
+      this.workoutInstance.addHeartRate(newHeartRateData);
+    }
+
+    const threshold = this.profile.heartRateThreshold;
+    if (threshold && isPlausible) {
+      const isAboveThreshold = newData.heartRate > threshold;
+      if (isAboveThreshold && !this.isAboveHeartRateThreshold) {
+        this.emit('heartRateAboveThreshold', {
+          heartRate: newData.heartRate,
+          timeWhenMeasured: newData.timeWhenMeasured,
+          threshold: threshold
+        });
+      }
+      this.isAboveHeartRateThreshold = isAboveThreshold;
+    }
+
+    this.heartRateAlerts.check(newData, this.isResting).forEach(alert => {
+      this.insertChronologically(this.alerts, alert, 'startTime');
+      this.emit('heartRateAlert', alert);
+    });
+  }
+
+  /**
+   * Get abnormal heart rate alerts.
+   * @param {object} options - Filters ({type, from, to}); from and to are UNIX timestamps.
+   * @return {array} Alerts overlapping the time range, in chronological order.
+   */
+  getHeartRateAlerts(options = {}) {
+    Validator.validate(options, {
+      type: {values: ['highResting', 'low', 'spike', 'implausible']},
+      from: {type: 'timestamp'},
+      to: {type: 'timestamp'}
+    }, 'options');
+    return this.alerts.filter(alert => {
+      return (options.type === undefined || alert.type === options.type)
+        && (options.from === undefined || alert.endTime >= options.from)
+        && (options.to === undefined || alert.startTime <= options.to);
+    });
+  }
+
+  /**
+   * Get the progress of every goal for the day or week containing a day.
+   * @param {number} dayNumber - Local calendar day.
+   * @return {object} Evaluations keyed by metric and period (Ex: "steps/daily").
+   */
+  getGoalProgress(dayNumber) {
+    const progress = {};
+    this.goals.forEach(goal => {
+      const [evaluation] = Goals.evaluate(this, this.goals, goal.metric, goal.period, dayNumber, dayNumber);
+      progress[`${goal.metric}/${goal.period}`] = evaluation || null;
+    });
+    return progress;
+  }
+
+  /**
+   * Emit goalReached for goals completed since their progress was last checked.
+   * @param {object} goalsBefore - Progress from getGoalProgress before new data was stored.
+   * @param {object} goalsAfter - Progress from getGoalProgress after new data was stored.
+   */
+  emitGoalsReached(goalsBefore, goalsAfter) {
+    Object.keys(goalsAfter).forEach(key => {
+      const before = goalsBefore[key];
+      const after = goalsAfter[key];
+      if (after && after.completed && !(before && before.completed)) {
+        const [metric, period] = key.split('/');
+        this.emit('goalReached', {metric: metric, period: period, date: after.date, target: after.target, value: after.value});
+      }
+    });
+  }
+
+  /**
+   * Get a day's steps and the most steps on any other day.
+   * @param {number} dayNumber - Local calendar day.
+   * @return {object} Steps ({date, value, previousRecord}); previousRecord is null if there are no other days.
+   */
+  getStepsRecord(dayNumber) {
+    let value = 0;
+    let previousRecord = null;
+    this.getDataSummary('steps').forEach(data => {
+      if (data.daysSinceUnixEpoch === dayNumber) {
+        value = data.steps;
+      } else {
+        previousRecord = Math.max(previousRecord || 0, data.steps);
+      }
+    });
+    return {date: TimeZone.formatDate(dayNumber), value, previousRecord};
+  }
+
+  /**
+   * Emit dailyRecord if a day's steps just went past the previous record.
+   * @param {object} recordBefore - Steps from getStepsRecord before new data was stored.
+   * @param {object} recordAfter - Steps from getStepsRecord after new data was stored.
+   */
+  emitStepsRecord(recordBefore, recordAfter) {
+    const previousRecord = recordAfter.previousRecord;
+    if (previousRecord !== null && recordAfter.value > previousRecord && recordBefore.value <= previousRecord) {
+      this.emit('dailyRecord', Object.assign({metric: 'steps'}, recordAfter));
+    }
+  }
+
+  /**
+   * Get the id for the next workout that is ended without one.
+   * Such workouts are numbered in order after the highest numeric id.
+   * @return {number} Workout id.
+   */
+  getNextWorkoutId() {
+    return this.workoutData.rawData.reduce((acc, workout) => Math.max(acc, Number(workout.workoutId) || 0), 0) + 1;
+  }
+
+  /**
+   * End a workout.
+   * @param {object} watchData - Sent by watch when user finishes a workout.
+   * @return {object} Summary of the completed workout, with the names of the personal records it beat (newRecords).
+   */
+  endWorkout(watchData) {
+    this.requireWorkout().finishWorkoutRecording(watchData);
+    this.isResting = true;
+    const summary = this.workoutInstance.getWorkoutSummary();
+    const dayNumber = TimeZone.getDayNumber(summary.startTime, this.timeZone);
+    const goalsBefore = this.getGoalProgress(dayNumber);
+    const stepsRecordBefore = this.getStepsRecord(dayNumber);
+    const recordsBefore = this.getPersonalRecords();
+    this.storeData(summary, 'steps');
+    this.storeData(summary, 'caloriesBurned');
+    this.insertChronologically(this.workoutData.rawData, Object.assign({}, summary, {
+      samples: this.workoutInstance.getSamples(),
+      pausedSamples: this.workoutInstance.getPausedSamples()
+    }), 'startTime');
+    this.workoutInstance = null;
+    // background data measured during the workout is now counted by it
+    this.backgroundData.rawData
+      .filter(data => data.endTime > summary.startTime && data.startTime < summary.endTime)
+      .forEach(data => this.countBackgroundData(data));
+    summary.newRecords = PersonalRecords.getNewRecords(recordsBefore, this.getPersonalRecords(), summary.workoutType);
+    this.emit('workoutEnded', summary);
+    this.emitGoalsReached(goalsBefore, this.getGoalProgress(dayNumber));
+    this.emitStepsRecord(stepsRecordBefore, this.getStepsRecord(dayNumber));
+    return summary;
+  }
+
+  /**
+   * Export a completed workout.
+   * @param {number} workoutId - Id of the workout.
+   * @param {string} format - The string "gpx" or "tcx".
+   * @return {string} Exported workout.
+   */
+  exportWorkout(workoutId, format) {
+    Validator.checkOneOf(format, ['gpx', 'tcx'], 'format');
+    const workoutRecord = this.workoutData.rawData.find(workout => workout.workoutId === workoutId);
+    if (!workoutRecord) {
+      throw new NotFoundError(`There is no workout with id ${workoutId}`, 'workout_not_found');
+    }
+    return format === 'gpx' ? WorkoutExporter.toGpx(workoutRecord) : WorkoutExporter.toTcx(workoutRecord);
+  }
+
+  /**
+   * Import a GPX, TCX or FIT file.
+   * @param {string} filePath - Path of the file.
+   * @return {object} Ids of imported and skipped workouts.
+   */
+  importFile(filePath) {
+    return this.importWorkouts(WorkoutImporter.readFile(filePath));
+  }
+
+  /**
+   * Check parsed workouts and heart rate samples before any of them are
+   * stored, so a bad sample doesn't leave a workout half imported.
+   * @param {object} importedData - Parsed file from WorkoutImporter.
+   */
+  validateImportedData(importedData) {
+    Validator.validate(importedData, {
+      workouts: {type: 'array', required: true},
+      heartRateSamples: {type: 'array', required: true}
+    }, 'importedData');
+    const sampleSchemas = Wearer.getSampleSchemas();
+    const validateSamples = (samples, sampleType) => {
+      const schema = Object.assign({}, sampleSchemas[sampleType], {timeWhenMeasured: {type: 'timestamp', required: true}});
+      Validator.check(samples, 'array', sampleType);
+      samples.forEach(sample => Validator.validate(sample, schema, sampleType));
+    };
+    importedData.workouts.forEach(workout => {
+      Validator.validate(workout, {
+        workoutId: {type: 'id'},
+        workoutType: {type: 'string', required: true},
+        startTime: {type: 'timestamp', required: true},
+        endTime: {type: 'timestamp', required: true},
+        samples: {type: 'object', required: true},
+        lapTimes: {type: 'array', required: true}
+      }, 'workout');
+      if (workout.endTime < workout.startTime) {
+        throw new ValidationError('endTime must not be before startTime', 'endTime');
+      }
+      Object.keys(sampleSchemas).forEach(sampleType => validateSamples(workout.samples[sampleType], sampleType));
+      workout.lapTimes.forEach(lapTime => {
+        Validator.check(lapTime, 'timestamp', 'lapTime');
+        if (lapTime < workout.startTime || lapTime > workout.endTime) {
+          throw new ValidationError('lapTime must be between startTime and endTime', 'lapTime');
+        }
+      });
+    });
+    validateSamples(importedData.heartRateSamples, 'heartRate');
+  }
+
+  /**
+   * Import parsed workouts and heart rate samples.
+   * Workouts already stored with the same id or start time are skipped, as
+   * are heart rate samples already stored with the same time. Nothing is
+   * imported if any of the data is invalid or storing it fails. Heart rates
+   * of 0, which some files record instead of leaving a gap, are stored and
+   * flagged as implausible, as when the watch sends them.
+   * @param {object} importedData - Parsed file from WorkoutImporter.
+   * @return {object} Ids of imported and skipped workouts.
+   */
+  importWorkouts(importedData) {
+    if (this.workoutInstance) {
+      throw new WorkoutStateError('There is a workout in progress', 'workout_in_progress');
+    }
+    this.validateImportedData(importedData);
+    // a copy to go back to if a workout fails part way through the file
+    const snapshot = JSON.parse(JSON.stringify(this.toJSON()));
+    const isAboveHeartRateThreshold = this.isAboveHeartRateThreshold;
+    try {
+      return this.replayImportedData(importedData);
+    } catch (error) {
+      this.restore(snapshot);
+      this.isAboveHeartRateThreshold = isAboveHeartRateThreshold;
+      throw error;
+    }
+  }
+
+  /**
+   * Store validated workouts and heart rate samples from importWorkouts.
+   * @param {object} importedData - Parsed file from WorkoutImporter.
+   * @return {object} Ids of imported and skipped workouts.
+   */
+  replayImportedData(importedData) {
+    const hasId = id => id !== undefined && id !== null;
+    const result = {imported: [], skipped: []};
+    importedData.workouts.forEach(workout => {
+      const isDuplicate = this.workoutData.rawData.some(existing => {
+        return (hasId(existing.workoutId) && hasId(workout.workoutId) && existing.workoutId === workout.workoutId)
+          || existing.startTime === workout.startTime;
+      });
+      if (isDuplicate) {
+        result.skipped.push(workout.workoutId);
+        return;
+      }
+
+      // replay the samples in the order they were measured, closing laps after
+      // samples measured at the same time
+      const events = [];
+      const {steps, caloriesBurned, heartRate, location} = workout.samples;
+      steps.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.addSteps(sample)}));
+      caloriesBurned.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.addCaloriesBurned(sample)}));
+      heartRate.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.storeHeartRateData(sample)}));
+      location.forEach(sample => events.push({time: sample.timeWhenMeasured, order: 0, apply: () => this.addLocation(sample)}));
+      workout.lapTimes.forEach(lapTime => events.push({time: lapTime, order: 1, apply: () => this.markLap({lapTime: lapTime})}));
+      events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+      const workoutType = this.workoutTypes.resolve(workout.workoutType) ? workout.workoutType : 'other';
+      this.startWorkout({workoutId: workout.workoutId, workoutType: workoutType, startTime: workout.startTime});
+      events.forEach(event => event.apply());
+      this.endWorkout({workoutId: workout.workoutId, endTime: workout.endTime});
+      result.imported.push(workout.workoutId);
+    });
+
+    const {resting, active} = this.heartRateData.rawData;
+    const storedTimes = new Set(resting.concat(active).map(data => data.timeWhenMeasured));
+    importedData.heartRateSamples.forEach(sample => {
+      if (!storedTimes.has(sample.timeWhenMeasured)) {
+        this.storeHeartRateData(sample);
+        storedTimes.add(sample.timeWhenMeasured);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Record a sleep session. It replaces inferred sessions it overlaps.
+   * @param {object} sleepData - Sent by watch after sleep ({startTime, endTime, stages}); stages is a list of {stage, startTime, endTime} with stage "light", "deep", "rem" or "awake".
+   * @return {object} The stored session.
+   */
+  recordSleep(sleepData) {
+    Validator.validate(sleepData, {
+      startTime: {type: 'timestamp', required: true},
+      endTime: {type: 'timestamp', required: true},
+      stages: {type: 'array'}
+    }, 'sleepData');
+    const {startTime, endTime} = sleepData;
+    if (endTime <= startTime) {
+      throw new ValidationError('Sleep must end after it starts', 'endTime');
+    }
+    const stages = (sleepData.stages || []).map(stage => {
+      Validator.validate(stage, {
+        stage: {values: SleepAnalyzer.getStages(), required: true},
+        startTime: {type: 'timestamp', required: true},
+        endTime: {type: 'timestamp', required: true}
+      }, 'stage');
+      if (stage.endTime <= stage.startTime || stage.startTime < startTime || stage.endTime > endTime) {
+        throw new ValidationError('Sleep stages must be within the sleep session', 'stages');
+      }
+      return {stage: stage.stage, startTime: stage.startTime, endTime: stage.endTime};
+    }).sort((a, b) => a.startTime - b.startTime);
+
+    const overlaps = session => session.startTime < endTime && session.endTime > startTime;
+    if (this.sleepData.rawData.some(session => session.source === 'recorded' && overlaps(session))) {
+      throw new ConflictError('There is already a sleep session recorded at that time', 'sleep_overlaps');
+    }
+    this.sleepData.rawData = this.sleepData.rawData.filter(session => !overlaps(session));
+    const session = {startTime: startTime, endTime: endTime, stages: stages, source: 'recorded'};
+    this.insertChronologically(this.sleepData.rawData, session, 'startTime');
+    return session;
+  }
+
+  /**
+   * Get the periods the wearer was moving.
+   * @return {array} Periods with steps ({startTime, endTime}).
+   */
+  getMovementPeriods() {
+    return this.stepsData.rawData.concat(this.backgroundData.rawData)
+      .filter(data => data.steps > 0)
+      .map(data => ({startTime: data.startTime, endTime: data.endTime}));
+  }
+
+  /**
+   * Infer sleep sessions from long stretches of low resting heart rate
+   * without steps, and store those that don't overlap a stored session.
+   * @param {object} options - Inference options ({from, to, maxHeartRate, minDurationSeconds, maxGapSeconds}); from and to are UNIX timestamps, maxHeartRate defaults to 10 bpm above profile.restingHeartRate (or 65 bpm), minDurationSeconds to 3 hours and maxGapSeconds to 15 minutes.
+   * @return {array} The new sessions.
+   */
+  inferSleep(options = {}) {
+    Validator.validate(options, {
+      from: {type: 'timestamp'},
+      to: {type: 'timestamp'},
+      maxHeartRate: {type: 'positiveNumber'},
+      minDurationSeconds: {type: 'positiveNumber'},
+      maxGapSeconds: {type: 'positiveNumber'}
+    }, 'options');
+    const inferenceOptions = {
+      maxHeartRate: options.maxHeartRate || (this.profile.restingHeartRate ? this.profile.restingHeartRate + 10 : 65),
+      minDurationSeconds: options.minDurationSeconds || 3 * 3600,
+      maxGapSeconds: options.maxGapSeconds || 15 * 60
+    };
+    const samples = this.heartRateData.rawData.resting.filter(sample => {
+      return this.heartRateAlerts.isPlausible(sample.heartRate)
+        && (options.from === undefined || sample.timeWhenMeasured >= options.from)
+        && (options.to === undefined || sample.timeWhenMeasured <= options.to);
+    });
+    const newSessions = SleepAnalyzer.inferSessions(samples, this.getMovementPeriods(), inferenceOptions)
+      .filter(newSession => !this.sleepData.rawData.some(session => {
+        return session.startTime < newSession.endTime && session.endTime > newSession.startTime;
+      }));
+    newSessions.forEach(session => this.insertChronologically(this.sleepData.rawData, session, 'startTime'));
+    return newSessions;
+  }
+
+  /**
+   * Get nightly sleep summaries.
+   * @return {array} Summaries ({daysSinceUnixEpoch, sessions, timeInBed, timeAsleep, light, deep, rem, awake}) in seconds, one per local day sleep ended on.
+   */
+  getSleepSummary() {
+    return SleepAnalyzer.getNightlySummaries(this.sleepData.rawData, this.timeZone);
+  }
+
+  /**
+   * Get average nightly sleep for a wearer over N day period.
+   * The period ends on the latest night with sleep data; nights without sleep data are skipped.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {string} stage - Sleep stage to average ("light", "deep", "rem" or "awake"), defaults to all time asleep.
+   * @return {number} Average seconds per night over N day period.
+   */
+  getAverageSleepDuration(nDayPeriod, stage) {
+    Validator.check(nDayPeriod, 'positiveInteger', 'nDayPeriod');
+    if (stage !== undefined) {
+      Validator.checkOneOf(stage, SleepAnalyzer.getStages(), 'stage');
+    }
+    const summaries = this.getSleepSummary();
+    if (summaries.length === 0) {
+      return 0;
+    }
+    const lastDay = summaries[summaries.length - 1].daysSinceUnixEpoch;
+    const nights = summaries.filter(summary => summary.daysSinceUnixEpoch > lastDay - nDayPeriod);
+    const total = nights.reduce((acc, summary) => acc + summary[stage || 'timeAsleep'], 0);
+    return total / nights.length;
+  }
+
+  /**
+   * Get daily totals of steps or calories burned, keyed by local day.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @return {object} Totals keyed by day number.
+   */
+  getDailyTotalsByDay(dataCategory) {
+    Validator.checkOneOf(dataCategory, ['steps', 'caloriesBurned'], 'dataCategory');
+    const totals = {};
+    this.getDataSummary(dataCategory).forEach(data => {
+      totals[data.daysSinceUnixEpoch] = data[dataCategory];
+    });
+    return totals;
+  }
+
+  /**
+   * Get a statistic of the totals of every N day period.
+   * Periods slide one day at a time from the first to the last day with data.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {string} statistic - The string "min", "max", "mean", "sum", "median" or "stddev".
+   * @param {object} options - Window options ({skipMissingDays}); by default days without data count as zero.
+   * @return {number} Statistic over N day period totals, 0 without data, or null if the data has no complete period.
+   */
+  getRollingStatistic(dataCategory, nDayPeriod, statistic, options = {}) {
+    const dailyTotals = this.getDailyTotalsByDay(dataCategory);
+    const windows = RollingStatistics.getWindowTotals(dailyTotals, nDayPeriod, options);
+    if (!windows.length && Object.keys(dailyTotals).length) {
+      return null;
+    }
+    return RollingStatistics.summarize(windows.map(window => window.total), statistic);
+  }
+
+  /**
+   * Get minimum or maximum steps for a wearer over N day period.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {string} minOrMax - The string "min" or "max".
+   * @param {object} options - Window options ({skipMissingDays}).
+   * @return {number} Minimum or maximum steps over N day period, or null if the data has no complete period.
+   */
+  getMinMaxSteps(nDayPeriod, minOrMax, options) {
+    if (minOrMax !== 'min' && minOrMax !== 'max') {
+      throw new ValidationError('minOrMax must be "min" or "max"', 'minOrMax');
+    }
+    return this.getRollingStatistic('steps', nDayPeriod, minOrMax, options);
+  }
+
+  /**
+   * Get average number of steps for a wearer over N day period.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {object} options - Window options ({skipMissingDays}).
+   * @return {number} Average number of steps over N day period, or null if the data has no complete period.
+   */
+  getAverageNumberOfSteps(nDayPeriod, options) {
+    return this.getRollingStatistic('steps', nDayPeriod, 'mean', options);
+  }
+
+  /**
+   * Get the resting heart rate of each day: the lowest 30 minute average of
+   * resting samples, or their average on days without 30 minutes of
+   * continuous data. Implausible readings are ignored.
+   * @return {array} Days ({daysSinceUnixEpoch, date, restingHeartRate, method, samples}); method is "lowestWindowAverage" or "mean".
+   */
+  getDailyRestingHeartRates() {
+    const {min, max} = this.heartRateAlerts.settings.implausible;
+    return RestingHeartRate.getDailyValues(this.getDataSummary('heartRate').rawData.resting, {
+      windowSeconds: 30 * 60,
+      maxGapSeconds: 10 * 60,
+      min: min,
+      max: max
+    }).map(day => Object.assign({date: TimeZone.formatDate(day.daysSinceUnixEpoch)}, day));
+  }
+
+  /**
+   * Get average resting heart rate for a wearer over N day period.
+   * The period ends on the latest day with resting heart rate data; days without data are skipped.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @return {number} Average of daily resting heart rates over N day period.
+   */
+  getAverageRestingHeartRate(nDayPeriod) {
+    return this.getRestingHeartRateStats(nDayPeriod).average;
+  }
+
+  /**
+   * Get resting heart rate stats over N day period.
+   * The trend is the least squares slope of the daily values in the latest
+   * N day period; a change of less than 1 bpm over the period is steady.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @return {object} Stats ({average, trend: {slope, direction}, rollingAverages, dailyValues}); slope is in bpm per day, direction is "rising", "falling" or "steady", and rollingAverages has the N day average ending on each day with data.
+   */
+  getRestingHeartRateStats(nDayPeriod) {
+    Validator.check(nDayPeriod, 'positiveInteger', 'nDayPeriod');
+    const dailyValues = this.getDailyRestingHeartRates();
+    const getPeriod = lastDay => dailyValues.filter(day => {
+      return day.daysSinceUnixEpoch > lastDay - nDayPeriod && day.daysSinceUnixEpoch <= lastDay;
+    });
+    const getAverage = days => RollingStatistics.summarize(days.map(day => day.restingHeartRate), 'mean');
+
+    const latestPeriod = dailyValues.length ? getPeriod(dailyValues[dailyValues.length - 1].daysSinceUnixEpoch) : [];
+    const points = latestPeriod.map(day => ({x: day.daysSinceUnixEpoch, y: day.restingHeartRate}));
+    return {
+      average: getAverage(latestPeriod),
+      trend: Trends.getTrend(points, nDayPeriod, 1),
+      rollingAverages: dailyValues.map(day => ({
+        date: day.date,
+        daysSinceUnixEpoch: day.daysSinceUnixEpoch,
+        average: getAverage(getPeriod(day.daysSinceUnixEpoch))
+      })),
+      dailyValues: dailyValues
+    };
+  }
+
+  /**
+   * Get average calories burned per workout for each workout type over N day period.
+   * Each N day period with a workout of the type contributes its calories
+   * burned per workout, and those are averaged.
+   * @param {number} nDayPeriod - N day period > 0.
+   * @param {string} workoutType - The string representing the workout type (Ex: "walk").
+   * @param {object} options - Window options ({skipMissingDays}).
+   * @return {number} Average calories burned per workout for each workout type over N day period, or null if the workouts have no complete period.
+   */
+  getAverageCaloriesBurnedPerWorkout(nDayPeriod, workoutType, options) {
+    Validator.check(workoutType, 'string', 'workoutType');
+    const canonicalWorkoutType = this.workoutTypes.resolve(workoutType) || workoutType;
+    const caloriesByDay = {};
+    const workoutsByDay = {};
+    this.workoutData.rawData
+      .filter(workout => workout.workoutType === canonicalWorkoutType)
+      .forEach(workout => {
+        const dayNumber = TimeZone.getDayNumber(workout.startTime, this.timeZone);
+        caloriesByDay[dayNumber] = (caloriesByDay[dayNumber] || 0) + workout.caloriesBurned;
+        workoutsByDay[dayNumber] = (workoutsByDay[dayNumber] || 0) + 1;
+      });
+
+    const calorieWindows = RollingStatistics.getWindowTotals(caloriesByDay, nDayPeriod, options);
+    const workoutWindows = RollingStatistics.getWindowTotals(workoutsByDay, nDayPeriod, options);
+    if (!calorieWindows.length && Object.keys(caloriesByDay).length) {
+      return null;
+    }
+    const caloriesPerWorkout = calorieWindows
+      .map((window, index) => window.total / workoutWindows[index].total)
+      // periods without a workout have nothing to average
+      .filter(value => !Number.isNaN(value));
+    return RollingStatistics.summarize(caloriesPerWorkout, 'mean');
+  }
+
+  /**
+   * Get today's local calendar day.
+   * @return {number} Days since the UNIX epoch in the local calendar.
+   */
+  getToday() {
+    return TimeZone.getDayNumber(Math.floor(Date.now() / 1000), this.timeZone);
+  }
+
+  /**
+   * Check a goal's metric and period.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   */
+  checkGoal(metric, period) {
+    if (!Goals.getMetrics().includes(metric)) {
+      throw new ValidationError(`Goal metric must be one of ${Goals.getMetrics().join(', ')}`, 'metric');
+    }
+    if (!['daily', 'weekly'].includes(period)) {
+      throw new ValidationError('Goal period must be "daily" or "weekly"', 'period');
+    }
+  }
+
+  /**
+   * Set a daily or weekly goal. Days before the effective date keep their old target.
+   * @param {object} goal - Goal ({metric, period, target, effectiveDate}); metric is "steps", "caloriesBurned", "activeMinutes" or "workouts", period is "daily" or "weekly", a null target removes the goal, and effectiveDate is an ISO 8601 date that defaults to today.
+   */
+  setGoal(goal) {
+    Validator.check(goal, 'object', 'goal');
+    this.checkGoal(goal.metric, goal.period);
+    if (goal.target !== null && !(typeof goal.target === 'number' && goal.target > 0)) {
+      throw new ValidationError('Goal target must be a positive number or null', 'target');
+    }
+    const effectiveDay = goal.effectiveDate !== undefined ? TimeZone.parseDate(goal.effectiveDate) : this.getToday();
+    // a second change on the same day replaces the first
+    this.goals = this.goals.filter(change => {
+      return !(change.metric === goal.metric && change.period === goal.period && change.effectiveDay === effectiveDay);
+    });
+    this.insertChronologically(this.goals, {
+      metric: goal.metric,
+      period: goal.period,
+      target: goal.target,
+      effectiveDay: effectiveDay
+    }, 'effectiveDay');
+  }
+
+  /**
+   * Get the target of a goal on a date.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {string} date - ISO 8601 date, defaults to today.
+   * @return {number} Target, or null if there was no goal.
+   */
+  getGoal(metric, period, date) {
+    this.checkGoal(metric, period);
+    const dayNumber = date !== undefined ? TimeZone.parseDate(date) : this.getToday();
+    return Goals.getTarget(this.goals, metric, period, dayNumber);
+  }
+
+  /**
+   * Evaluate a goal for each day or week it was set.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {object} options - Date range ({from, to} ISO 8601 dates); defaults to when the goal was first set until today.
+   * @return {array} Evaluations ({date, target, value, progress, completed}); progress is a percentage.
+   */
+  evaluateGoal(metric, period, options = {}) {
+    this.checkGoal(metric, period);
+    Validator.validate(options, {from: {type: 'string'}, to: {type: 'string'}}, 'options');
+    const changes = this.goals.filter(goal => goal.metric === metric && goal.period === period);
+    if (!changes.length) {
+      return [];
+    }
+    const firstDay = options.from !== undefined ? TimeZone.parseDate(options.from) : changes[0].effectiveDay;
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    return Goals.evaluate(this, this.goals, metric, period, firstDay, lastDay);
+  }
+
+  /**
+   * Get the current and longest streaks of completed days or weeks for a goal.
+   * @param {string} metric - Goal metric (Ex: "steps").
+   * @param {string} period - The string "daily" or "weekly".
+   * @param {object} options - Streak options ({to}, the ISO 8601 date to count up to, defaults to today).
+   * @return {object} Streak lengths in days or weeks ({current, longest}).
+   */
+  getGoalStreaks(metric, period, options = {}) {
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    const evaluations = this.evaluateGoal(metric, period, {to: TimeZone.formatDate(lastDay)});
+    return Goals.getStreaks(evaluations, period, lastDay);
+  }
+
+  /**
+   * Get personal records, found from stored workouts and daily steps.
+   * The fastest lap is the one with the highest step rate.
+   * @return {object} Records ({mostStepsInADay, longestWorkout, mostCaloriesInAWorkout, fastestLap}); mostCaloriesInAWorkout is keyed by workout type, and workout durations are moving time in seconds.
+   */
+  getPersonalRecords() {
+    return PersonalRecords.getRecords(this.workoutData.rawData, this.getDailyTotalsByDay('steps'), this.timeZone);
+  }
+
+  /**
+   * Get the trend of a daily value over the N days ending on the latest day with data.
+   * Days without steps or calories count as zero; days without a resting heart rate are skipped.
+   * A change over the period of less than 5% of the average (1 bpm for resting heart rate) is steady.
+   * @param {string} dataCategory - The string "steps", "caloriesBurned" or "restingHeartRate".
+   * @param {number} nDayPeriod - N day period > 0.
+   * @return {object} Trend ({slope, direction}); slope is the change per day, direction is "rising", "falling" or "steady".
+   */
+  getTrend(dataCategory, nDayPeriod) {
+    if (dataCategory === 'restingHeartRate') {
+      return this.getRestingHeartRateStats(nDayPeriod).trend;
+    }
+    if (dataCategory !== 'steps' && dataCategory !== 'caloriesBurned') {
+      throw new ValidationError('Data category must be "steps", "caloriesBurned" or "restingHeartRate"', 'dataCategory');
+    }
+    Validator.check(nDayPeriod, 'positiveInteger', 'nDayPeriod');
+    const dailyTotals = this.getDailyTotalsByDay(dataCategory);
+    const days = Object.keys(dailyTotals).map(Number);
+    const points = [];
+    if (days.length) {
+      const lastDay = days.reduce((acc, day) => Math.max(acc, day));
+      const firstDay = days.reduce((acc, day) => Math.min(acc, day));
+      for (let day = Math.max(lastDay - nDayPeriod + 1, firstDay); day <= lastDay; day++) {
+        points.push({x: day, y: dailyTotals[day] || 0});
+      }
+    }
+    const average = RollingStatistics.summarize(points.map(point => point.y), 'mean');
+    return Trends.getTrend(points, nDayPeriod, average * 0.05);
+  }
+
+  /**
+   * Get the change in steps or calories burned from last week or month.
+   * The week or month so far is compared with the same days of the one before.
+   * @param {string} dataCategory - Data category ("steps" or "caloriesBurned").
+   * @param {string} period - The string "week" or "month".
+   * @param {object} options - Change options ({to}, the ISO 8601 date to compare up to, defaults to today).
+   * @return {object} Change ({current, previous, change, percentChange}); current and previous are {from, to, value}, and percentChange is null if previous is 0.
+   */
+  getPeriodChange(dataCategory, period, options = {}) {
+    if (dataCategory !== 'steps' && dataCategory !== 'caloriesBurned') {
+      throw new ValidationError('Data category must be "steps" or "caloriesBurned"', 'dataCategory');
+    }
+    if (period !== 'week' && period !== 'month') {
+      throw new ValidationError('Period must be "week" or "month"', 'period');
+    }
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    const dailyTotals = this.getDailyTotalsByDay(dataCategory);
+    const getTotal = range => {
+      let value = 0;
+      for (let day = range.firstDay; day <= range.lastDay; day++) {
+        value += dailyTotals[day] || 0;
+      }
+      return {from: TimeZone.formatDate(range.firstDay), to: TimeZone.formatDate(range.lastDay), value: value};
+    };
+    const ranges = Trends.getPeriodRanges(lastDay, period);
+    const current = getTotal(ranges.current);
+    const previous = getTotal(ranges.previous);
+    return {
+      current: current,
+      previous: previous,
+      change: current.value - previous.value,
+      percentChange: previous.value ? (current.value - previous.value) / previous.value * 100 : null
+    };
+  }
+
+  /**
+   * Get the training load of completed workouts, keyed by the local day they started.
+   * @return {object} Training loads keyed by day number; workouts without a load count as 0.
+   */
+  getDailyTrainingLoads() {
+    const loads = {};
+    this.workoutData.rawData.forEach(workout => {
+      const dayNumber = TimeZone.getDayNumber(workout.startTime, this.timeZone);
+      loads[dayNumber] = (loads[dayNumber] || 0) + (workout.trainingLoad || 0);
+    });
+    return loads;
+  }
+
+  /**
+   * Get the acute (7 day) to chronic (28 day) training load ratio.
+   * @param {object} options - Ratio options ({to}, the ISO 8601 date both periods end on, defaults to today).
+   * @return {object} Loads ({acuteLoad, chronicLoad, ratio, status}); loads are daily averages, and status is "low", "optimal", "high" or "veryHigh".
+   */
+  getTrainingLoadRatio(options = {}) {
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    return TrainingLoad.getLoadRatio(this.getDailyTrainingLoads(), lastDay);
+  }
+
+  /**
+   * Get a recovery score combining the training load ratio with how far the
+   * latest daily resting heart rate is above the average of the 28 days before it.
+   * @param {object} options - Score options ({to}, the ISO 8601 date to score, defaults to today).
+   * @return {object} Recovery ({score, loadRatio, restingHeartRate, baselineRestingHeartRate}); score is 0 to 100 (null without a load ratio or resting heart rate baseline), and heart rates are null without data.
+   */
+  getRecoveryScore(options = {}) {
+    Validator.validate(options, {to: {type: 'string'}}, 'options');
+    const lastDay = options.to !== undefined ? TimeZone.parseDate(options.to) : this.getToday();
+    const loadRatio = TrainingLoad.getLoadRatio(this.getDailyTrainingLoads(), lastDay).ratio;
+    const dailyValues = this.getDailyRestingHeartRates().filter(day => day.daysSinceUnixEpoch <= lastDay);
+    const latest = dailyValues[dailyValues.length - 1];
+    let restingHeartRate = null;
+    let baselineRestingHeartRate = null;
+    if (latest) {
+      const baselineDays = dailyValues.filter(day => day.daysSinceUnixEpoch >= latest.daysSinceUnixEpoch - 28 && day !== latest);
+      restingHeartRate = latest.restingHeartRate;
+      baselineRestingHeartRate = baselineDays.length
+        ? RollingStatistics.summarize(baselineDays.map(day => day.restingHeartRate), 'mean')
+        : null;
+    }
+    return {
+      score: TrainingLoad.getRecoveryScore(loadRatio, restingHeartRate, baselineRestingHeartRate),
+      loadRatio: loadRatio,
+      restingHeartRate: restingHeartRate,
+      baselineRestingHeartRate: baselineRestingHeartRate
+    };
+  }
+}
+
+/**
+ * Class representing storage in a single JSON file, keyed by wearer id.
+ */
+class JsonFileStorage extends Storage {
+  /**
+   * Create JSON file storage.
+   * @param {string} filePath - Path of the JSON file. It is created on first save.
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read every wearer from the file.
+   * @return {object} Wearer data keyed by wearer id.
+   */
+  readFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).wearers;
+  }
+
+  /**
+   * Write every wearer to the file.
+   * @param {object} wearers - Wearer data keyed by wearer id.
+   */
+  writeFile(wearers) {
+    // write to a temporary file first so a crash can't leave half a file behind
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({wearers: wearers}, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Load the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {object} Saved wearer data, or null if nothing was saved.
+   */
+  load(wearerId) {
+    const wearers = this.readFile();
+    // own properties only, so ids like "constructor" aren't found on Object.prototype
+    return Object.prototype.hasOwnProperty.call(wearers, wearerId) ? wearers[wearerId] : null;
+  }
+
+  /**
+   * Save data for a wearer, replacing anything saved before.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} wearerData - Serializable wearer data.
+   */
+  save(wearerId, wearerData) {
+    const wearers = this.readFile();
+    wearers[wearerId] = wearerData;
+    this.writeFile(wearers);
+  }
+
+  /**
+   * Remove the data saved for a wearer.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  remove(wearerId) {
+    const wearers = this.readFile();
+    delete wearers[wearerId];
+    this.writeFile(wearers);
+  }
+
+  /**
+   * List the ids of all saved wearers.
+   * @return {array} Wearer ids.
+   */
+  list() {
+    return Object.keys(this.readFile());
+  }
+}
+
+/**
+ * Class representing a registry of wearers, their groups (Ex: a family or a
+ * team) and leaderboards over their stats.
+ */
+class WearerRegistry {
+  /**
+   * Create a wearer registry.
+   * @param {object} options - Registry options ({storage, workoutTypes}).
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.workoutTypes = options.workoutTypes;
+    // wearers loaded from storage and groups, keyed by id; Maps, so ids such
+    // as "constructor" never match Object.prototype
+    this.wearers = new Map();
+    this.groups = new Map();
+  }
+
+  /**
+   * Check whether a wearer exists.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {boolean} Whether the wearer exists.
+   */
+  hasWearer(wearerId) {
+    return this.wearers.has(wearerId) || this.storage.list().includes(wearerId);
+  }
+
+  /**
+   * Create a wearer and save it.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} options - Wearer options ({timeZone, profile}).
+   * @return {Wearer} The new wearer.
+   */
+  createWearer(wearerId, options = {}) {
+    if (this.hasWearer(wearerId)) {
+      throw new ConflictError(`There is already a wearer with id ${wearerId}`, 'wearer_exists');
+    }
+    const wearer = new Wearer(null, Object.assign({}, options, {
+      id: wearerId,
+      storage: this.storage,
+      workoutTypes: this.workoutTypes
+    }));
+    this.wearers.set(wearerId, wearer);
+    wearer.save();
+    return wearer;
+  }
+
+  /**
+   * Get a wearer, loading it from storage if needed.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {Wearer} The wearer.
+   */
+  getWearer(wearerId) {
+    if (!this.wearers.has(wearerId)) {
+      if (!this.hasWearer(wearerId)) {
+        throw new NotFoundError(`There is no wearer with id ${wearerId}`, 'wearer_not_found');
+      }
+      const wearer = Wearer.load(wearerId, this.storage);
+      if (this.workoutTypes) {
+        wearer.workoutTypes = this.workoutTypes;
+      }
+      this.wearers.set(wearerId, wearer);
+    }
+    return this.wearers.get(wearerId);
+  }
+
+  /**
+   * Remove a wearer from storage and from every group.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  removeWearer(wearerId) {
+    this.getWearer(wearerId);
+    this.wearers.delete(wearerId);
+    this.storage.remove(wearerId);
+    this.groups.forEach((group, groupId) => {
+      this.removeFromGroup(groupId, wearerId);
+    });
+  }
+
+  /**
+   * List the ids of all wearers.
+   * @return {array} Wearer ids, sorted.
+   */
+  listWearers() {
+    const wearerIds = new Set([...this.storage.list(), ...this.wearers.keys()]);
+    return [...wearerIds].sort();
+  }
+
+  /**
+   * Create a group of wearers.
+   * @param {string} groupId - Id of the group.
+   * @param {object} details - Group details ({name, type}, Ex: {name: "Smiths", type: "family"}).
+   * @return {object} The group.
+   */
+  createGroup(groupId, details = {}) {
+    if (this.groups.has(groupId)) {
+      throw new ConflictError(`There is already a group with id ${groupId}`, 'group_exists');
+    }
+    const group = {
+      groupId: groupId,
+      name: details.name || groupId,
+      type: details.type || null,
+      wearerIds: []
+    };
+    this.groups.set(groupId, group);
+    return group;
+  }
+
+  /**
+   * Get a group.
+   * @param {string} groupId - Id of the group.
+   * @return {object} The group ({groupId, name, type, wearerIds}).
+   */
+  getGroup(groupId) {
+    if (!this.groups.has(groupId)) {
+      throw new NotFoundError(`There is no group with id ${groupId}`, 'group_not_found');
+    }
+    return this.groups.get(groupId);
+  }
+
+  /**
+   * Remove a group. Its wearers are kept.
+   * @param {string} groupId - Id of the group.
+   */
+  removeGroup(groupId) {
+    this.getGroup(groupId);
+    this.groups.delete(groupId);
+  }
+
+  /**
+   * List all groups.
+   * @return {array} Groups, sorted by id.
+   */
+  listGroups() {
+    return [...this.groups.keys()].sort().map(groupId => this.groups.get(groupId));
+  }
+
+  /**
+   * Add a wearer to a group. A wearer can be in any number of groups.
+   * @param {string} groupId - Id of the group.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  addToGroup(groupId, wearerId) {
+    const group = this.getGroup(groupId);
+    this.getWearer(wearerId);
+    if (!group.wearerIds.includes(wearerId)) {
+      group.wearerIds.push(wearerId);
+    }
+  }
+
+  /**
+   * Remove a wearer from a group.
+   * @param {string} groupId - Id of the group.
+   * @param {string} wearerId - Id of the wearer.
+   */
+  removeFromGroup(groupId, wearerId) {
+    const group = this.getGroup(groupId);
+    group.wearerIds = group.wearerIds.filter(id => id !== wearerId);
+  }
+
+  /**
+   * Get the groups in a serializable form.
+   * @return {object} Registry data.
+   */
+  toJSON() {
+    return {groups: Object.fromEntries(this.groups)};
+  }
+
+  /**
+   * Restore groups produced by toJSON.
+   * @param {object} registryData - Registry data.
+   */
+  restore(registryData) {
+    this.groups = new Map(Object.entries(registryData.groups || {}));
+  }
+
+  /**
+   * Get the local calendar days a leaderboard covers for a wearer.
+   * Dates are compared with the wearer's local days, so "2020-09-20" means
+   * the 20th wherever each wearer lives.
+   * @param {Wearer} wearer - The wearer.
+   * @param {object} options - Date range ({from, to} ISO 8601 dates, and/or days, the last N days up to "to" or today).
+   * @return {object} First and last day number ({firstDay, lastDay}), inclusive.
+   */
+  getDayRange(wearer, options) {
+    const lastDay = options.to !== undefined
+      ? TimeZone.parseDate(options.to)
+      : TimeZone.getDayNumber(Math.floor(Date.now() / 1000), wearer.timeZone);
+    let firstDay = -Infinity;
+    if (options.from !== undefined) {
+      firstDay = TimeZone.parseDate(options.from);
+    } else if (options.days !== undefined) {
+      if (!Number.isInteger(options.days) || options.days < 1) {
+        throw new ValidationError('days must be a positive integer', 'days');
+      }
+      firstDay = lastDay - options.days + 1;
+    }
+    return {firstDay, lastDay};
+  }
+
+  /**
+   * Get a wearer's value for a leaderboard metric.
+   * @param {Wearer} wearer - The wearer.
+   * @param {string} metric - The string "steps", "workouts" or "caloriesPerWorkout".
+   * @param {object} options - Leaderboard options ({from, to, days, workoutType}).
+   * @return {number} Value, or null if the wearer has nothing to rank.
+   */
+  getMetricValue(wearer, metric, options) {
+    const {firstDay, lastDay} = this.getDayRange(wearer, options);
+    const isInRange = daysSinceUnixEpoch => daysSinceUnixEpoch >= firstDay && daysSinceUnixEpoch <= lastDay;
+
+    if (metric === 'steps') {
+      return wearer.getDataSummary('steps')
+        .filter(data => isInRange(data.daysSinceUnixEpoch))
+        .reduce((acc, data) => acc + data.steps, 0);
+    }
+
+    const workoutType = options.workoutType !== undefined
+      ? wearer.workoutTypes.resolve(options.workoutType) || options.workoutType
+      : null;
+    const workouts = wearer.workoutData.rawData.filter(workout => {
+      return (!workoutType || workout.workoutType === workoutType)
+        && isInRange(TimeZone.getDayNumber(workout.startTime, wearer.timeZone));
+    });
+    if (metric === 'workouts') {
+      return workouts.length;
+    }
+    // caloriesPerWorkout
+    if (!workouts.length) {
+      return null;
+    }
+    return workouts.reduce((acc, workout) => acc + workout.caloriesBurned, 0) / workouts.length;
+  }
+
+  /**
+   * Get a leaderboard.
+   * Wearers with the same value share a rank and the next rank is skipped
+   * (Ex: 1, 2, 2, 4). Wearers with no workouts to average are left out of
+   * "caloriesPerWorkout" leaderboards.
+   * @param {string} metric - The string "steps" (total steps), "workouts" (number of workouts) or "caloriesPerWorkout" (average calories burned per workout).
+   * @param {object} options - Leaderboard options ({groupId, from, to, days, workoutType}); without a groupId every wearer is ranked.
+   * @return {array} Entries ({rank, wearerId, value}), best first.
+   */
+  getLeaderboard(metric, options = {}) {
+    if (!['steps', 'workouts', 'caloriesPerWorkout'].includes(metric)) {
+      throw new ValidationError('Leaderboard metric must be "steps", "workouts" or "caloriesPerWorkout"', 'metric');
+    }
+    Validator.validate(options, {
+      groupId: {type: 'id'},
+      from: {type: 'string'},
+      to: {type: 'string'},
+      days: {type: 'positiveInteger'},
+      workoutType: {type: 'string'}
+    }, 'options');
+    const wearerIds = options.groupId !== undefined ? this.getGroup(options.groupId).wearerIds : this.listWearers();
+    const entries = wearerIds
+      .map(wearerId => ({wearerId: wearerId, value: this.getMetricValue(this.getWearer(wearerId), metric, options)}))
+      .filter(entry => entry.value !== null)
+      // ties are listed by wearer id
+      .sort((a, b) => b.value - a.value || (a.wearerId < b.wearerId ? -1 : a.wearerId > b.wearerId ? 1 : 0));
+
+    let rank = 0;
+    return entries.map((entry, index) => {
+      if (index === 0 || entries[index - 1].value !== entry.value) {
+        rank = index + 1;
+      }
+      return {rank: rank, wearerId: entry.wearerId, value: entry.value};
+    });
+  }
+}
+
+/**
+ * Class representing an error response from the API.
+ */
+class ApiError extends Error {
+  /**
+   * Create an API error.
+   * @param {number} status - HTTP status code.
+   * @param {string} code - Machine readable error code (Ex: "workout_in_progress").
+   * @param {string} message - Human readable message.
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Class representing a local HTTP REST API over wearers and their workouts.
+ * Requests and responses are JSON; errors look like {error: {code, message}}.
+ * Wearers are saved after every change, including to the workout in progress.
+ */
+class ApiServer {
+  /**
+   * Create an API server.
+   * @param {object} options - Server options ({storage, registry, maxBodyBytes}).
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new WearerRegistry({storage: options.storage});
+    // larger request bodies are rejected without being parsed
+    this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+    this.server = null;
+  }
+
+  /**
+   * Get a wearer by id, loading it from storage if needed.
+   * @param {string} wearerId - Id of the wearer.
+   * @return {Wearer} The wearer.
+   */
+  getWearer(wearerId) {
+    if (!this.registry.hasWearer(wearerId)) {
+      throw new ApiError(404, 'wearer_not_found', `There is no wearer with id ${wearerId}`);
+    }
+    return this.registry.getWearer(wearerId);
+  }
+
+  /**
+   * Create a wearer.
+   * @param {object} body - Wearer options ({id, timeZone, profile}).
+   * @return {object} Response.
+   */
+  createWearer(body) {
+    const id = body.id !== undefined ? String(body.id) : crypto.randomUUID();
+    if (this.registry.hasWearer(id)) {
+      throw new ApiError(409, 'wearer_exists', `There is already a wearer with id ${id}`);
+    }
+    let wearer;
+    try {
+      wearer = this.registry.createWearer(id, {timeZone: body.timeZone, profile: body.profile});
+    } catch (e) {
+      if (!(e instanceof FitnessWatchError)) {
+        throw e;
+      }
+      // unknown time zone or incomplete profile
+      throw new ApiError(400, 'invalid_wearer', e.message);
+    }
+    return {status: 201, body: {id: id, timeZone: wearer.timeZone, profile: wearer.profile}};
+  }
+
+  /**
+   * Start a workout.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} body - Watch data ({workoutType, startTime}) and workout options ({autoPauseSeconds, autoLap}).
+   * @return {object} Response.
+   */
+  startWorkout(wearerId, body) {
+    const wearer = this.getWearer(wearerId);
+    const {autoPauseSeconds, autoLap} = body;
+    wearer.startWorkout({
+      workoutId: body.workoutId,
+      workoutType: body.workoutType,
+      startTime: body.startTime || Math.floor(Date.now() / 1000)
+    }, {autoPauseSeconds, autoLap});
+    wearer.save();
+    const workout = wearer.workoutInstance;
+    return {status: 201, body: {workoutType: workout.workoutType, startTime: workout.startTime}};
+  }
+
+  /**
+   * Add samples to the workout in progress.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {object} body - A sample or {samples: [...]}; each sample has a type of "steps", "caloriesBurned", "heartRate" or "location".
+   * @return {object} Response.
+   */
+  addSamples(wearerId, body) {
+    const wearer = this.getWearer(wearerId);
+    // heart rate is stored without a workout, so check for one before recording any of the batch
+    wearer.requireWorkout();
+    const samples = Array.isArray(body.samples) ? body.samples : [body];
+    const recorders = {
+      steps: sample => wearer.addSteps(sample),
+      caloriesBurned: sample => wearer.addCaloriesBurned(sample),
+      heartRate: sample => wearer.storeHeartRateData(sample),
+      location: sample => wearer.addLocation(sample)
+    };
+    const unknownSample = samples.find(sample => !sample || !recorders[sample.type]);
+    if (unknownSample) {
+      throw new ApiError(400, 'invalid_sample', 'Sample type must be "steps", "caloriesBurned", "heartRate" or "location"');
+    }
+    // check the whole batch first, so a rejected batch records nothing and can be retried
+    const sampleSchemas = Wearer.getSampleSchemas();
+    const batch = samples.map(sample => {
+      const sampleData = Object.assign({}, sample);
+      delete sampleData.type;
+      return {type: sample.type, data: Validator.validate(sampleData, sampleSchemas[sample.type], sample.type)};
+    });
+    batch.forEach(sample => recorders[sample.type](sample.data));
+    wearer.save();
+    return {status: 202, body: {accepted: samples.length}};
+  }
+
+  /**
+   * Pause, resume, mark a lap in or end the workout in progress.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {string} action - The string "pause", "resume", "laps" or "end".
+   * @param {object} body - Watch data for the action.
+   * @return {object} Response.
+   */
+  updateWorkout(wearerId, action, body) {
+    const wearer = this.getWearer(wearerId);
+    const now = Math.floor(Date.now() / 1000);
+    if (action === 'pause') {
+      wearer.pauseWorkout({pauseTime: body.pauseTime || now});
+    } else if (action === 'resume') {
+      wearer.resumeWorkout({resumeTime: body.resumeTime || now});
+    } else if (action === 'laps') {
+      wearer.markLap({lapTime: body.lapTime || now});
+    } else {
+      const workoutId = body.workoutId !== undefined ? body.workoutId : wearer.getNextWorkoutId();
+      const summary = wearer.endWorkout({workoutId: workoutId, endTime: body.endTime || now});
+      wearer.save();
+      return {status: 200, body: summary};
+    }
+    wearer.save();
+    const workout = wearer.workoutInstance;
+    return {status: 200, body: {isPaused: workout.isPaused, laps: workout.laps.length + 1}};
+  }
+
+  /**
+   * Get N day step stats.
+   * @param {string} wearerId - Id of the wearer.
+   * @param {URLSearchParams} query - Query with days, the N day period.
+   * @return {object} Response.
+   */
+  getStepsStats(wearerId, query) {
+    const wearer = this.getWearer(wearerId);
+    const days = Number(query.get('days'));
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ApiError(400, 'invalid_days', 'days must be a positive integer');
+    }
+    return {
+      status: 200,
+      body: {
+        days: days,
+        min: wearer.getMinMaxSteps(days, 'min'),
+        max: wearer.getMinMaxSteps(days, 'max'),
+        average: wearer.getAverageNumberOfSteps(days)
+      }
+    };
+  }
+
+  /**
+   * Get the HTTP status for an error thrown by a wearer or workout.
+   * @param {FitnessWatchError} error - The error.
+   * @return {number} 400 for bad input, 404 for unknown ids and 409 for anything the current state doesn't allow.
+   */
+  static getErrorStatus(error) {
+    if (error instanceof ValidationError) {
+      return 400;
+    } else if (error instanceof NotFoundError) {
+      return 404;
+    }
+    return 409;
+  }
+
+  /**
+   * Route a request.
+   * @param {string} method - HTTP method.
+   * @param {string} url - Request path and query.
+   * @param {object} body - Parsed JSON body.
+   * @return {object} Response ({status, body}).
+   */
+  route(method, url, body = {}) {
+    try {
+      const {pathname, searchParams} = new URL(url, 'http://localhost');
+      const parts = pathname.split('/').filter(part => part).map(part => {
+        try {
+          return decodeURIComponent(part);
+        } catch (e) {
+          throw new ApiError(400, 'invalid_path', `Invalid path: ${pathname}`);
+        }
+      });
+      const [collection, wearerId, resource, item, action] = parts;
+      if (collection !== 'wearers') {
+        throw new ApiError(404, 'not_found', `No route for ${method} ${pathname}`);
+      }
+
+      if (method === 'POST' && parts.length === 1) {
+        return this.createWearer(body);
+      } else if (method === 'GET' && parts.length === 2) {
+        return {status: 200, body: this.getWearer(wearerId).toJSON()};
+      } else if (method === 'POST' && resource === 'workouts' && item === 'start' && parts.length === 4) {
+        return this.startWorkout(wearerId, body);
+      } else if (method === 'POST' && resource === 'workouts' && item === 'current' && action === 'samples') {
+        return this.addSamples(wearerId, body);
+      } else if (method === 'POST' && resource === 'workouts' && item === 'current' && ['pause', 'resume', 'laps', 'end'].includes(action)) {
+        return this.updateWorkout(wearerId, action, body);
+      } else if (method === 'GET' && resource === 'summary' && parts.length === 4) {
+        if (!['steps', 'caloriesBurned', 'heartRate'].includes(item)) {
+          throw new ApiError(400, 'invalid_category', 'Category must be "steps", "caloriesBurned" or "heartRate"');
+        }
+        return {status: 200, body: this.getWearer(wearerId).getDataSummary(item)};
+      } else if (method === 'GET' && resource === 'stats' && item === 'steps' && parts.length === 4) {
+        return this.getStepsStats(wearerId, searchParams);
+      }
+      throw new ApiError(404, 'not_found', `No route for ${method} ${pathname}`);
+    } catch (e) {
+      if (e instanceof ApiError) {
+        return {status: e.status, body: {error: {code: e.code, message: e.message}}};
+      } else if (e instanceof FitnessWatchError) {
+        return {status: ApiServer.getErrorStatus(e), body: {error: {code: e.code, message: e.message}}};
+      }
+      return {status: 500, body: {error: {code: 'internal_error', message: e.message}}};
+    }
+  }
+
+  /**
+   * Handle an HTTP request.
+   * @param {http.IncomingMessage} request - HTTP request.
+   * @param {http.ServerResponse} response - HTTP response.
+   */
+  handleRequest(request, response) {
+    const chunks = [];
+    let bodyBytes = 0;
+    request.on('data', chunk => {
+      bodyBytes += chunk.length;
+      // keep reading a body that is too large, but don't hold on to it
+      if (bodyBytes <= this.maxBodyBytes) {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => {
+      let result;
+      if (bodyBytes > this.maxBodyBytes) {
+        result = {status: 413, body: {error: {code: 'body_too_large', message: `Request body must be at most ${this.maxBodyBytes} bytes`}}};
+      } else {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body = null;
+        try {
+          body = text ? JSON.parse(text) : {};
+        } catch (e) {
+          // handled below
+        }
+        result = body !== null && typeof body === 'object' && !Array.isArray(body)
+          ? this.route(request.method, request.url, body)
+          : {status: 400, body: {error: {code: 'invalid_json', message: 'Request body must be a JSON object'}}};
+      }
+      response.writeHead(result.status, {'Content-Type': 'application/json'});
+      response.end(JSON.stringify(result.body));
+    });
+  }
+
+  /**
+   * Start listening for requests.
+   * @param {number} port - Port to listen on.
+   * @param {function} callback - Called once the server is listening.
+   */
+  listen(port, callback) {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.listen(port, callback);
+  }
+
+  /**
+   * Stop listening for requests.
+   * @param {function} callback - Called once the server is closed.
+   */
+  close(callback) {
+    this.server.close(callback);
+  }
+}
+
+/**
+ * Class representing the fitness-watch command-line interface.
+ * Every command loads the wearer from a JSON file, applies the command and
+ * saves the wearer again, so a workout can be started and ended by separate runs.
+ */
+class Cli {
+  /**
+   * Create a command-line interface.
+   * @param {object} options - Output streams ({stdout, stderr}) with a write method.
+   */
+  constructor(options = {}) {
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+  }
+
+  /**
+   * Get the usage text.
+   * @return {string} Usage.
+   */
+  static getUsage() {
+    return [
+      'Usage: fitness-watch <command> [options]',
+      '',
+      'Commands:',
+      '  workout start --type <type> [--auto-pause <seconds>]',
+      '  workout pause | resume | lap',
+      '  workout end [--id <workoutId>]',
+      '  steps add <steps>',
+      '  calories add <calories>',
+      '  hr add <bpm>',
+      '  summary <steps|caloriesBurned|heartRate>',
+      '  stats steps --days <N> [--min] [--max] [--avg]',
+      '  stats hr --days <N>',
+      '  import <file>',
+      '  export --format <csv|json|gpx|tcx> [--id <workoutId>] [--out <path>]',
+      '',
+      'Options:',
+      '  --file <path>    Wearer data file (default: fitness-watch.json)',
+      '  --wearer <id>    Wearer id (default: default)',
+      '  --time <time>    UNIX timestamp or ISO 8601 time of the event (default: now)',
+      '  --json           Print JSON instead of tables'
+    ].join('\n');
+  }
+
+  /**
+   * Split arguments into positional arguments and options.
+   * @param {array} argv - Command-line arguments, without node and the script.
+   * @return {object} Positional arguments ({args}) and options ({options}).
+   */
+  static parseArgs(argv) {
+    const flags = ['json', 'min', 'max', 'avg', 'help'];
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg.startsWith('--')) {
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/);
+        if (inlineValue !== undefined) {
+          options[name] = inlineValue;
+        } else if (flags.includes(name)) {
+          options[name] = true;
+        } else {
+          if (i + 1 >= argv.length) {
+            throw new ValidationError(`Option --${name} needs a value`, name);
+          }
+          options[name] = argv[++i];
+        }
+      } else {
+        args.push(arg);
+      }
+    }
+    return {args, options};
+  }
+
+  /**
+   * Parse a time option.
+   * @param {string} value - UNIX timestamp or ISO 8601 time.
+   * @return {number} UNIX timestamp, or now if no value is given.
+   */
+  static parseTime(value) {
+    if (value === undefined) {
+      return Math.floor(Date.now() / 1000);
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`Invalid time: ${value}`, 'time');
+    }
+    return time;
+  }
+
+  /**
+   * Parse a number argument.
+   * @param {string} value - Argument value.
+   * @param {string} name - Argument name, for the error message.
+   * @return {number} Parsed number.
+   */
+  static parseNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined || value === '' || Number.isNaN(number)) {
+      throw new ValidationError(`${name} must be a number`, name);
+    }
+    return number;
+  }
+
+  /**
+   * Format rows as a table.
+   * @param {array} columns - Column names, also the row keys.
+   * @param {array} rows - Rows as objects.
+   * @return {string} Table with a header row.
+   */
+  static formatTable(columns, rows) {
+    const cells = [columns, ...rows.map(row => columns.map(column => {
+      const value = row[column];
+      return value === null || value === undefined ? '' : String(value);
+    }))];
+    const widths = columns.map((column, index) => cells.reduce((acc, row) => Math.max(acc, row[index].length), 0));
+    return cells
+      .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+      .join('\n');
+  }
+
+  /**
+   * Print a result as JSON or as a table.
+   * @param {object} options - Command options ({json}).
+   * @param {*} result - Result for --json.
+   * @param {array} columns - Table columns.
+   * @param {array} rows - Table rows.
+   */
+  print(options, result, columns, rows) {
+    if (options.json) {
+      this.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      this.stdout.write(`${Cli.formatTable(columns, rows)}\n`);
+    }
+  }
+
+  /**
+   * Print key/value pairs as JSON or as a two column table.
+   * @param {object} options - Command options ({json}).
+   * @param {object} result - Result to print.
+   */
+  printObject(options, result) {
+    const rows = Object.keys(result)
+      .filter(key => result[key] === null || typeof result[key] !== 'object')
+      .map(key => ({field: key, value: result[key]}));
+    this.print(options, result, ['field', 'value'], rows);
+  }
+
+  /**
+   * Run a workout command.
+   * @param {Wearer} wearer - The wearer.
+   * @param {array} args - Positional arguments after "workout".
+   * @param {object} options - Command options.
+   */
+  runWorkoutCommand(wearer, args, options) {
+    const time = Cli.parseTime(options.time);
+    const subcommand = args[0];
+    if (subcommand === 'start') {
+      if (!options.type) {
+        throw new ValidationError('workout start needs --type', 'type');
+      }
+      const workoutOptions = {};
+      if (options['auto-pause'] !== undefined) {
+        workoutOptions.autoPauseSeconds = Cli.parseNumber(options['auto-pause'], '--auto-pause');
+      }
+      wearer.startWorkout({workoutType: options.type, startTime: time}, workoutOptions);
+      const workout = wearer.workoutInstance;
+      this.printObject(options, {workoutType: workout.workoutType, startTime: workout.startTime});
+    } else if (subcommand === 'pause') {
+      wearer.pauseWorkout({pauseTime: time});
+      this.printObject(options, {isPaused: wearer.workoutInstance.isPaused});
+    } else if (subcommand === 'resume') {
+      wearer.resumeWorkout({resumeTime: time});
+      this.printObject(options, {isPaused: wearer.workoutInstance.isPaused});
+    } else if (subcommand === 'lap') {
+      wearer.markLap({lapTime: time});
+      this.printObject(options, {lapNumber: wearer.workoutInstance.currentLap.lapNumber});
+    } else if (subcommand === 'end') {
+      const workoutId = options.id !== undefined ? Cli.parseNumber(options.id, '--id') : wearer.getNextWorkoutId();
+      const summary = wearer.endWorkout({workoutId: workoutId, endTime: time});
+      this.printObject(options, summary);
+    } else {
+      throw new ValidationError(`Unknown workout command: ${subcommand}`, 'command');
+    }
+  }
+
+  /**
+   * Run a stats command.
+   * @param {Wearer} wearer - The wearer.
+   * @param {array} args - Positional arguments after "stats".
+   * @param {object} options - Command options.
+   */
+  runStatsCommand(wearer, args, options) {
+    const days = Cli.parseNumber(options.days, '--days');
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ValidationError('--days must be a positive integer', 'days');
+    }
+    if (args[0] === 'steps') {
+      const showAll = !options.min && !options.max && !options.avg;
+      const result = {days: days};
+      if (showAll || options.min) {
+        result.min = wearer.getMinMaxSteps(days, 'min');
+      }
+      if (showAll || options.max) {
+        result.max = wearer.getMinMaxSteps(days, 'max');
+      }
+      if (showAll || options.avg) {
+        result.average = wearer.getAverageNumberOfSteps(days);
+      }
+      this.printObject(options, result);
+    } else if (args[0] === 'hr') {
+      this.printObject(options, {days: days, averageRestingHeartRate: wearer.getAverageRestingHeartRate(days)});
+    } else {
+      throw new ValidationError(`Unknown stats command: ${args[0]}`, 'command');
+    }
+  }
+
+  /**
+   * Run an export command.
+   * @param {Wearer} wearer - The wearer.
+   * @param {object} options - Command options.
+   */
+  runExportCommand(wearer, options) {
+    const format = options.format;
+    if (format === 'csv') {
+      const directory = options.out || '.';
+      fs.mkdirSync(directory, {recursive: true});
+      const filePaths = HistoryExporter.writeCsvFiles(wearer.toJSON(), directory);
+      this.print(options, filePaths, ['file'], filePaths.map(filePath => ({file: filePath})));
+      return;
+    }
+    let content;
+    if (format === 'json') {
+      content = wearer.exportHistory('json');
+    } else if (format === 'gpx' || format === 'tcx') {
+      if (options.id === undefined) {
+        throw new ValidationError('--id is required', 'id');
+      }
+      // ids from the command line are numbers, but the API and imports can store any string
+      const workout = wearer.workoutData.rawData.find(workoutRecord => String(workoutRecord.workoutId) === options.id);
+      content = wearer.exportWorkout(workout ? workout.workoutId : options.id, format);
+    } else {
+      throw new ValidationError('--format must be csv, json, gpx or tcx', 'format');
+    }
+    if (options.out) {
+      fs.writeFileSync(options.out, content);
+      this.stdout.write(`${options.out}\n`);
+    } else {
+      this.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+    }
+  }
+
+  /**
+   * Run a command.
+   * @param {array} argv - Command-line arguments, without node and the script.
+   * @return {number} Exit code.
+   */
+  run(argv) {
+    try {
+      const {args, options} = Cli.parseArgs(argv);
+      const [command, ...rest] = args;
+      if (!command || command === 'help' || options.help) {
+        this.stdout.write(`${Cli.getUsage()}\n`);
+        return 0;
+      }
+
+      const filePath = path.resolve(options.file || process.env.FITNESS_WATCH_FILE || 'fitness-watch.json');
+      const wearer = Wearer.load(options.wearer || 'default', new JsonFileStorage(filePath));
+      const time = Cli.parseTime(options.time);
+
+      if (command === 'workout') {
+        this.runWorkoutCommand(wearer, rest, options);
+      } else if (['steps', 'calories', 'hr'].includes(command) && rest[0] === 'add') {
+        const value = Cli.parseNumber(rest[1], command);
+        if (command === 'hr') {
+          wearer.storeHeartRateData({heartRate: value, timeWhenMeasured: time});
+        } else if (!wearer.workoutInstance) {
+          // outside a workout it is all-day data for the 2 minutes up to the time
+          const dataCategory = command === 'steps' ? 'steps' : 'caloriesBurned';
+          wearer.storeBackgroundData({startTime: time - 120, endTime: time, [dataCategory]: value});
+        } else if (command === 'steps') {
+          wearer.addSteps({additionalSteps: value, timeWhenMeasured: time});
+        } else {
+          wearer.addCaloriesBurned({additionalCaloriesBurned: value, timeWhenMeasured: time});
+        }
+        this.printObject(options, {[command]: value, timeWhenMeasured: time});
+      } else if (command === 'summary') {
+        const category = rest[0];
+        if (category === 'steps' || category === 'caloriesBurned') {
+          const summary = wearer.getDataSummary(category);
+          this.print(options, summary, ['daysSinceUnixEpoch', category], summary);
+        } else if (category === 'heartRate') {
+          const {resting, active} = wearer.getDataSummary('heartRate').rawData;
+          const rows = resting.map(data => Object.assign({state: 'resting'}, data))
+            .concat(active.map(data => Object.assign({state: 'active'}, data)))
+            .sort((a, b) => a.timeWhenMeasured - b.timeWhenMeasured);
+          this.print(options, {resting, active}, ['timeWhenMeasured', 'state', 'heartRate'], rows);
+        } else {
+          throw new ValidationError('summary needs steps, caloriesBurned or heartRate', 'category');
+        }
+      } else if (command === 'stats') {
+        this.runStatsCommand(wearer, rest, options);
+      } else if (command === 'import') {
+        if (!rest[0]) {
+          throw new ValidationError('import needs a file', 'file');
+        }
+        const result = wearer.importFile(rest[0]);
+        this.printObject(options, {imported: result.imported.length, skipped: result.skipped.length});
+      } else if (command === 'export') {
+        this.runExportCommand(wearer, options);
+      } else {
+        throw new ValidationError(`Unknown command: ${command}\n\n${Cli.getUsage()}`, 'command');
+      }
+      if (!['summary', 'stats', 'export'].includes(command)) {
+        wearer.save();
+      }
+      return 0;
+    } catch (e) {
+      this.stderr.write(`fitness-watch: ${e.message}\n`);
+      return 1;
+    }
+  }
+}
+
+/**
+ * Class to simulate watch data and run tests.
+ */
+class TestRunner {
+  constructor() {
+    this.totalTests = 0;
+    this.numberOfTestsPassed = 0;
+  }
+
+  /**
+   * Run tests.
+   * @param {array} tests - List of tests to run.
+   */
+  runTests(tests) {
+    tests.forEach(test => {
+      this.totalTests++;
+      const testPassed = test.actual === test.expected;
+      console.log('Title:', test.title);
+      console.log('Actual:', test.actual);
+      console.log('Expected:', test.expected);
+      console.log('Success:', testPassed);
+      console.log();
+      if (testPassed) {
+        this.numberOfTestsPassed++;
+      }
+    });
+  }
+
+  /**
+   * Test single walk workout.
+   * @param {Wearer} wearer - Instance of the Wearer class.
+   */
+  testSingleWalkWorkout(wearer) {
+    const simulatedWatchData = {
+      // 20 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600565100,
+      caloriesBurnedData: [12, 14, 16, 18, 14, 16, 12, 16, 18, 16],
+      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+    };
+
+    wearer = wearer || new Wearer();
+    wearer.startWorkout(simulatedWatchData);
+    const workoutSummary = wearer.endWorkout();
+    console.log('workout summary:', workoutSummary);
+    console.log();
+
+    const tests = [
+      {
+        title: 'workout type',
+        actual: workoutSummary.workoutType,
+        expected: simulatedWatchData.workoutType
+      },
+      {
+        title: 'total calories burned',
+        actual: workoutSummary.caloriesBurned,
+        expected: simulatedWatchData.caloriesBurnedData.reduce((acc, cur) => acc + cur)
+      },
+      {
+        title: 'total steps',
+        actual: workoutSummary.steps,
+        expected: simulatedWatchData.stepsData.reduce((acc, cur) => acc + cur)
+      }
+    ];
+
+    this.runTests(tests);
+  }
+
+  /**
+   * Test steps stats.
+   */
+  testStepsStats() {
+    let simulatedWatchData = {
+      // 20 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600565100,
+      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+    };
+    const wearer = new Wearer();
+    wearer.startWorkout(simulatedWatchData);
+    const workoutSummary1 = wearer.endWorkout();
+
+    simulatedWatchData = {
+      // 10 minute walk, same day
+      workoutId: 2,
+      workoutType: 'walk',
+      startTime: 1600565160,
+      endTime: 1600565760,
+      stepsData: [200, 210, 220, 260, 270]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    const workoutSummary2 = wearer.endWorkout();
+
+    let stepData = wearer.getDataSummary('steps');
+    let lastSummaryDataPoint = stepData[stepData.length - 1];
+    console.log('summary data point', lastSummaryDataPoint);
+    console.log();
+
+    let tests = [
+      {
+        title: 'add new step data on same day',
+        actual: lastSummaryDataPoint.steps,
+        expected: workoutSummary1.steps + workoutSummary2.steps
+      }
+    ];
+    this.runTests(tests);
+
+    simulatedWatchData = {
+      // 20 minute walk, next day
+      workoutId: 3,
+      workoutType: 'walk',
+      startTime: 1600651560,
+      endTime: 1600652760,
+      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+
+    tests = [
+      {
+        title: 'Summary data points should be aggregated if added same day',
+        actual: stepData.length,
+        expected: 2
+      }
+    ];
+    this.runTests(tests);
+
+    simulatedWatchData = {
+      // 10 minute walk, 2 days later
+      workoutId: 4,
+      workoutType: 'walk',
+      startTime: 1600824360,
+      endTime: 1600824960,
+      stepsData: [150, 160, 170, 155, 165]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+
+    simulatedWatchData = {
+      // 10 minute walk, next day
+      workoutId: 5,
+      workoutType: 'walk',
+      startTime: 1600910760,
+      endTime: 1600911360,
+      stepsData: [150, 160, 170, 155, 165]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+
+    stepData = wearer.getDataSummary('steps');
+    console.log('Summary step data', stepData);
+    console.log();
+
+    tests = [
+      {
+        title: 'Minimum steps over 2 day period, counting days without data as zero',
+        actual: wearer.getMinMaxSteps(2, 'min'),
+        expected: 800
+      },
+      {
+        title: 'Maximum steps over 2 day period',
+        actual: wearer.getMinMaxSteps(2, 'max'),
+        expected: 5808
+      },
+      {
+        title: 'Minimum steps over 5 day period',
+        actual: wearer.getMinMaxSteps(5, 'min'),
+        expected: 7408
+      },
+      {
+        title: 'Maximum steps over 5 day period',
+        actual: wearer.getMinMaxSteps(5, 'max'),
+        expected: 7408
+      },
+      {
+        title: 'Average number of steps over 2 day period, counting days without data as zero',
+        actual: wearer.getAverageNumberOfSteps(2),
+        expected: 2633
+      },
+      {
+        title: 'Average number of steps over 5 day period',
+        actual: wearer.getAverageNumberOfSteps(5),
+        expected: 7408
+      },
+      {
+        title: 'Minimum steps over 2 day period, skipping periods with days without data',
+        actual: wearer.getMinMaxSteps(2, 'min', {skipMissingDays: true}),
+        expected: 1600
+      },
+      {
+        title: 'Average number of steps over 2 day period, skipping periods with days without data',
+        actual: wearer.getAverageNumberOfSteps(2, {skipMissingDays: true}),
+        expected: 3704
+      },
+      {
+        title: 'Median, sum and standard deviation of steps over 2 day period',
+        actual: ['median', 'sum', 'stddev'].map(statistic => Math.round(wearer.getRollingStatistic('steps', 2, statistic))).join(','),
+        expected: '1962,10532,1911'
+      },
+      {
+        title: 'Periods longer than the data have no stats',
+        actual: wearer.getMinMaxSteps(6, 'max'),
+        expected: null
+      },
+      {
+        title: 'Periods without a complete period of workouts have no calories per workout',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(6, 'walk'),
+        expected: null
+      },
+      {
+        title: 'A wearer without steps has no stats',
+        actual: `${new Wearer().getMinMaxSteps(2, 'min')}/${new Wearer().getAverageNumberOfSteps(2)}`,
+        expected: '0/0'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test heart rate stats.
+   */
+  testHeartRateStats() {
+    let simulatedData = {
+      heartRateData: {
+        // 10 rest period
+        startTime: 1600565160,
+        heartRate: [70, 75, 70, 72, 73, 71, 77, 79, 78, 76]
+      }
+    }
+    const wearer = new Wearer(simulatedData);
+    const heartRateData = wearer.getDataSummary('heartRate');
+    console.log('Heart rate data', JSON.stringify(heartRateData, null, 2));
+    console.log();
+
+    let tests = [
+      {
+        title: 'Simulated resting heart rate data should be available',
+        actual: heartRateData.rawData.resting.length,
+        expected: 10
+      },
+      {
+        title: 'Average heart rate over 1 day period',
+        actual: wearer.getAverageRestingHeartRate(1),
+        expected: simulatedData.heartRateData.heartRate.reduce((acc, cur) => acc + cur) / simulatedData.heartRateData.heartRate.length
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test calories stats.
+   */
+  testCaloriesStats() {
+    const dataCategory = 'caloriesBurned';
+
+    let simulatedWatchData = {
+      // 20 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600565100,
+      caloriesBurnedData: [12, 14, 16, 18, 14, 16, 12, 16, 18, 16],
+      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+    };
+    const wearer = new Wearer();
+    wearer.startWorkout(simulatedWatchData);
+    const workoutSummary1 = wearer.endWorkout();
+
+    simulatedWatchData = {
+      // 10 minute walk, same day
+      workoutId: 2,
+      workoutType: 'walk',
+      startTime: 1600565160,
+      endTime: 1600565760,
+      caloriesBurnedData: [11, 13, 15, 17, 13],
+      stepsData: [200, 210, 220, 260, 270]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+
+    simulatedWatchData = {
+      // 10 minute walk, 2 days later
+      workoutId: 3,
+      workoutType: 'walk',
+      startTime: 1600824360,
+      endTime: 1600824960,
+      caloriesBurnedData: [12, 14, 16, 18, 14],
+      stepsData: [150, 160, 170, 155, 165]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+
+    simulatedWatchData = {
+      // 10 minute walk, next day
+      workoutId: 4,
+      workoutType: 'walk',
+      startTime: 1600910760,
+      endTime: 1600911360,
+      caloriesBurnedData: [12, 14, 16, 18, 14],
+      stepsData: [150, 160, 170, 155, 165]
+    };
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+
+    const dataSummary = wearer.getDataSummary(dataCategory);
+    console.log('Summary data', dataSummary);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Average calories burned per walk workout over 5 day period',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(5, 'walk'),
+        expected: 92.25
+      },
+      {
+        title: 'Average calories burned per walk workout over 1 day period',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(1, 'walk'),
+        expected: (110.5 + 74 + 74) / 3
+      },
+      {
+        title: 'No workouts of the type have no average',
+        actual: wearer.getAverageCaloriesBurnedPerWorkout(5, 'run'),
+        expected: 0
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test streaming samples into a workout.
+   */
+  testLiveSampleStreaming() {
+    const simulatedWatchData = {
+      // 6 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600565460,
+      caloriesBurnedData: [12, 14, 16],
+      stepsData: [200, 210, 220],
+      heartRateData: {heartRate: [95, 101, 104]}
+    };
+    const simulatedWearer = new Wearer();
+    simulatedWearer.startWorkout(simulatedWatchData);
+    const simulatedSummary = simulatedWearer.endWorkout();
+
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'walk', startTime: 1600565100});
+    [95, 101, 104].forEach((heartRate, index) => {
+      wearer.storeHeartRateData({timeWhenMeasured: 1600565100 + index * 60, heartRate: heartRate});
+    });
+    [200, 210, 220].forEach((steps, index) => {
+      wearer.addSteps({additionalSteps: steps, timeWhenMeasured: 1600565100 + (index + 1) * 120});
+    });
+    [12, 14, 16].forEach((calories, index) => {
+      wearer.addCaloriesBurned({additionalCaloriesBurned: calories, timeWhenMeasured: 1600565100 + (index + 1) * 120});
+    });
+    const workoutSummary = wearer.endWorkout({workoutId: 1, endTime: 1600565460});
+    const workoutRecord = wearer.workoutData.rawData[0];
+    const backgroundWearer = new Wearer({
+      startTime: 1600565100,
+      caloriesBurnedData: [12, 14, 16],
+      stepsData: [200, 210, 220]
+    });
+    console.log('workout samples:', JSON.stringify(workoutRecord.samples));
+    console.log();
+
+    const tests = [
+      {
+        title: 'Streamed samples produce the same summary as simulated data',
+        actual: JSON.stringify(workoutSummary),
+        expected: JSON.stringify(simulatedSummary)
+      },
+      {
+        title: 'Streamed samples are stored with the completed workout',
+        actual: JSON.stringify(workoutRecord.samples),
+        expected: JSON.stringify(simulatedWearer.workoutData.rawData[0].samples)
+      },
+      {
+        title: 'Step sample timestamps are retained',
+        actual: workoutRecord.samples.steps[2].timeWhenMeasured,
+        expected: 1600565460
+      },
+      {
+        title: 'Heart rate during a workout is stored as active heart rate',
+        actual: wearer.getDataSummary('heartRate').rawData.active.length,
+        expected: 3
+      },
+      {
+        title: 'Simulated steps and calories without a workout are stored as background data',
+        actual: `${backgroundWearer.backgroundData.rawData.length}/${backgroundWearer.getDataSummary('steps')[0].steps}/${backgroundWearer.getDataSummary('caloriesBurned')[0].caloriesBurned}`,
+        expected: '3/630/42'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test pausing and resuming a workout.
+   */
+  testPauseAndResume() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'run', startTime: startTime});
+    wearer.addSteps({additionalSteps: 300, timeWhenMeasured: startTime + 120});
+    wearer.pauseWorkout({pauseTime: startTime + 180});
+    wearer.addSteps({additionalSteps: 20, timeWhenMeasured: startTime + 240});
+    wearer.addCaloriesBurned({additionalCaloriesBurned: 2, timeWhenMeasured: startTime + 240});
+    wearer.resumeWorkout({resumeTime: startTime + 300});
+    wearer.addSteps({additionalSteps: 310, timeWhenMeasured: startTime + 420});
+    wearer.addCaloriesBurned({additionalCaloriesBurned: 25, timeWhenMeasured: startTime + 420});
+    let workoutSummary = wearer.endWorkout({workoutId: 1, endTime: startTime + 480});
+    console.log('workout summary:', workoutSummary);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Steps while paused are tracked separately',
+        actual: `${workoutSummary.steps}/${workoutSummary.pausedSteps}`,
+        expected: '610/20'
+      },
+      {
+        title: 'Calories burned while paused are tracked separately',
+        actual: `${workoutSummary.caloriesBurned}/${workoutSummary.pausedCaloriesBurned}`,
+        expected: '25/2'
+      },
+      {
+        title: 'Elapsed time includes pauses',
+        actual: workoutSummary.elapsedTime,
+        expected: 480
+      },
+      {
+        title: 'Moving time excludes pauses',
+        actual: workoutSummary.movingTime,
+        expected: 360
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.startWorkout({workoutType: 'run', startTime: startTime}, {autoPauseSeconds: 180});
+    wearer.addSteps({additionalSteps: 300, timeWhenMeasured: startTime + 120});
+    wearer.addSteps({additionalSteps: 0, timeWhenMeasured: startTime + 240});
+    wearer.addSteps({additionalSteps: 0, timeWhenMeasured: startTime + 360});
+    wearer.addSteps({additionalSteps: 280, timeWhenMeasured: startTime + 480});
+    workoutSummary = wearer.endWorkout({workoutId: 2, endTime: startTime + 600});
+    console.log('workout summary:', workoutSummary);
+    console.log();
+
+    tests = [
+      {
+        title: 'Auto-pause starts when no steps arrive within the window',
+        actual: workoutSummary.pauses[0].startTime,
+        expected: startTime + 300
+      },
+      {
+        title: 'Auto-pause ends when steps arrive again',
+        actual: workoutSummary.pauses[0].endTime,
+        expected: startTime + 480
+      },
+      {
+        title: 'Moving time excludes auto-pauses',
+        actual: workoutSummary.movingTime,
+        expected: 420
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test laps and splits.
+   */
+  testLaps() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'run', startTime: startTime});
+    wearer.storeHeartRateData({timeWhenMeasured: startTime + 60, heartRate: 120});
+    wearer.addSteps({additionalSteps: 300, timeWhenMeasured: startTime + 120});
+    wearer.storeHeartRateData({timeWhenMeasured: startTime + 120, heartRate: 140});
+    wearer.markLap({lapTime: startTime + 150});
+    wearer.addSteps({additionalSteps: 320, timeWhenMeasured: startTime + 240});
+    wearer.addCaloriesBurned({additionalCaloriesBurned: 30, timeWhenMeasured: startTime + 240});
+    wearer.storeHeartRateData({timeWhenMeasured: startTime + 240, heartRate: 150});
+    let workoutSummary = wearer.endWorkout({workoutId: 1, endTime: startTime + 300});
+    console.log('laps:', workoutSummary.laps);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Marking a lap closes the current segment',
+        actual: workoutSummary.laps.length,
+        expected: 2
+      },
+      {
+        title: 'Lap carries its own start and end time',
+        actual: `${workoutSummary.laps[1].startTime}-${workoutSummary.laps[1].endTime}`,
+        expected: `${startTime + 150}-${startTime + 300}`
+      },
+      {
+        title: 'Lap carries its own steps and calories',
+        actual: `${workoutSummary.laps[1].steps}/${workoutSummary.laps[1].caloriesBurned}`,
+        expected: '320/30'
+      },
+      {
+        title: 'Lap carries its own heart rate stats',
+        actual: `${workoutSummary.laps[0].averageHeartRate}/${workoutSummary.laps[0].peakHeartRate}`,
+        expected: '130/140'
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.startWorkout({workoutType: 'run', startTime: startTime}, {autoLap: {minutes: 4}});
+    [300, 310, 290, 305, 295].forEach((steps, index) => {
+      wearer.addSteps({additionalSteps: steps, timeWhenMeasured: startTime + (index + 1) * 120});
+    });
+    workoutSummary = wearer.endWorkout({workoutId: 2, endTime: startTime + 600});
+
+    tests = [
+      {
+        title: 'Automatic splits every N minutes',
+        actual: workoutSummary.laps.map(lap => lap.steps).join(','),
+        expected: '610,595,295'
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.startWorkout({workoutType: 'run', startTime: startTime}, {autoLap: {steps: 500}});
+    [300, 310, 290, 305, 295].forEach((steps, index) => {
+      wearer.addSteps({additionalSteps: steps, timeWhenMeasured: startTime + (index + 1) * 120});
+    });
+    workoutSummary = wearer.endWorkout({workoutId: 3, endTime: startTime + 600});
+
+    tests = [
+      {
+        title: 'Automatic splits every N steps',
+        actual: workoutSummary.laps.map(lap => lap.steps).join(','),
+        expected: '610,595,295'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test saving and loading wearers.
+   */
+  testStorage() {
+    const simulatedWatchData = {
+      // 20 minute walk
+      workoutId: 1,
+      workoutType: 'walk',
+      startTime: 1600565100,
+      endTime: 1600566300,
+      caloriesBurnedData: [12, 14, 16, 18, 14, 16, 12, 16, 18, 16],
+      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+    };
+    const nextDayWatchData = Object.assign({}, simulatedWatchData, {
+      workoutId: 2,
+      startTime: 1600651560,
+      endTime: 1600652760
+    });
+
+    const memoryStorage = new MemoryStorage();
+    const wearer = new Wearer(null, {id: 'wearer-1', storage: memoryStorage});
+    wearer.startWorkout(simulatedWatchData);
+    wearer.endWorkout();
+    wearer.save();
+    const reloadedWearer = Wearer.load('wearer-1', memoryStorage);
+
+    const filePath = path.join(os.tmpdir(), `fitness-watch-test-${process.pid}.json`);
+    const fileStorage = new JsonFileStorage(filePath);
+    wearer.storage = fileStorage;
+    wearer.save();
+    // a later session appends to the saved data
+    const nextSessionWearer = Wearer.load('wearer-1', new JsonFileStorage(filePath));
+    nextSessionWearer.startWorkout(nextDayWatchData);
+    nextSessionWearer.endWorkout();
+    nextSessionWearer.save();
+    const savedWearerIds = fileStorage.list();
+    const appendedWearer = Wearer.load('wearer-1', fileStorage);
+    const fileStorageConstructor = fileStorage.load('constructor');
+    fs.unlinkSync(filePath);
+
+    const tests = [
+      {
+        title: 'Wearer reloaded from memory storage has the same data',
+        actual: JSON.stringify(reloadedWearer),
+        expected: JSON.stringify(wearer)
+      },
+      {
+        title: 'Wearer ids are listed from JSON file storage',
+        actual: savedWearerIds.join(','),
+        expected: 'wearer-1'
+      },
+      {
+        title: 'Wearer reloaded from a JSON file can be appended to',
+        actual: appendedWearer.getDataSummary('steps').length,
+        expected: 2
+      },
+      {
+        title: 'Loading an unknown wearer returns an empty wearer',
+        actual: Wearer.load('wearer-2', memoryStorage).workoutData.rawData.length,
+        expected: 0
+      },
+      {
+        title: 'Memory storage has nothing saved for an Object.prototype name',
+        actual: memoryStorage.load('constructor'),
+        expected: null
+      },
+      {
+        title: 'JSON file storage has nothing saved for an Object.prototype name',
+        actual: fileStorageConstructor,
+        expected: null
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test bucketing by local calendar day.
+   */
+  testTimeZones() {
+    const timeZone = 'America/Los_Angeles';
+    const wearer = new Wearer(null, {timeZone: timeZone});
+    // 6pm walk on Sep 19 in California, which is already Sep 20 in UTC
+    wearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600563600, endTime: 1600564200, stepsData: [500]});
+    wearer.endWorkout();
+    // 8am walk on Sep 20 in California
+    wearer.startWorkout({workoutId: 2, workoutType: 'walk', startTime: 1600614000, endTime: 1600614600, stepsData: [700]});
+    wearer.endWorkout();
+    wearer.setTimeZone('Asia/Tokyo');
+    // 8am walk on Sep 22 in Tokyo
+    wearer.startWorkout({workoutId: 3, workoutType: 'walk', startTime: 1600729200, endTime: 1600729800, stepsData: [900]});
+    wearer.endWorkout();
+    const stepsSummary = wearer.getDataSummary('steps');
+    console.log('Summary step data', stepsSummary);
+    console.log();
+
+    // Nov 1 2020 in California, when clocks went back an hour
+    const fallBackDay = TimeZone.getDayNumber(1604235600, timeZone);
+    const springForwardDay = TimeZone.getDayNumber(1583683200, timeZone);
+
+    const tests = [
+      {
+        title: 'Evening walk is bucketed into the local day',
+        actual: stepsSummary[0].daysSinceUnixEpoch,
+        expected: 18524
+      },
+      {
+        title: 'Walks on different local days are not aggregated',
+        actual: stepsSummary.map(data => data.steps).join(','),
+        expected: '500,700,900'
+      },
+      {
+        title: 'Changing time zone buckets new data into the new local day',
+        actual: stepsSummary[2].daysSinceUnixEpoch,
+        expected: 18527
+      },
+      {
+        title: 'Local day when clocks go back is 25 hours long',
+        actual: TimeZone.getDayLength(fallBackDay, timeZone),
+        expected: 90000
+      },
+      {
+        title: 'Local day when clocks go forward is 23 hours long',
+        actual: TimeZone.getDayLength(springForwardDay, timeZone),
+        expected: 82800
+      },
+      {
+        title: 'Late evening on the 25 hour day is still the same local day',
+        actual: TimeZone.getDayNumber(TimeZone.getDayStart(fallBackDay, timeZone) + 90000 - 60, timeZone),
+        expected: fallBackDay
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test heart rate zones.
+   */
+  testHeartRateZones() {
+    const simulatedWatchData = {
+      // 10 minute run
+      workoutId: 1,
+      workoutType: 'run',
+      startTime: 1600565100,
+      endTime: 1600565700,
+      heartRateData: {heartRate: [95, 110, 125, 130, 140, 150, 160, 170, 176, 180]}
+    };
+    const wearer = new Wearer(null, {profile: {age: 30}});
+    wearer.startWorkout(simulatedWatchData);
+    let workoutSummary = wearer.endWorkout();
+    console.log('heart rate zones (%maxHR):', workoutSummary.heartRateZones);
+    console.log();
+
+    let tests = [
+      {
+        title: 'Average heart rate',
+        actual: workoutSummary.averageHeartRate,
+        expected: 143.6
+      },
+      {
+        title: 'Peak heart rate',
+        actual: workoutSummary.peakHeartRate,
+        expected: 180
+      },
+      {
+        title: 'Time in zones 1-5 using %maxHR from age',
+        actual: ['zone1', 'zone2', 'zone3', 'zone4', 'zone5'].map(zone => workoutSummary.heartRateZones[zone]).join(','),
+        expected: '120,120,120,120,120'
+      }
+    ];
+    this.runTests(tests);
+
+    wearer.setProfile({maxHeartRate: 190, restingHeartRate: 60, heartRateZoneMethod: 'heartRateReserve'});
+    wearer.startWorkout(simulatedWatchData);
+    workoutSummary = wearer.endWorkout();
+    console.log('heart rate zones (heart rate reserve):', workoutSummary.heartRateZones);
+    console.log();
+
+    tests = [
+      {
+        title: 'Time in zones 1-5 using heart rate reserve',
+        actual: ['zone1', 'zone2', 'zone3', 'zone4', 'zone5'].map(zone => workoutSummary.heartRateZones[zone]).join(','),
+        expected: '120,120,60,120,60'
+      },
+      {
+        title: 'Heart rate zones are not available without max heart rate or age',
+        actual: (() => {
+          const wearerWithoutProfile = new Wearer();
+          wearerWithoutProfile.startWorkout(simulatedWatchData);
+          return wearerWithoutProfile.endWorkout().heartRateZones;
+        })(),
+        expected: null
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test calorie estimation.
+   */
+  testCalorieEstimation() {
+    const profile = {age: 40, sex: 'female', weightKg: 60, heightCm: 165};
+    const wearer = new Wearer(null, {profile: profile});
+
+    // device reported calories
+    wearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600565100, endTime: 1600565700, caloriesBurnedData: [10, 12, 11, 12, 10]});
+    const deviceSummary = wearer.endWorkout();
+
+    // heart rate only, 30 minutes at 140 bpm
+    wearer.startWorkout({workoutId: 2, workoutType: 'run', startTime: 1600651500, endTime: 1600653300, heartRateData: {heartRate: new Array(30).fill(140)}});
+    const heartRateSummary = wearer.endWorkout();
+
+    // steps only, 60 minute walk
+    wearer.startWorkout({workoutId: 3, workoutType: 'walk', startTime: 1600737900, endTime: 1600741500, stepsData: [3000, 3000]});
+    const metSummary = wearer.endWorkout();
+    console.log('estimated calories:', heartRateSummary.caloriesBurned, metSummary.caloriesBurned);
+    console.log();
+
+    const tests = [
+      {
+        title: 'Calories reported by the device are used as is',
+        actual: `${deviceSummary.caloriesBurned}/${deviceSummary.caloriesSource}`,
+        expected: '55/device'
+      },
+      {
+        title: 'Calories are estimated from heart rate when the device reports none',
+        actual: `${heartRateSummary.caloriesBurned}/${heartRateSummary.caloriesSource}`,
+        expected: '270/heartRate'
+      },
+      {
+        title: 'Calories are estimated from MET values without heart rate',
+        actual: `${metSummary.caloriesBurned}/${metSummary.caloriesSource}`,
+        expected: '185/met'
+      },
+      {
+        title: 'Estimated calories are stored in the daily summary',
+        actual: wearer.getDataSummary('caloriesBurned').map(data => data.caloriesBurned).join(','),
+        expected: '55,270,185'
+      },
+      {
+        title: 'Calories are not estimated without a profile',
+        actual: (() => {
+          const wearerWithoutProfile = new Wearer();
+          wearerWithoutProfile.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600737900, endTime: 1600741500});
+          return wearerWithoutProfile.endWorkout().caloriesSource;
+        })(),
+        expected: null
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the workout type registry.
+   */
+  testWorkoutTypes() {
+    const workoutTypes = new WorkoutTypeRegistry();
+    workoutTypes.register('yoga', {displayName: 'Yoga', aliases: ['vinyasa'], met: 2.5, hasSteps: false});
+    const wearer = new Wearer(null, {workoutTypes: workoutTypes, profile: {weightKg: 70}});
+
+    wearer.startWorkout({workoutId: 1, workoutType: ' Running ', startTime: 1600565100, endTime: 1600565700, stepsData: [300]});
+    const aliasSummary = wearer.endWorkout();
+
+    wearer.startWorkout({workoutId: 2, workoutType: 'vinyasa', startTime: 1600651500, endTime: 1600655100});
+    const customSummary = wearer.endWorkout();
+
+    let unknownTypeError = null;
+    try {
+      wearer.startWorkout({workoutId: 3, workoutType: 'quidditch', startTime: 1600737900});
+    } catch (e) {
+      unknownTypeError = e.message;
+    }
+
+    let prototypeNameError = null;
+    try {
+      wearer.startWorkout({workoutId: 3, workoutType: 'constructor', startTime: 1600737900});
+    } catch (e) {
+      prototypeNameError = e.message;
+    }
+
+    // a bike ride sends no steps, so it shouldn't auto-pause
+    wearer.startWorkout({workoutId: 4, workoutType: 'bike', startTime: 1600737900}, {autoPauseSeconds: 120});
+    wearer.storeHeartRateData({timeWhenMeasured: 1600738500, heartRate: 130});
+    const cycleSummary = wearer.endWorkout({workoutId: 4, endTime: 1600738500});
+
+    const tests = [
+      {
+        title: 'Workout type aliases are normalized',
+        actual: aliasSummary.workoutType,
+        expected: 'run'
+      },
+      {
+        title: 'Custom workout types can be registered',
+        actual: customSummary.workoutType,
+        expected: 'yoga'
+      },
+      {
+        title: 'Custom workout type MET value is used for calorie estimates',
+        actual: customSummary.caloriesBurned,
+        expected: 184
+      },
+      {
+        title: 'Unknown workout types are rejected',
+        actual: unknownTypeError,
+        expected: 'Unknown workout type: quidditch'
+      },
+      {
+        title: 'Object.prototype names are not workout types',
+        actual: prototypeNameError,
+        expected: 'Unknown workout type: constructor'
+      },
+      {
+        title: 'Rejected workout does not leave a workout in progress',
+        actual: wearer.workoutInstance === null && wearer.isResting,
+        expected: true
+      },
+      {
+        title: 'Workout types without steps do not auto-pause',
+        actual: cycleSummary.movingTime,
+        expected: 600
+      },
+      {
+        title: 'Built-in workout types are available by default',
+        actual: WorkoutTypeRegistry.getDefault().list().map(workoutType => workoutType.name).join(','),
+        expected: 'walk,run,cycle,swim,strength,other'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test GPX and TCX export.
+   */
+  testWorkoutExport() {
+    const startTime = 1600565100;
+    const wearer = new Wearer();
+    wearer.startWorkout({workoutType: 'run', startTime: startTime});
+    [1, 2, 3, 4].forEach(minute => {
+      const timeWhenMeasured = startTime + minute * 60;
+      wearer.storeHeartRateData({timeWhenMeasured: timeWhenMeasured, heartRate: 130 + minute});
+      wearer.addLocation({latitude: 37.7749 + minute / 1000, longitude: -122.4194, elevation: 16, timeWhenMeasured: timeWhenMeasured});
+      if (minute % 2 === 0) {
+        wearer.addSteps({additionalSteps: 340, timeWhenMeasured: timeWhenMeasured});
+        wearer.addCaloriesBurned({additionalCaloriesBurned: 24, timeWhenMeasured: timeWhenMeasured});
+      }
+      if (minute === 2) {
+        wearer.markLap({lapTime: timeWhenMeasured});
+      }
+    });
+    wearer.endWorkout({workoutId: 9, endTime: startTime + 240});
+    const gpx = wearer.exportWorkout(9, 'gpx');
+    const tcx = wearer.exportWorkout(9, 'tcx');
+    console.log('TCX export:', tcx);
+    let unknownWorkoutError = null;
+    try {
+      wearer.exportWorkout(10, 'gpx');
+    } catch (e) {
+      unknownWorkoutError = e.name;
+    }
+
+    const count = (text, pattern) => text.split(pattern).length - 1;
+    const tests = [
+      {
+        title: 'GPX has a track point for each location',
+        actual: count(gpx, '<trkpt '),
+        expected: 4
+      },
+      {
+        title: 'GPX has a track segment for each lap',
+        actual: count(gpx, '<trkseg>'),
+        expected: 2
+      },
+      {
+        title: 'GPX track points carry heart rate and cadence',
+        actual: gpx.includes('<gpxtpx:hr>134</gpxtpx:hr>') && gpx.includes('<gpxtpx:cad>85</gpxtpx:cad>'),
+        expected: true
+      },
+      {
+        title: 'TCX has a lap for each lap',
+        actual: count(tcx, '<Lap '),
+        expected: 2
+      },
+      {
+        title: 'TCX laps carry steps and calories',
+        actual: tcx.includes('<Calories>24</Calories>') && tcx.includes('<ns3:Steps>340</ns3:Steps>'),
+        expected: true
+      },
+      {
+        title: 'TCX track points carry heart rate',
+        actual: count(tcx, '<HeartRateBpm>'),
+        expected: 4
+      },
+      {
+        title: 'Exporting an unknown workout throws a NotFoundError',
+        actual: unknownWorkoutError,
+        expected: 'NotFoundError'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test CSV and JSON history export.
+   */
+  testHistoryExport() {
+    const wearer = new Wearer({heartRateData: {startTime: 1600560000, heartRate: [62, 60]}}, {id: 'wearer-1', timeZone: 'America/Los_Angeles'});
+    wearer.startWorkout({
+      workoutId: 1,
+      workoutType: 'walk',
       startTime: 1600565100,
-      endTime: 1600565100,
-      caloriesBurnedData: [12, 14, 16, 18, 14, 16, 12, 16, 18, 16],
-      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
+      endTime: 1600565340,
+      caloriesBurnedData: [12, 14],
+      stepsData: [200, 210],
+      heartRateData: {heartRate: [98, 104]}
+    });
+    wearer.endWorkout();
+
+    const files = wearer.exportHistory('csv');
+    // all-day steps, half of them during a workout
+    const backgroundWearer = new Wearer();
+    backgroundWearer.storeBackgroundData({startTime: 1600564980, endTime: 1600565220, steps: 100});
+    backgroundWearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: 1600565100, endTime: 1600565340, stepsData: [200, 210]});
+    backgroundWearer.endWorkout();
+    const backgroundFiles = backgroundWearer.exportHistory('csv');
+    const rawStepsTotal = backgroundFiles['steps-raw.csv'].split('\r\n').slice(1, -1)
+      .reduce((acc, line) => acc + Number(line.split(',')[4]), 0);
+    console.log('steps-raw.csv:');
+    console.log(files['steps-raw.csv']);
+    const json = wearer.exportHistory('json');
+    const importedWearer = Wearer.importHistory(json);
+
+    const tests = [
+      {
+        title: 'CSV export has one file per category',
+        actual: Object.keys(files).join(','),
+        expected: 'steps-summary.csv,steps-raw.csv,caloriesBurned-summary.csv,caloriesBurned-raw.csv,heartRate-raw.csv'
+      },
+      {
+        title: 'CSV summary has headers and local dates',
+        actual: files['steps-summary.csv'],
+        expected: 'date,daysSinceUnixEpoch,steps\r\n2020-09-19,18524,410\r\n'
+      },
+      {
+        title: 'CSV raw data has ISO timestamps',
+        actual: files['caloriesBurned-raw.csv'].split('\r\n')[1],
+        expected: '1,walk,2020-09-20T01:25:00Z,2020-09-20T01:29:00Z,26'
+      },
+      {
+        title: 'CSV raw data includes the part of background data outside workouts',
+        actual: `${backgroundFiles['steps-raw.csv'].split('\r\n')[1]}/${rawStepsTotal}/${backgroundWearer.getDataSummary('steps')[0].steps}`,
+        expected: ',,2020-09-20T01:23:00Z,2020-09-20T01:27:00Z,50/460/460'
+      },
+      {
+        title: 'CSV heart rate has resting and active samples',
+        actual: files['heartRate-raw.csv'].split('\r\n').filter(line => line).map(line => line.split(',')[2]).join(','),
+        expected: 'state,resting,resting,active,active'
+      },
+      {
+        title: 'JSON export is versioned',
+        actual: JSON.parse(json).version,
+        expected: 1
+      },
+      {
+        title: 'JSON export imports back losslessly',
+        actual: JSON.stringify(importedWearer),
+        expected: JSON.stringify(wearer)
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Create a small FIT activity file with one running session.
+   * @param {number} startTime - UNIX timestamp when the session starts.
+   * @return {Buffer} FIT file content.
+   */
+  createFitFile(startTime) {
+    const fitEpochOffset = 631065600;
+    const fitStartTime = startTime - fitEpochOffset;
+    const bytes = [];
+    const uint16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+    const uint32 = value => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+    // record definition: timestamp, heart_rate, cadence
+    bytes.push(0x40, 0, 0, ...uint16(20), 3, 253, 4, 0x86, 3, 1, 0x02, 4, 1, 0x02);
+    [[60, 120, 80], [120, 130, 85], [180, 140, 90]].forEach(([offset, heartRate, cadence]) => {
+      bytes.push(0x00, ...uint32(fitStartTime + offset), heartRate, cadence);
+    });
+    // session definition: timestamp, start_time, sport, total_elapsed_time, total_calories
+    bytes.push(0x41, 0, 0, ...uint16(18), 5, 253, 4, 0x86, 2, 4, 0x86, 5, 1, 0x00, 7, 4, 0x86, 11, 2, 0x84);
+    bytes.push(0x01, ...uint32(fitStartTime + 180), ...uint32(fitStartTime), 1, ...uint32(180000), ...uint16(42));
+    // monitoring definition: timestamp, heart_rate
+    bytes.push(0x42, 0, 0, ...uint16(55), 2, 253, 4, 0x86, 27, 1, 0x02);
+    bytes.push(0x02, ...uint32(fitStartTime - 3600), 58);
+
+    const header = [14, 0x10, ...uint16(2093), ...uint32(bytes.length), ...Buffer.from('.FIT'), 0, 0];
+    // CRCs are left as 0, which FIT readers treat as not computed
+    return Buffer.from([...header, ...bytes, 0, 0]);
+  }
+
+  /**
+   * Test importing GPX, TCX and FIT files.
+   */
+  testWorkoutImport() {
+    const startTime = 1600565100;
+    const sourceWearer = new Wearer();
+    sourceWearer.startWorkout({workoutId: 1, workoutType: 'run', startTime: startTime});
+    [1, 2, 3, 4].forEach(minute => {
+      const timeWhenMeasured = startTime + minute * 60;
+      sourceWearer.storeHeartRateData({timeWhenMeasured: timeWhenMeasured, heartRate: 130 + minute});
+      sourceWearer.addLocation({latitude: 37.7749, longitude: -122.4194 + minute / 1000, timeWhenMeasured: timeWhenMeasured});
+      if (minute % 2 === 0) {
+        sourceWearer.addSteps({additionalSteps: 340, timeWhenMeasured: timeWhenMeasured});
+        sourceWearer.addCaloriesBurned({additionalCaloriesBurned: 24, timeWhenMeasured: timeWhenMeasured});
+      }
+      if (minute === 2) {
+        sourceWearer.markLap({lapTime: timeWhenMeasured});
+      }
+    });
+    const sourceSummary = sourceWearer.endWorkout({workoutId: 1, endTime: startTime + 240});
+
+    const tcxWearer = new Wearer();
+    const tcx = sourceWearer.exportWorkout(1, 'tcx');
+    const firstTcxImport = tcxWearer.importWorkouts(WorkoutImporter.parse(tcx));
+    const secondTcxImport = tcxWearer.importWorkouts(WorkoutImporter.parse(tcx));
+    const tcxSummary = tcxWearer.workoutData.rawData[0];
+    const tcxActiveHeartRateCount = tcxWearer.getDataSummary('heartRate').rawData.active.length;
+
+    const gpxWearer = new Wearer();
+    gpxWearer.importWorkouts(WorkoutImporter.parse(sourceWearer.exportWorkout(1, 'gpx')));
+    const gpxSummary = gpxWearer.workoutData.rawData[0];
+
+    const fitWearer = new Wearer();
+    const fitFile = this.createFitFile(startTime);
+    fitWearer.importWorkouts(WorkoutImporter.parse(fitFile));
+    const secondFitImport = fitWearer.importWorkouts(WorkoutImporter.parse(fitFile));
+    const fitSummary = fitWearer.workoutData.rawData[0];
+    console.log('imported FIT workout:', fitSummary);
+    console.log();
+
+    // older history imported after newer data
+    const olderWorkout = WorkoutImporter.parse(sourceWearer.exportWorkout(1, 'tcx').replace(/2020-09-20/g, '2020-09-10'));
+    tcxWearer.importWorkouts(olderWorkout);
+
+    const badSampleWearer = new Wearer();
+    const badSampleFile = WorkoutImporter.parse(tcx);
+    badSampleFile.workouts[0].samples.heartRate[1].heartRate = -130;
+    let badSampleError = null;
+    try {
+      badSampleWearer.importWorkouts(badSampleFile);
+    } catch (error) {
+      badSampleError = error;
+    }
+    badSampleWearer.startWorkout({workoutType: 'run', startTime: startTime + 3600});
+
+    const dropoutWearer = new Wearer();
+    const dropoutFile = WorkoutImporter.parse(tcx);
+    dropoutFile.workouts[0].samples.heartRate[1].heartRate = 0;
+    dropoutFile.heartRateSamples.push({heartRate: 0, timeWhenMeasured: startTime - 600});
+    dropoutWearer.importWorkouts(dropoutFile);
+    const dropoutHeartRates = dropoutWearer.getDataSummary('heartRate').rawData;
+
+    const workoutsWithoutIds = {
+      workouts: [startTime, startTime + 3600].map(workoutStartTime => ({
+        workoutId: null,
+        workoutType: 'run',
+        startTime: workoutStartTime,
+        endTime: workoutStartTime + 600,
+        samples: {steps: [], caloriesBurned: [], heartRate: [], location: []},
+        lapTimes: []
+      })),
+      heartRateSamples: []
+    };
+    const withoutIdsImport = new Wearer().importWorkouts(workoutsWithoutIds);
+
+    // storing the second workout fails after the first one was stored
+    const failingImportWearer = new Wearer();
+    failingImportWearer.storeHeartRateData({timeWhenMeasured: startTime - 600, heartRate: 60});
+    const failingImportBefore = JSON.stringify(failingImportWearer);
+    const failingImportFile = WorkoutImporter.parse(sourceWearer.exportWorkout(1, 'tcx'));
+    failingImportFile.workouts.push(Object.assign({}, workoutsWithoutIds.workouts[1], {workoutId: 2}));
+    failingImportWearer.on('workoutEnded', summary => {
+      if (summary.workoutId === 2) {
+        throw new Error('Listener failed');
+      }
+    });
+    let failingImportError = null;
+    try {
+      failingImportWearer.importWorkouts(failingImportFile);
+    } catch (error) {
+      failingImportError = error.message;
+    }
+
+    const tests = [
+      {
+        title: 'TCX import keeps steps, calories and laps',
+        actual: `${tcxSummary.steps}/${tcxSummary.caloriesBurned}/${tcxSummary.laps.length}`,
+        expected: `${sourceSummary.steps}/${sourceSummary.caloriesBurned}/2`
+      },
+      {
+        title: 'TCX import keeps heart rate samples as active heart rate',
+        actual: tcxActiveHeartRateCount,
+        expected: 4
+      },
+      {
+        title: 'Re-importing a workout skips it',
+        actual: `${firstTcxImport.imported.length}/${secondTcxImport.skipped.length}`,
+        expected: '1/1'
+      },
+      {
+        title: 'GPX import keeps locations, heart rate and laps',
+        actual: `${gpxSummary.samples.location.length}/${gpxSummary.peakHeartRate}/${gpxSummary.laps.length}`,
+        expected: '4/134/2'
+      },
+      {
+        title: 'FIT import reads the session',
+        actual: `${fitSummary.workoutType}/${fitSummary.startTime}/${fitSummary.endTime}/${fitSummary.caloriesBurned}`,
+        expected: `run/${startTime}/${startTime + 180}/42`
+      },
+      {
+        title: 'FIT import derives steps from cadence',
+        actual: fitSummary.steps,
+        expected: 350
+      },
+      {
+        title: 'FIT import stores heart rate outside workouts as resting heart rate',
+        actual: fitWearer.getDataSummary('heartRate').rawData.resting.map(data => data.heartRate).join(','),
+        expected: '58'
+      },
+      {
+        title: 'Re-importing a FIT file skips its workouts and heart rate',
+        actual: `${secondFitImport.skipped.length}/${fitWearer.getDataSummary('heartRate').rawData.resting.length}`,
+        expected: '1/1'
+      },
+      {
+        title: 'Older imported history is stored in chronological order',
+        actual: tcxWearer.getDataSummary('steps').map(data => data.daysSinceUnixEpoch).join(','),
+        expected: '18515,18525'
+      },
+      {
+        title: 'A file with a bad sample imports nothing and leaves no workout in progress',
+        actual: `${badSampleError instanceof ValidationError}/${badSampleWearer.workoutData.rawData.length}/${badSampleWearer.getDataSummary('heartRate').rawData.active.length}/${badSampleWearer.workoutInstance.startTime}`,
+        expected: `true/0/0/${startTime + 3600}`
+      },
+      {
+        title: 'Imported heart rate dropouts are stored and flagged, but left out of the workout',
+        actual: `${dropoutHeartRates.active.length}/${dropoutHeartRates.resting.length}/${dropoutWearer.getHeartRateAlerts({type: 'implausible'}).length}/${dropoutWearer.workoutData.rawData[0].samples.heartRate.length}`,
+        expected: '4/1/2/3'
+      },
+      {
+        title: 'Workouts without ids are not duplicates of each other',
+        actual: `${withoutIdsImport.imported.length}/${withoutIdsImport.skipped.length}`,
+        expected: '2/0'
+      },
+      {
+        title: 'A workout failing late in the file leaves the wearer unchanged',
+        actual: `${failingImportError}/${JSON.stringify(failingImportWearer) === failingImportBefore}`,
+        expected: 'Listener failed/true'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the HTTP API routes.
+   */
+  testApiRoutes() {
+    const apiServer = new ApiServer();
+    const startTime = 1600565100;
+    const created = apiServer.route('POST', '/wearers', {id: 'wearer-1'});
+    const started = apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    const startedAgain = apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    const samples = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [
+        {type: 'steps', additionalSteps: 220, timeWhenMeasured: startTime + 120},
+        {type: 'heartRate', heartRate: 101, timeWhenMeasured: startTime + 120},
+        {type: 'steps', additionalSteps: 230, timeWhenMeasured: startTime + 240}
+      ]
+    });
+    const ended = apiServer.route('POST', '/wearers/wearer-1/workouts/current/end', {workoutId: 1, endTime: startTime + 240});
+    const endedAgain = apiServer.route('POST', '/wearers/wearer-1/workouts/current/end', {});
+    const summary = apiServer.route('GET', '/wearers/wearer-1/summary/steps');
+    const stats = apiServer.route('GET', '/wearers/wearer-1/stats/steps?days=1');
+    const samplesWithoutWorkout = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [{type: 'heartRate', heartRate: 62, timeWhenMeasured: startTime + 1800}]
+    });
+    const unknownType = apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'parkour', startTime: startTime + 3600});
+    apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'run', startTime: startTime + 3600});
+    const endedWithoutId = apiServer.route('POST', '/wearers/wearer-1/workouts/current/end', {endTime: startTime + 4200});
+    console.log('end workout response:', ended);
+    console.log();
+
+    // a server restarted over the same storage continues the workout in progress
+    const storage = new MemoryStorage();
+    const savingServer = new ApiServer({storage: storage});
+    savingServer.route('POST', '/wearers', {id: 'wearer-1'});
+    savingServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    savingServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [{type: 'steps', additionalSteps: 220, timeWhenMeasured: startTime + 120}]
+    });
+    const rejectedBatch = savingServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [
+        {type: 'steps', additionalSteps: 230, timeWhenMeasured: startTime + 240},
+        {type: 'steps', additionalSteps: -10, timeWhenMeasured: startTime + 360}
+      ]
+    });
+    savingServer.route('POST', '/wearers/wearer-1/workouts/current/pause', {pauseTime: startTime + 300});
+    const restarted = new ApiServer({storage: storage}).route('GET', '/wearers/wearer-1').body.workoutInProgress;
+    const prototypeNameWearer = apiServer.route('GET', '/wearers/constructor');
+    const prototypeNameCreated = apiServer.route('POST', '/wearers', {id: 'toString'});
+    const failingStorage = new MemoryStorage();
+    failingStorage.save = () => {
+      throw new Error('Disk is full');
+    };
+    const failedCreate = new ApiServer({storage: failingStorage}).route('POST', '/wearers', {id: 'wearer-1'});
+
+    // HTTP requests with a body sent in one chunk
+    const sendRequest = (server, method, url, text) => {
+      const listeners = {};
+      const request = {method: method, url: url, on: (event, listener) => { listeners[event] = listener; }};
+      const response = {
+        writeHead(status) { this.status = status; },
+        end(responseText) { this.body = JSON.parse(responseText); }
+      };
+      server.handleRequest(request, response);
+      listeners.data(Buffer.from(text));
+      listeners.end();
+      return response;
+    };
+    const smallServer = new ApiServer({maxBodyBytes: 64});
+    const createdOverHttp = sendRequest(smallServer, 'POST', '/wearers', '{"id": "wearer-1"}');
+    const tooLarge = sendRequest(smallServer, 'POST', '/wearers', JSON.stringify({id: 'wearer-2', timeZone: 'America/Los_Angeles', profile: {weightKg: 70}}));
+    const arrayBody = sendRequest(smallServer, 'POST', '/wearers', '[{"id": "wearer-3"}]');
+
+    const tests = [
+      {
+        title: 'POST /wearers creates a wearer',
+        actual: `${created.status}/${created.body.id}`,
+        expected: '201/wearer-1'
+      },
+      {
+        title: 'POST /wearers/:id/workouts/start starts a workout',
+        actual: `${started.status}/${started.body.workoutType}`,
+        expected: '201/walk'
+      },
+      {
+        title: 'Starting a second workout is a JSON conflict error',
+        actual: `${startedAgain.status}/${startedAgain.body.error.code}`,
+        expected: '409/workout_in_progress'
+      },
+      {
+        title: 'POST /wearers/:id/workouts/current/samples accepts samples',
+        actual: `${samples.status}/${samples.body.accepted}`,
+        expected: '202/3'
+      },
+      {
+        title: 'POST /wearers/:id/workouts/current/end returns the workout summary',
+        actual: `${ended.status}/${ended.body.steps}/${ended.body.peakHeartRate}`,
+        expected: '200/450/101'
+      },
+      {
+        title: 'Ending without a workout in progress is a JSON conflict error',
+        actual: `${endedAgain.status}/${endedAgain.body.error.code}`,
+        expected: '409/no_workout_in_progress'
+      },
+      {
+        title: 'Samples without a workout in progress are a JSON conflict error and record nothing',
+        actual: `${samplesWithoutWorkout.status}/${samplesWithoutWorkout.body.error.code}/${apiServer.registry.getWearer('wearer-1').getDataSummary('heartRate').rawData.resting.length}`,
+        expected: '409/no_workout_in_progress/0'
+      },
+      {
+        title: 'Unknown workout types are a JSON validation error',
+        actual: `${unknownType.status}/${unknownType.body.error.code}/${unknownType.body.error.message}`,
+        expected: '400/invalid_input/Unknown workout type: parkour'
+      },
+      {
+        title: 'Workouts ended without an id are numbered in order and can be exported',
+        actual: `${endedWithoutId.body.workoutId}/${apiServer.registry.getWearer('wearer-1').exportWorkout(2, 'gpx').startsWith('<?xml')}`,
+        expected: '2/true'
+      },
+      {
+        title: 'GET /wearers/:id/summary/:category returns summary data',
+        actual: `${summary.status}/${summary.body[0].steps}`,
+        expected: '200/450'
+      },
+      {
+        title: 'GET /wearers/:id/stats/steps?days=N returns step stats',
+        actual: `${stats.status}/${stats.body.days}`,
+        expected: '200/1'
+      },
+      {
+        title: 'Invalid days is a JSON validation error',
+        actual: apiServer.route('GET', '/wearers/wearer-1/stats/steps?days=abc').body.error.code,
+        expected: 'invalid_days'
+      },
+      {
+        title: 'Unknown wearers are a JSON not found error',
+        actual: apiServer.route('GET', '/wearers/wearer-2/summary/steps').status,
+        expected: 404
+      },
+      {
+        title: 'A batch with an invalid sample is rejected without recording any of it',
+        actual: `${rejectedBatch.status}/${rejectedBatch.body.error.code}/${restarted.steps}`,
+        expected: '400/invalid_input/220'
+      },
+      {
+        title: 'The workout in progress is saved after every change',
+        actual: `${restarted.workoutType}/${restarted.samples.steps.length}/${restarted.isPaused}`,
+        expected: 'walk/1/true'
+      },
+      {
+        title: 'Malformed paths are a JSON validation error',
+        actual: `${apiServer.route('GET', '/wearers/%E0').status}/${apiServer.route('GET', '/wearers/%E0').body.error.code}`,
+        expected: '400/invalid_path'
+      },
+      {
+        title: 'Wearer ids named like Object.prototype properties are not found until created',
+        actual: `${prototypeNameWearer.status}/${prototypeNameCreated.status}/${prototypeNameCreated.body.id}`,
+        expected: '404/201/toString'
+      },
+      {
+        title: 'Storage failures creating a wearer are internal errors, not bad input',
+        actual: `${failedCreate.status}/${failedCreate.body.error.code}`,
+        expected: '500/internal_error'
+      },
+      {
+        title: 'HTTP requests with a JSON object body are routed',
+        actual: `${createdOverHttp.status}/${createdOverHttp.body.id}`,
+        expected: '201/wearer-1'
+      },
+      {
+        title: 'HTTP request bodies over the size limit are rejected',
+        actual: `${tooLarge.status}/${tooLarge.body.error.code}/${smallServer.registry.hasWearer('wearer-2')}`,
+        expected: '413/body_too_large/false'
+      },
+      {
+        title: 'HTTP request bodies that are JSON arrays are rejected',
+        actual: `${arrayBody.status}/${arrayBody.body.error.code}`,
+        expected: '400/invalid_json'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the command-line interface.
+   */
+  testCli() {
+    const filePath = path.join(os.tmpdir(), `fitness-watch-cli-test-${process.pid}.json`);
+    const startTime = 1600565100;
+    const output = {text: '', write(text) { this.text += text; }};
+    const errors = {text: '', write(text) { this.text += text; }};
+    // every command runs in a new Cli, like separate invocations of the command
+    const run = args => new Cli({stdout: output, stderr: errors}).run([...args, '--file', filePath]);
+    const runJson = args => {
+      output.text = '';
+      run([...args, '--json']);
+      return JSON.parse(output.text);
+    };
+
+    const started = runJson(['workout', 'start', '--type', 'walk', '--time', String(startTime)]);
+    const heartRate = run(['hr', 'add', '98', '--time', String(startTime + 60)]);
+    run(['steps', 'add', '450', '--time', String(startTime + 120)]);
+    const ended = runJson(['workout', 'end', '--time', String(startTime + 240)]);
+    const summary = runJson(['summary', 'steps']);
+    output.text = '';
+    run(['summary', 'steps']);
+    const table = output.text;
+    const endedAgain = run(['workout', 'end']);
+    const unknownCommand = run(['jog']);
+    const backgroundSteps = run(['steps', 'add', '300', '--time', String(startTime + 600)]);
+    const summaryWithBackground = runJson(['summary', 'steps']);
+    // a workout stored by the API with a string id
+    const apiWearer = Wearer.load('default', new JsonFileStorage(filePath));
+    apiWearer.startWorkout({workoutType: 'run', startTime: startTime + 3600});
+    apiWearer.endWorkout({workoutId: 'morning-run', endTime: startTime + 4200});
+    apiWearer.save();
+    output.text = '';
+    run(['export', '--format', 'gpx', '--id', 'morning-run']);
+    const stringIdExport = output.text;
+    output.text = '';
+    run(['export', '--format', 'gpx', '--id', '1']);
+    const numberIdExport = output.text;
+    fs.unlinkSync(filePath);
+    let badNumber = null;
+    try {
+      Cli.parseNumber('many', '--days');
+    } catch (error) {
+      badNumber = error;
+    }
+    console.log('end workout output:', ended);
+    console.log();
+
+    const tests = [
+      {
+        title: 'workout start starts a workout',
+        actual: `${started.workoutType}/${started.startTime}`,
+        expected: 'walk/1600565100'
+      },
+      {
+        title: 'hr add succeeds',
+        actual: heartRate,
+        expected: 0
+      },
+      {
+        title: 'workout end in a later run ends the saved workout',
+        actual: `${ended.workoutId}/${ended.steps}/${ended.peakHeartRate}`,
+        expected: '1/450/98'
+      },
+      {
+        title: 'summary prints JSON with --json',
+        actual: summary[0].steps,
+        expected: 450
+      },
+      {
+        title: 'summary prints a table by default',
+        actual: table.split('\n')[0],
+        expected: 'daysSinceUnixEpoch  steps'
+      },
+      {
+        title: 'Ending without a workout in progress fails',
+        actual: endedAgain,
+        expected: 1
+      },
+      {
+        title: 'Errors are printed to stderr',
+        actual: errors.text.split('\n')[0],
+        expected: 'fitness-watch: There is no workout in progress'
+      },
+      {
+        title: 'Unknown commands fail',
+        actual: unknownCommand,
+        expected: 1
+      },
+      {
+        title: 'steps add outside a workout stores all-day steps',
+        actual: `${backgroundSteps}/${summaryWithBackground[0].steps}`,
+        expected: '0/750'
+      },
+      {
+        title: 'export --id finds workouts with string ids',
+        actual: stringIdExport.trim() === apiWearer.exportWorkout('morning-run', 'gpx').trim(),
+        expected: true
+      },
+      {
+        title: 'export --id finds workouts numbered by the command line',
+        actual: numberIdExport.trim() === apiWearer.exportWorkout(1, 'gpx').trim(),
+        expected: true
+      },
+      {
+        title: 'Bad command-line arguments are validation errors',
+        actual: `${badNumber instanceof ValidationError}/${badNumber.field}/${badNumber.message}`,
+        expected: 'true/--days/--days must be a number'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test the wearer registry, groups and leaderboards.
+   */
+  testLeaderboards() {
+    const registry = new WearerRegistry();
+    const day = 86400;
+    const startTime = 1600565100;
+    const addWorkout = (wearerId, workoutType, workoutStartTime, stepsData, caloriesBurnedData) => {
+      const wearer = registry.getWearer(wearerId);
+      wearer.startWorkout({
+        workoutId: workoutStartTime,
+        workoutType: workoutType,
+        startTime: workoutStartTime,
+        endTime: workoutStartTime + 240,
+        stepsData: stepsData,
+        caloriesBurnedData: caloriesBurnedData
+      });
+      wearer.endWorkout();
+    };
+    ['alice', 'bob', 'carol'].forEach(wearerId => registry.createWearer(wearerId));
+    // 2020-09-20
+    addWorkout('alice', 'walk', startTime, [200, 300], [10, 20]);
+    addWorkout('bob', 'walk', startTime, [600, 400], [20, 20]);
+    // 2020-09-21
+    addWorkout('carol', 'walk', startTime + day, [300], [25]);
+    // 2020-09-22
+    addWorkout('alice', 'run', startTime + 2 * day, [250, 250], [40, 50]);
+    registry.createGroup('smiths', {name: 'The Smiths', type: 'family'});
+    registry.addToGroup('smiths', 'alice');
+    registry.addToGroup('smiths', 'bob');
+
+    const format = leaderboard => leaderboard.map(entry => `${entry.rank}:${entry.wearerId}:${entry.value}`).join(',');
+    const stepsLeaderboard = registry.getLeaderboard('steps', {from: '2020-09-20', to: '2020-09-22'});
+    console.log('steps leaderboard:', stepsLeaderboard);
+    console.log();
+    const restoredRegistry = new WearerRegistry({storage: registry.storage});
+    restoredRegistry.restore(JSON.parse(JSON.stringify(registry.toJSON())));
+    let unknownMetricError = null;
+    try {
+      registry.getLeaderboard('distance');
+    } catch (e) {
+      unknownMetricError = e.message;
+    }
+    const leaderboards = {
+      lastDay: registry.getLeaderboard('steps', {to: '2020-09-20', days: 1}),
+      group: registry.getLeaderboard('workouts', {groupId: 'smiths'}),
+      runs: registry.getLeaderboard('workouts', {workoutType: 'run'}),
+      walkCalories: registry.getLeaderboard('caloriesPerWorkout', {workoutType: 'walking'}),
+      runCalories: registry.getLeaderboard('caloriesPerWorkout', {workoutType: 'run', from: '2020-09-22'})
+    };
+    registry.removeWearer('bob');
+    const prototypeNameGroup = registry.createGroup('constructor', {name: 'Constructors'});
+    let prototypeNameError = null;
+    try {
+      registry.getGroup('toString');
+    } catch (e) {
+      prototypeNameError = e.code;
+    }
+
+    const tests = [
+      {
+        title: 'Wearers with the same total steps share a rank',
+        actual: format(stepsLeaderboard),
+        expected: '1:alice:1000,1:bob:1000,3:carol:300'
+      },
+      {
+        title: 'Leaderboards can cover the last N days',
+        actual: format(leaderboards.lastDay),
+        expected: '1:bob:1000,2:alice:500,3:carol:0'
+      },
+      {
+        title: 'Group leaderboards only rank group members',
+        actual: format(leaderboards.group),
+        expected: '1:alice:2,2:bob:1'
+      },
+      {
+        title: 'Workout counts can be filtered by workout type',
+        actual: format(leaderboards.runs),
+        expected: '1:alice:1,2:bob:0,2:carol:0'
+      },
+      {
+        title: 'Calories per workout are ranked per workout type, with aliases',
+        actual: format(leaderboards.walkCalories),
+        expected: '1:bob:40,2:alice:30,3:carol:25'
+      },
+      {
+        title: 'Wearers without workouts of the type are left out',
+        actual: format(leaderboards.runCalories),
+        expected: '1:alice:90'
+      },
+      {
+        title: 'Unknown metrics are rejected',
+        actual: unknownMetricError,
+        expected: 'Leaderboard metric must be "steps", "workouts" or "caloriesPerWorkout"'
+      },
+      {
+        title: 'Groups can be restored',
+        actual: restoredRegistry.listGroups().map(group => `${group.name}:${group.wearerIds.join('+')}`).join(','),
+        expected: 'The Smiths:alice+bob'
+      },
+      {
+        title: 'Removed wearers leave their groups',
+        actual: `${registry.listWearers().join(',')}/${registry.getGroup('smiths').wearerIds.join(',')}`,
+        expected: 'alice,carol/alice'
+      },
+      {
+        title: 'Groups can be named like Object.prototype properties',
+        actual: `${prototypeNameGroup.name}/${registry.getGroup('constructor').wearerIds.length}/${prototypeNameError}`,
+        expected: 'Constructors/0/group_not_found'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test goals and streaks.
+   */
+  testGoals() {
+    const wearer = new Wearer();
+    const day = 86400;
+    const startTime = 1600565100;
+    // 2020-09-20 to 2020-09-25, one 4 minute walk a day
+    [[600, 600], [500, 500], [500, 500], [750, 750], [1250, 1250], [1050, 1050]].forEach((stepsData, index) => {
+      wearer.startWorkout({
+        workoutId: index + 1,
+        workoutType: 'walk',
+        startTime: startTime + index * day,
+        endTime: startTime + index * day + 240,
+        stepsData: stepsData,
+        caloriesBurnedData: [10, 10]
+      });
+      wearer.endWorkout();
+    });
+    wearer.setGoal({metric: 'steps', period: 'daily', target: 1000, effectiveDate: '2020-09-20'});
+    wearer.setGoal({metric: 'steps', period: 'daily', target: 2000, effectiveDate: '2020-09-23'});
+    wearer.setGoal({metric: 'workouts', period: 'weekly', target: 3, effectiveDate: '2020-09-14'});
+    wearer.setGoal({metric: 'activeMinutes', period: 'daily', target: 4, effectiveDate: '2020-09-25'});
+
+    const stepsEvaluations = wearer.evaluateGoal('steps', 'daily', {to: '2020-09-25'});
+    console.log('daily steps goal:', stepsEvaluations);
+    console.log();
+    const restoredWearer = new Wearer();
+    restoredWearer.restore(JSON.parse(JSON.stringify(wearer.toJSON())));
+    let invalidGoalError = null;
+    try {
+      wearer.setGoal({metric: 'distance', period: 'daily', target: 5});
+    } catch (e) {
+      invalidGoalError = e.message;
+    }
+
+    const tests = [
+      {
+        title: 'Each day is evaluated against the target in effect that day',
+        actual: stepsEvaluations.map(evaluation => evaluation.target).join(','),
+        expected: '1000,1000,1000,2000,2000,2000'
+      },
+      {
+        title: 'Progress is a percentage of the target',
+        actual: stepsEvaluations.map(evaluation => evaluation.progress).join(','),
+        expected: '120,100,100,75,125,105'
+      },
+      {
+        title: 'Completed days are detected',
+        actual: stepsEvaluations.filter(evaluation => evaluation.completed).map(evaluation => evaluation.date).join(','),
+        expected: '2020-09-20,2020-09-21,2020-09-22,2020-09-24,2020-09-25'
+      },
+      {
+        title: 'Current and longest daily streaks',
+        actual: JSON.stringify(wearer.getGoalStreaks('steps', 'daily', {to: '2020-09-25'})),
+        expected: '{"current":2,"longest":3}'
+      },
+      {
+        title: 'The day in progress does not break the current streak',
+        actual: wearer.getGoalStreaks('steps', 'daily', {to: '2020-09-26'}).current,
+        expected: 2
+      },
+      {
+        title: 'A missed day breaks the current streak',
+        actual: wearer.getGoalStreaks('steps', 'daily', {to: '2020-09-27'}).current,
+        expected: 0
+      },
+      {
+        title: 'Weekly workout goals count workouts from Monday to Sunday',
+        actual: wearer.evaluateGoal('workouts', 'weekly', {to: '2020-09-25'}).map(evaluation => `${evaluation.date}:${evaluation.value}`).join(','),
+        expected: '2020-09-14:1,2020-09-21:5'
+      },
+      {
+        title: 'Active minutes are the moving time of workouts',
+        actual: wearer.evaluateGoal('activeMinutes', 'daily', {to: '2020-09-25'})[0].progress,
+        expected: 100
+      },
+      {
+        title: 'Goal history is saved with the wearer',
+        actual: `${restoredWearer.getGoal('steps', 'daily', '2020-09-22')}/${restoredWearer.getGoal('steps', 'daily', '2020-09-23')}`,
+        expected: '1000/2000'
+      },
+      {
+        title: 'Unknown goal metrics are rejected',
+        actual: invalidGoalError,
+        expected: 'Goal metric must be one of steps, caloriesBurned, activeMinutes, workouts'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test wearer and workout events.
+   */
+  testEvents() {
+    const wearer = new Wearer(null, {profile: {heartRateThreshold: 150}});
+    const day = 86400;
+    const startTime = 1600565100;
+    wearer.setGoal({metric: 'steps', period: 'daily', target: 1000, effectiveDate: '2020-09-20'});
+    wearer.startWorkout({workoutId: 1, workoutType: 'walk', startTime: startTime, endTime: startTime + 240, stepsData: [400, 400], caloriesBurnedData: [10, 10]});
+    wearer.endWorkout();
+
+    const events = [];
+    const payloads = {};
+    const record = (emitter, eventName) => {
+      emitter.on(eventName, payload => {
+        events.push(eventName);
+        payloads[eventName] = payload;
+      });
     };
+    ['workoutStarted', 'workoutEnded', 'goalReached', 'heartRateAboveThreshold', 'dailyRecord'].forEach(eventName => {
+      record(wearer, eventName);
+    });
+    wearer.on('workoutStarted', ({workout}) => {
+      ['paused', 'resumed', 'lap', 'finished'].forEach(eventName => record(workout, eventName));
+    });
 
-    wearer = wearer || new Wearer();
-    wearer.startWorkout(simulatedWatchData);
-    const workoutSummary = wearer.endWorkout();
-    console.log('workout summary:', workoutSummary);
+    const nextStartTime = startTime + day;
+    wearer.startWorkout({workoutType: 'walk', startTime: nextStartTime});
+    wearer.storeHeartRateData({heartRate: 140, timeWhenMeasured: nextStartTime + 60});
+    wearer.storeHeartRateData({heartRate: 160, timeWhenMeasured: nextStartTime + 120});
+    wearer.storeHeartRateData({heartRate: 170, timeWhenMeasured: nextStartTime + 180});
+    wearer.addSteps({additionalSteps: 600, timeWhenMeasured: nextStartTime + 180});
+    wearer.pauseWorkout({pauseTime: nextStartTime + 200});
+    wearer.resumeWorkout({resumeTime: nextStartTime + 260});
+    wearer.storeHeartRateData({heartRate: 140, timeWhenMeasured: nextStartTime + 300});
+    wearer.storeHeartRateData({heartRate: 155, timeWhenMeasured: nextStartTime + 360});
+    wearer.markLap({lapTime: nextStartTime + 360});
+    wearer.addSteps({additionalSteps: 600, timeWhenMeasured: nextStartTime + 420});
+    wearer.endWorkout({workoutId: 2, endTime: nextStartTime + 480});
+    let stateError = null;
+    try {
+      wearer.endWorkout({workoutId: 3});
+    } catch (e) {
+      stateError = e;
+    }
+    console.log('events:', events);
     console.log();
 
     const tests = [
       {
-        title: 'workout type',
-        actual: workoutSummary.workoutType,
-        expected: simulatedWatchData.workoutType
+        title: 'Events are emitted in the order things happen',
+        actual: events.join(','),
+        expected: 'workoutStarted,heartRateAboveThreshold,paused,resumed,heartRateAboveThreshold,lap,lap,finished,' +
+          'workoutEnded,goalReached,dailyRecord'
       },
       {
-        title: 'total calories burned',
-        actual: workoutSummary.caloriesBurned,
-        expected: simulatedWatchData.caloriesBurnedData.reduce((acc, cur) => acc + cur)
+        title: 'workoutStarted carries the workout type and start time',
+        actual: `${payloads.workoutStarted.workoutType}/${payloads.workoutStarted.startTime}`,
+        expected: 'walk/1600651500'
       },
       {
-        title: 'total steps',
-        actual: workoutSummary.steps,
-        expected: simulatedWatchData.stepsData.reduce((acc, cur) => acc + cur)
+        title: 'heartRateAboveThreshold carries the heart rate and threshold',
+        actual: `${payloads.heartRateAboveThreshold.heartRate}/${payloads.heartRateAboveThreshold.threshold}`,
+        expected: '155/150'
+      },
+      {
+        title: 'paused carries the pause time',
+        actual: `${payloads.paused.pauseTime}/${payloads.paused.isAutoPause}`,
+        expected: '1600651700/false'
+      },
+      {
+        title: 'workoutEnded carries the workout summary',
+        actual: `${payloads.workoutEnded.workoutId}/${payloads.workoutEnded.steps}`,
+        expected: '2/1200'
+      },
+      {
+        title: 'goalReached carries the goal and the day it was reached',
+        actual: JSON.stringify(payloads.goalReached),
+        expected: '{"metric":"steps","period":"daily","date":"2020-09-21","target":1000,"value":1200}'
+      },
+      {
+        title: 'dailyRecord carries the new and previous record',
+        actual: `${payloads.dailyRecord.metric}/${payloads.dailyRecord.value}/${payloads.dailyRecord.previousRecord}`,
+        expected: 'steps/1200/800'
+      },
+      {
+        title: 'Requests that cannot be carried out throw a WorkoutStateError',
+        actual: `${stateError instanceof WorkoutStateError}/${stateError.code}/${stateError.message}`,
+        expected: 'true/no_workout_in_progress/There is no workout in progress'
       }
     ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test abnormal heart rate alerts.
+   */
+  testHeartRateAlerts() {
+    const startTime = 1600560000;
+    const wearer = new Wearer(null, {heartRateAlertSettings: {highResting: {durationSeconds: 300}}});
+    const emittedAlerts = [];
+    wearer.on('heartRateAlert', alert => emittedAlerts.push(alert.type));
+    const restingHeartRates = [70, 72, 115, 110, 108, 112, 105, 104, 80, 0, 300, 38, 38, 38, 38, 38, 38, 38, 38, 38, 38, 38, 36];
+    restingHeartRates.forEach((heartRate, index) => {
+      wearer.storeHeartRateData({heartRate: heartRate, timeWhenMeasured: startTime + index * 60});
+    });
+    // a hard workout isn't abnormal
+    const workoutStartTime = startTime + 3600;
+    wearer.startWorkout({workoutType: 'run', startTime: workoutStartTime});
+    for (let minute = 1; minute <= 15; minute++) {
+      wearer.storeHeartRateData({heartRate: minute === 1 ? 90 : 165, timeWhenMeasured: workoutStartTime + minute * 60});
+    }
+    wearer.endWorkout({workoutId: 1, endTime: workoutStartTime + 960});
+    const alerts = wearer.getHeartRateAlerts();
+    console.log('alerts:', alerts);
+    console.log();
+    const format = alert => `${alert.type}:${alert.startTime - startTime}-${alert.endTime - startTime}:${alert.heartRate}`;
+    const restoredWearer = new Wearer();
+    restoredWearer.restore(JSON.parse(JSON.stringify(wearer.toJSON())));
 
+    const tests = [
+      {
+        title: 'Alerts are emitted as they occur',
+        actual: emittedAlerts.join(','),
+        expected: 'spike,highResting,implausible,implausible,low'
+      },
+      {
+        title: 'A sudden rise during rest is a spike',
+        actual: `${format(alerts[0])}/${alerts[0].baseline}`,
+        expected: 'spike:120-120:115/70'
+      },
+      {
+        title: 'Sustained high resting heart rate is detected after the configured duration',
+        actual: format(wearer.getHeartRateAlerts({type: 'highResting'})[0]),
+        expected: 'highResting:120-420:115'
+      },
+      {
+        title: 'Sustained low heart rate follows the low period until it ends',
+        actual: format(wearer.getHeartRateAlerts({type: 'low'})[0]),
+        expected: 'low:660-1320:36'
+      },
+      {
+        title: 'Implausible readings are flagged',
+        actual: wearer.getHeartRateAlerts({type: 'implausible'}).map(alert => alert.heartRate).join(','),
+        expected: '0,300'
+      },
+      {
+        title: 'Alerts can be queried by time range',
+        actual: wearer.getHeartRateAlerts({from: startTime + 500, to: startTime + 700}).map(alert => alert.type).join(','),
+        expected: 'implausible,implausible,low'
+      },
+      {
+        title: 'Alerts and settings are saved with the wearer',
+        actual: `${restoredWearer.getHeartRateAlerts().length}/${restoredWearer.heartRateAlerts.settings.highResting.durationSeconds}`,
+        expected: '5/300'
+      }
+    ];
     this.runTests(tests);
   }
 
   /**
-   * Test steps stats.
+   * Test recorded and inferred sleep.
    */
-  testStepsStats() {
-    let simulatedWatchData = {
-      // 20 minute walk
+  testSleep() {
+    const wearer = new Wearer();
+    // 2020-09-19 22:00 UTC, heart rate every 5 minutes
+    const eveningTime = 1600552800;
+    const getNightHeartRate = minutes => {
+      if (minutes < 60 || minutes >= 510) {
+        return 75 + (minutes >= 510 ? 5 : 0);
+      } else if (minutes < 180 || (minutes >= 310 && minutes < 420)) {
+        return 56;
+      } else if (minutes < 300) {
+        return 48;
+      } else if (minutes < 310) {
+        // woke up for 10 minutes
+        return 75;
+      }
+      return 64;
+    };
+    for (let minutes = 0; minutes <= 540; minutes += 5) {
+      wearer.storeHeartRateData({heartRate: getNightHeartRate(minutes), timeWhenMeasured: eveningTime + minutes * 60});
+    }
+    const inferredSessions = wearer.inferSleep();
+    console.log('inferred sleep:', inferredSessions[0]);
+    console.log();
+
+    // 2020-09-20 23:00 UTC to 2020-09-21 07:00 UTC
+    const nextNightTime = eveningTime + 86400 + 3600;
+    wearer.recordSleep({
+      startTime: nextNightTime,
+      endTime: nextNightTime + 8 * 3600,
+      stages: [
+        {stage: 'deep', startTime: nextNightTime + 3600, endTime: nextNightTime + 2 * 3600},
+        {stage: 'awake', startTime: nextNightTime + 4 * 3600, endTime: nextNightTime + 4.5 * 3600}
+      ]
+    });
+
+    // a quiet afternoon on 2020-09-21 with a short walk in the middle
+    const afternoonTime = eveningTime + 2 * 86400 - 9 * 3600;
+    for (let minutes = 0; minutes <= 240; minutes += 5) {
+      wearer.storeHeartRateData({heartRate: 55, timeWhenMeasured: afternoonTime + minutes * 60});
+    }
+    wearer.startWorkout({
       workoutId: 1,
       workoutType: 'walk',
-      startTime: 1600565100,
-      endTime: 1600565100,
-      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
-    };
+      startTime: afternoonTime + 2 * 3600,
+      endTime: afternoonTime + 2 * 3600 + 240,
+      stepsData: [200, 200],
+      caloriesBurnedData: [10, 10]
+    });
+    wearer.endWorkout();
+    const afternoonSessions = wearer.inferSleep({from: afternoonTime});
+
+    let overlapError = null;
+    try {
+      wearer.recordSleep({startTime: nextNightTime + 3600, endTime: nextNightTime + 2 * 3600});
+    } catch (e) {
+      overlapError = e.message;
+    }
+    const [firstNight, secondNight] = wearer.getSleepSummary();
+    const format = summary => ['timeAsleep', 'light', 'deep', 'rem', 'awake'].map(key => summary[key]).join(',');
+
+    const tests = [
+      {
+        title: 'Sleep is inferred from a long stretch of low resting heart rate',
+        actual: `${inferredSessions.length}/${inferredSessions[0].startTime - eveningTime}/${inferredSessions[0].endTime - eveningTime}`,
+        expected: '1/3600/30300'
+      },
+      {
+        title: 'Inferred stages follow the heart rate',
+        actual: inferredSessions[0].stages.map(stage => stage.stage).join(','),
+        expected: 'light,deep,awake,light,rem'
+      },
+      {
+        title: 'Nightly summary of inferred sleep',
+        actual: `${firstNight.daysSinceUnixEpoch}/${format(firstNight)}`,
+        expected: '18525/26100,13800,7200,5100,600'
+      },
+      {
+        title: 'Nightly summary of recorded sleep; unstaged time is light sleep',
+        actual: `${secondNight.daysSinceUnixEpoch}/${format(secondNight)}`,
+        expected: '18526/27000,23400,3600,0,1800'
+      },
+      {
+        title: 'Movement breaks up inferred sleep',
+        actual: afternoonSessions.length,
+        expected: 0
+      },
+      {
+        title: 'Recorded sessions cannot overlap',
+        actual: overlapError,
+        expected: 'There is already a sleep session recorded at that time'
+      },
+      {
+        title: 'Average sleep over N day period',
+        actual: `${wearer.getAverageSleepDuration(2)}/${wearer.getAverageSleepDuration(1)}/${wearer.getAverageSleepDuration(2, 'deep')}`,
+        expected: '26550/27000/5400'
+      },
+      {
+        title: 'Movement periods are merged in chronological order for sleep inference',
+        actual: JSON.stringify(SleepAnalyzer.mergePeriods([
+          {startTime: 600, endTime: 900},
+          {startTime: 0, endTime: 120},
+          {startTime: 120, endTime: 240},
+          {startTime: 700, endTime: 800}
+        ])),
+        expected: JSON.stringify([{startTime: 0, endTime: 240}, {startTime: 600, endTime: 900}])
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test all-day steps and calories burned.
+   */
+  testBackgroundData() {
     const wearer = new Wearer();
-    wearer.startWorkout(simulatedWatchData);
-    const workoutSummary1 = wearer.endWorkout();
+    // 2020-09-20 08:00 UTC, 20 steps and 2 calories a minute
+    const hourStart = 1600588800;
+    const storeMinute = minute => {
+      wearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 20, caloriesBurned: 2});
+    };
+    for (let minute = 0; minute < 30; minute++) {
+      storeMinute(minute);
+    }
+    // the watch keeps sending all-day data during a 10 minute workout
+    wearer.startWorkout({workoutType: 'walk', startTime: hourStart + 30 * 60});
+    for (let minute = 30; minute < 40; minute++) {
+      storeMinute(minute);
+      if (minute % 5 === 4) {
+        wearer.addSteps({additionalSteps: 150, timeWhenMeasured: hourStart + (minute + 1) * 60});
+        wearer.addCaloriesBurned({additionalCaloriesBurned: 15, timeWhenMeasured: hourStart + (minute + 1) * 60});
+      }
+    }
+    wearer.endWorkout({workoutId: 1, endTime: hourStart + 40 * 60});
+    for (let minute = 40; minute < 60; minute++) {
+      storeMinute(minute);
+    }
 
-    simulatedWatchData = {
-      // 10 minute walk, same day
-      workoutId: 2,
+    // all-day data synced before a workout that covers it
+    const lateWearer = new Wearer();
+    for (let minute = 60; minute < 70; minute++) {
+      lateWearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 20});
+    }
+    lateWearer.startWorkout({
+      workoutId: 1,
       workoutType: 'walk',
-      startTime: 1600565160,
-      endTime: 1600565760,
-      stepsData: [200, 210, 220, 260, 270]
-    };
-    wearer.startWorkout(simulatedWatchData);
-    const workoutSummary2 = wearer.endWorkout();
+      startTime: hourStart + 3600,
+      endTime: hourStart + 4200,
+      stepsData: [100, 100, 100, 100, 100],
+      caloriesBurnedData: [10, 10, 10, 10, 10]
+    });
+    lateWearer.endWorkout();
 
-    let stepData = wearer.getDataSummary('steps');
-    let lastSummaryDataPoint = stepData[stepData.length - 1];
-    console.log('summary data point', lastSummaryDataPoint);
+    // goals and daily records are reached by all-day steps too
+    const eventWearer = new Wearer();
+    const events = [];
+    eventWearer.on('goalReached', event => events.push(`goalReached:${event.date}:${event.value}`));
+    eventWearer.on('dailyRecord', event => events.push(`dailyRecord:${event.date}:${event.value}`));
+    eventWearer.setGoal({metric: 'steps', period: 'daily', target: 500, effectiveDate: '2020-09-19'});
+    eventWearer.storeBackgroundData({startTime: hourStart - 86400, endTime: hourStart - 86400 + 60, steps: 300});
+    for (let minute = 0; minute < 6; minute++) {
+      eventWearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 100});
+    }
+
+    // a backfill of several days sent as one batch
+    const backfillWearer = new Wearer();
+    const backfillEvents = [];
+    backfillWearer.on('goalReached', event => backfillEvents.push(`${event.period}:${event.date}`));
+    backfillWearer.setGoal({metric: 'steps', period: 'daily', target: 500, effectiveDate: '2020-09-19'});
+    backfillWearer.setGoal({metric: 'steps', period: 'weekly', target: 1000, effectiveDate: '2020-09-19'});
+    const backfill = [];
+    [0, 1, 2].forEach(day => {
+      for (let minute = 0; minute < 6; minute++) {
+        const sampleStart = hourStart + day * 86400 + minute * 60;
+        backfill.push({startTime: sampleStart, endTime: sampleStart + 60, steps: 100});
+      }
+    });
+    backfillWearer.storeBackgroundData(backfill);
+    let rejectedBackfillError = null;
+    try {
+      backfillWearer.storeBackgroundData([{startTime: hourStart + 3 * 86400, endTime: hourStart + 3 * 86400 + 60, steps: 100}, {startTime: hourStart, endTime: hourStart, steps: 100}]);
+    } catch (error) {
+      rejectedBackfillError = error.field;
+    }
+
+    const hourlySteps = wearer.getHourlyTotals('steps', '2020-09-20');
+    const dstWearer = new Wearer(null, {timeZone: 'America/Los_Angeles'});
+    console.log('hourly steps at 08:00:', hourlySteps[8]);
     console.log();
 
-    let tests = [
+    const tests = [
       {
-        title: 'add new step data on same day',
-        actual: lastSummaryDataPoint.steps,
-        expected: workoutSummary1.steps + workoutSummary2.steps
+        title: 'Daily steps include steps outside workouts without counting workout time twice',
+        actual: wearer.getDataSummary('steps')[0].steps,
+        expected: 1300
+      },
+      {
+        title: 'Daily calories include calories outside workouts without counting workout time twice',
+        actual: wearer.getDataSummary('caloriesBurned')[0].caloriesBurned,
+        expected: 130
+      },
+      {
+        title: 'All-day data is no longer counted once a workout covering it is stored',
+        actual: lateWearer.getDataSummary('steps')[0].steps,
+        expected: 500
+      },
+      {
+        title: 'Hourly totals',
+        actual: `${hourlySteps.length}/${hourlySteps[7].steps}/${hourlySteps[8].hour}/${hourlySteps[8].steps}`,
+        expected: '24/0/8/1300'
+      },
+      {
+        title: 'Hourly calories burned',
+        actual: wearer.getHourlyTotals('caloriesBurned', '2020-09-20')[8].caloriesBurned,
+        expected: 130
+      },
+      {
+        title: 'Daily totals include days without data',
+        actual: wearer.getDailyTotals('steps', {from: '2020-09-19', to: '2020-09-21'}).map(data => `${data.date}:${data.steps}`).join(','),
+        expected: '2020-09-19:0,2020-09-20:1300,2020-09-21:0'
+      },
+      {
+        title: 'All-day steps emit goalReached and dailyRecord once each',
+        actual: events.join(','),
+        expected: 'dailyRecord:2020-09-20:400,goalReached:2020-09-20:500'
+      },
+      {
+        title: 'A batch of all-day data emits each goal once per day or week reached',
+        actual: backfillEvents.join(','),
+        expected: 'daily:2020-09-20,daily:2020-09-21,daily:2020-09-22,weekly:2020-09-21'
+      },
+      {
+        title: 'A batch with an invalid sample stores none of it',
+        actual: `${rejectedBackfillError}/${backfillWearer.backgroundData.rawData.length}/${backfillWearer.getDataSummary('steps').length}`,
+        expected: 'endTime/18/3'
+      },
+      {
+        title: 'The day DST ends has 25 hours',
+        actual: dstWearer.getHourlyTotals('steps', '2020-11-01').map(data => data.hour).slice(0, 4).join(',') +
+          `/${dstWearer.getHourlyTotals('steps', '2020-11-01').length}`,
+        expected: '0,1,1,2/25'
       }
     ];
     this.runTests(tests);
+  }
 
-    simulatedWatchData = {
-      // 20 minute walk, next day
-      workoutId: 3,
-      workoutType: 'walk',
-      startTime: 1600651560,
-      endTime: 1600652760,
-      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
-    };
-    wearer.startWorkout(simulatedWatchData);
-    wearer.endWorkout();
+  /**
+   * Test time series queries.
+   */
+  testTimeSeries() {
+    const wearer = new Wearer();
+    // 2020-09-20 08:00 UTC
+    const hourStart = 1600588800;
+    for (let minute = 0; minute < 60; minute++) {
+      wearer.storeHeartRateData({heartRate: 60 + minute, timeWhenMeasured: hourStart + minute * 60});
+      if (minute < 30) {
+        wearer.storeBackgroundData({startTime: hourStart + minute * 60, endTime: hourStart + (minute + 1) * 60, steps: 20});
+      }
+    }
+    const values = buckets => buckets.map(bucket => bucket.value).join(',');
+    // more values than fit in a call's arguments
+    const manyValues = Array.from({length: 200000}, (value, index) => 60 + index % 100);
+    const threeHours = {from: hourStart - 3600, to: hourStart + 7200, resolution: 'hour'};
+    const heartRateSeries = wearer.getTimeSeries('heartRate', {from: hourStart, to: hourStart + 3600, resolution: '15min'});
+    console.log('15 minute heart rate:', heartRateSeries);
+    console.log();
+    const losAngelesWearer = new Wearer(null, {timeZone: 'America/Los_Angeles'});
+    const months = losAngelesWearer.getTimeSeries('steps', {from: 1600128000, to: 1605398400, resolution: 'month'});
+    let invalidResolutionError = null;
+    try {
+      wearer.getTimeSeries('steps', {from: hourStart, to: hourStart + 3600, resolution: 'second'});
+    } catch (e) {
+      invalidResolutionError = e.message;
+    }
 
-    tests = [
+    const tests = [
+      {
+        title: 'Heart rate is averaged by default',
+        actual: values(heartRateSeries),
+        expected: '67,82,97,112'
+      },
+      {
+        title: 'Empty buckets are null unless filled',
+        actual: `${values(wearer.getTimeSeries('heartRate', Object.assign({aggregation: 'max'}, threeHours)))}/` +
+          wearer.getTimeSeries('heartRate', threeHours).map(bucket => bucket.count).join(','),
+        expected: ',119,/0,60,0'
+      },
+      {
+        title: 'Empty buckets can repeat the previous value',
+        actual: values(wearer.getTimeSeries('heartRate', Object.assign({fill: 'previous'}, threeHours))),
+        expected: ',89.5,89.5'
+      },
+      {
+        title: '95th percentile',
+        actual: wearer.getTimeSeries('heartRate', {from: hourStart, to: hourStart + 3600, aggregation: 'p95'})[0].value,
+        expected: 116
+      },
+      {
+        title: 'Steps are summed, with empty buckets filled with zero',
+        actual: values(wearer.getTimeSeries('steps', {from: hourStart, to: hourStart + 3600, resolution: '15min'})),
+        expected: '300,300,0,0'
+      },
+      {
+        title: 'Daily resolution',
+        actual: values(wearer.getTimeSeries('steps', {from: 1600473600, to: 1600732800, resolution: 'day'})),
+        expected: '0,600,0'
+      },
+      {
+        title: 'Minimum and maximum work for very large buckets',
+        actual: `${TimeSeries.aggregate(manyValues, 'min')}/${TimeSeries.aggregate(manyValues, 'max')}`,
+        expected: '60/159'
+      },
+      {
+        title: 'Weekly buckets start on Monday',
+        actual: new Date(wearer.getTimeSeries('steps', {from: hourStart, to: hourStart + 3600, resolution: 'week'})[0].startTime * 1000).toISOString(),
+        expected: '2020-09-14T00:00:00.000Z'
+      },
+      {
+        title: 'Monthly buckets start at local midnight',
+        actual: months.map(bucket => new Date(bucket.startTime * 1000).toISOString().slice(0, 13)).join(','),
+        expected: '2020-09-01T07,2020-10-01T07,2020-11-01T07'
+      },
+      {
+        title: 'Unknown resolutions are rejected',
+        actual: invalidResolutionError,
+        expected: 'Resolution must be one of minute, 15min, hour, day, week, month'
+      }
+    ];
+    this.runTests(tests);
+  }
+
+  /**
+   * Test daily resting heart rate.
+   */
+  testRestingHeartRate() {
+    const wearer = new Wearer();
+    const firstDay = TimeZone.parseDate('2020-09-21');
+    const dayStart = firstDay * 86400;
+    // 2 hours of samples every 5 minutes: 70 bpm, then 60 bpm after an hour
+    for (let minute = 0; minute <= 120; minute += 5) {
+      wearer.storeHeartRateData({heartRate: minute < 60 ? 70 : 60, timeWhenMeasured: dayStart + minute * 60});
+    }
+    // a sensor dropout
+    wearer.storeHeartRateData({heartRate: 0, timeWhenMeasured: dayStart + 62 * 60});
+    // a few readings on later days, skipping a day
+    [[1, 62], [2, 64], [3, 66], [5, 68]].forEach(([dayOffset, heartRate]) => {
+      const startTime = (firstDay + dayOffset) * 86400 + 3600;
+      [heartRate - 1, heartRate + 1].forEach((value, index) => {
+        wearer.storeHeartRateData({heartRate: value, timeWhenMeasured: startTime + index * 300});
+      });
+    });
+    const dailyValues = wearer.getDailyRestingHeartRates();
+    const stats = wearer.getRestingHeartRateStats(3);
+
+    let rangeError = null;
+    try {
+      wearer.getAverageRestingHeartRate(0);
+    } catch (error) {
+      rangeError = error.message;
+    }
+
+    let tests = [
+      {
+        title: 'A day with 30 minutes of continuous data uses the lowest 30 minute average',
+        actual: `${dailyValues[0].date}/${dailyValues[0].restingHeartRate}/${dailyValues[0].method}`,
+        expected: '2020-09-21/60/lowestWindowAverage'
+      },
+      {
+        title: 'Implausible readings are left out',
+        actual: dailyValues[0].samples,
+        expected: 25
+      },
+      {
+        title: 'Shorter days fall back to the average of their samples',
+        actual: dailyValues.slice(1).map(day => `${day.restingHeartRate}/${day.method}`).join(','),
+        expected: '62/mean,64/mean,66/mean,68/mean'
+      },
+      {
+        title: 'N day average ends on the latest day and skips days without data',
+        actual: `${wearer.getAverageRestingHeartRate(3)}/${wearer.getAverageRestingHeartRate(1)}/${wearer.getAverageRestingHeartRate(30)}`,
+        expected: '67/68/64'
+      },
       {
-        title: 'Summary data points should be aggregated if added same day',
-        actual: stepData.length,
-        expected: 2
+        title: 'Rolling N day averages',
+        actual: stats.rollingAverages.map(day => `${day.date.slice(5)}:${day.average}`).join(','),
+        expected: '09-21:60,09-22:61,09-23:62,09-24:64,09-26:67'
+      },
+      {
+        title: 'Trend over N day period',
+        actual: `${stats.trend.slope}/${stats.trend.direction}/${wearer.getRestingHeartRateStats(1).trend.direction}`,
+        expected: '1/rising/steady'
+      },
+      {
+        title: 'Wearers without heart rate data',
+        actual: `${new Wearer().getAverageRestingHeartRate(7)}/${new Wearer().getRestingHeartRateStats(7).trend.direction}`,
+        expected: '0/steady'
+      },
+      {
+        title: 'N day period must be a positive integer',
+        actual: rangeError,
+        expected: 'nDayPeriod must be a positive integer'
       }
     ];
     this.runTests(tests);
+  }
 
-    simulatedWatchData = {
-      // 10 minute walk, 2 days later
-      workoutId: 4,
-      workoutType: 'walk',
-      startTime: 1600824360,
-      endTime: 1600824960,
-      stepsData: [150, 160, 170, 155, 165]
-    };
-    wearer.startWorkout(simulatedWatchData);
-    wearer.endWorkout();
-
-    simulatedWatchData = {
-      // 10 minute walk, next day
-      workoutId: 5,
-      workoutType: 'walk',
-      startTime: 1600910760,
-      endTime: 1600911360,
-      stepsData: [150, 160, 170, 155, 165]
-    };
-    wearer.startWorkout(simulatedWatchData);
-    wearer.endWorkout();
+  /**
+   * Test personal records and trends.
+   */
+  testRecordsAndTrends() {
+    const wearer = new Wearer();
+    const day = 86400;
+    // 2020-09-20
+    const startTime = 1600565100;
+    const newRecords = [];
+    [
+      {workoutId: 1, workoutType: 'walk', startTime: startTime, endTime: startTime + 240, stepsData: [400, 400], caloriesBurnedData: [10, 10]},
+      {workoutId: 2, workoutType: 'run', startTime: startTime + day, endTime: startTime + day + 600, stepsData: [1000, 1000], caloriesBurnedData: [50, 50]},
+      {workoutId: 3, workoutType: 'walk', startTime: startTime + 2 * day, endTime: startTime + 2 * day + 240, stepsData: [700, 700], caloriesBurnedData: [15, 15]}
+    ].forEach(watchData => {
+      wearer.startWorkout(watchData);
+      newRecords.push(wearer.endWorkout().newRecords.join(' '));
+    });
+    const stepsTrend = wearer.getTrend('steps', 3);
+    wearer.startWorkout({workoutId: 4, workoutType: 'walk', startTime: startTime + 9 * day, endTime: startTime + 9 * day + 240, stepsData: [500, 500], caloriesBurnedData: [5, 5]});
+    newRecords.push(wearer.endWorkout().newRecords.join(' '));
+    const records = wearer.getPersonalRecords();
+    const weekChange = wearer.getPeriodChange('steps', 'week', {to: '2020-09-29'});
+    const monthChange = wearer.getPeriodChange('steps', 'month', {to: '2020-10-21'});
 
-    stepData = wearer.getDataSummary('steps');
-    console.log('Summary step data', stepData);
-    console.log();
+    let categoryError = null;
+    try {
+      wearer.getTrend('heartRate', 7);
+    } catch (error) {
+      categoryError = error.message;
+    }
 
-    tests = [
+    let tests = [
       {
-        title: 'Minimum steps over 2 day period',
-        actual: wearer.getMinMaxSteps(2, 'min'),
-        expected: 1600
+        title: 'Most steps in a day',
+        actual: `${records.mostStepsInADay.date}/${records.mostStepsInADay.value}`,
+        expected: '2020-09-21/2000'
       },
       {
-        title: 'Maximum steps over 2 day period',
-        actual: wearer.getMinMaxSteps(2, 'max'),
-        expected: 5808
+        title: 'Longest workout by moving time',
+        actual: `${records.longestWorkout.workoutId}/${records.longestWorkout.workoutType}/${records.longestWorkout.value}`,
+        expected: '2/run/600'
       },
       {
-        title: 'Minimum steps over 5 day period',
-        actual: wearer.getMinMaxSteps(5, 'min'),
-        expected: 7408
+        title: 'Most calories in a workout for each workout type',
+        actual: Object.keys(records.mostCaloriesInAWorkout).sort().map(workoutType => {
+          const record = records.mostCaloriesInAWorkout[workoutType];
+          return `${workoutType}:${record.workoutId}/${record.value}`;
+        }).join(','),
+        expected: 'run:2/100,walk:3/30'
       },
       {
-        title: 'Maximum steps over 5 day period',
-        actual: wearer.getMinMaxSteps(5, 'max'),
-        expected: 7408
+        title: 'Fastest lap by step rate',
+        actual: `${records.fastestLap.workoutId}/${records.fastestLap.lapNumber}/${records.fastestLap.value}`,
+        expected: '3/1/350'
       },
       {
-        title: 'Average number of steps over 2 day period',
-        actual: wearer.getAverageNumberOfSteps(2),
-        expected: 3704
+        title: 'endWorkout flags the records a workout beat, but not first or tied values',
+        actual: newRecords.join(','),
+        expected: ',mostStepsInADay longestWorkout,mostCaloriesInAWorkout fastestLap,'
       },
       {
-        title: 'Average number of steps over 5 day period',
-        actual: wearer.getAverageNumberOfSteps(5),
-        expected: 7408
+        title: 'Wearers without workouts have no records',
+        actual: JSON.stringify(new Wearer().getPersonalRecords()),
+        expected: '{"mostStepsInADay":null,"longestWorkout":null,"mostCaloriesInAWorkout":{},"fastestLap":null}'
+      },
+      {
+        title: 'Week-over-week change compares the same days of last week',
+        actual: `${weekChange.current.from}..${weekChange.current.to}:${weekChange.current.value}/` +
+          `${weekChange.previous.from}..${weekChange.previous.to}:${weekChange.previous.value}/` +
+          `${weekChange.change}/${weekChange.percentChange.toFixed(1)}`,
+        expected: '2020-09-28..2020-09-29:1000/2020-09-21..2020-09-22:3400/-2400/-70.6'
+      },
+      {
+        title: 'Month-over-month change',
+        actual: `${monthChange.previous.from}..${monthChange.previous.to}:${monthChange.previous.value}/${monthChange.percentChange}`,
+        expected: '2020-09-01..2020-09-21:2800/-100'
+      },
+      {
+        title: 'Last month is cut short at its last day',
+        actual: wearer.getPeriodChange('steps', 'month', {to: '2020-10-31'}).previous.to,
+        expected: '2020-09-30'
+      },
+      {
+        title: 'Percent change is null without data last period',
+        actual: wearer.getPeriodChange('steps', 'week', {to: '2020-09-22'}).percentChange,
+        expected: null
+      },
+      {
+        title: 'Steps trend over N days',
+        actual: `${stepsTrend.slope}/${stepsTrend.direction}`,
+        expected: '300/rising'
+      },
+      {
+        title: 'Resting heart rate trend without data is steady',
+        actual: wearer.getTrend('restingHeartRate', 7).direction,
+        expected: 'steady'
+      },
+      {
+        title: 'Unknown trend data categories are rejected',
+        actual: categoryError,
+        expected: 'Data category must be "steps", "caloriesBurned" or "restingHeartRate"'
       }
     ];
     this.runTests(tests);
   }
 
   /**
-   * Test heart rate stats.
+   * Test training load and recovery.
    */
-  testHeartRateStats() {
-    let simulatedData = {
-      heartRateData: {
-        // 10 rest period
-        startTime: 1600565160,
-        heartRate: [70, 75, 70, 72, 73, 71, 77, 79, 78, 76]
+  testTrainingLoad() {
+    const profile = {age: 30, restingHeartRate: 50, sex: 'male'};
+    const firstDay = TimeZone.parseDate('2020-09-01');
+    // 10 minutes at 120 bpm, halfway into the heart rate reserve
+    const recordWorkout = (wearer, dayOffset, workoutId) => {
+      const startTime = (firstDay + dayOffset) * 86400 + 36000;
+      wearer.startWorkout({workoutType: 'run', startTime: startTime});
+      for (let minute = 0; minute < 10; minute++) {
+        wearer.storeHeartRateData({heartRate: 120, timeWhenMeasured: startTime + minute * 60});
       }
-    }
-    const wearer = new Wearer(simulatedData);
-    const heartRateData = wearer.getDataSummary('heartRate');
-    console.log('Heart rate data', JSON.stringify(heartRateData, null, 2));
-    console.log();
+      return wearer.endWorkout({workoutId: workoutId, endTime: startTime + 600});
+    };
+    const storeRestingHeartRates = (wearer, dayOffset, heartRates) => {
+      heartRates.forEach((heartRate, index) => {
+        wearer.storeHeartRateData({heartRate: heartRate, timeWhenMeasured: (firstDay + dayOffset) * 86400 + 10800 + index * 300});
+      });
+    };
+
+    const wearer = new Wearer(null, {profile: profile});
+    const summary = recordWorkout(wearer, 7, 1);
+    recordWorkout(wearer, 14, 2);
+    recordWorkout(wearer, 24, 3);
+    recordWorkout(wearer, 26, 4);
+    storeRestingHeartRates(wearer, 24, [49, 51]);
+    storeRestingHeartRates(wearer, 25, [50, 50]);
+    storeRestingHeartRates(wearer, 27, [52, 54]);
+    const loadRatio = wearer.getTrainingLoadRatio({to: '2020-09-28'});
+    const recovery = wearer.getRecoveryScore({to: '2020-09-28'});
+
+    const femaleWearer = new Wearer(null, {profile: Object.assign({}, profile, {sex: 'female'})});
+    const measuredWearer = new Wearer(null, {profile: {age: 30}});
+    storeRestingHeartRates(measuredWearer, 0, [48, 52]);
+    const withoutRestingHeartRate = new Wearer(null, {profile: {age: 30}});
 
     let tests = [
       {
-        title: 'Simulated resting heart rate data should be available',
-        actual: heartRateData.rawData.resting.length,
-        expected: 10
+        title: 'Workout summaries include TRIMP training load',
+        actual: summary.trainingLoad.toFixed(2),
+        expected: (10 * 0.5 * 0.64 * Math.exp(1.92 * 0.5)).toFixed(2)
       },
       {
-        title: 'Average heart rate over 1 day period',
-        actual: wearer.getAverageRestingHeartRate(1),
-        expected: simulatedData.heartRateData.heartRate.reduce((acc, cur) => acc + cur) / simulatedData.heartRateData.heartRate.length
+        title: 'Training load is weighted less steeply for women',
+        actual: recordWorkout(femaleWearer, 0, 1).trainingLoad.toFixed(2),
+        expected: (10 * 0.5 * 0.64 * Math.exp(1.67 * 0.5)).toFixed(2)
+      },
+      {
+        title: 'The measured resting heart rate stands in for one not in the profile',
+        actual: recordWorkout(measuredWearer, 1, 1).trainingLoad.toFixed(2),
+        expected: summary.trainingLoad.toFixed(2)
+      },
+      {
+        title: 'Training load needs a resting heart rate',
+        actual: recordWorkout(withoutRestingHeartRate, 0, 1).trainingLoad,
+        expected: null
+      },
+      {
+        title: 'Acute and chronic loads are daily averages over 7 and 28 days',
+        actual: `${(loadRatio.acuteLoad / summary.trainingLoad).toFixed(4)}/${(loadRatio.chronicLoad / summary.trainingLoad).toFixed(4)}`,
+        expected: `${(2 / 7).toFixed(4)}/${(4 / 28).toFixed(4)}`
+      },
+      {
+        title: 'Acute:chronic load ratio',
+        actual: `${loadRatio.ratio}/${loadRatio.status}`,
+        expected: '2/veryHigh'
+      },
+      {
+        title: 'Recovery score combines load ratio with resting heart rate above baseline',
+        actual: `${recovery.score}/${recovery.restingHeartRate}/${recovery.baselineRestingHeartRate}`,
+        expected: '20/53/50'
+      },
+      {
+        title: 'Wearers without workouts or heart rate data have no recovery score',
+        actual: `${new Wearer().getTrainingLoadRatio({to: '2020-09-28'}).ratio}/${new Wearer().getRecoveryScore({to: '2020-09-28'}).score}`,
+        expected: 'null/null'
+      },
+      {
+        title: 'A recovery score needs a load ratio or a resting heart rate baseline',
+        actual: `${TrainingLoad.getRecoveryScore(null, 60, null)}/${TrainingLoad.getRecoveryScore(null, 62, 60)}/${TrainingLoad.getRecoveryScore(1.2, null, null)}`,
+        expected: 'null/80/80'
       }
     ];
     this.runTests(tests);
   }
 
   /**
-   * Test calories stats.
+   * Test input validation and typed errors.
    */
-  testCaloriesStats() {
-    const dataCategory = 'caloriesBurned';
-
-    let simulatedWatchData = {
-      // 20 minute walk
-      workoutId: 1,
-      workoutType: 'walk',
-      startTime: 1600565100,
-      endTime: 1600565100,
-      caloriesBurnedData: [12, 14, 16, 18, 14, 16, 12, 16, 18, 16],
-      stepsData: [200, 210, 220, 260, 270, 240, 220, 216, 240, 248]
-    };
+  testValidation() {
+    const startTime = 1600565100;
     const wearer = new Wearer();
-    wearer.startWorkout(simulatedWatchData);
-    const workoutSummary1 = wearer.endWorkout();
-
-    simulatedWatchData = {
-      // 10 minute walk, same day
-      workoutId: 2,
-      workoutType: 'walk',
-      startTime: 1600565160,
-      endTime: 1600565760,
-      caloriesBurnedData: [11, 13, 15, 17, 13],
-      stepsData: [200, 210, 220, 260, 270]
+    const getError = fn => {
+      try {
+        fn();
+      } catch (e) {
+        return e;
+      }
+      return null;
     };
-    wearer.startWorkout(simulatedWatchData);
-    wearer.endWorkout();
+    const describe = error => `${error.name}/${error.field}/${error.message}`;
 
-    simulatedWatchData = {
-      // 10 minute walk, 2 days later
-      workoutId: 3,
-      workoutType: 'walk',
-      startTime: 1600824360,
-      endTime: 1600824960,
-      caloriesBurnedData: [12, 14, 16, 18, 14],
-      stepsData: [150, 160, 170, 155, 165]
-    };
-    wearer.startWorkout(simulatedWatchData);
-    wearer.endWorkout();
+    const missingType = getError(() => wearer.startWorkout({startTime: startTime}));
+    const unknownType = getError(() => wearer.startWorkout({workoutType: 'parkour', startTime: startTime}));
+    const noWorkout = getError(() => wearer.addSteps({additionalSteps: 10}));
+    wearer.startWorkout({workoutType: 'walk', startTime: startTime});
+    const startedAgain = getError(() => wearer.startWorkout({workoutType: 'walk', startTime: startTime}));
+    const negativeSteps = getError(() => wearer.addSteps({additionalSteps: -5, timeWhenMeasured: startTime + 60}));
+    const negativeHeartRate = getError(() => wearer.storeHeartRateData({heartRate: -1, timeWhenMeasured: startTime + 60}));
+    // a sensor dropout is stored and flagged, but left out of the workout
+    wearer.storeHeartRateData({heartRate: 0, timeWhenMeasured: startTime + 30});
+    const textTimestamp = getError(() => wearer.storeHeartRateData({heartRate: 90, timeWhenMeasured: 'noon'}));
+    // a workout used on its own leaves out implausible heart rates too
+    const standaloneWorkout = new Workout({workoutType: 'run', startTime: startTime});
+    [0, 150, 400].forEach((heartRate, index) => {
+      standaloneWorkout.addHeartRate({heartRate: heartRate, timeWhenMeasured: startTime + (index + 1) * 60});
+    });
+    const standaloneSummary = standaloneWorkout.getWorkoutSummary();
+    const notPaused = getError(() => wearer.resumeWorkout({resumeTime: startTime + 60}));
+    wearer.pauseWorkout({pauseTime: startTime + 60});
+    const pausedAgain = getError(() => wearer.pauseWorkout({pauseTime: startTime + 90}));
+    const endedEarly = getError(() => wearer.endWorkout({workoutId: 1, endTime: startTime - 60}));
+    const endedDuringPause = getError(() => wearer.endWorkout({workoutId: 1, endTime: startTime + 30}));
+    const isStillInProgress = wearer.workoutInstance !== null && wearer.workoutInstance.steps === 0
+      && wearer.workoutInstance.workoutId === null && wearer.workoutInstance.endTime === null && wearer.workoutInstance.isPaused;
+    wearer.endWorkout({workoutId: 1, endTime: startTime + 120});
 
-    simulatedWatchData = {
-      // 10 minute walk, next day
-      workoutId: 4,
-      workoutType: 'walk',
-      startTime: 1600910760,
-      endTime: 1600911360,
-      caloriesBurnedData: [12, 14, 16, 18, 14],
-      stepsData: [150, 160, 170, 155, 165]
-    };
-    wearer.startWorkout(simulatedWatchData);
-    wearer.endWorkout();
+    // a 10 minute walk with pauses from 1 to 3 minutes and from 4 to 5 minutes
+    const pausedWearer = new Wearer();
+    pausedWearer.startWorkout({workoutType: 'walk', startTime: startTime});
+    pausedWearer.pauseWorkout({pauseTime: startTime + 60});
+    pausedWearer.resumeWorkout({resumeTime: startTime + 180});
+    const overlappingPause = getError(() => pausedWearer.pauseWorkout({pauseTime: startTime + 120}));
+    pausedWearer.pauseWorkout({pauseTime: startTime + 240});
+    pausedWearer.resumeWorkout({resumeTime: startTime + 300});
+    const pausedSummary = pausedWearer.endWorkout({workoutId: 2, endTime: startTime + 600});
 
-    const dataSummary = wearer.getDataSummary(dataCategory);
-    console.log('Summary data', dataSummary);
-    console.log();
+    const apiServer = new ApiServer();
+    apiServer.route('POST', '/wearers', {id: 'wearer-1'});
+    apiServer.route('POST', '/wearers/wearer-1/workouts/start', {workoutType: 'walk', startTime: startTime});
+    const invalidSample = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {type: 'steps', additionalSteps: -5});
+    const resumed = apiServer.route('POST', '/wearers/wearer-1/workouts/current/resume', {resumeTime: startTime + 60});
+    const dropoutBatch = apiServer.route('POST', '/wearers/wearer-1/workouts/current/samples', {
+      samples: [
+        {type: 'heartRate', heartRate: 0, timeWhenMeasured: startTime + 60},
+        {type: 'heartRate', heartRate: 95, timeWhenMeasured: startTime + 120}
+      ]
+    });
+
+    const nullOptions = [
+      () => wearer.getGoalStreaks('steps', 'daily', null),
+      () => wearer.getPeriodChange('steps', 'week', null),
+      () => wearer.getTrainingLoadRatio(null),
+      () => wearer.getRecoveryScore(null),
+      () => wearer.getMinMaxSteps(1, 'max', null)
+    ].map(fn => describe(getError(fn)));
+    const missingFile = getError(() => wearer.importFile(path.join(os.tmpdir(), `fitness-watch-missing-${process.pid}.gpx`)));
 
     let tests = [
       {
-        title: 'Average calories burned per walk workout over 5 day period',
-        actual: wearer.getAverageCaloriesBurnedPerWorkout(5, 'walk'),
-        expected: 123
+        title: 'startWorkout needs a workout type',
+        actual: describe(missingType),
+        expected: 'ValidationError/workoutType/workoutType is required'
+      },
+      {
+        title: 'Unknown workout types are rejected',
+        actual: describe(unknownType),
+        expected: 'ValidationError/workoutType/Unknown workout type: parkour'
+      },
+      {
+        title: 'Steps must not be negative',
+        actual: describe(negativeSteps),
+        expected: 'ValidationError/additionalSteps/additionalSteps must be a non-negative number'
+      },
+      {
+        title: 'Negative heart rates are rejected',
+        actual: describe(negativeHeartRate),
+        expected: 'ValidationError/heartRate/heartRate must be a non-negative number'
+      },
+      {
+        title: 'Heart rate dropouts are flagged as implausible and left out of the workout',
+        actual: `${wearer.getHeartRateAlerts({type: 'implausible'}).length}/${wearer.getDataSummary('heartRate').rawData.active.length}/${wearer.workoutData.rawData[0].samples.heartRate.length}`,
+        expected: '1/1/0'
+      },
+      {
+        title: 'Workouts leave implausible heart rates out of their stats',
+        actual: `${standaloneWorkout.samples.heartRate.length}/${standaloneSummary.averageHeartRate}/${standaloneSummary.peakHeartRate}`,
+        expected: '1/150/150'
+      },
+      {
+        title: 'Timestamps must be numbers',
+        actual: describe(textTimestamp),
+        expected: 'ValidationError/timeWhenMeasured/timeWhenMeasured must be a UNIX timestamp'
+      },
+      {
+        title: 'A workout cannot end before it starts, and stays in progress',
+        actual: `${describe(endedEarly)}/${isStillInProgress}`,
+        expected: 'ValidationError/endTime/endTime must not be before startTime/true'
+      },
+      {
+        title: 'A paused workout cannot end before the pause started',
+        actual: describe(endedDuringPause),
+        expected: 'ValidationError/endTime/endTime must not be before the pause started'
+      },
+      {
+        title: 'Pauses cannot overlap, so moving time stays right',
+        actual: `${describe(overlappingPause)}/${pausedSummary.movingTime}`,
+        expected: 'ValidationError/pauseTime/pauseTime must not be before the previous pause ended/420'
+      },
+      {
+        title: 'minOrMax must be "min" or "max"',
+        actual: describe(getError(() => wearer.getMinMaxSteps(1, 'median'))),
+        expected: 'ValidationError/minOrMax/minOrMax must be "min" or "max"'
+      },
+      {
+        title: 'Requests the workout state does not allow throw a WorkoutStateError',
+        actual: [noWorkout, startedAgain, notPaused, pausedAgain].map(error => `${error.name}:${error.code}`).join(','),
+        expected: 'WorkoutStateError:no_workout_in_progress,WorkoutStateError:workout_in_progress,' +
+          'WorkoutStateError:workout_not_paused,WorkoutStateError:workout_paused'
+      },
+      {
+        title: 'Errors share a base class',
+        actual: [negativeHeartRate, noWorkout].every(error => error instanceof FitnessWatchError && error instanceof Error)
+          && negativeHeartRate instanceof ValidationError,
+        expected: true
+      },
+      {
+        title: 'The API answers validation errors with 400',
+        actual: `${invalidSample.status}/${invalidSample.body.error.code}/${invalidSample.body.error.message}`,
+        expected: '400/invalid_input/additionalSteps must be a non-negative number'
+      },
+      {
+        title: 'The API answers workout state errors with 409',
+        actual: `${resumed.status}/${resumed.body.error.code}`,
+        expected: '409/workout_not_paused'
+      },
+      {
+        title: 'The API accepts a batch with a heart rate dropout',
+        actual: `${dropoutBatch.status}/${dropoutBatch.body.accepted}`,
+        expected: '202/2'
+      },
+      {
+        title: 'Options must be objects',
+        actual: nullOptions.every(error => error === 'ValidationError/options/options must be an object'),
+        expected: true
+      },
+      {
+        title: 'importWorkouts needs parsed workouts',
+        actual: describe(getError(() => wearer.importWorkouts(null))),
+        expected: 'ValidationError/importedData/importedData must be an object'
+      },
+      {
+        title: 'Importing a missing file throws a NotFoundError',
+        actual: `${missingFile instanceof NotFoundError}/${missingFile.code}`,
+        expected: 'true/file_not_found'
+      },
+      {
+        title: 'History documents must be valid JSON with the wearer data',
+        actual: [
+          getError(() => Wearer.importHistory('{"format":')),
+          getError(() => Wearer.importHistory({format: 'fitness-watch-history', version: 1, wearer: {id: 'wearer-1'}}))
+        ].map(describe).join(','),
+        expected: 'ValidationError/document/The history document is not valid JSON,ValidationError/stepsData/stepsData is required'
+      },
+      {
+        title: 'Workout type names must be strings',
+        actual: describe(getError(() => new WorkoutTypeRegistry().register(5))),
+        expected: 'ValidationError/name/name must be a non-empty string'
+      },
+      {
+        title: 'Heart rate reserve zones need a resting heart rate',
+        actual: describe(getError(() => HeartRateZones.getZoneThresholds({maxHeartRate: 190, heartRateZoneMethod: 'heartRateReserve'}))),
+        expected: 'ValidationError/restingHeartRate/The heart rate reserve method needs a resting heart rate'
       }
     ];
     this.runTests(tests);
@@ -742,6 +7963,102 @@ class TestRunner {
       {
         title: 'Test average calories per workout for each workout type',
         fn: this.testCaloriesStats
+      },
+      {
+        title: 'Test streaming samples into a workout',
+        fn: this.testLiveSampleStreaming
+      },
+      {
+        title: 'Test pausing and resuming a workout',
+        fn: this.testPauseAndResume
+      },
+      {
+        title: 'Test laps and splits',
+        fn: this.testLaps
+      },
+      {
+        title: 'Test saving and loading wearers',
+        fn: this.testStorage
+      },
+      {
+        title: 'Test bucketing by local calendar day',
+        fn: this.testTimeZones
+      },
+      {
+        title: 'Test heart rate zones',
+        fn: this.testHeartRateZones
+      },
+      {
+        title: 'Test calorie estimation',
+        fn: this.testCalorieEstimation
+      },
+      {
+        title: 'Test the workout type registry',
+        fn: this.testWorkoutTypes
+      },
+      {
+        title: 'Test GPX and TCX export',
+        fn: this.testWorkoutExport
+      },
+      {
+        title: 'Test CSV and JSON history export',
+        fn: this.testHistoryExport
+      },
+      {
+        title: 'Test importing GPX, TCX and FIT files',
+        fn: this.testWorkoutImport
+      },
+      {
+        title: 'Test the HTTP API routes',
+        fn: this.testApiRoutes
+      },
+      {
+        title: 'Test the command-line interface',
+        fn: this.testCli
+      },
+      {
+        title: 'Test wearer groups and leaderboards',
+        fn: this.testLeaderboards
+      },
+      {
+        title: 'Test goals and streaks',
+        fn: this.testGoals
+      },
+      {
+        title: 'Test wearer and workout events',
+        fn: this.testEvents
+      },
+      {
+        title: 'Test abnormal heart rate alerts',
+        fn: this.testHeartRateAlerts
+      },
+      {
+        title: 'Test recorded and inferred sleep',
+        fn: this.testSleep
+      },
+      {
+        title: 'Test all-day steps and calories burned',
+        fn: this.testBackgroundData
+      },
+      {
+        title: 'Test time series queries',
+        fn: this.testTimeSeries
+      },
+      {
+        title: 'Test daily resting heart rate',
+        fn: this.testRestingHeartRate
+      },
+      {
+        title: 'Test personal records and trends',
+        fn: this.testRecordsAndTrends
+      },
+      {
+        title: 'Test training load and recovery',
+        fn: this.testTrainingLoad
+      },
+      {
+        title: 'Test input validation and typed errors',
+        fn: this.testValidation
       }
     ];
     tests.forEach((test, testIndex) => {
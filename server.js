@@ -0,0 +1,10 @@
+const ApiServer = require('./classes/ApiServer');
+const JsonFileStorage = require('./classes/JsonFileStorage');
+
+const port = Number(process.env.PORT) || 3000;
+// wearers are kept in memory unless a data file is given
+const storage = process.env.DATA_FILE ? new JsonFileStorage(process.env.DATA_FILE) : undefined;
+const apiServer = new ApiServer({storage: storage});
+apiServer.listen(port, () => {
+  console.log(`Fitness tracking watch API listening on http://localhost:${port}`);
+});